@@ -0,0 +1,95 @@
+/**
+ * @module ol/featureState
+ */
+import Feature from './Feature.js';
+import {isEmpty} from './obj.js';
+
+/**
+ * The state is stored in the `ol_state` field of the feature object, like the
+ * uid in `ol_uid`. It is kept apart from the feature properties, so it is not
+ * written by formats or copied by `clone()`, and it is released with the
+ * feature.
+ */
+
+/**
+ * @type {Object<string, *>}
+ */
+const EMPTY = {};
+
+/**
+ * Get the state of a feature, e.g. to style hovered or selected features
+ * differently in a style function:
+ * ```js
+ * function style(feature) {
+ *   return getFeatureState(feature).hover ? hoverStyle : defaultStyle;
+ * }
+ * ```
+ * The returned object must not be modified.
+ * @param {import("./Feature.js").FeatureLike} feature Feature.
+ * @return {Object<string, *>} State of the feature.
+ * @api
+ */
+export function getFeatureState(feature) {
+  const state = /** @type {?} */ (feature).ol_state;
+  return state ? state : EMPTY;
+}
+
+/**
+ * Set state of a feature. The given keys are merged into the current state of
+ * the feature; keys with an `undefined` value are removed. When the state
+ * changes, the feature is marked as changed, so layers render it again.
+ *
+ * Render features, e.g. of vector tile layers, do not dispatch change events.
+ * To render their new state, call `changed()` on their layer. The
+ * {@link module:ol/interaction/Highlight~Highlight} interaction does this.
+ * @param {import("./Feature.js").FeatureLike} feature Feature.
+ * @param {Object<string, *>} state State to merge.
+ * @api
+ */
+export function setFeatureState(feature, state) {
+  const target = /** @type {?} */ (feature);
+  const current = target.ol_state || {};
+  let changed = false;
+  for (const key in state) {
+    const value = state[key];
+    if (current[key] === value) {
+      continue;
+    }
+    changed = true;
+    if (value === undefined) {
+      delete current[key];
+    } else {
+      current[key] = value;
+    }
+  }
+  if (!changed) {
+    return;
+  }
+  target.ol_state = isEmpty(current) ? undefined : current;
+  if (feature instanceof Feature) {
+    feature.changed();
+  }
+}
+
+/**
+ * Remove state of a feature.
+ * @param {import("./Feature.js").FeatureLike} feature Feature.
+ * @param {string} [opt_key] Key to remove. If not provided, the whole state of
+ * the feature is removed.
+ * @api
+ */
+export function removeFeatureState(feature, opt_key) {
+  const state = /** @type {?} */ (feature).ol_state;
+  if (!state) {
+    return;
+  }
+  if (opt_key === undefined) {
+    const keys = {};
+    for (const key in state) {
+      keys[key] = undefined;
+    }
+    setFeatureState(feature, keys);
+  } else {
+    setFeatureState(feature, {[opt_key]: undefined});
+  }
+}
@@ -2,7 +2,12 @@
  * @module ol/featureloader
  */
 import FormatType from './format/FormatType.js';
+import VectorEventType from './source/VectorEventType.js';
 import {VOID} from './functions.js';
+import {appendParams} from './uri.js';
+import {equals} from './extent.js';
+import {extend} from './array.js';
+import {listen, unlistenByKey} from './events.js';
 
 /**
  *
@@ -52,10 +57,12 @@ let withCredentials = false;
  * @param {import("./extent.js").Extent} extent Extent.
  * @param {number} resolution Resolution.
  * @param {import("./proj/Projection.js").default} projection Projection.
- * @param {function(Array<import("./Feature.js").default>, import("./proj/Projection.js").default): void} success Success
- *      Function called with the loaded features and optionally with the data projection.
+ * @param {function(Array<import("./Feature.js").default>, import("./proj/Projection.js").default, (Document|Node|Object|string)): void} success Success
+ *      Function called with the loaded features and optionally with the data
+ *      projection and the response the features were read from.
  * @param {function(): void} failure Failure
  *      Function called when loading failed.
+ * @return {XMLHttpRequest} The request, e.g. to abort it.
  */
 export function loadFeaturesXhr(
   url,
@@ -108,7 +115,8 @@ export function loadFeaturesXhr(
               featureProjection: projection,
             })
           ),
-          format.readProjection(source)
+          format.readProjection(source),
+          source
         );
       } else {
         failure();
@@ -122,6 +130,7 @@ export function loadFeaturesXhr(
    */
   xhr.onerror = failure;
   xhr.send();
+  return xhr;
 }
 
 /**
@@ -168,6 +177,133 @@ export function xhr(url, format) {
   };
 }
 
+/**
+ * Create an XHR feature loader for paged WFS 2.0.0 GetFeature requests. Pages
+ * are requested with `startIndex` and `count` parameters appended to the
+ * `url`, and the features of each page are added to the vector source as soon
+ * as they arrive. Further pages are requested until the number of features
+ * reported as `numberMatched` by the server is reached, or, when the server
+ * does not report it, until a page has less features than requested.
+ *
+ * Outstanding pages are cancelled when the source is cleared or refreshed, or
+ * when the extent is removed with
+ * {@link module:ol/source/Vector~VectorSource#removeLoadedExtent}. Loading
+ * then ends with the features loaded so far.
+ * @param {string|FeatureUrlFunction} url Feature URL service.
+ * @param {import("./format/WFS.js").default} format WFS format.
+ * @param {number} [opt_count] Number of features per page. When not set, the
+ *    page size is determined by the server.
+ * @return {FeatureLoader} The feature loader.
+ * @api
+ */
+export function xhrPaged(url, format, opt_count) {
+  /**
+   * @param {import("./extent.js").Extent} extent Extent.
+   * @param {number} resolution Resolution.
+   * @param {import("./proj/Projection.js").default} projection Projection.
+   * @param {function(Array<import("./Feature.js").default>): void} [success] Success
+   *      Function called when loading succeeded.
+   * @param {function(): void} [failure] Failure
+   *      Function called when loading failed.
+   * @this {import("./source/Vector").default}
+   */
+  return function (extent, resolution, projection, success, failure) {
+    const source = /** @type {import("./source/Vector").default} */ (this);
+    const baseUrl =
+      typeof url === 'function' ? url(extent, resolution, projection) : url;
+    /** @type {Array<import("./Feature.js").default>} */
+    const features = [];
+    /** @type {XMLHttpRequest} */
+    let request;
+
+    const clearKey = listen(source, VectorEventType.CLEAR, function () {
+      request.abort();
+      done(true);
+    });
+    const removeKey = listen(
+      source,
+      VectorEventType.REMOVELOADEDEXTENT,
+      /**
+       * @param {import("./source/Vector.js").VectorSourceEvent} event Event.
+       */
+      function (event) {
+        if (equals(event.extent, extent)) {
+          request.abort();
+          done(true);
+        }
+      }
+    );
+
+    /**
+     * @param {boolean} loaded Loading ended without error.
+     */
+    function done(loaded) {
+      unlistenByKey(clearKey);
+      unlistenByKey(removeKey);
+      if (loaded) {
+        if (success !== undefined) {
+          success(features);
+        }
+      } else {
+        source.removeLoadedExtent(extent);
+        if (failure !== undefined) {
+          failure();
+        }
+      }
+    }
+
+    /**
+     * @param {number} startIndex Start index.
+     */
+    function loadPage(startIndex) {
+      request = loadFeaturesXhr(
+        appendParams(baseUrl, {
+          'startIndex': startIndex,
+          'count': opt_count,
+        }),
+        format,
+        extent,
+        resolution,
+        projection,
+        /**
+         * @param {Array<import("./Feature.js").default>} pageFeatures The loaded features.
+         * @param {import("./proj/Projection.js").default} dataProjection Data
+         * projection.
+         * @param {Document|Node|Object|string} response Response.
+         */
+        function (pageFeatures, dataProjection, response) {
+          source.addFeatures(pageFeatures);
+          extend(features, pageFeatures);
+          const metadata = format.readFeatureCollectionMetadata(
+            /** @type {Document} */ (response)
+          );
+          const returned =
+            metadata && metadata.numberReturned !== undefined
+              ? metadata.numberReturned
+              : pageFeatures.length;
+          const matched = metadata ? metadata.numberMatched : undefined;
+          const nextIndex = startIndex + returned;
+          if (
+            returned > 0 &&
+            (matched !== undefined
+              ? nextIndex < matched
+              : opt_count !== undefined && returned >= opt_count)
+          ) {
+            loadPage(nextIndex);
+          } else {
+            done(true);
+          }
+        },
+        function () {
+          done(false);
+        }
+      );
+    }
+
+    loadPage(0);
+  };
+}
+
 /**
  * Setter for the withCredentials configuration for the XHR.
  *
@@ -2,8 +2,11 @@
  * @module ol/format
  */
 
+export {default as CSV} from './format/CSV.js';
 export {default as EsriJSON} from './format/EsriJSON.js';
+export {default as FlatGeobuf} from './format/FlatGeobuf.js';
 export {default as GeoJSON} from './format/GeoJSON.js';
+export {default as GeoJSONSeq} from './format/GeoJSONSeq.js';
 export {default as GML} from './format/GML.js';
 export {default as GPX} from './format/GPX.js';
 export {default as IGC} from './format/IGC.js';
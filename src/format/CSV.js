@@ -0,0 +1,534 @@
+/**
+ * @module ol/format/CSV
+ */
+import Feature from '../Feature.js';
+import GeometryType from '../geom/GeometryType.js';
+import Point from '../geom/Point.js';
+import TextFeature from './TextFeature.js';
+import WKT from './WKT.js';
+import {get as getProjection} from '../proj.js';
+import {transformGeometryWithOptions} from './Feature.js';
+
+/**
+ * Column names that are recognized as WKT geometry column, when no `wktColumn`, `xColumn` or
+ * `yColumn` is configured.
+ * @const
+ * @type {Array<string>}
+ */
+const WKT_COLUMNS = ['wkt', 'geometry', 'geom', 'the_geom', 'shape'];
+
+/**
+ * Column names that are recognized as X coordinate column.
+ * @const
+ * @type {Array<string>}
+ */
+const X_COLUMNS = ['x', 'lon', 'lng', 'long', 'longitude', 'easting'];
+
+/**
+ * Column names that are recognized as Y coordinate column.
+ * @const
+ * @type {Array<string>}
+ */
+const Y_COLUMNS = ['y', 'lat', 'latitude', 'northing'];
+
+/**
+ * Delimiters that are detected when no `delimiter` is configured.
+ * @const
+ * @type {Array<string>}
+ */
+const DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Decimal numbers without leading zeros, so values like postal codes are kept as strings.
+ * @const
+ * @type {RegExp}
+ */
+const NUMBER_RE = /^[-+]?(?:0|[1-9]\d*|(?=\.))(?:\.\d+)?(?:[eE][-+]?\d+)?$/;
+
+/**
+ * @typedef {Object} Options
+ * @property {import("../proj.js").ProjectionLike} [dataProjection='EPSG:4326'] Default data projection.
+ * @property {string} [delimiter] Field delimiter, e.g. `','` for CSV or `'\t'` for TSV. When reading,
+ * the delimiter is detected from the header row if not provided. When writing, the default is `','`.
+ * @property {string} [quote='"'] Character used to quote fields.
+ * @property {string} [xColumn] Name of the column that holds the X coordinate (e.g. longitude) of point
+ * geometries.
+ * @property {string} [yColumn] Name of the column that holds the Y coordinate (e.g. latitude) of point
+ * geometries.
+ * @property {string} [wktColumn] Name of the column that holds geometries as Well-Known Text. When neither
+ * `wktColumn` nor `xColumn` and `yColumn` are configured, geometry columns are detected from the header row,
+ * using common column names like `wkt`, `geometry`, `lon`/`lat` or `x`/`y`.
+ * @property {string} [idColumn] Name of the column that holds the feature id.
+ * @property {boolean} [typed=true] Convert the values of columns that only contain numbers or booleans
+ * into numbers or booleans. When `false`, all values are read as strings.
+ */
+
+/**
+ * @classdesc
+ * Feature format for reading and writing delimited text files like CSV and TSV. The first row
+ * must be a header row with the column names. Geometries are read either from a column with
+ * Well-Known Text, or from a pair of X/Y coordinate columns. All other columns become feature
+ * properties.
+ *
+ * When reading, a file that has no geometry column throws an error, so the format can be combined
+ * with others in {@link module:ol/interaction/DragAndDrop~DragAndDrop}:
+ * ```js
+ * const dragAndDrop = new DragAndDrop({
+ *   formatConstructors: [GeoJSON, KML, CSV],
+ * });
+ * ```
+ *
+ * @api
+ */
+class CSV extends TextFeature {
+  /**
+   * @param {Options} [opt_options] Options.
+   */
+  constructor(opt_options) {
+    super();
+
+    const options = opt_options ? opt_options : {};
+
+    /**
+     * @type {import("../proj/Projection.js").default}
+     */
+    this.dataProjection = getProjection(
+      options.dataProjection ? options.dataProjection : 'EPSG:4326'
+    );
+
+    /**
+     * @private
+     * @type {string|undefined}
+     */
+    this.delimiter_ = options.delimiter;
+
+    /**
+     * @private
+     * @type {string}
+     */
+    this.quote_ = options.quote !== undefined ? options.quote : '"';
+
+    /**
+     * @private
+     * @type {string|undefined}
+     */
+    this.xColumn_ = options.xColumn;
+
+    /**
+     * @private
+     * @type {string|undefined}
+     */
+    this.yColumn_ = options.yColumn;
+
+    /**
+     * @private
+     * @type {string|undefined}
+     */
+    this.wktColumn_ = options.wktColumn;
+
+    /**
+     * @private
+     * @type {string|undefined}
+     */
+    this.idColumn_ = options.idColumn;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.typed_ = options.typed !== undefined ? options.typed : true;
+
+    /**
+     * @private
+     * @type {WKT}
+     */
+    this.wkt_ = new WKT();
+
+    this.supportedMediaTypes = ['text/csv', 'text/tab-separated-values'];
+  }
+
+  /**
+   * @protected
+   * @param {string} text Text.
+   * @param {import("./Feature.js").ReadOptions} [opt_options] Read options.
+   * @return {import("../Feature.js").default} Feature.
+   */
+  readFeatureFromText(text, opt_options) {
+    const features = this.readFeaturesFromText(text, opt_options);
+    return features.length > 0 ? features[0] : null;
+  }
+
+  /**
+   * @param {string} text Text.
+   * @param {import("./Feature.js").ReadOptions} [opt_options] Read options.
+   * @protected
+   * @return {Array<Feature>} Features.
+   */
+  readFeaturesFromText(text, opt_options) {
+    if (text.charCodeAt(0) === 0xfeff) {
+      text = text.substring(1);
+    }
+    const delimiter = this.delimiter_ || detectDelimiter(text, this.quote_);
+    const rows = parse(text, delimiter, this.quote_);
+    if (rows.length === 0) {
+      return [];
+    }
+    const columns = rows.shift();
+
+    let wktIndex = -1;
+    let xIndex = -1;
+    let yIndex = -1;
+    if (this.wktColumn_ || this.xColumn_ || this.yColumn_) {
+      wktIndex = this.wktColumn_ ? columns.indexOf(this.wktColumn_) : -1;
+      xIndex = this.xColumn_ ? columns.indexOf(this.xColumn_) : -1;
+      yIndex = this.yColumn_ ? columns.indexOf(this.yColumn_) : -1;
+    } else {
+      const lowerCaseColumns = columns.map(function (column) {
+        return column.trim().toLowerCase();
+      });
+      wktIndex = findColumn(lowerCaseColumns, WKT_COLUMNS);
+      if (wktIndex == -1) {
+        xIndex = findColumn(lowerCaseColumns, X_COLUMNS);
+        yIndex = findColumn(lowerCaseColumns, Y_COLUMNS);
+      }
+    }
+    if (wktIndex == -1 && (xIndex == -1 || yIndex == -1)) {
+      throw new Error('No geometry column found');
+    }
+    const idIndex = this.idColumn_ ? columns.indexOf(this.idColumn_) : -1;
+
+    /** @type {Array<function(string): *>} */
+    const converters = columns.map(
+      function (column, index) {
+        return this.typed_
+          ? getConverter(rows, index)
+          : function (value) {
+              return value;
+            };
+      }.bind(this)
+    );
+
+    const features = [];
+    for (let i = 0, ii = rows.length; i < ii; ++i) {
+      const row = rows[i];
+      const feature = new Feature();
+      let geometry = null;
+      if (wktIndex != -1) {
+        const wkt = row[wktIndex];
+        if (wkt && wkt.trim()) {
+          geometry = this.wkt_.readGeometry(wkt);
+        }
+      } else {
+        const x = parseFloat(row[xIndex]);
+        const y = parseFloat(row[yIndex]);
+        if (!isNaN(x) && !isNaN(y)) {
+          geometry = new Point([x, y]);
+        }
+      }
+      if (geometry) {
+        feature.setGeometry(
+          transformGeometryWithOptions(geometry, false, opt_options)
+        );
+      }
+      /** @type {Object<string, *>} */
+      const properties = {};
+      for (let j = 0, jj = columns.length; j < jj; ++j) {
+        if (j === wktIndex || j === xIndex || j === yIndex) {
+          continue;
+        }
+        const value = converters[j](row[j] !== undefined ? row[j] : '');
+        if (j === idIndex) {
+          if (value !== null && value !== '') {
+            feature.setId(value);
+          }
+          continue;
+        }
+        properties[columns[j]] = value;
+      }
+      feature.setProperties(properties, true);
+      features.push(feature);
+    }
+    return features;
+  }
+
+  /**
+   * @param {string} text Text.
+   * @param {import("./Feature.js").ReadOptions} [opt_options] Read options.
+   * @protected
+   * @return {import("../geom/Geometry.js").default} Geometry.
+   */
+  readGeometryFromText(text, opt_options) {
+    const feature = this.readFeatureFromText(text, opt_options);
+    return feature ? feature.getGeometry() : null;
+  }
+
+  /**
+   * @param {import("../Feature.js").default} feature Features.
+   * @param {import("./Feature.js").WriteOptions} [opt_options] Write options.
+   * @protected
+   * @return {string} Text.
+   */
+  writeFeatureText(feature, opt_options) {
+    return this.writeFeaturesText([feature], opt_options);
+  }
+
+  /**
+   * @param {Array<import("../Feature.js").default>} features Features.
+   * @param {import("./Feature.js").WriteOptions} [opt_options] Write options.
+   * @protected
+   * @return {string} Text.
+   */
+  writeFeaturesText(features, opt_options) {
+    let useXY = !this.wktColumn_;
+    if (useXY && !this.xColumn_ && !this.yColumn_) {
+      for (let i = 0, ii = features.length; i < ii; ++i) {
+        const geometry = features[i].getGeometry();
+        if (geometry && geometry.getType() !== GeometryType.POINT) {
+          useXY = false;
+          break;
+        }
+      }
+    }
+
+    /** @type {Array<string>} */
+    const columns = [];
+    if (this.idColumn_) {
+      columns.push(this.idColumn_);
+    }
+    if (useXY) {
+      columns.push(this.xColumn_ || 'x', this.yColumn_ || 'y');
+    } else {
+      columns.push(this.wktColumn_ || 'wkt');
+    }
+    const geometryColumnCount = columns.length;
+    /** @type {Object<string, boolean>} */
+    const seen = {};
+    for (let i = 0, ii = features.length; i < ii; ++i) {
+      const feature = features[i];
+      const geometryName = feature.getGeometryName();
+      const keys = feature.getKeys();
+      for (let j = 0, jj = keys.length; j < jj; ++j) {
+        const key = keys[j];
+        if (key !== geometryName && !seen[key]) {
+          seen[key] = true;
+          if (columns.indexOf(key) == -1) {
+            columns.push(key);
+          }
+        }
+      }
+    }
+
+    const delimiter = this.delimiter_ || ',';
+    const quote = this.quote_;
+    const lines = [
+      columns
+        .map(function (column) {
+          return encodeValue(column, delimiter, quote);
+        })
+        .join(delimiter),
+    ];
+    for (let i = 0, ii = features.length; i < ii; ++i) {
+      const feature = features[i];
+      const values = [];
+      if (this.idColumn_) {
+        values.push(feature.getId());
+      }
+      let geometry = feature.getGeometry();
+      if (geometry) {
+        geometry = transformGeometryWithOptions(geometry, true, opt_options);
+      }
+      if (useXY) {
+        const coordinates = geometry
+          ? /** @type {Point} */ (geometry).getCoordinates()
+          : [];
+        values.push(coordinates[0], coordinates[1]);
+      } else {
+        values.push(geometry ? this.wkt_.writeGeometry(geometry) : '');
+      }
+      for (let j = geometryColumnCount, jj = columns.length; j < jj; ++j) {
+        values.push(feature.get(columns[j]));
+      }
+      lines.push(
+        values
+          .map(function (value) {
+            return encodeValue(value, delimiter, quote);
+          })
+          .join(delimiter)
+      );
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * @param {import("../geom/Geometry.js").default} geometry Geometry.
+   * @param {import("./Feature.js").WriteOptions} [opt_options] Write options.
+   * @protected
+   * @return {string} Text.
+   */
+  writeGeometryText(geometry, opt_options) {
+    return this.writeFeaturesText([new Feature(geometry)], opt_options);
+  }
+}
+
+/**
+ * @param {Array<string>} columns Lower case column names.
+ * @param {Array<string>} candidates Candidate column names.
+ * @return {number} Index of the first candidate found in the columns, or -1.
+ */
+function findColumn(columns, candidates) {
+  for (let i = 0, ii = candidates.length; i < ii; ++i) {
+    const index = columns.indexOf(candidates[i]);
+    if (index != -1) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Detects the delimiter by counting candidates outside of quotes in the header row.
+ * @param {string} text Text.
+ * @param {string} quote Quote character.
+ * @return {string} Delimiter.
+ */
+function detectDelimiter(text, quote) {
+  const counts = {};
+  let quoted = false;
+  for (let i = 0, ii = text.length; i < ii; ++i) {
+    const char = text[i];
+    if (char === quote) {
+      quoted = !quoted;
+    } else if (!quoted) {
+      if (char === '\n' || char === '\r') {
+        break;
+      }
+      counts[char] = (counts[char] || 0) + 1;
+    }
+  }
+  let delimiter = DELIMITERS[0];
+  for (let i = 1, ii = DELIMITERS.length; i < ii; ++i) {
+    if ((counts[DELIMITERS[i]] || 0) > (counts[delimiter] || 0)) {
+      delimiter = DELIMITERS[i];
+    }
+  }
+  return delimiter;
+}
+
+/**
+ * Parses delimited text into rows of fields, following RFC 4180. Fields can be quoted, and
+ * quoted fields can contain delimiters, line breaks and doubled quote characters. Empty lines
+ * are skipped.
+ * @param {string} text Text.
+ * @param {string} delimiter Delimiter.
+ * @param {string} quote Quote character.
+ * @return {Array<Array<string>>} Rows.
+ */
+function parse(text, delimiter, quote) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let fieldStarted = false;
+  for (let i = 0, ii = text.length; i < ii; ++i) {
+    const char = text[i];
+    if (quoted) {
+      if (char === quote) {
+        if (text[i + 1] === quote) {
+          field += quote;
+          ++i;
+        } else {
+          quoted = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === quote && !field) {
+      quoted = true;
+      fieldStarted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+      fieldStarted = true;
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        ++i;
+      }
+      if (fieldStarted || field) {
+        row.push(field);
+        rows.push(row);
+      }
+      row = [];
+      field = '';
+      fieldStarted = false;
+    } else {
+      field += char;
+      fieldStarted = true;
+    }
+  }
+  if (fieldStarted || field) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Returns a function that converts the values of a column, depending on whether all non-empty
+ * values of the column are numbers, booleans or strings.
+ * @param {Array<Array<string>>} rows Rows.
+ * @param {number} index Column index.
+ * @return {function(string): *} Converter.
+ */
+function getConverter(rows, index) {
+  let numbers = true;
+  let booleans = true;
+  for (let i = 0, ii = rows.length; i < ii && (numbers || booleans); ++i) {
+    const value = rows[i][index];
+    if (!value) {
+      continue;
+    }
+    numbers = numbers && NUMBER_RE.test(value);
+    booleans = booleans && /^(true|false)$/i.test(value);
+  }
+  if (numbers) {
+    return function (value) {
+      return value ? Number(value) : null;
+    };
+  }
+  if (booleans) {
+    return function (value) {
+      return value ? value.toLowerCase() === 'true' : null;
+    };
+  }
+  return function (value) {
+    return value;
+  };
+}
+
+/**
+ * @param {*} value Value.
+ * @param {string} delimiter Delimiter.
+ * @param {string} quote Quote character.
+ * @return {string} Encoded field.
+ */
+function encodeValue(value, delimiter, quote) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text =
+    typeof value === 'object' && !(value instanceof Date)
+      ? JSON.stringify(value)
+      : String(value);
+  if (
+    text.indexOf(delimiter) != -1 ||
+    text.indexOf(quote) != -1 ||
+    text.indexOf('\n') != -1 ||
+    text.indexOf('\r') != -1 ||
+    text.trim() !== text
+  ) {
+    text = quote + text.split(quote).join(quote + quote) + quote;
+  }
+  return text;
+}
+
+export default CSV;
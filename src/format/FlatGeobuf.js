@@ -0,0 +1,998 @@
+/**
+ * @module ol/format/FlatGeobuf
+ */
+import Feature from '../Feature.js';
+import FeatureFormat, {transformGeometryWithOptions} from './Feature.js';
+import FormatType from './FormatType.js';
+import GeometryCollection from '../geom/GeometryCollection.js';
+import GeometryLayout from '../geom/GeometryLayout.js';
+import LineString from '../geom/LineString.js';
+import MultiLineString from '../geom/MultiLineString.js';
+import MultiPoint from '../geom/MultiPoint.js';
+import MultiPolygon from '../geom/MultiPolygon.js';
+import Point from '../geom/Point.js';
+import Polygon from '../geom/Polygon.js';
+import {getArrayBuffer} from '../net.js';
+import {get as getProjection, transformExtent} from '../proj.js';
+import {intersects} from '../extent.js';
+
+// FlatGeobuf spec: https://flatgeobuf.org/
+// Schemas: https://github.com/flatgeobuf/flatgeobuf/tree/master/src/fbs
+
+/**
+ * Magic bytes at the start of a FlatGeobuf file (`fgb`, major version 3, `fgb`).
+ * The 8th byte is the patch version.
+ * @type {Array<number>}
+ */
+const MAGIC_BYTES = [0x66, 0x67, 0x62, 0x03, 0x66, 0x67, 0x62];
+
+/**
+ * Byte length of the magic bytes and the header size prefix.
+ * @type {number}
+ */
+const HEADER_OFFSET = 12;
+
+/**
+ * Byte length of a node of the packed Hilbert R-tree (envelope and offset).
+ * @type {number}
+ */
+const NODE_ITEM_BYTE_LENGTH = 40;
+
+/**
+ * Byte ranges separated by fewer bytes than this are fetched with a single request.
+ * @type {number}
+ */
+const RANGE_MERGE_GAP = 16384;
+
+/**
+ * @const
+ * @enum {number}
+ */
+const FlatGeobufGeometryType = {
+  UNKNOWN: 0,
+  POINT: 1,
+  LINE_STRING: 2,
+  POLYGON: 3,
+  MULTI_POINT: 4,
+  MULTI_LINE_STRING: 5,
+  MULTI_POLYGON: 6,
+  GEOMETRY_COLLECTION: 7,
+  POLYHEDRAL_SURFACE: 15,
+  TIN: 16,
+  TRIANGLE: 17,
+};
+
+/**
+ * @const
+ * @enum {number}
+ */
+const ColumnType = {
+  BYTE: 0,
+  UBYTE: 1,
+  BOOL: 2,
+  SHORT: 3,
+  USHORT: 4,
+  INT: 5,
+  UINT: 6,
+  LONG: 7,
+  ULONG: 8,
+  FLOAT: 9,
+  DOUBLE: 10,
+  STRING: 11,
+  JSON: 12,
+  DATETIME: 13,
+  BINARY: 14,
+};
+
+/**
+ * @typedef {Object} Column
+ * @property {string} name Name of the column.
+ * @property {number} type Type of the column, as defined by the FlatGeobuf `ColumnType` enum.
+ * @property {string|undefined} title Title of the column.
+ * @property {string|undefined} description Description of the column.
+ * @property {boolean} nullable Whether the column can hold null values.
+ */
+
+/**
+ * @typedef {Object} Header
+ * @property {string|undefined} name Name of the dataset.
+ * @property {import("../extent.js").Extent|null} envelope Extent of the dataset.
+ * @property {number} geometryType Geometry type of all features, as defined by the FlatGeobuf
+ * `GeometryType` enum. `0` when features have mixed geometry types.
+ * @property {boolean} hasZ Whether geometries have a Z dimension.
+ * @property {boolean} hasM Whether geometries have an M dimension.
+ * @property {Array<Column>} columns Column schema of the feature properties.
+ * @property {number} featuresCount Number of features.
+ * @property {number} indexNodeSize Node size of the spatial index. `0` when the file has no index.
+ * @property {string|undefined} crs Code of the coordinate reference system, e.g. `EPSG:4326`.
+ * @property {string|undefined} title Title of the dataset.
+ * @property {string|undefined} description Description of the dataset.
+ * @property {string|undefined} metadata Metadata of the dataset.
+ * @property {number} byteLength Byte length of the magic bytes and the header, which is also the
+ * byte offset of the spatial index.
+ */
+
+/**
+ * @typedef {Object} FeatureRange
+ * @property {number} start Byte offset of the first feature of the range.
+ * @property {number|undefined} end Byte offset of the end of the range, `undefined` for the end of the file.
+ * @property {Array<number>|null} offsets Byte offsets of the features to read from the range, relative
+ * to the start of the features. `null` to read all features of the range.
+ */
+
+/**
+ * @classdesc
+ * Feature format for reading data in the FlatGeobuf format.
+ *
+ * Whole files can be read with {@link module:ol/format/FlatGeobuf~FlatGeobuf#readFeatures}. To load
+ * only the features of the visible area from large files, use a loader created with
+ * {@link module:ol/format/FlatGeobuf~FlatGeobuf#createLoader} together with the
+ * {@link module:ol/loadingstrategy.bbox} strategy:
+ * ```js
+ * const format = new FlatGeobuf();
+ * const source = new VectorSource({
+ *   loader: format.createLoader('https://example.com/data.fgb'),
+ *   strategy: bbox,
+ * });
+ * ```
+ *
+ * @api
+ */
+class FlatGeobuf extends FeatureFormat {
+  constructor() {
+    super();
+
+    this.supportedMediaTypes = ['application/flatgeobuf'];
+  }
+
+  /**
+   * @return {import("./FormatType.js").default} Format.
+   */
+  getType() {
+    return FormatType.ARRAY_BUFFER;
+  }
+
+  /**
+   * Read the header of a FlatGeobuf file.
+   *
+   * @param {ArrayBuffer|ArrayBufferView} source Source.
+   * @return {Header} Header.
+   * @api
+   */
+  readHeader(source) {
+    return readHeader(getDataView(source));
+  }
+
+  /**
+   * Read the first feature from a source.
+   *
+   * @param {ArrayBuffer|ArrayBufferView} source Source.
+   * @param {import("./Feature.js").ReadOptions} [opt_options] Read options.
+   * @return {import("../Feature.js").default} Feature.
+   * @api
+   */
+  readFeature(source, opt_options) {
+    const view = getDataView(source);
+    const header = readHeader(view);
+    const position = header.byteLength + getIndexByteLength(header);
+    if (position >= view.byteLength) {
+      return null;
+    }
+    return readFeature(
+      view,
+      position,
+      header,
+      this.getReadOptions(source, opt_options)
+    );
+  }
+
+  /**
+   * Read all features from a source.
+   *
+   * @param {ArrayBuffer|ArrayBufferView} source Source.
+   * @param {import("./Feature.js").ReadOptions} [opt_options] Read options.
+   * @return {Array<import("../Feature.js").default>} Features.
+   * @api
+   */
+  readFeatures(source, opt_options) {
+    const view = getDataView(source);
+    const header = readHeader(view);
+    const options = this.getReadOptions(source, opt_options);
+    const features = [];
+    let position = header.byteLength + getIndexByteLength(header);
+    while (position < view.byteLength) {
+      features.push(readFeature(view, position, header, options));
+      position += 4 + view.getUint32(position, true);
+    }
+    return features;
+  }
+
+  /**
+   * Read the projection from a source.
+   *
+   * @param {ArrayBuffer|ArrayBufferView} source Source.
+   * @return {import("../proj/Projection.js").default|undefined} Projection.
+   * @api
+   */
+  readProjection(source) {
+    const crs = readHeader(getDataView(source)).crs;
+    return (crs && getProjection(crs)) || undefined;
+  }
+
+  /**
+   * Create a feature loader for a FlatGeobuf file. The loader uses HTTP range requests, so the
+   * server needs to support them. When the file has a spatial index, only the index nodes and
+   * features that intersect the extent to load are fetched, which makes the loader a good match
+   * for the {@link module:ol/loadingstrategy.bbox} strategy. Each feature is fetched only once,
+   * also when extents are loaded concurrently or overlap. Files without spatial index are fetched
+   * once, and features are added to the source as a whole.
+   *
+   * @param {string} url URL of the FlatGeobuf file.
+   * @return {import("../featureloader.js").FeatureLoader} The feature loader.
+   * @api
+   */
+  createLoader(url) {
+    /** @type {Promise<Header>} */
+    let headerPromise = null;
+
+    /**
+     * Features that were loaded before, by byte offset.
+     * @type {Object<number, import("../Feature.js").default>}
+     */
+    const loadedFeatures = {};
+
+    /**
+     * Byte offsets of the features that are being fetched.
+     * @type {Object<number, boolean>}
+     */
+    const loadingOffsets = {};
+
+    /**
+     * All features of a file without spatial index.
+     * @type {Promise<Array<import("../Feature.js").default>>}
+     */
+    let allFeaturesPromise = null;
+
+    /**
+     * @param {FeatureRange} range Range of features.
+     * @param {number} featuresOffset Byte offset of the first feature.
+     * @param {Header} header Header.
+     * @param {import("./Feature.js").ReadOptions} options Read options.
+     * @return {Promise<Array<import("../Feature.js").default>>} Features.
+     */
+    function loadRange(range, featuresOffset, header, options) {
+      return getArrayBuffer(url, range.start, range.end).then(function (
+        buffer
+      ) {
+        const view = new DataView(buffer);
+        const offsets = range.offsets || [];
+        if (!range.offsets) {
+          for (
+            let position = 0;
+            position < view.byteLength;
+            position += 4 + view.getUint32(position, true)
+          ) {
+            offsets.push(range.start - featuresOffset + position);
+          }
+        }
+        return offsets.map(function (offset) {
+          const feature = readFeature(
+            view,
+            featuresOffset + offset - range.start,
+            header,
+            options
+          );
+          loadedFeatures[offset] = feature;
+          return feature;
+        });
+      });
+    }
+
+    /**
+     * @param {import("../extent.js").Extent} extent Extent.
+     * @param {number} resolution Resolution.
+     * @param {import("../proj/Projection.js").default} projection Projection.
+     * @param {function(Array<import("../Feature.js").default>): void} [success] Success
+     *      Function called when loading succeeded.
+     * @param {function(): void} [failure] Failure
+     *      Function called when loading failed.
+     * @this {import("../source/Vector").default}
+     */
+    return function (extent, resolution, projection, success, failure) {
+      const source = /** @type {import("../source/Vector").default} */ (this);
+      if (!headerPromise) {
+        headerPromise = getArrayBuffer(url, 0, HEADER_OFFSET)
+          .then(function (buffer) {
+            const headerSize = new DataView(buffer).getUint32(8, true);
+            return getArrayBuffer(url, 0, HEADER_OFFSET + headerSize);
+          })
+          .then(function (buffer) {
+            return readHeader(new DataView(buffer));
+          });
+        headerPromise.catch(function () {
+          headerPromise = null;
+        });
+      }
+
+      headerPromise
+        .then(function (header) {
+          const dataProjection = header.crs ? getProjection(header.crs) : null;
+          const options = {
+            dataProjection: dataProjection,
+            featureProjection: projection,
+          };
+          const featuresOffset = header.byteLength + getIndexByteLength(header);
+
+          if (!header.indexNodeSize || !header.featuresCount) {
+            if (!allFeaturesPromise) {
+              allFeaturesPromise = loadRange(
+                {start: featuresOffset, end: undefined, offsets: null},
+                featuresOffset,
+                header,
+                options
+              );
+              allFeaturesPromise.catch(function () {
+                allFeaturesPromise = null;
+              });
+            }
+            return allFeaturesPromise;
+          }
+
+          let dataExtent = extent;
+          if (dataProjection && isFinite(extent[0]) && isFinite(extent[2])) {
+            dataExtent = transformExtent(extent, projection, dataProjection);
+          }
+          return searchIndex(url, header, dataExtent).then(function (hits) {
+            // features that were loaded before are reused, features that are
+            // being fetched for another extent are added by that request
+            const features = [];
+            const newHits = [];
+            for (let i = 0, ii = hits.length; i < ii; ++i) {
+              const offset = hits[i].start;
+              if (offset in loadedFeatures) {
+                features.push(loadedFeatures[offset]);
+              } else if (!loadingOffsets[offset]) {
+                loadingOffsets[offset] = true;
+                newHits.push(hits[i]);
+              }
+            }
+            const clearLoading = function () {
+              for (let i = 0, ii = newHits.length; i < ii; ++i) {
+                delete loadingOffsets[newHits[i].start];
+              }
+            };
+            return Promise.all(
+              getFeatureRanges(newHits, featuresOffset).map(function (range) {
+                return loadRange(range, featuresOffset, header, options);
+              })
+            ).then(
+              function (featureArrays) {
+                clearLoading();
+                return features.concat.apply(features, featureArrays);
+              },
+              function (error) {
+                clearLoading();
+                throw error;
+              }
+            );
+          });
+        })
+        .then(function (loaded) {
+          const features = loaded.filter(function (feature) {
+            return !source.hasFeature(feature);
+          });
+          source.addFeatures(features);
+          if (success !== undefined) {
+            success(features);
+          }
+        })
+        .catch(function () {
+          source.removeLoadedExtent(extent);
+          if (failure !== undefined) {
+            failure();
+          }
+        });
+    };
+  }
+}
+
+/**
+ * @param {ArrayBuffer|ArrayBufferView} source Source.
+ * @return {DataView} Data view.
+ */
+function getDataView(source) {
+  if (source instanceof DataView) {
+    return source;
+  }
+  if (ArrayBuffer.isView(source)) {
+    return new DataView(source.buffer, source.byteOffset, source.byteLength);
+  }
+  return new DataView(/** @type {ArrayBuffer} */ (source));
+}
+
+/**
+ * @type {TextDecoder}
+ */
+let textDecoder;
+
+/**
+ * @param {DataView} view Data view.
+ * @param {number} position Position of the string's length prefix.
+ * @return {string} String.
+ */
+function readString(view, position) {
+  if (!textDecoder) {
+    textDecoder = new TextDecoder();
+  }
+  const length = view.getUint32(position, true);
+  return textDecoder.decode(
+    new Uint8Array(view.buffer, view.byteOffset + position + 4, length)
+  );
+}
+
+/**
+ * @param {DataView} view Data view.
+ * @param {number} position Position.
+ * @param {boolean} signed Read a signed integer.
+ * @return {number} 64 bit integer. Values beyond 2^53 lose precision.
+ */
+function readInt64(view, position, signed) {
+  const high = signed
+    ? view.getInt32(position + 4, true)
+    : view.getUint32(position + 4, true);
+  return high * 0x100000000 + view.getUint32(position, true);
+}
+
+/**
+ * Resolves a flatbuffers offset.
+ * @param {DataView} view Data view.
+ * @param {number} position Position of the offset.
+ * @return {number} Position the offset points to.
+ */
+function indirect(view, position) {
+  return position + view.getUint32(position, true);
+}
+
+/**
+ * @param {DataView} view Data view.
+ * @param {number} table Position of a flatbuffers table.
+ * @param {number} field Index of the field in the table's schema.
+ * @return {number} Position of the field's value, or 0 if the field is not set.
+ */
+function fieldPosition(view, table, field) {
+  const vtable = table - view.getInt32(table, true);
+  const index = 4 + 2 * field;
+  if (index >= view.getUint16(vtable, true)) {
+    return 0;
+  }
+  const offset = view.getUint16(vtable + index, true);
+  return offset ? table + offset : 0;
+}
+
+/**
+ * @param {DataView} view Data view.
+ * @param {number} table Position of a flatbuffers table.
+ * @param {number} field Index of the field in the table's schema.
+ * @return {string|undefined} String.
+ */
+function readStringField(view, table, field) {
+  const position = fieldPosition(view, table, field);
+  return position ? readString(view, indirect(view, position)) : undefined;
+}
+
+/**
+ * @param {DataView} view Data view.
+ * @param {number} table Position of a flatbuffers table.
+ * @param {number} field Index of the field in the table's schema.
+ * @return {number} Position of the length prefix of the vector, or 0 if the field is not set.
+ */
+function vectorPosition(view, table, field) {
+  const position = fieldPosition(view, table, field);
+  return position ? indirect(view, position) : 0;
+}
+
+/**
+ * @param {DataView} view Data view.
+ * @param {number} table Position of a flatbuffers table.
+ * @param {number} field Index of the field in the table's schema.
+ * @return {Array<number>|null} Values of a vector of doubles.
+ */
+function readDoubles(view, table, field) {
+  const position = vectorPosition(view, table, field);
+  if (!position) {
+    return null;
+  }
+  const length = view.getUint32(position, true);
+  const values = new Array(length);
+  for (let i = 0; i < length; ++i) {
+    values[i] = view.getFloat64(position + 4 + i * 8, true);
+  }
+  return values;
+}
+
+/**
+ * @param {DataView} view Data view.
+ * @param {number} table Position of a flatbuffers table.
+ * @param {number} field Index of the field in the table's schema.
+ * @return {Array<number>} Positions of the tables of a vector of tables.
+ */
+function readTables(view, table, field) {
+  const position = vectorPosition(view, table, field);
+  if (!position) {
+    return [];
+  }
+  const length = view.getUint32(position, true);
+  const tables = new Array(length);
+  for (let i = 0; i < length; ++i) {
+    tables[i] = indirect(view, position + 4 + i * 4);
+  }
+  return tables;
+}
+
+/**
+ * @param {DataView} view Data view.
+ * @param {number} table Position of a column table.
+ * @return {Column} Column.
+ */
+function readColumn(view, table) {
+  const type = fieldPosition(view, table, 1);
+  const nullable = fieldPosition(view, table, 7);
+  return {
+    name: readStringField(view, table, 0),
+    type: type ? view.getUint8(type) : ColumnType.BYTE,
+    title: readStringField(view, table, 2),
+    description: readStringField(view, table, 3),
+    nullable: nullable ? view.getUint8(nullable) !== 0 : true,
+  };
+}
+
+/**
+ * @param {DataView} view Data view of the file, starting with the magic bytes.
+ * @return {Header} Header.
+ */
+function readHeader(view) {
+  for (let i = 0, ii = MAGIC_BYTES.length; i < ii; ++i) {
+    if (view.getUint8(i) !== MAGIC_BYTES[i]) {
+      throw new Error('Not a FlatGeobuf file (version 3)');
+    }
+  }
+  const table = indirect(view, HEADER_OFFSET);
+
+  const envelope = readDoubles(view, table, 1);
+
+  const columns = readTables(view, table, 7).map(function (column) {
+    return readColumn(view, column);
+  });
+
+  const crsTable = fieldPosition(view, table, 10);
+  let crs;
+  if (crsTable) {
+    const crsPosition = indirect(view, crsTable);
+    const codePosition = fieldPosition(view, crsPosition, 1);
+    const code = codePosition ? view.getInt32(codePosition, true) : 0;
+    if (code) {
+      crs = (readStringField(view, crsPosition, 0) || 'EPSG') + ':' + code;
+    } else {
+      crs = readStringField(view, crsPosition, 5);
+    }
+  }
+
+  const geometryType = fieldPosition(view, table, 2);
+  const hasZ = fieldPosition(view, table, 3);
+  const hasM = fieldPosition(view, table, 4);
+  const featuresCount = fieldPosition(view, table, 8);
+  const indexNodeSize = fieldPosition(view, table, 9);
+
+  return {
+    name: readStringField(view, table, 0),
+    envelope: envelope && envelope.length >= 4 ? envelope.slice(0, 4) : null,
+    geometryType: geometryType ? view.getUint8(geometryType) : 0,
+    hasZ: hasZ ? view.getUint8(hasZ) !== 0 : false,
+    hasM: hasM ? view.getUint8(hasM) !== 0 : false,
+    columns: columns,
+    featuresCount: featuresCount ? readInt64(view, featuresCount, false) : 0,
+    indexNodeSize: indexNodeSize ? view.getUint16(indexNodeSize, true) : 16,
+    crs: crs,
+    title: readStringField(view, table, 11),
+    description: readStringField(view, table, 12),
+    metadata: readStringField(view, table, 13),
+    byteLength: HEADER_OFFSET + view.getUint32(8, true),
+  };
+}
+
+/**
+ * Level bounds of the packed Hilbert R-tree, as node index ranges. The first level holds the
+ * leaf nodes, which are stored last. The last level holds the root node, which is stored first.
+ * @param {number} numItems Number of items in the tree.
+ * @param {number} nodeSize Node size.
+ * @return {Array<Array<number>>} Level bounds.
+ */
+function getLevelBounds(numItems, nodeSize) {
+  let n = numItems;
+  let numNodes = n;
+  const levelNumNodes = [n];
+  do {
+    n = Math.ceil(n / nodeSize);
+    numNodes += n;
+    levelNumNodes.push(n);
+  } while (n !== 1);
+  const levelBounds = [];
+  for (let i = 0, ii = levelNumNodes.length; i < ii; ++i) {
+    levelBounds.push([numNodes - levelNumNodes[i], numNodes]);
+    numNodes -= levelNumNodes[i];
+  }
+  return levelBounds;
+}
+
+/**
+ * @param {Header} header Header.
+ * @return {number} Byte length of the spatial index.
+ */
+function getIndexByteLength(header) {
+  if (!header.indexNodeSize || !header.featuresCount) {
+    return 0;
+  }
+  const levelBounds = getLevelBounds(
+    header.featuresCount,
+    header.indexNodeSize
+  );
+  return levelBounds[0][1] * NODE_ITEM_BYTE_LENGTH;
+}
+
+/**
+ * Walks the spatial index of a remote file level by level, and fetches the nodes that need to
+ * be visited with range requests.
+ * @param {string} url URL of the file.
+ * @param {Header} header Header.
+ * @param {import("../extent.js").Extent} extent Extent to search, in the data projection.
+ * @return {Promise<Array<{start: number, end: number|undefined}>>} Byte ranges of the features
+ * intersecting the extent, relative to the start of the features, in file order.
+ */
+function searchIndex(url, header, extent) {
+  const nodeSize = header.indexNodeSize;
+  const numItems = header.featuresCount;
+  const levelBounds = getLevelBounds(numItems, nodeSize);
+
+  /**
+   * @param {number} level Level.
+   * @param {Array<Array<number>>} nodeRanges Ranges of node indices to visit.
+   * @return {Promise<Array<{start: number, end: number|undefined}>>} Byte ranges of the features.
+   */
+  function searchLevel(level, nodeRanges) {
+    const isLeafLevel = level === 0;
+    const levelEnd = levelBounds[level][1];
+    return Promise.all(
+      nodeRanges.map(function (nodeRange) {
+        // also read the node after leaf ranges, to know where the last feature ends
+        const end = isLeafLevel
+          ? Math.min(nodeRange[1] + 1, levelEnd)
+          : nodeRange[1];
+        return getArrayBuffer(
+          url,
+          header.byteLength + nodeRange[0] * NODE_ITEM_BYTE_LENGTH,
+          header.byteLength + end * NODE_ITEM_BYTE_LENGTH
+        ).then(function (buffer) {
+          return [nodeRange, new DataView(buffer)];
+        });
+      })
+    ).then(function (results) {
+      const hits = [];
+      const children = [];
+      const nodeExtent = [0, 0, 0, 0];
+      for (let i = 0, ii = results.length; i < ii; ++i) {
+        const nodeRange = results[i][0];
+        const view = results[i][1];
+        for (let index = nodeRange[0]; index < nodeRange[1]; ++index) {
+          const position = (index - nodeRange[0]) * NODE_ITEM_BYTE_LENGTH;
+          for (let j = 0; j < 4; ++j) {
+            nodeExtent[j] = view.getFloat64(position + j * 8, true);
+          }
+          if (!intersects(nodeExtent, extent)) {
+            continue;
+          }
+          const offset = readInt64(view, position + 32, false);
+          if (isLeafLevel) {
+            const next = position + NODE_ITEM_BYTE_LENGTH;
+            hits.push({
+              start: offset,
+              end:
+                next < view.byteLength
+                  ? readInt64(view, next + 32, false)
+                  : undefined,
+            });
+          } else {
+            children.push([
+              offset,
+              Math.min(offset + nodeSize, levelBounds[level - 1][1]),
+            ]);
+          }
+        }
+      }
+      if (isLeafLevel) {
+        return hits;
+      }
+      return searchLevel(level - 1, mergeRanges(children));
+    });
+  }
+
+  return searchLevel(levelBounds.length - 1, [[0, 1]]).then(function (hits) {
+    return hits.sort(function (a, b) {
+      return a.start - b.start;
+    });
+  });
+}
+
+/**
+ * Merges sorted ranges of node indices that are adjacent.
+ * @param {Array<Array<number>>} ranges Ranges.
+ * @return {Array<Array<number>>} Merged ranges.
+ */
+function mergeRanges(ranges) {
+  const merged = [];
+  let last = null;
+  for (let i = 0, ii = ranges.length; i < ii; ++i) {
+    const range = ranges[i];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      last = range.slice();
+      merged.push(last);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Groups the byte ranges of features that are close to each other, so they can be fetched with
+ * a single request.
+ * @param {Array<{start: number, end: number|undefined}>} hits Byte ranges of the features,
+ * relative to the start of the features, in file order.
+ * @param {number} featuresOffset Byte offset of the first feature in the file.
+ * @return {Array<FeatureRange>} Ranges to fetch, with absolute byte offsets.
+ */
+function getFeatureRanges(hits, featuresOffset) {
+  const ranges = [];
+  let range = null;
+  for (let i = 0, ii = hits.length; i < ii; ++i) {
+    const hit = hits[i];
+    const start = featuresOffset + hit.start;
+    const end = hit.end === undefined ? undefined : featuresOffset + hit.end;
+    if (
+      range &&
+      range.end !== undefined &&
+      start - range.end < RANGE_MERGE_GAP
+    ) {
+      range.end = end;
+      range.offsets.push(hit.start);
+    } else {
+      range = {
+        start: start,
+        end: end,
+        offsets: [hit.start],
+      };
+      ranges.push(range);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * @param {DataView} view Data view.
+ * @param {number} position Position of the feature's size prefix.
+ * @param {Header} header Header.
+ * @param {import("./Feature.js").ReadOptions} options Read options.
+ * @return {import("../Feature.js").default} Feature.
+ */
+function readFeature(view, position, header, options) {
+  const table = indirect(view, position + 4);
+  const feature = new Feature();
+
+  const geometryTable = fieldPosition(view, table, 0);
+  if (geometryTable) {
+    const geometry = readGeometry(
+      view,
+      indirect(view, geometryTable),
+      header.geometryType
+    );
+    feature.setGeometry(
+      /** @type {import("../geom/Geometry.js").default} */ (
+        transformGeometryWithOptions(geometry, false, options)
+      )
+    );
+  }
+
+  const properties = vectorPosition(view, table, 1);
+  if (properties) {
+    let columns = header.columns;
+    if (fieldPosition(view, table, 2)) {
+      columns = readTables(view, table, 2).map(function (column) {
+        return readColumn(view, column);
+      });
+    }
+    feature.setProperties(
+      readProperties(
+        view,
+        properties + 4,
+        properties + 4 + view.getUint32(properties, true),
+        columns
+      ),
+      true
+    );
+  }
+
+  return feature;
+}
+
+/**
+ * @param {DataView} view Data view.
+ * @param {number} position Position of the first property.
+ * @param {number} end End of the properties.
+ * @param {Array<Column>} columns Columns.
+ * @return {Object<string, *>} Properties.
+ */
+function readProperties(view, position, end, columns) {
+  const properties = {};
+  while (position < end) {
+    const column = columns[view.getUint16(position, true)];
+    position += 2;
+    let value;
+    switch (column.type) {
+      case ColumnType.BYTE:
+        value = view.getInt8(position);
+        position += 1;
+        break;
+      case ColumnType.UBYTE:
+        value = view.getUint8(position);
+        position += 1;
+        break;
+      case ColumnType.BOOL:
+        value = view.getUint8(position) !== 0;
+        position += 1;
+        break;
+      case ColumnType.SHORT:
+        value = view.getInt16(position, true);
+        position += 2;
+        break;
+      case ColumnType.USHORT:
+        value = view.getUint16(position, true);
+        position += 2;
+        break;
+      case ColumnType.INT:
+        value = view.getInt32(position, true);
+        position += 4;
+        break;
+      case ColumnType.UINT:
+        value = view.getUint32(position, true);
+        position += 4;
+        break;
+      case ColumnType.LONG:
+        value = readInt64(view, position, true);
+        position += 8;
+        break;
+      case ColumnType.ULONG:
+        value = readInt64(view, position, false);
+        position += 8;
+        break;
+      case ColumnType.FLOAT:
+        value = view.getFloat32(position, true);
+        position += 4;
+        break;
+      case ColumnType.DOUBLE:
+        value = view.getFloat64(position, true);
+        position += 8;
+        break;
+      case ColumnType.STRING:
+      case ColumnType.DATETIME:
+        value = readString(view, position);
+        position += 4 + view.getUint32(position, true);
+        break;
+      case ColumnType.JSON:
+        value = JSON.parse(readString(view, position));
+        position += 4 + view.getUint32(position, true);
+        break;
+      case ColumnType.BINARY: {
+        const length = view.getUint32(position, true);
+        value = new Uint8Array(
+          view.buffer.slice(
+            view.byteOffset + position + 4,
+            view.byteOffset + position + 4 + length
+          )
+        );
+        position += 4 + length;
+        break;
+      }
+      default:
+        throw new Error('Unsupported FlatGeobuf column type: ' + column.type);
+    }
+    properties[column.name] = value;
+  }
+  return properties;
+}
+
+/**
+ * @param {DataView} view Data view.
+ * @param {number} table Position of the geometry table.
+ * @param {number} headerType Geometry type from the header.
+ * @return {import("../geom/Geometry.js").default} Geometry.
+ */
+function readGeometry(view, table, headerType) {
+  const typePosition = fieldPosition(view, table, 6);
+  const type = typePosition ? view.getUint8(typePosition) : headerType;
+
+  if (
+    type === FlatGeobufGeometryType.MULTI_POLYGON ||
+    type === FlatGeobufGeometryType.POLYHEDRAL_SURFACE ||
+    type === FlatGeobufGeometryType.TIN
+  ) {
+    return new MultiPolygon(
+      readTables(view, table, 7).map(function (part) {
+        return /** @type {Polygon} */ (
+          readGeometry(view, part, FlatGeobufGeometryType.POLYGON)
+        );
+      })
+    );
+  }
+  if (type === FlatGeobufGeometryType.GEOMETRY_COLLECTION) {
+    return new GeometryCollection(
+      readTables(view, table, 7).map(function (part) {
+        return readGeometry(view, part, FlatGeobufGeometryType.UNKNOWN);
+      })
+    );
+  }
+
+  const xy = readDoubles(view, table, 1) || [];
+  const z = readDoubles(view, table, 2);
+  const m = readDoubles(view, table, 3);
+  const layout =
+    z && m
+      ? GeometryLayout.XYZM
+      : z
+      ? GeometryLayout.XYZ
+      : m
+      ? GeometryLayout.XYM
+      : GeometryLayout.XY;
+  const stride = 2 + (z ? 1 : 0) + (m ? 1 : 0);
+  let flatCoordinates = xy;
+  if (stride > 2) {
+    flatCoordinates = [];
+    for (let i = 0, ii = xy.length / 2; i < ii; ++i) {
+      flatCoordinates.push(xy[2 * i], xy[2 * i + 1]);
+      if (z) {
+        flatCoordinates.push(z[i]);
+      }
+      if (m) {
+        flatCoordinates.push(m[i]);
+      }
+    }
+  }
+
+  let ends;
+  const endsPosition = vectorPosition(view, table, 0);
+  if (endsPosition) {
+    const length = view.getUint32(endsPosition, true);
+    ends = new Array(length);
+    for (let i = 0; i < length; ++i) {
+      ends[i] = view.getUint32(endsPosition + 4 + i * 4, true) * stride;
+    }
+  } else {
+    ends = [flatCoordinates.length];
+  }
+
+  switch (type) {
+    case FlatGeobufGeometryType.POINT:
+      return new Point(flatCoordinates, layout);
+    case FlatGeobufGeometryType.MULTI_POINT:
+      return new MultiPoint(flatCoordinates, layout);
+    case FlatGeobufGeometryType.LINE_STRING:
+      return new LineString(flatCoordinates, layout);
+    case FlatGeobufGeometryType.MULTI_LINE_STRING:
+      return new MultiLineString(flatCoordinates, layout, ends);
+    case FlatGeobufGeometryType.POLYGON:
+    case FlatGeobufGeometryType.TRIANGLE:
+      return new Polygon(flatCoordinates, layout, ends);
+    default:
+      throw new Error('Unsupported FlatGeobuf geometry type: ' + type);
+  }
+}
+
+export default FlatGeobuf;
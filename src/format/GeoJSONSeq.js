@@ -0,0 +1,334 @@
+/**
+ * @module ol/format/GeoJSONSeq
+ */
+import GeoJSON from './GeoJSON.js';
+import TextFeature from './TextFeature.js';
+import VectorEventType from '../source/VectorEventType.js';
+import {VOID} from '../functions.js';
+import {extend} from '../array.js';
+import {get as getProjection} from '../proj.js';
+import {listen, unlistenByKey} from '../events.js';
+
+/**
+ * @typedef {Object} Options
+ * @property {import("../proj.js").ProjectionLike} [dataProjection='EPSG:4326'] Default data projection.
+ * @property {import("../proj.js").ProjectionLike} [featureProjection] Projection for features read or
+ * written by the format.  Options passed to read or write methods will take precedence.
+ * @property {string} [geometryName] Geometry name to use when creating features.
+ * @property {boolean} [extractGeometryName=false] Certain GeoJSON providers include
+ * the geometry_name field in the feature GeoJSON. If set to `true` the GeoJSON reader
+ * will look for that field to set the geometry name. If both this field is set to `true`
+ * and a `geometryName` is provided, the `geometryName` will take precedence.
+ * @property {boolean} [recordSeparator=false] Prefix written records with the
+ * RS (`0x1E`) character, as defined for GeoJSON text sequences in RFC 8142.
+ * When `false`, newline-delimited GeoJSON is written. Both variants can be read
+ * regardless of this option.
+ */
+
+/**
+ * The RS (record separator) character of RFC 8142.
+ * @type {string}
+ */
+const RS = '\x1e';
+
+/**
+ * @type {RegExp}
+ */
+const RECORD_SEPARATOR_RE = /[\n\x1e]/;
+
+/**
+ * @classdesc
+ * Feature format for reading and writing newline-delimited GeoJSON (also known
+ * as GeoJSONSeq, GeoJSONL or NDJSON) and GeoJSON text sequences (RFC 8142).
+ * Each record is a GeoJSON feature, feature collection or geometry.
+ *
+ * Large files can be read incrementally from a `ReadableStream` with
+ * {@link module:ol/format/GeoJSONSeq~GeoJSONSeq#readStream}, or loaded into a
+ * vector source in batches with a loader created by
+ * {@link module:ol/format/GeoJSONSeq~GeoJSONSeq#createLoader}:
+ * ```js
+ * const source = new VectorSource({
+ *   loader: new GeoJSONSeq().createLoader('https://example.com/data.geojsonl'),
+ * });
+ * source.on('featuresloadprogress', function (event) {
+ *   console.log(event.features.length + ' features added');
+ * });
+ * ```
+ *
+ * @api
+ */
+class GeoJSONSeq extends TextFeature {
+  /**
+   * @param {Options} [opt_options] Options.
+   */
+  constructor(opt_options) {
+    super();
+
+    const options = opt_options ? opt_options : {};
+
+    /**
+     * @type {import("../proj/Projection.js").default}
+     */
+    this.dataProjection = getProjection(
+      options.dataProjection ? options.dataProjection : 'EPSG:4326'
+    );
+
+    if (options.featureProjection) {
+      /**
+       * @type {import("../proj/Projection.js").default}
+       */
+      this.defaultFeatureProjection = getProjection(options.featureProjection);
+    }
+
+    /**
+     * @private
+     * @type {GeoJSON}
+     */
+    this.geoJSON_ = new GeoJSON({
+      dataProjection: this.dataProjection,
+      geometryName: options.geometryName,
+      extractGeometryName: options.extractGeometryName,
+    });
+
+    /**
+     * @private
+     * @type {string}
+     */
+    this.recordPrefix_ = options.recordSeparator ? RS : '';
+
+    this.supportedMediaTypes = [
+      'application/geo+json-seq',
+      'application/geojson-seq',
+      'application/x-ndjson',
+    ];
+  }
+
+  /**
+   * @param {string} text Text.
+   * @param {import("./Feature.js").ReadOptions} [opt_options] Read options.
+   * @protected
+   * @return {import("../Feature.js").default} Feature.
+   */
+  readFeatureFromText(text, opt_options) {
+    const features = this.readFeaturesFromText(text, opt_options);
+    return features.length > 0 ? features[0] : null;
+  }
+
+  /**
+   * @param {string} text Text.
+   * @param {import("./Feature.js").ReadOptions} [opt_options] Read options.
+   * @protected
+   * @return {Array<import("../Feature.js").default>} Features.
+   */
+  readFeaturesFromText(text, opt_options) {
+    return this.readRecords_(text.split(RECORD_SEPARATOR_RE), opt_options);
+  }
+
+  /**
+   * @param {Array<string>} records Records.
+   * @param {import("./Feature.js").ReadOptions} [opt_options] Read options.
+   * @private
+   * @return {Array<import("../Feature.js").default>} Features.
+   */
+  readRecords_(records, opt_options) {
+    /** @type {Array<import("../Feature.js").default>} */
+    const features = [];
+    for (let i = 0, ii = records.length; i < ii; ++i) {
+      const record = records[i].trim();
+      if (record) {
+        extend(
+          features,
+          this.geoJSON_.readFeatures(JSON.parse(record), opt_options)
+        );
+      }
+    }
+    return features;
+  }
+
+  /**
+   * @param {string} text Text.
+   * @param {import("./Feature.js").ReadOptions} [opt_options] Read options.
+   * @protected
+   * @return {import("../geom/Geometry.js").default} Geometry.
+   */
+  readGeometryFromText(text, opt_options) {
+    const records = text.split(RECORD_SEPARATOR_RE);
+    for (let i = 0, ii = records.length; i < ii; ++i) {
+      const record = records[i].trim();
+      if (record) {
+        return this.geoJSON_.readGeometry(JSON.parse(record), opt_options);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Read features incrementally from a stream, e.g. the `body` of a `fetch()`
+   * response. The callback is called with the features of each chunk of the
+   * stream, as soon as the chunk was read.
+   *
+   * @param {ReadableStream<Uint8Array>} stream Stream.
+   * @param {function(Array<import("../Feature.js").default>): (boolean|void)} callback
+   *     Called with the features read from each chunk. Return `false` to stop
+   *     reading and cancel the stream.
+   * @param {import("./Feature.js").ReadOptions} [opt_options] Read options.
+   * @return {Promise<void>} Resolves when the stream was read completely or
+   *     reading was stopped, rejects when reading or parsing fails.
+   * @api
+   */
+  readStream(stream, callback, opt_options) {
+    const options = this.adaptOptions(opt_options);
+    const reader = stream.getReader();
+    const decoder = new TextDecoder();
+    let remainder = '';
+
+    /**
+     * @param {ReadableStreamReadResult<Uint8Array>} result Result.
+     * @return {Promise<void>|undefined} Next read.
+     */
+    const read = function (result) {
+      const text =
+        remainder + decoder.decode(result.value, {stream: !result.done});
+      const records = text.split(RECORD_SEPARATOR_RE);
+      // the last record may be incomplete, unless the stream is done
+      remainder = result.done ? '' : records.pop();
+      let features;
+      try {
+        features = this.readRecords_(records, options);
+      } catch (error) {
+        reader.cancel().catch(VOID);
+        throw error;
+      }
+      if (callback(features) === false) {
+        reader.cancel().catch(VOID);
+        return undefined;
+      }
+      if (!result.done) {
+        return reader.read().then(read);
+      }
+      return undefined;
+    }.bind(this);
+
+    return reader.read().then(read);
+  }
+
+  /**
+   * Create a feature loader that fetches the url and adds the features to the
+   * vector source in batches, while the response is being read. A
+   * `featuresloadprogress` event is dispatched on the source for each batch.
+   * Loading stops when the source is cleared or refreshed.
+   *
+   * @param {string|import("../featureloader.js").FeatureUrlFunction} url Url.
+   * @return {import("../featureloader.js").FeatureLoader} Loader.
+   * @api
+   */
+  createLoader(url) {
+    const format = this;
+    /**
+     * @param {import("../extent.js").Extent} extent Extent.
+     * @param {number} resolution Resolution.
+     * @param {import("../proj/Projection.js").default} projection Projection.
+     * @param {function(Array<import("../Feature.js").default>): void} [success] Success
+     *      Function called when loading succeeded.
+     * @param {function(): void} [failure] Failure
+     *      Function called when loading failed.
+     * @this {import("../source/Vector").default}
+     */
+    return function (extent, resolution, projection, success, failure) {
+      const source = /** @type {import("../source/Vector").default} */ (this);
+      /** @type {Array<import("../Feature.js").default>} */
+      const features = [];
+      let cleared = false;
+      const clearKey = listen(source, VectorEventType.CLEAR, function () {
+        cleared = true;
+      });
+      fetch(
+        typeof url === 'function' ? url(extent, resolution, projection) : url
+      )
+        .then(function (response) {
+          if (!response.ok) {
+            throw new Error('Unexpected status ' + response.status);
+          }
+          return format.readStream(
+            response.body,
+            function (batch) {
+              if (cleared) {
+                return false;
+              }
+              if (batch.length > 0) {
+                source.addLoadedFeatures(batch);
+                extend(features, batch);
+              }
+              return true;
+            },
+            {
+              extent: extent,
+              featureProjection: projection,
+            }
+          );
+        })
+        .then(function () {
+          unlistenByKey(clearKey);
+          if (success) {
+            success(features);
+          }
+        })
+        .catch(function () {
+          unlistenByKey(clearKey);
+          source.removeLoadedExtent(extent);
+          if (failure) {
+            failure();
+          }
+        });
+    };
+  }
+
+  /**
+   * @param {import("../Feature.js").default} feature Features.
+   * @param {import("./Feature.js").WriteOptions} [opt_options] Write options.
+   * @protected
+   * @return {string} Text.
+   */
+  writeFeatureText(feature, opt_options) {
+    return this.writeRecord_(
+      this.geoJSON_.writeFeatureObject(feature, opt_options)
+    );
+  }
+
+  /**
+   * @param {Array<import("../Feature.js").default>} features Features.
+   * @param {import("./Feature.js").WriteOptions} [opt_options] Write options.
+   * @protected
+   * @return {string} Text.
+   */
+  writeFeaturesText(features, opt_options) {
+    let text = '';
+    for (let i = 0, ii = features.length; i < ii; ++i) {
+      text += this.writeFeatureText(features[i], opt_options);
+    }
+    return text;
+  }
+
+  /**
+   * @param {import("../geom/Geometry.js").default} geometry Geometry.
+   * @param {import("./Feature.js").WriteOptions} [opt_options] Write options.
+   * @protected
+   * @return {string} Text.
+   */
+  writeGeometryText(geometry, opt_options) {
+    return this.writeRecord_(
+      this.geoJSON_.writeGeometryObject(geometry, opt_options)
+    );
+  }
+
+  /**
+   * @param {Object} object GeoJSON object.
+   * @private
+   * @return {string} Record.
+   */
+  writeRecord_(object) {
+    return this.recordPrefix_ + JSON.stringify(object) + '\n';
+  }
+}
+
+export default GeoJSONSeq;
@@ -145,6 +145,7 @@ const NETWORK_LINK_PARSERS = makeStructureNS(NAMESPACE_URIS, {
   'ExtendedData': extendedDataParser,
   'Region': regionParser,
   'Link': linkParser,
+  'Url': linkParser,
   'address': makeObjectPropertySetter(readString),
   'description': makeObjectPropertySetter(readString),
   'name': makeObjectPropertySetter(readString),
@@ -160,6 +161,13 @@ const NETWORK_LINK_PARSERS = makeStructureNS(NAMESPACE_URIS, {
 // @ts-ignore
 const LINK_PARSERS = makeStructureNS(NAMESPACE_URIS, {
   'href': makeObjectPropertySetter(readURI),
+  'httpQuery': makeObjectPropertySetter(readString),
+  'refreshInterval': makeObjectPropertySetter(readDecimal),
+  'refreshMode': makeObjectPropertySetter(readString),
+  'viewBoundScale': makeObjectPropertySetter(readDecimal),
+  'viewFormat': makeObjectPropertySetter(readString),
+  'viewRefreshMode': makeObjectPropertySetter(readString),
+  'viewRefreshTime': makeObjectPropertySetter(readDecimal),
 });
 
 /**
@@ -757,7 +765,12 @@ class KML extends XMLFeature {
   }
 
   /**
-   * Read the network links of the KML.
+   * Read the network links of the KML. Besides the `href` and the properties
+   * of the `NetworkLink`, the returned objects have the refresh properties of
+   * the `Link` (`refreshMode`, `refreshInterval`, `viewRefreshMode`,
+   * `viewRefreshTime`, `viewBoundScale`, `viewFormat`, `httpQuery`) and the
+   * properties of the `Region` (`extent`, `minLodPixels`, `maxLodPixels`, ...),
+   * when set.
    *
    * @param {Document|Element|string} source Source.
    * @return {Array<Object>} Network links.
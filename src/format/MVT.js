@@ -19,7 +19,12 @@ import RenderFeature from '../render/Feature.js';
 import Units from '../proj/Units.js';
 import {assert} from '../asserts.js';
 import {get} from '../proj.js';
-import {inflateEnds} from '../geom/flat/orient.js';
+import {getHeight} from '../extent.js';
+import {
+  inflateEnds,
+  linearRingIsClockwise,
+  orientLinearRings,
+} from '../geom/flat/orient.js';
 
 /**
  * @typedef {Object} Options
@@ -32,11 +37,45 @@ import {inflateEnds} from '../geom/flat/orient.js';
  * @property {Array<string>} [layers] Layers to read features from. If not provided, features will be read from all
  * @property {string} [idProperty] Optional property that will be assigned as the feature id and removed from the properties.
  * layers.
+ * @property {number} [extent=4096] Pixel extent of tiles created by
+ * {@link module:ol/format/MVT~MVT#writeFeatures}.
+ * @property {number} [buffer=0] Buffer in tile pixels around the tile extent. Geometries written by
+ * {@link module:ol/format/MVT~MVT#writeFeatures} are clipped to the tile extent plus this buffer.
+ */
+
+/**
+ * @typedef {Object} WriteOptions
+ * @property {import("../extent.js").Extent} [extent] Tile extent in map units of the tile being written.
+ * Feature geometries are scaled from this extent to the tile's pixel extent. When not provided, feature
+ * geometries are expected to be in tile pixel coordinates already.
+ */
+
+/**
+ * @typedef {Object} RawTile
+ * @property {Array<RawLayer>} layers Layers of the tile.
+ */
+
+/**
+ * @typedef {Object} RawLayer
+ * @property {number} version Version of the vector tile specification.
+ * @property {string} name Name of the layer.
+ * @property {number} extent Pixel extent of the tile.
+ * @property {Array<string>} keys Property keys shared by the layer's features.
+ * @property {Array<string|number|boolean>} values Property values shared by the layer's features.
+ * @property {Array<RawTileFeature>} features Features of the layer.
+ */
+
+/**
+ * @typedef {Object} RawTileFeature
+ * @property {number|undefined} id Id of the feature.
+ * @property {Array<number>} tags Pairs of indices into the layer's `keys` and `values`.
+ * @property {number} type Geometry type (1: point, 2: line string, 3: polygon).
+ * @property {Array<number>} geometry Encoded geometry commands.
  */
 
 /**
  * @classdesc
- * Feature format for reading data in the Mapbox MVT format.
+ * Feature format for reading and writing data in the Mapbox MVT format.
  *
  * @param {Options} [opt_options] Options.
  * @api
@@ -90,6 +129,18 @@ class MVT extends FeatureFormat {
      */
     this.idProperty_ = options.idProperty;
 
+    /**
+     * @private
+     * @type {number}
+     */
+    this.extent_ = options.extent !== undefined ? options.extent : 4096;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.buffer_ = options.buffer !== undefined ? options.buffer : 0;
+
     this.supportedMediaTypes = [
       'application/vnd.mapbox-vector-tile',
       'application/x-protobuf',
@@ -307,6 +358,164 @@ class MVT extends FeatureFormat {
   setLayers(layers) {
     this.layers_ = layers;
   }
+
+  /**
+   * Encode a feature as a Mapbox vector tile.
+   *
+   * @param {import("../Feature.js").default} feature Feature.
+   * @param {WriteOptions} [opt_options] Write options.
+   * @return {ArrayBuffer} Encoded tile.
+   * @api
+   */
+  writeFeature(feature, opt_options) {
+    return this.writeFeatures([feature], opt_options);
+  }
+
+  /**
+   * Encode an array of features as a Mapbox vector tile. Features are grouped into tile layers
+   * by the value of their `layerName` property.
+   *
+   * @param {Array<import("../Feature.js").default>} features Features.
+   * @param {WriteOptions} [opt_options] Write options.
+   * @return {ArrayBuffer} Encoded tile.
+   * @api
+   */
+  writeFeatures(features, opt_options) {
+    const pbf = new PBF();
+    tilePBFWriter(this.writeFeaturesObject(features, opt_options), pbf);
+    const bytes = pbf.finish();
+    return bytes.buffer.slice(
+      bytes.byteOffset,
+      bytes.byteOffset + bytes.length
+    );
+  }
+
+  /**
+   * Encode an array of features as a raw tile object, which follows the structure of the
+   * Mapbox vector tile protocol buffer schema.
+   *
+   * @param {Array<import("../Feature.js").default>} features Features.
+   * @param {WriteOptions} [opt_options] Write options.
+   * @return {RawTile} Raw tile.
+   * @api
+   */
+  writeFeaturesObject(features, opt_options) {
+    const tileExtent = this.extent_;
+    const buffer = this.buffer_;
+    const clipExtent = [
+      -buffer,
+      -buffer,
+      tileExtent + buffer,
+      tileExtent + buffer,
+    ];
+    const extent = opt_options && opt_options.extent;
+    const scale = extent ? getHeight(extent) / tileExtent : 1;
+    const originX = extent ? extent[0] : 0;
+    const originY = extent ? extent[3] : 0;
+    const flipY = extent ? -1 : 1;
+
+    /** @type {Object<string, RawLayer>} */
+    const layersByName = {};
+    /** @type {Object<string, Object<string, number>>} */
+    const valueIndices = {};
+    /** @type {Array<RawLayer>} */
+    const layers = [];
+
+    for (let i = 0, ii = features.length; i < ii; ++i) {
+      const feature = features[i];
+      const geometry = feature.getGeometry();
+      if (!geometry) {
+        continue;
+      }
+      let name = feature.get(this.layerName_);
+      name = name === undefined ? 'default' : String(name);
+      if (this.layers_ && this.layers_.indexOf(name) == -1) {
+        continue;
+      }
+
+      const stride = geometry.getStride();
+      const source = geometry.getFlatCoordinates();
+      const flatCoordinates = [];
+      for (let j = 0, jj = source.length; j < jj; j += stride) {
+        flatCoordinates.push(
+          (source[j] - originX) / scale,
+          (flipY * (source[j + 1] - originY)) / scale
+        );
+      }
+      const encoded = encodeGeometry(
+        geometry.getType(),
+        flatCoordinates,
+        getGeometryEndss(geometry, stride),
+        clipExtent
+      );
+      if (!encoded) {
+        continue;
+      }
+
+      let layer = layersByName[name];
+      if (!layer) {
+        layer = {
+          version: 2,
+          name: name,
+          extent: tileExtent,
+          keys: [],
+          values: [],
+          features: [],
+        };
+        layersByName[name] = layer;
+        valueIndices[name] = {};
+        layers.push(layer);
+      }
+
+      const properties = feature.getProperties();
+      delete properties[feature.getGeometryName()];
+      delete properties[this.layerName_];
+      let id = feature.getId();
+      if (this.idProperty_) {
+        if (id !== undefined) {
+          properties[this.idProperty_] = id;
+        }
+        id = undefined;
+      } else if (typeof id !== 'number' || id < 0 || id % 1 !== 0) {
+        id = undefined;
+      }
+
+      const tags = [];
+      for (const key in properties) {
+        const value = properties[key];
+        const valueType = typeof value;
+        if (
+          valueType !== 'string' &&
+          valueType !== 'number' &&
+          valueType !== 'boolean'
+        ) {
+          continue;
+        }
+        let keyIndex = layer.keys.indexOf(key);
+        if (keyIndex == -1) {
+          keyIndex = layer.keys.push(key) - 1;
+        }
+        const valueKey = valueType + ':' + value;
+        let valueIndex = valueIndices[name][valueKey];
+        if (valueIndex === undefined) {
+          valueIndex = layer.values.push(value) - 1;
+          valueIndices[name][valueKey] = valueIndex;
+        }
+        tags.push(keyIndex, valueIndex);
+      }
+
+      layer.features.push({
+        id: id,
+        tags: tags,
+        type: encoded.type,
+        geometry: encoded.geometry,
+      });
+    }
+
+    return {
+      layers: layers,
+    };
+  }
 }
 
 /**
@@ -440,4 +649,379 @@ function getGeometryType(type, numEnds) {
   return geometryType;
 }
 
+/**
+ * @param {import("../geom/Geometry.js").default} geometry Geometry.
+ * @param {number} stride Stride of the geometry's flat coordinates.
+ * @return {Array<Array<number>>|null} Ends of the geometry's parts in stride 2 flat coordinates,
+ * grouped by polygon. `null` for point geometries.
+ */
+function getGeometryEndss(geometry, stride) {
+  const type = geometry.getType();
+  let endss;
+  if (type === GeometryType.LINE_STRING) {
+    endss = [[geometry.getFlatCoordinates().length]];
+  } else if (
+    type === GeometryType.MULTI_LINE_STRING ||
+    type === GeometryType.POLYGON
+  ) {
+    endss = [
+      /** @type {import("../geom/Polygon.js").default} */ (geometry).getEnds(),
+    ];
+  } else if (type === GeometryType.MULTI_POLYGON) {
+    endss = /** @type {MultiPolygon} */ (geometry).getEndss();
+  } else {
+    return null;
+  }
+  return endss.map(function (ends) {
+    return ends.map(function (end) {
+      return (end / stride) * 2;
+    });
+  });
+}
+
+/**
+ * Encodes geometry commands for tile pixel coordinates, after clipping them to the provided extent.
+ * @param {import("../geom/GeometryType.js").default} type Geometry type.
+ * @param {Array<number>} flatCoordinates Flat coordinates in tile pixels, with a stride of 2.
+ * @param {Array<Array<number>>|null} endss Ends, grouped by polygon.
+ * @param {import("../extent.js").Extent} clipExtent Clip extent in tile pixels.
+ * @return {{type: number, geometry: Array<number>}|null} Raw geometry type and encoded geometry,
+ * or `null` if nothing is left after clipping.
+ */
+function encodeGeometry(type, flatCoordinates, endss, clipExtent) {
+  const geometry = [];
+  const cursor = [0, 0];
+  let rawType;
+  if (type === GeometryType.POINT || type === GeometryType.MULTI_POINT) {
+    rawType = 1;
+    const points = [];
+    for (let i = 0, ii = flatCoordinates.length; i < ii; i += 2) {
+      const x = flatCoordinates[i];
+      const y = flatCoordinates[i + 1];
+      if (
+        x >= clipExtent[0] &&
+        x <= clipExtent[2] &&
+        y >= clipExtent[1] &&
+        y <= clipExtent[3]
+      ) {
+        points.push(Math.round(x), Math.round(y));
+      }
+    }
+    if (points.length) {
+      geometry.push(command(1, points.length / 2));
+      pushDeltas(geometry, points, 0, points.length, cursor);
+    }
+  } else if (
+    type === GeometryType.LINE_STRING ||
+    type === GeometryType.MULTI_LINE_STRING
+  ) {
+    rawType = 2;
+    let offset = 0;
+    const ends = endss[0];
+    for (let i = 0, ii = ends.length; i < ii; ++i) {
+      const parts = clipLineString(
+        flatCoordinates,
+        offset,
+        ends[i],
+        clipExtent
+      );
+      for (let j = 0, jj = parts.length; j < jj; ++j) {
+        const part = quantize(parts[j], false);
+        if (part.length < 4) {
+          continue;
+        }
+        geometry.push(command(1, 1));
+        pushDeltas(geometry, part, 0, 2, cursor);
+        geometry.push(command(2, part.length / 2 - 1));
+        pushDeltas(geometry, part, 2, part.length, cursor);
+      }
+      offset = ends[i];
+    }
+  } else if (
+    type === GeometryType.POLYGON ||
+    type === GeometryType.MULTI_POLYGON
+  ) {
+    rawType = 3;
+    let offset = 0;
+    for (let i = 0, ii = endss.length; i < ii; ++i) {
+      const ends = endss[i];
+      const rings = [];
+      for (let j = 0, jj = ends.length; j < jj; ++j) {
+        const ring = quantize(
+          clipLinearRing(flatCoordinates, offset, ends[j], clipExtent),
+          true
+        );
+        offset = ends[j];
+        if (
+          ring.length < 6 ||
+          linearRingIsClockwise(ring, 0, ring.length, 2) === undefined
+        ) {
+          if (j === 0) {
+            break;
+          }
+          continue;
+        }
+        // MVT exterior rings are clockwise in tile pixel coordinates, i.e.
+        // counter-clockwise in a coordinate system with a bottom-left origin.
+        orientLinearRings(ring, 0, [ring.length], 2, j === 0);
+        rings.push(ring);
+      }
+      offset = ends.length ? ends[ends.length - 1] : offset;
+      for (let j = 0, jj = rings.length; j < jj; ++j) {
+        const ring = rings[j];
+        geometry.push(command(1, 1));
+        pushDeltas(geometry, ring, 0, 2, cursor);
+        geometry.push(command(2, ring.length / 2 - 1));
+        pushDeltas(geometry, ring, 2, ring.length, cursor);
+        geometry.push(command(7, 1));
+      }
+    }
+  } else {
+    return null;
+  }
+  return geometry.length
+    ? {
+        type: rawType,
+        geometry: geometry,
+      }
+    : null;
+}
+
+/**
+ * @param {number} id Command id.
+ * @param {number} count Command count.
+ * @return {number} Command integer.
+ */
+function command(id, count) {
+  return (id & 0x7) | (count << 3);
+}
+
+/**
+ * @param {number} value Value.
+ * @return {number} Zigzag encoded value.
+ */
+function zigzag(value) {
+  return (value << 1) ^ (value >> 31);
+}
+
+/**
+ * Appends zigzag encoded coordinate deltas to the encoded geometry, and updates the cursor.
+ * @param {Array<number>} geometry Encoded geometry.
+ * @param {Array<number>} flatCoordinates Flat coordinates, with a stride of 2.
+ * @param {number} offset Offset.
+ * @param {number} end End.
+ * @param {Array<number>} cursor Cursor.
+ */
+function pushDeltas(geometry, flatCoordinates, offset, end, cursor) {
+  for (let i = offset; i < end; i += 2) {
+    const x = flatCoordinates[i];
+    const y = flatCoordinates[i + 1];
+    geometry.push(zigzag(x - cursor[0]), zigzag(y - cursor[1]));
+    cursor[0] = x;
+    cursor[1] = y;
+  }
+}
+
+/**
+ * Rounds coordinates to integers and removes consecutive duplicates.
+ * @param {Array<number>} flatCoordinates Flat coordinates, with a stride of 2.
+ * @param {boolean} ring The coordinates describe a linear ring. The closing coordinate
+ * will be removed.
+ * @return {Array<number>} Quantized flat coordinates.
+ */
+function quantize(flatCoordinates, ring) {
+  const quantized = [];
+  for (let i = 0, ii = flatCoordinates.length; i < ii; i += 2) {
+    const x = Math.round(flatCoordinates[i]);
+    const y = Math.round(flatCoordinates[i + 1]);
+    const length = quantized.length;
+    if (
+      length === 0 ||
+      x !== quantized[length - 2] ||
+      y !== quantized[length - 1]
+    ) {
+      quantized.push(x, y);
+    }
+  }
+  const length = quantized.length;
+  if (
+    ring &&
+    length > 2 &&
+    quantized[0] === quantized[length - 2] &&
+    quantized[1] === quantized[length - 1]
+  ) {
+    quantized.length = length - 2;
+  }
+  return quantized;
+}
+
+/**
+ * Clips a line string to an extent, using the Liang-Barsky algorithm for each segment.
+ * @param {Array<number>} flatCoordinates Flat coordinates, with a stride of 2.
+ * @param {number} offset Offset.
+ * @param {number} end End.
+ * @param {import("../extent.js").Extent} extent Extent.
+ * @return {Array<Array<number>>} Flat coordinates of the parts inside the extent.
+ */
+function clipLineString(flatCoordinates, offset, end, extent) {
+  const parts = [];
+  let part = null;
+  for (let i = offset; i < end - 2; i += 2) {
+    const x1 = flatCoordinates[i];
+    const y1 = flatCoordinates[i + 1];
+    const dx = flatCoordinates[i + 2] - x1;
+    const dy = flatCoordinates[i + 3] - y1;
+    let t0 = 0;
+    let t1 = 1;
+    const p = [-dx, dx, -dy, dy];
+    const q = [x1 - extent[0], extent[2] - x1, y1 - extent[1], extent[3] - y1];
+    for (let j = 0; j < 4 && t0 <= t1; ++j) {
+      if (p[j] === 0) {
+        if (q[j] < 0) {
+          t0 = 1;
+          t1 = 0;
+        }
+      } else {
+        const t = q[j] / p[j];
+        if (p[j] < 0) {
+          t0 = Math.max(t0, t);
+        } else {
+          t1 = Math.min(t1, t);
+        }
+      }
+    }
+    if (t0 > t1) {
+      part = null;
+      continue;
+    }
+    if (!part || t0 > 0) {
+      part = [x1 + t0 * dx, y1 + t0 * dy];
+      parts.push(part);
+    }
+    part.push(x1 + t1 * dx, y1 + t1 * dy);
+    if (t1 < 1) {
+      part = null;
+    }
+  }
+  return parts;
+}
+
+/**
+ * Clips a linear ring to an extent, using the Sutherland-Hodgman algorithm.
+ * @param {Array<number>} flatCoordinates Flat coordinates, with a stride of 2.
+ * @param {number} offset Offset.
+ * @param {number} end End.
+ * @param {import("../extent.js").Extent} extent Extent.
+ * @return {Array<number>} Flat coordinates of the clipped ring, without closing coordinate.
+ */
+function clipLinearRing(flatCoordinates, offset, end, extent) {
+  let ring = flatCoordinates.slice(offset, end);
+  ring = clipLinearRingEdge(ring, 0, extent[0], false);
+  ring = clipLinearRingEdge(ring, 0, extent[2], true);
+  ring = clipLinearRingEdge(ring, 1, extent[1], false);
+  ring = clipLinearRingEdge(ring, 1, extent[3], true);
+  return ring;
+}
+
+/**
+ * @param {Array<number>} ring Flat coordinates of a linear ring, with a stride of 2.
+ * @param {number} axis Axis of the clip edge (0: x, 1: y).
+ * @param {number} value Position of the clip edge on the axis.
+ * @param {boolean} max Keep coordinates below (`true`) or above (`false`) the clip edge.
+ * @return {Array<number>} Clipped ring.
+ */
+function clipLinearRingEdge(ring, axis, value, max) {
+  const clipped = [];
+  const length = ring.length;
+  if (length === 0) {
+    return clipped;
+  }
+  let x1 = ring[length - 2];
+  let y1 = ring[length - 1];
+  let inside1 = max
+    ? ring[length - 2 + axis] <= value
+    : ring[length - 2 + axis] >= value;
+  for (let i = 0; i < length; i += 2) {
+    const x2 = ring[i];
+    const y2 = ring[i + 1];
+    const inside2 = max ? ring[i + axis] <= value : ring[i + axis] >= value;
+    if (inside1 !== inside2) {
+      const t =
+        axis === 0 ? (value - x1) / (x2 - x1) : (value - y1) / (y2 - y1);
+      clipped.push(x1 + t * (x2 - x1), y1 + t * (y2 - y1));
+    }
+    if (inside2) {
+      clipped.push(x2, y2);
+    }
+    x1 = x2;
+    y1 = y2;
+    inside1 = inside2;
+  }
+  return clipped;
+}
+
+/**
+ * Writer callback for the tile.
+ * @param {RawTile} tile The raw tile.
+ * @param {PBF} pbf The PBF.
+ */
+function tilePBFWriter(tile, pbf) {
+  for (let i = 0, ii = tile.layers.length; i < ii; ++i) {
+    pbf.writeMessage(3, layerPBFWriter, tile.layers[i]);
+  }
+}
+
+/**
+ * Writer callback for a layer.
+ * @param {RawLayer} layer The raw layer.
+ * @param {PBF} pbf The PBF.
+ */
+function layerPBFWriter(layer, pbf) {
+  pbf.writeVarintField(15, layer.version);
+  pbf.writeStringField(1, layer.name);
+  for (let i = 0, ii = layer.features.length; i < ii; ++i) {
+    pbf.writeMessage(2, featurePBFWriter, layer.features[i]);
+  }
+  for (let i = 0, ii = layer.keys.length; i < ii; ++i) {
+    pbf.writeStringField(3, layer.keys[i]);
+  }
+  for (let i = 0, ii = layer.values.length; i < ii; ++i) {
+    pbf.writeMessage(4, valuePBFWriter, layer.values[i]);
+  }
+  pbf.writeVarintField(5, layer.extent);
+}
+
+/**
+ * Writer callback for a feature.
+ * @param {RawTileFeature} feature The raw feature.
+ * @param {PBF} pbf The PBF.
+ */
+function featurePBFWriter(feature, pbf) {
+  if (feature.id !== undefined) {
+    pbf.writeVarintField(1, feature.id);
+  }
+  pbf.writePackedVarint(2, feature.tags);
+  pbf.writeVarintField(3, feature.type);
+  pbf.writePackedVarint(4, feature.geometry);
+}
+
+/**
+ * Writer callback for a value.
+ * @param {string|number|boolean} value The value.
+ * @param {PBF} pbf The PBF.
+ */
+function valuePBFWriter(value, pbf) {
+  if (typeof value === 'string') {
+    pbf.writeStringField(1, value);
+  } else if (typeof value === 'boolean') {
+    pbf.writeBooleanField(7, value);
+  } else if (value % 1 !== 0) {
+    pbf.writeDoubleField(3, value);
+  } else if (value < 0) {
+    pbf.writeSVarintField(6, value);
+  } else {
+    pbf.writeVarintField(5, value);
+  }
+}
+
 export default MVT;
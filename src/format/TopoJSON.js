@@ -2,6 +2,7 @@
  * @module ol/format/TopoJSON
  */
 import Feature from '../Feature.js';
+import GeometryCollection from '../geom/GeometryCollection.js';
 import JSONFeature from './JSONFeature.js';
 import LineString from '../geom/LineString.js';
 import MultiLineString from '../geom/MultiLineString.js';
@@ -10,6 +11,7 @@ import MultiPolygon from '../geom/MultiPolygon.js';
 import Point from '../geom/Point.js';
 import Polygon from '../geom/Polygon.js';
 import {get as getProjection} from '../proj.js';
+import {isEmpty} from '../obj.js';
 import {transformGeometryWithOptions} from './Feature.js';
 
 /**
@@ -43,14 +45,26 @@ import {transformGeometryWithOptions} from './Feature.js';
  * ```
  * will result in features that have a property `'layer'` set to `'example'`.
  * When not set, no property will be added to features.
+ * When writing, features are grouped into `objects` children by the value of
+ * this property. Features without a value for this property, or all features
+ * when not set, are written to a child named `'features'`.
  * @property {Array<string>} [layers] Names of the TopoJSON topology's
  * `objects`'s children to read features from.  If not provided, features will
  * be read from all children.
+ * @property {number} [quantization] Quantization used when writing. When set,
+ * coordinates are quantized to a grid with this number of steps in each
+ * dimension (e.g. `1e4`), and arcs are delta encoded. This reduces the size
+ * of the output considerably, at the cost of precision. When not set,
+ * coordinates are written as they are.
  */
 
 /**
  * @classdesc
- * Feature format for reading data in the TopoJSON format.
+ * Feature format for reading and writing data in the TopoJSON format.
+ *
+ * When writing, line and polygon geometries are converted to a topology:
+ * boundaries shared by several geometries are written only once, as arcs
+ * referenced by all geometries that use them.
  *
  * @api
  */
@@ -75,6 +89,12 @@ class TopoJSON extends JSONFeature {
      */
     this.layers_ = options.layers ? options.layers : null;
 
+    /**
+     * @private
+     * @type {number|undefined}
+     */
+    this.quantization_ = options.quantization;
+
     /**
      * @type {import("../proj/Projection.js").default}
      */
@@ -160,6 +180,96 @@ class TopoJSON extends JSONFeature {
   readProjectionFromObject(object) {
     return this.dataProjection;
   }
+
+  /**
+   * Encode a feature as a TopoJSON topology.
+   *
+   * @param {import("../Feature.js").default} feature Feature.
+   * @param {import("./Feature.js").WriteOptions} [opt_options] Write options.
+   * @return {TopoJSONTopology} Topology.
+   * @api
+   */
+  writeFeatureObject(feature, opt_options) {
+    return this.writeFeaturesObject([feature], opt_options);
+  }
+
+  /**
+   * Encode an array of features as a TopoJSON topology.
+   *
+   * @param {Array<import("../Feature.js").default>} features Features.
+   * @param {import("./Feature.js").WriteOptions} [opt_options] Write options.
+   * @return {TopoJSONTopology} Topology.
+   * @api
+   */
+  writeFeaturesObject(features, opt_options) {
+    opt_options = this.adaptOptions(opt_options);
+    const layerName = this.layerName_;
+
+    /** @type {Array<TopoJSONGeometry>} */
+    const objects = [];
+    /** @type {Array<import("../geom/Geometry.js").default>} */
+    const geometries = [];
+    /** @type {Object<string, TopoJSONGeometryCollection>} */
+    const collections = {};
+    for (let i = 0, ii = features.length; i < ii; ++i) {
+      const feature = features[i];
+      /** @type {TopoJSONGeometry} */
+      const object = /** @type {TopoJSONGeometry} */ ({type: null});
+      const id = feature.getId();
+      if (id !== undefined) {
+        object.id = id;
+      }
+      const properties = feature.getProperties();
+      delete properties[feature.getGeometryName()];
+      let name;
+      if (layerName) {
+        name = properties[layerName];
+        delete properties[layerName];
+      }
+      if (!isEmpty(properties)) {
+        object.properties = properties;
+      }
+      name = name === undefined ? 'features' : String(name);
+      if (!collections[name]) {
+        collections[name] = {
+          type: 'GeometryCollection',
+          geometries: [],
+        };
+      }
+      collections[name].geometries.push(object);
+
+      const geometry = feature.getGeometry();
+      if (geometry) {
+        addGeometryObject(
+          transformGeometryWithOptions(geometry, true, opt_options),
+          object,
+          objects,
+          geometries
+        );
+      }
+    }
+
+    const topology = createTopology(
+      objects,
+      geometries,
+      this.quantization_,
+      opt_options.rightHanded
+    );
+    topology.objects = collections;
+    return topology;
+  }
+
+  /**
+   * Encode a geometry as a TopoJSON topology.
+   *
+   * @param {import("../geom/Geometry.js").default} geometry Geometry.
+   * @param {import("./Feature.js").WriteOptions} [opt_options] Write options.
+   * @return {TopoJSONTopology} Topology.
+   * @api
+   */
+  writeGeometryObject(geometry, opt_options) {
+    return this.writeFeaturesObject([new Feature(geometry)], opt_options);
+  }
 }
 
 /**
@@ -347,6 +457,37 @@ function readFeaturesFromGeometryCollection(
   return features;
 }
 
+/**
+ * Create a geometry from a TopoJSON geometry object. Geometry collections
+ * nested in a feature collection are read as
+ * {@link module:ol/geom/GeometryCollection~GeometryCollection}.
+ *
+ * @param {TopoJSONGeometry} object TopoJSON geometry object.
+ * @param {Array<Array<import("../coordinate.js").Coordinate>>} arcs Array of arcs.
+ * @param {Array<number>} scale Scale for each dimension.
+ * @param {Array<number>} translate Translation for each dimension.
+ * @return {import("../geom/Geometry.js").default} Geometry.
+ */
+function readGeometry(object, arcs, scale, translate) {
+  const type = object.type;
+  if (type === 'GeometryCollection') {
+    const geometries = [];
+    const objects = /** @type {TopoJSONGeometryCollection} */ (object)
+      .geometries;
+    for (let i = 0, ii = objects.length; i < ii; ++i) {
+      if (objects[i].type) {
+        geometries.push(readGeometry(objects[i], arcs, scale, translate));
+      }
+    }
+    return new GeometryCollection(geometries);
+  }
+  const geometryReader = GEOMETRY_READERS[type];
+  if (type === 'Point' || type === 'MultiPoint') {
+    return geometryReader(object, scale, translate);
+  }
+  return geometryReader(object, arcs);
+}
+
 /**
  * Create a feature from a TopoJSON geometry object.
  *
@@ -370,15 +511,12 @@ function readFeatureFromGeometry(
   opt_options
 ) {
   let geometry = null;
-  const type = object.type;
-  if (type) {
-    const geometryReader = GEOMETRY_READERS[type];
-    if (type === 'Point' || type === 'MultiPoint') {
-      geometry = geometryReader(object, scale, translate);
-    } else {
-      geometry = geometryReader(object, arcs);
-    }
-    geometry = transformGeometryWithOptions(geometry, false, opt_options);
+  if (object.type) {
+    geometry = transformGeometryWithOptions(
+      readGeometry(object, arcs, scale, translate),
+      false,
+      opt_options
+    );
   }
   const feature = new Feature({geometry: geometry});
   if (object.id !== undefined) {
@@ -444,4 +582,360 @@ function transformVertex(vertex, scale, translate) {
   vertex[1] = vertex[1] * scale[1] + translate[1];
 }
 
+/**
+ * Prepare the geometry object of a geometry for {@link createTopology}. Simple
+ * geometries are added to `objects` and `geometries`, geometry collections get
+ * nested `geometries`. Geometries of unsupported types, e.g. circles, are
+ * skipped.
+ *
+ * @param {import("../geom/Geometry.js").default} geometry Geometry in the data
+ *     projection.
+ * @param {TopoJSONGeometry} object Geometry object.
+ * @param {Array<TopoJSONGeometry>} objects Geometry objects of simple
+ *     geometries.
+ * @param {Array<import("../geom/Geometry.js").default>} geometries Simple
+ *     geometries.
+ * @return {boolean} The geometry is supported.
+ */
+function addGeometryObject(geometry, object, objects, geometries) {
+  const type = geometry.getType();
+  if (type === 'GeometryCollection') {
+    const children = /** @type {GeometryCollection} */ (
+      geometry
+    ).getGeometriesArray();
+    /** @type {Array<TopoJSONGeometry>} */
+    const childObjects = [];
+    for (let i = 0, ii = children.length; i < ii; ++i) {
+      const childObject = /** @type {TopoJSONGeometry} */ ({type: null});
+      if (addGeometryObject(children[i], childObject, objects, geometries)) {
+        childObjects.push(childObject);
+      }
+    }
+    object.type = 'GeometryCollection';
+    /** @type {TopoJSONGeometryCollection} */ (object).geometries =
+      childObjects;
+    return true;
+  }
+  if (!GEOMETRY_READERS[type]) {
+    return false;
+  }
+  objects.push(object);
+  geometries.push(geometry);
+  return true;
+}
+
+/**
+ * Create a topology from geometries. Coordinates are optionally quantized,
+ * lines and rings are cut into arcs at junctions, and arcs that are shared by
+ * several lines or rings are written only once. The provided geometry objects
+ * get their `coordinates` or `arcs` assigned.
+ *
+ * @param {Array<TopoJSONGeometry>} objects Geometry objects.
+ * @param {Array<import("../geom/Geometry.js").default>} geometries Geometries
+ *     of the geometry objects, in the data projection.
+ * @param {number|undefined} quantization Quantization.
+ * @param {boolean|undefined} rightHanded Follow the right-hand rule for
+ *     polygon ring orientation.
+ * @return {TopoJSONTopology} Topology without objects.
+ */
+function createTopology(objects, geometries, quantization, rightHanded) {
+  /** @type {Array<any>} */
+  const coordinatess = [];
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  for (let i = 0, ii = geometries.length; i < ii; ++i) {
+    const geometry =
+      /** @type {import("../geom/SimpleGeometry.js").default} */ (
+        geometries[i]
+      );
+    const type = geometry.getType();
+    objects[i].type = type;
+    const coordinates =
+      type === 'Polygon' || type === 'MultiPolygon'
+        ? /** @type {Polygon} */ (geometry).getCoordinates(rightHanded)
+        : geometry.getCoordinates();
+    coordinatess.push(coordinates);
+    const flatCoordinates = geometry.getFlatCoordinates();
+    const stride = geometry.getStride();
+    for (let j = 0, jj = flatCoordinates.length; j < jj; j += stride) {
+      bbox[0] = Math.min(bbox[0], flatCoordinates[j]);
+      bbox[1] = Math.min(bbox[1], flatCoordinates[j + 1]);
+      bbox[2] = Math.max(bbox[2], flatCoordinates[j]);
+      bbox[3] = Math.max(bbox[3], flatCoordinates[j + 1]);
+    }
+  }
+
+  /** @type {TopoJSONTopology} */
+  const topology = /** @type {TopoJSONTopology} */ ({
+    type: 'Topology',
+    objects: {},
+    arcs: [],
+  });
+
+  /**
+   * @param {import("../coordinate.js").Coordinate} coordinate Coordinate.
+   * @return {import("../coordinate.js").Coordinate} Coordinate.
+   */
+  let quantize = function (coordinate) {
+    return [coordinate[0], coordinate[1]];
+  };
+  if (quantization && geometries.length) {
+    const scale = [
+      (bbox[2] - bbox[0]) / (quantization - 1) || 1,
+      (bbox[3] - bbox[1]) / (quantization - 1) || 1,
+    ];
+    const translate = [bbox[0], bbox[1]];
+    topology.transform = {
+      scale: scale,
+      translate: translate,
+    };
+    quantize = function (coordinate) {
+      return [
+        Math.round((coordinate[0] - translate[0]) / scale[0]),
+        Math.round((coordinate[1] - translate[1]) / scale[1]),
+      ];
+    };
+  }
+  if (geometries.length) {
+    topology.bbox = bbox;
+  }
+
+  /**
+   * Lines and rings to convert to arcs.
+   * @type {Array<{coordinates: Array<import("../coordinate.js").Coordinate>, ring: boolean}>}
+   */
+  const lines = [];
+
+  /**
+   * @param {Array<import("../coordinate.js").Coordinate>} coordinates Coordinates.
+   * @param {boolean} ring The coordinates are a linear ring.
+   * @return {number} Index of the line.
+   */
+  function addLine(coordinates, ring) {
+    const quantized = [];
+    for (let i = 0, ii = coordinates.length; i < ii; ++i) {
+      const coordinate = quantize(coordinates[i]);
+      const last = quantized[quantized.length - 1];
+      if (!last || last[0] !== coordinate[0] || last[1] !== coordinate[1]) {
+        quantized.push(coordinate);
+      }
+    }
+    if (quantized.length < (ring ? 4 : 2)) {
+      // keep collapsed lines and rings readable
+      return (
+        lines.push({
+          coordinates: coordinates.map(quantize),
+          ring: false,
+        }) - 1
+      );
+    }
+    return lines.push({coordinates: quantized, ring: ring}) - 1;
+  }
+
+  /** @type {Array<any>} */
+  const lineIndices = [];
+  for (let i = 0, ii = objects.length; i < ii; ++i) {
+    const object = /** @type {Object} */ (objects[i]);
+    const coordinates = coordinatess[i];
+    switch (object.type) {
+      case 'Point':
+        object.coordinates = quantize(coordinates);
+        break;
+      case 'MultiPoint':
+        object.coordinates = coordinates.map(quantize);
+        break;
+      case 'LineString':
+        lineIndices[i] = addLine(coordinates, false);
+        break;
+      case 'MultiLineString':
+        lineIndices[i] = coordinates.map(function (line) {
+          return addLine(line, false);
+        });
+        break;
+      case 'Polygon':
+        lineIndices[i] = coordinates.map(function (ring) {
+          return addLine(ring, true);
+        });
+        break;
+      case 'MultiPolygon':
+        lineIndices[i] = coordinates.map(function (polygon) {
+          return polygon.map(function (ring) {
+            return addLine(ring, true);
+          });
+        });
+        break;
+      default:
+        break;
+    }
+  }
+
+  const junctions = findJunctions(lines);
+
+  /** @type {Object<string, number>} */
+  const arcIndices = {};
+  const arcs = topology.arcs;
+
+  /**
+   * @param {Array<import("../coordinate.js").Coordinate>} arc Arc.
+   * @return {number} Arc index, negative (`~index`) for a reversed arc.
+   */
+  function getArcIndex(arc) {
+    const key = arc.join(';');
+    if (key in arcIndices) {
+      return arcIndices[key];
+    }
+    const reversedKey = arc.slice().reverse().join(';');
+    if (reversedKey in arcIndices) {
+      return ~arcIndices[reversedKey];
+    }
+    const index = arcs.push(arc) - 1;
+    arcIndices[key] = index;
+    return index;
+  }
+
+  const linesArcs = lines.map(function (line) {
+    return cutLine(line.coordinates, line.ring, junctions).map(getArcIndex);
+  });
+
+  for (let i = 0, ii = objects.length; i < ii; ++i) {
+    const object = /** @type {Object} */ (objects[i]);
+    const indices = lineIndices[i];
+    switch (object.type) {
+      case 'LineString':
+        object.arcs = linesArcs[indices];
+        break;
+      case 'MultiLineString':
+      case 'Polygon':
+        object.arcs = indices.map(function (index) {
+          return linesArcs[index];
+        });
+        break;
+      case 'MultiPolygon':
+        object.arcs = indices.map(function (polygon) {
+          return polygon.map(function (index) {
+            return linesArcs[index];
+          });
+        });
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (topology.transform) {
+    for (let i = 0, ii = arcs.length; i < ii; ++i) {
+      deltaEncodeArc(arcs[i]);
+    }
+  }
+
+  return topology;
+}
+
+/**
+ * Find the junctions of lines and rings: line end points, and points where
+ * lines or rings that share the point continue in different directions.
+ *
+ * @param {Array<{coordinates: Array<import("../coordinate.js").Coordinate>, ring: boolean}>} lines Lines.
+ * @return {Object<string, boolean>} Junctions, by coordinate key.
+ */
+function findJunctions(lines) {
+  /** @type {Object<string, Array<string>>} */
+  const neighbors = {};
+  /** @type {Object<string, boolean>} */
+  const junctions = {};
+  for (let i = 0, ii = lines.length; i < ii; ++i) {
+    const line = lines[i];
+    const coordinates = line.coordinates;
+    // the closing coordinate of rings is not visited twice
+    const length = line.ring ? coordinates.length - 1 : coordinates.length;
+    for (let j = 0; j < length; ++j) {
+      const key = String(coordinates[j]);
+      if (!line.ring && (j === 0 || j === length - 1)) {
+        junctions[key] = true;
+        continue;
+      }
+      const previous = String(coordinates[j === 0 ? length - 1 : j - 1]);
+      const next = String(coordinates[j === length - 1 ? 0 : j + 1]);
+      const seen = neighbors[key];
+      if (!seen) {
+        neighbors[key] = [previous, next];
+      } else if (
+        !(seen[0] === previous && seen[1] === next) &&
+        !(seen[0] === next && seen[1] === previous)
+      ) {
+        junctions[key] = true;
+      }
+    }
+  }
+  return junctions;
+}
+
+/**
+ * Cut a line or ring into arcs at junctions. Rings without junctions are
+ * rotated to start at their smallest coordinate, so identical rings result in
+ * identical arcs.
+ *
+ * @param {Array<import("../coordinate.js").Coordinate>} coordinates Coordinates.
+ * @param {boolean} ring The coordinates are a linear ring.
+ * @param {Object<string, boolean>} junctions Junctions, by coordinate key.
+ * @return {Array<Array<import("../coordinate.js").Coordinate>>} Arcs.
+ */
+function cutLine(coordinates, ring, junctions) {
+  if (ring) {
+    const length = coordinates.length - 1;
+    let start = -1;
+    let smallest = 0;
+    for (let i = 0; i < length; ++i) {
+      if (junctions[String(coordinates[i])]) {
+        start = i;
+        break;
+      }
+      const coordinate = coordinates[i];
+      const smallestCoordinate = coordinates[smallest];
+      if (
+        coordinate[0] < smallestCoordinate[0] ||
+        (coordinate[0] === smallestCoordinate[0] &&
+          coordinate[1] < smallestCoordinate[1])
+      ) {
+        smallest = i;
+      }
+    }
+    if (start === -1) {
+      start = smallest;
+    }
+    coordinates = coordinates
+      .slice(start, length)
+      .concat(coordinates.slice(0, start + 1));
+  }
+  const arcs = [];
+  let start = 0;
+  for (let i = 1, ii = coordinates.length; i < ii; ++i) {
+    if (i === ii - 1 || junctions[String(coordinates[i])]) {
+      arcs.push(coordinates.slice(start, i + 1));
+      start = i;
+    }
+  }
+  if (arcs.length === 0) {
+    arcs.push(coordinates.slice());
+  }
+  return arcs;
+}
+
+/**
+ * Delta encode a quantized arc. The provided arc is modified in place.
+ *
+ * @param {Array<import("../coordinate.js").Coordinate>} arc Arc.
+ */
+function deltaEncodeArc(arc) {
+  let x = 0;
+  let y = 0;
+  for (let i = 0, ii = arc.length; i < ii; ++i) {
+    const vertex = arc[i];
+    const dx = vertex[0] - x;
+    const dy = vertex[1] - y;
+    x = vertex[0];
+    y = vertex[1];
+    arc[i] = [dx, dy];
+  }
+}
+
 export default TopoJSON;
@@ -179,6 +179,11 @@ const TRANSACTION_SERIALIZERS = {
  * Number of features; bounds/extent.
  * @typedef {Object} FeatureCollectionMetadata
  * @property {number} numberOfFeatures NumberOfFeatures.
+ * @property {number|undefined} numberMatched NumberMatched (WFS 2.0.0). Total
+ * number of features that match the query, `undefined` when the server
+ * reports it as `unknown`.
+ * @property {number|undefined} numberReturned NumberReturned (WFS 2.0.0).
+ * Number of features in the response.
  * @property {import("../extent.js").Extent} bounds Bounds.
  */
 
@@ -435,6 +440,12 @@ class WFS extends XMLFeature {
       node.getAttribute('numberOfFeatures')
     );
     result['numberOfFeatures'] = value;
+    result['numberMatched'] = readNonNegativeIntegerString(
+      node.getAttribute('numberMatched')
+    );
+    result['numberReturned'] = readNonNegativeIntegerString(
+      node.getAttribute('numberReturned')
+    );
     return pushParseAndPop(
       /** @type {FeatureCollectionMetadata} */ (result),
       FEATURE_COLLECTION_PARSERS,
@@ -960,6 +971,8 @@ const GETFEATURE_SERIALIZERS = {
   },
   'http://www.opengis.net/ogc': {
     'During': makeChildAppender(writeDuringFilter),
+    'Before': makeChildAppender(writeTimeInstantFilter),
+    'After': makeChildAppender(writeTimeInstantFilter),
     'And': makeChildAppender(writeLogicalFilter),
     'Or': makeChildAppender(writeLogicalFilter),
     'Not': makeChildAppender(writeNotFilter),
@@ -980,6 +993,8 @@ const GETFEATURE_SERIALIZERS = {
   },
   'http://www.opengis.net/fes/2.0': {
     'During': makeChildAppender(writeDuringFilter),
+    'Before': makeChildAppender(writeTimeInstantFilter),
+    'After': makeChildAppender(writeTimeInstantFilter),
     'And': makeChildAppender(writeLogicalFilter),
     'Or': makeChildAppender(writeLogicalFilter),
     'Not': makeChildAppender(writeNotFilter),
@@ -1157,6 +1172,20 @@ function writeDuringFilter(node, filter, objectStack) {
   writeTimeInstant(end, filter.end);
 }
 
+/**
+ * @param {Node} node Node.
+ * @param {import("./filter/Before.js").default|import("./filter/After.js").default} filter Filter.
+ * @param {Array<*>} objectStack Node stack.
+ */
+function writeTimeInstantFilter(node, filter, objectStack) {
+  const parent = /** @type {Object} */ (objectStack[objectStack.length - 1]);
+  const context = parent['context'];
+  const version = context['version'];
+
+  writeExpression(FESNS[version], 'ValueReference', node, filter.propertyName);
+  writeTimeInstant(node, filter.time);
+}
+
 /**
  * @param {Element} node Node.
  * @param {import("./filter/LogicalNary.js").default} filter Filter.
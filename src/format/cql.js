@@ -0,0 +1,1087 @@
+/**
+ * @module ol/format/cql
+ */
+import After from './filter/After.js';
+import And from './filter/And.js';
+import Bbox from './filter/Bbox.js';
+import Before from './filter/Before.js';
+import Contains from './filter/Contains.js';
+import DWithin from './filter/DWithin.js';
+import Disjoint from './filter/Disjoint.js';
+import During from './filter/During.js';
+import EqualTo from './filter/EqualTo.js';
+import GreaterThan from './filter/GreaterThan.js';
+import GreaterThanOrEqualTo from './filter/GreaterThanOrEqualTo.js';
+import Intersects from './filter/Intersects.js';
+import IsBetween from './filter/IsBetween.js';
+import IsLike from './filter/IsLike.js';
+import IsNull from './filter/IsNull.js';
+import LessThan from './filter/LessThan.js';
+import LessThanOrEqualTo from './filter/LessThanOrEqualTo.js';
+import Not from './filter/Not.js';
+import NotEqualTo from './filter/NotEqualTo.js';
+import Or from './filter/Or.js';
+import ResourceId from './filter/ResourceId.js';
+import WKT from './WKT.js';
+import Within from './filter/Within.js';
+
+/**
+ * @typedef {Object} WriteOptions
+ * @property {string} [dialect='ecql'] The CQL dialect to write, either
+ * `'ecql'` (e.g. for GeoServer's `CQL_FILTER` parameter) or `'cql2'` for
+ * CQL2-Text (e.g. for OGC API - Features).
+ * @property {import("../proj.js").ProjectionLike} [dataProjection] Projection
+ * of the geometries in the written text.
+ * @property {import("../proj.js").ProjectionLike} [featureProjection]
+ * Projection of the geometries in the filters.
+ * @property {number} [decimals] Maximum number of decimal places for
+ * geometry coordinates.
+ */
+
+/**
+ * @typedef {Object} Token
+ * @property {number} type Type.
+ * @property {string|number} value Value.
+ * @property {number} position Position.
+ * @property {number} end Position after the token.
+ */
+
+/**
+ * @const
+ * @enum {number}
+ */
+const TokenType = {
+  WORD: 0,
+  QUOTED_WORD: 1,
+  STRING: 2,
+  NUMBER: 3,
+  TIMESTAMP: 4,
+  OPERATOR: 5,
+  EOF: 6,
+};
+
+/**
+ * Token patterns, in the order they are tried.
+ * @type {Array<Array<RegExp|number>>}
+ */
+const TOKEN_PATTERNS = [
+  [
+    /\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?/y,
+    TokenType.TIMESTAMP,
+  ],
+  [/-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y, TokenType.NUMBER],
+  [/[A-Za-z_][\w.:]*/y, TokenType.WORD],
+  [/"(?:[^"]|"")*"/y, TokenType.QUOTED_WORD],
+  [/'(?:[^']|'')*'/y, TokenType.STRING],
+  [/<>|!=|<=|>=|[=<>(),/;]/y, TokenType.OPERATOR],
+];
+
+/**
+ * @type {Object<string, typeof import("./filter/ComparisonBinary.js").default>}
+ */
+const COMPARISON_OPERATORS = {
+  '=': EqualTo,
+  '<>': NotEqualTo,
+  '!=': NotEqualTo,
+  '<': LessThan,
+  '<=': LessThanOrEqualTo,
+  '>': GreaterThan,
+  '>=': GreaterThanOrEqualTo,
+};
+
+/**
+ * @type {Object<string, string>}
+ */
+const COMPARISON_TAGS = {
+  'PropertyIsEqualTo': '=',
+  'PropertyIsNotEqualTo': '<>',
+  'PropertyIsLessThan': '<',
+  'PropertyIsLessThanOrEqualTo': '<=',
+  'PropertyIsGreaterThan': '>',
+  'PropertyIsGreaterThanOrEqualTo': '>=',
+};
+
+/**
+ * Spatial filters by CQL function name. ECQL uses the names without prefix,
+ * CQL2 with an `S_` prefix.
+ * @type {Object<string, typeof import("./filter/Spatial.js").default>}
+ */
+const SPATIAL_FUNCTIONS = {
+  'CONTAINS': Contains,
+  'DISJOINT': Disjoint,
+  'INTERSECTS': Intersects,
+  'WITHIN': Within,
+};
+
+/**
+ * @type {Object<string, boolean>}
+ */
+const WKT_TYPES = {
+  'POINT': true,
+  'LINESTRING': true,
+  'POLYGON': true,
+  'MULTIPOINT': true,
+  'MULTILINESTRING': true,
+  'MULTIPOLYGON': true,
+  'GEOMETRYCOLLECTION': true,
+};
+
+/**
+ * Words that need to be quoted when used as property names.
+ * @type {Object<string, boolean>}
+ */
+const RESERVED_WORDS = {
+  'AND': true,
+  'OR': true,
+  'NOT': true,
+  'LIKE': true,
+  'ILIKE': true,
+  'BETWEEN': true,
+  'IS': true,
+  'NULL': true,
+  'IN': true,
+  'DURING': true,
+  'BEFORE': true,
+  'AFTER': true,
+  'TRUE': true,
+  'FALSE': true,
+  'INCLUDE': true,
+  'EXCLUDE': true,
+};
+
+/**
+ * Class to tokenize a CQL string.
+ */
+class Lexer {
+  /**
+   * @param {string} text CQL text.
+   */
+  constructor(text) {
+    /**
+     * @type {string}
+     */
+    this.text = text;
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this.index_ = 0;
+  }
+
+  /**
+   * Fetch and return the next token.
+   * @return {Token} Next string token.
+   */
+  nextToken() {
+    const text = this.text;
+    const whiteSpace = /\s*/y;
+    whiteSpace.lastIndex = this.index_;
+    whiteSpace.exec(text);
+    const position = whiteSpace.lastIndex;
+    if (position >= text.length) {
+      this.index_ = position;
+      return {
+        type: TokenType.EOF,
+        value: '',
+        position: position,
+        end: position,
+      };
+    }
+    for (let i = 0, ii = TOKEN_PATTERNS.length; i < ii; ++i) {
+      const pattern = /** @type {RegExp} */ (TOKEN_PATTERNS[i][0]);
+      pattern.lastIndex = position;
+      const match = pattern.exec(text);
+      if (!match) {
+        continue;
+      }
+      const type = /** @type {number} */ (TOKEN_PATTERNS[i][1]);
+      let value = match[0];
+      this.index_ = pattern.lastIndex;
+      if (type === TokenType.NUMBER) {
+        value = parseFloat(value);
+      } else if (type === TokenType.STRING) {
+        value = value.slice(1, -1).replace(/''/g, "'");
+      } else if (type === TokenType.QUOTED_WORD) {
+        value = value.slice(1, -1).replace(/""/g, '"');
+      }
+      return {
+        type: type,
+        value: value,
+        position: position,
+        end: this.index_,
+      };
+    }
+    throw new Error(
+      'Unexpected character "' + text[position] + '" at position ' + position
+    );
+  }
+}
+
+/**
+ * Class to parse CQL tokens into filters.
+ */
+class Parser {
+  /**
+   * @param {Lexer} lexer The lexer.
+   * @param {import("./Feature.js").ReadOptions} [opt_options] Read options
+   *     for geometries.
+   */
+  constructor(lexer, opt_options) {
+    /**
+     * @type {Lexer}
+     * @private
+     */
+    this.lexer_ = lexer;
+
+    /**
+     * @type {import("./Feature.js").ReadOptions|undefined}
+     * @private
+     */
+    this.options_ = opt_options;
+
+    /**
+     * @type {Token}
+     * @private
+     */
+    this.token_ = lexer.nextToken();
+  }
+
+  /**
+   * Parse the CQL text.
+   * @return {import("./filter/Filter.js").default} The filter.
+   */
+  parse() {
+    const filter = this.parseOr_();
+    if (this.token_.type !== TokenType.EOF) {
+      this.raise_();
+    }
+    return filter;
+  }
+
+  /**
+   * @return {Token} The consumed token.
+   * @private
+   */
+  consume_() {
+    const token = this.token_;
+    this.token_ = this.lexer_.nextToken();
+    return token;
+  }
+
+  /**
+   * @param {string} word Keyword or operator.
+   * @return {boolean} The current token is the given keyword or operator.
+   * @private
+   */
+  is_(word) {
+    const token = this.token_;
+    return (
+      (token.type === TokenType.WORD || token.type === TokenType.OPERATOR) &&
+      String(token.value).toUpperCase() === word
+    );
+  }
+
+  /**
+   * @param {string} word Keyword or operator.
+   * @return {boolean} The keyword or operator was matched and consumed.
+   * @private
+   */
+  match_(word) {
+    if (this.is_(word)) {
+      this.consume_();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * @param {string} word Keyword or operator.
+   * @private
+   */
+  expect_(word) {
+    if (!this.match_(word)) {
+      this.raise_(word);
+    }
+  }
+
+  /**
+   * @param {string} [opt_expected] Expected token.
+   * @private
+   */
+  raise_(opt_expected) {
+    const token = this.token_;
+    const found =
+      token.type === TokenType.EOF
+        ? 'end of input'
+        : '"' + this.lexer_.text.slice(token.position, token.end) + '"';
+    throw new Error(
+      'Unexpected ' +
+        found +
+        ' at position ' +
+        token.position +
+        (opt_expected ? ', expected "' + opt_expected + '"' : '')
+    );
+  }
+
+  /**
+   * @return {import("./filter/Filter.js").default} Filter.
+   * @private
+   */
+  parseOr_() {
+    const conditions = [this.parseAnd_()];
+    while (this.match_('OR')) {
+      conditions.push(this.parseAnd_());
+    }
+    return conditions.length > 1 ? new Or(...conditions) : conditions[0];
+  }
+
+  /**
+   * @return {import("./filter/Filter.js").default} Filter.
+   * @private
+   */
+  parseAnd_() {
+    const conditions = [this.parseNot_()];
+    while (this.match_('AND')) {
+      conditions.push(this.parseNot_());
+    }
+    return conditions.length > 1 ? new And(...conditions) : conditions[0];
+  }
+
+  /**
+   * @return {import("./filter/Filter.js").default} Filter.
+   * @private
+   */
+  parseNot_() {
+    if (this.match_('NOT')) {
+      return new Not(this.parseNot_());
+    }
+    if (this.match_('(')) {
+      const filter = this.parseOr_();
+      this.expect_(')');
+      return filter;
+    }
+    return this.parsePredicate_();
+  }
+
+  /**
+   * @return {import("./filter/Filter.js").default} Filter.
+   * @private
+   */
+  parsePredicate_() {
+    const token = this.token_;
+    if (token.type === TokenType.WORD) {
+      const name = String(token.value).toUpperCase();
+      const spatialName = name.replace(/^S_/, '');
+      if (spatialName in SPATIAL_FUNCTIONS) {
+        this.consume_();
+        return this.parseSpatial_(spatialName);
+      }
+      if (spatialName === 'DWITHIN') {
+        this.consume_();
+        return this.parseDWithin_();
+      }
+      if (name === 'BBOX') {
+        this.consume_();
+        return this.parseBbox_();
+      }
+      if (name === 'T_DURING') {
+        this.consume_();
+        return this.parseTDuring_();
+      }
+      if (name === 'T_BEFORE' || name === 'T_AFTER') {
+        this.consume_();
+        return this.parseTInstant_(name === 'T_BEFORE' ? Before : After);
+      }
+      if (name === 'CASEI') {
+        this.consume_();
+        return this.parseCaseInsensitive_();
+      }
+      if (name === 'IN') {
+        this.consume_();
+        return this.parseResourceIds_();
+      }
+    }
+    return this.parseComparison_(this.parsePropertyName_());
+  }
+
+  /**
+   * @return {string} Property name.
+   * @private
+   */
+  parsePropertyName_() {
+    const token = this.token_;
+    if (
+      token.type === TokenType.QUOTED_WORD ||
+      (token.type === TokenType.WORD &&
+        !(String(token.value).toUpperCase() in RESERVED_WORDS))
+    ) {
+      this.consume_();
+      return String(token.value);
+    }
+    this.raise_('property name');
+    return undefined;
+  }
+
+  /**
+   * @param {string} propertyName Property name.
+   * @return {import("./filter/Filter.js").default} Filter.
+   * @private
+   */
+  parseComparison_(propertyName) {
+    const token = this.token_;
+    if (
+      token.type === TokenType.OPERATOR &&
+      token.value in COMPARISON_OPERATORS
+    ) {
+      this.consume_();
+      const Constructor = COMPARISON_OPERATORS[token.value];
+      return new Constructor(propertyName, this.parseLiteral_());
+    }
+    if (this.match_('IS')) {
+      const negate = this.match_('NOT');
+      this.expect_('NULL');
+      return negateIf(new IsNull(propertyName), negate);
+    }
+    if (this.match_('BEFORE')) {
+      return new Before(propertyName, this.parseInstant_());
+    }
+    if (this.match_('AFTER')) {
+      return new After(propertyName, this.parseInstant_());
+    }
+    if (this.match_('DURING')) {
+      const begin = this.parseTimestamp_();
+      this.expect_('/');
+      return new During(propertyName, begin, this.parseTimestamp_());
+    }
+    const negate = this.match_('NOT');
+    if (this.is_('LIKE') || this.is_('ILIKE')) {
+      const matchCase = this.match_('ILIKE') ? false : undefined;
+      this.match_('LIKE');
+      const pattern = this.parseString_();
+      return negateIf(
+        new IsLike(propertyName, pattern, '%', '_', '\\', matchCase),
+        negate
+      );
+    }
+    if (this.match_('BETWEEN')) {
+      const lowerBoundary = this.parseNumber_();
+      this.expect_('AND');
+      return negateIf(
+        new IsBetween(propertyName, lowerBoundary, this.parseNumber_()),
+        negate
+      );
+    }
+    if (this.match_('IN')) {
+      this.expect_('(');
+      const conditions = [];
+      do {
+        conditions.push(new EqualTo(propertyName, this.parseLiteral_()));
+      } while (this.match_(','));
+      this.expect_(')');
+      return negateIf(
+        conditions.length > 1 ? new Or(...conditions) : conditions[0],
+        negate
+      );
+    }
+    this.raise_();
+    return undefined;
+  }
+
+  /**
+   * Parses `CASEI(property) = CASEI('value')`.
+   * @return {import("./filter/Filter.js").default} Filter.
+   * @private
+   */
+  parseCaseInsensitive_() {
+    this.expect_('(');
+    const propertyName = this.parsePropertyName_();
+    this.expect_(')');
+    const token = this.token_;
+    if (
+      token.type !== TokenType.OPERATOR ||
+      !(token.value in COMPARISON_OPERATORS)
+    ) {
+      this.raise_('=');
+    }
+    this.consume_();
+    this.expect_('CASEI');
+    this.expect_('(');
+    const value = this.parseString_();
+    this.expect_(')');
+    const Constructor = COMPARISON_OPERATORS[token.value];
+    return new Constructor(propertyName, value, false);
+  }
+
+  /**
+   * Parses ECQL `IN ('id1', 'id2')`.
+   * @return {import("./filter/Filter.js").default} Filter.
+   * @private
+   */
+  parseResourceIds_() {
+    this.expect_('(');
+    const conditions = [];
+    do {
+      conditions.push(new ResourceId(String(this.parseLiteral_())));
+    } while (this.match_(','));
+    this.expect_(')');
+    return conditions.length > 1 ? new Or(...conditions) : conditions[0];
+  }
+
+  /**
+   * @param {string} name Spatial function name.
+   * @return {import("./filter/Filter.js").default} Filter.
+   * @private
+   */
+  parseSpatial_(name) {
+    this.expect_('(');
+    const geometryName = this.parsePropertyName_();
+    this.expect_(',');
+    let filter;
+    if (name === 'INTERSECTS' && this.match_('BBOX')) {
+      // CQL2 S_INTERSECTS(geometry, BBOX(minx, miny, maxx, maxy))
+      this.expect_('(');
+      const extent = this.parseNumbers_(4);
+      this.expect_(')');
+      filter = new Bbox(geometryName, extent);
+    } else {
+      const geometry = this.parseGeometry_();
+      filter = new SPATIAL_FUNCTIONS[name](
+        geometryName,
+        geometry[0],
+        geometry[1]
+      );
+    }
+    this.expect_(')');
+    return filter;
+  }
+
+  /**
+   * Parses `DWITHIN(geometry, POINT(1 2), 10, meters)`.
+   * @return {import("./filter/Filter.js").default} Filter.
+   * @private
+   */
+  parseDWithin_() {
+    this.expect_('(');
+    const geometryName = this.parsePropertyName_();
+    this.expect_(',');
+    const geometry = this.parseGeometry_();
+    this.expect_(',');
+    const distance = this.parseNumber_();
+    this.expect_(',');
+    const token = this.token_;
+    if (token.type !== TokenType.WORD && token.type !== TokenType.STRING) {
+      this.raise_('unit');
+    }
+    this.consume_();
+    this.expect_(')');
+    return new DWithin(
+      geometryName,
+      geometry[0],
+      distance,
+      String(token.value),
+      geometry[1]
+    );
+  }
+
+  /**
+   * Parses ECQL `BBOX(geometry, minx, miny, maxx, maxy[, 'srsName'])`.
+   * @return {import("./filter/Filter.js").default} Filter.
+   * @private
+   */
+  parseBbox_() {
+    this.expect_('(');
+    const geometryName = this.parsePropertyName_();
+    this.expect_(',');
+    const extent = this.parseNumbers_(4);
+    let srsName;
+    if (this.match_(',')) {
+      srsName = this.parseString_();
+    }
+    this.expect_(')');
+    return new Bbox(geometryName, extent, srsName);
+  }
+
+  /**
+   * Parses CQL2 `T_DURING(property, INTERVAL('begin', 'end'))`.
+   * @return {import("./filter/Filter.js").default} Filter.
+   * @private
+   */
+  parseTDuring_() {
+    this.expect_('(');
+    const propertyName = this.parsePropertyName_();
+    this.expect_(',');
+    this.expect_('INTERVAL');
+    this.expect_('(');
+    const begin = this.parseTimestamp_();
+    this.expect_(',');
+    const end = this.parseTimestamp_();
+    this.expect_(')');
+    this.expect_(')');
+    return new During(propertyName, begin, end);
+  }
+
+  /**
+   * Parses CQL2 `T_BEFORE(property, TIMESTAMP('...'))` or `T_AFTER(...)`.
+   * @param {typeof Before|typeof After} Constructor Filter constructor.
+   * @return {import("./filter/Filter.js").default} Filter.
+   * @private
+   */
+  parseTInstant_(Constructor) {
+    this.expect_('(');
+    const propertyName = this.parsePropertyName_();
+    this.expect_(',');
+    const time = this.parseInstant_();
+    this.expect_(')');
+    return new Constructor(propertyName, time);
+  }
+
+  /**
+   * Parses a WKT geometry, optionally prefixed with `SRID=<code>;`.
+   * @return {Array<?>} The geometry and its srsName.
+   * @private
+   */
+  parseGeometry_() {
+    let srsName;
+    if (this.match_('SRID')) {
+      this.expect_('=');
+      srsName = 'EPSG:' + this.parseNumber_();
+      this.expect_(';');
+    }
+    const start = this.token_;
+    if (
+      start.type !== TokenType.WORD ||
+      !(String(start.value).toUpperCase() in WKT_TYPES)
+    ) {
+      this.raise_('geometry');
+    }
+    this.consume_();
+    // dimension (Z, M, ZM) or EMPTY
+    while (this.token_.type === TokenType.WORD) {
+      this.consume_();
+    }
+    let end = start.end;
+    if (this.is_('(')) {
+      let depth = 0;
+      do {
+        if (this.token_.type === TokenType.EOF) {
+          this.raise_(')');
+        }
+        if (this.is_('(')) {
+          ++depth;
+        } else if (this.is_(')')) {
+          --depth;
+        }
+        end = this.consume_().end;
+      } while (depth > 0);
+    }
+    const wkt = this.lexer_.text.slice(start.position, end);
+    return [new WKT().readGeometry(wkt, this.options_), srsName];
+  }
+
+  /**
+   * @return {string|number|boolean} Literal.
+   * @private
+   */
+  parseLiteral_() {
+    const token = this.token_;
+    if (token.type === TokenType.NUMBER || token.type === TokenType.STRING) {
+      this.consume_();
+      return token.value;
+    }
+    if (this.match_('TRUE')) {
+      return true;
+    }
+    if (this.match_('FALSE')) {
+      return false;
+    }
+    return this.parseTimestamp_();
+  }
+
+  /**
+   * Parses a bare ECQL timestamp, or `TIMESTAMP('...')`/`DATE('...')`.
+   * @return {string} Timestamp.
+   * @private
+   */
+  parseTimestamp_() {
+    const token = this.token_;
+    if (token.type === TokenType.TIMESTAMP || token.type === TokenType.STRING) {
+      this.consume_();
+      return String(token.value);
+    }
+    if (this.match_('TIMESTAMP') || this.match_('DATE')) {
+      this.expect_('(');
+      const value = this.parseString_();
+      this.expect_(')');
+      return value;
+    }
+    this.raise_('literal');
+    return undefined;
+  }
+
+  /**
+   * Parses a timestamp that has to be a valid date and time.
+   * @return {string} Timestamp.
+   * @private
+   */
+  parseInstant_() {
+    const token = this.token_;
+    const value = this.parseTimestamp_();
+    if (isNaN(Date.parse(value))) {
+      throw new Error(
+        'Invalid date/time "' + value + '" at position ' + token.position
+      );
+    }
+    return value;
+  }
+
+  /**
+   * @return {string} String.
+   * @private
+   */
+  parseString_() {
+    const token = this.token_;
+    if (token.type !== TokenType.STRING) {
+      this.raise_('string');
+    }
+    this.consume_();
+    return String(token.value);
+  }
+
+  /**
+   * @return {number} Number.
+   * @private
+   */
+  parseNumber_() {
+    const token = this.token_;
+    if (token.type !== TokenType.NUMBER) {
+      this.raise_('number');
+    }
+    this.consume_();
+    return Number(token.value);
+  }
+
+  /**
+   * @param {number} count Number of comma separated numbers.
+   * @return {Array<number>} Numbers.
+   * @private
+   */
+  parseNumbers_(count) {
+    const numbers = [this.parseNumber_()];
+    while (numbers.length < count) {
+      this.expect_(',');
+      numbers.push(this.parseNumber_());
+    }
+    return numbers;
+  }
+}
+
+/**
+ * @param {import("./filter/Filter.js").default} filter Filter.
+ * @param {boolean} negate Negate the filter.
+ * @return {import("./filter/Filter.js").default} The filter, or a `Not` filter
+ *     of it.
+ */
+function negateIf(filter, negate) {
+  return negate ? new Not(filter) : filter;
+}
+
+/**
+ * Read a filter from CQL2-Text or ECQL. Supported are logical operators (`AND`,
+ * `OR`, `NOT`), comparisons (`=`, `<>`, `<`, `<=`, `>`, `>=`, `LIKE`,
+ * `ILIKE`, `BETWEEN`, `IN`, `IS NULL`), spatial predicates with WKT
+ * geometries (`INTERSECTS`, `CONTAINS`, `DISJOINT`, `WITHIN`, `DWITHIN`,
+ * `BBOX`, with or without `S_` prefix) and temporal predicates (`DURING`,
+ * `BEFORE`, `AFTER`, `T_DURING`, `T_BEFORE`, `T_AFTER`).
+ *
+ * @param {string} text CQL text.
+ * @param {import("./Feature.js").ReadOptions} [opt_options] Read options for
+ *     geometries.
+ * @return {import("./filter/Filter.js").default} Filter.
+ * @api
+ */
+export function readFilter(text, opt_options) {
+  return new Parser(new Lexer(text), opt_options).parse();
+}
+
+/**
+ * Write a filter as CQL text.
+ *
+ * @param {import("./filter/Filter.js").default} filter Filter.
+ * @param {WriteOptions} [opt_options] Write options.
+ * @return {string} CQL text.
+ * @api
+ */
+export function writeFilter(filter, opt_options) {
+  const options = opt_options || {};
+  return writeCondition(filter, options.dialect === 'cql2', options);
+}
+
+/**
+ * @param {import("./filter/Filter.js").default} filter Filter.
+ * @param {boolean} cql2 Write CQL2-Text instead of ECQL.
+ * @param {WriteOptions} options Write options.
+ * @return {string} CQL text.
+ */
+function writeCondition(filter, cql2, options) {
+  const tagName = filter.getTagName();
+  switch (tagName) {
+    case 'And':
+    case 'Or': {
+      const conditions =
+        /** @type {import("./filter/LogicalNary.js").default} */ (filter)
+          .conditions;
+      return conditions
+        .map(function (condition) {
+          return writeNested(condition, cql2, options);
+        })
+        .join(' ' + tagName.toUpperCase() + ' ');
+    }
+    case 'Not':
+      return (
+        'NOT ' +
+        writeNested(/** @type {Not} */ (filter).condition, cql2, options, true)
+      );
+    case 'PropertyIsEqualTo':
+    case 'PropertyIsNotEqualTo':
+    case 'PropertyIsLessThan':
+    case 'PropertyIsLessThanOrEqualTo':
+    case 'PropertyIsGreaterThan':
+    case 'PropertyIsGreaterThanOrEqualTo': {
+      const comparison =
+        /** @type {import("./filter/ComparisonBinary.js").default} */ (filter);
+      const operator = COMPARISON_TAGS[tagName];
+      if (
+        comparison.matchCase === false &&
+        typeof comparison.expression === 'string'
+      ) {
+        if (cql2) {
+          return (
+            'CASEI(' +
+            writePropertyName(comparison.propertyName) +
+            ') ' +
+            operator +
+            ' CASEI(' +
+            writeLiteral(comparison.expression) +
+            ')'
+          );
+        }
+        if (
+          tagName !== 'PropertyIsEqualTo' &&
+          tagName !== 'PropertyIsNotEqualTo'
+        ) {
+          throw new Error(
+            'Case-insensitive ' + tagName + ' filters are not supported by ECQL'
+          );
+        }
+        // ECQL has no case-insensitive comparison, use ILIKE without wildcards
+        return (
+          writePropertyName(comparison.propertyName) +
+          (tagName === 'PropertyIsNotEqualTo' ? ' NOT ILIKE ' : ' ILIKE ') +
+          writeLiteral(comparison.expression.replace(/[%_\\]/g, '\\$&'))
+        );
+      }
+      return (
+        writePropertyName(comparison.propertyName) +
+        ' ' +
+        operator +
+        ' ' +
+        writeLiteral(comparison.expression)
+      );
+    }
+    case 'PropertyIsNull':
+      return (
+        writePropertyName(/** @type {IsNull} */ (filter).propertyName) +
+        ' IS NULL'
+      );
+    case 'PropertyIsBetween': {
+      const between = /** @type {IsBetween} */ (filter);
+      return (
+        writePropertyName(between.propertyName) +
+        ' BETWEEN ' +
+        writeLiteral(between.lowerBoundary) +
+        ' AND ' +
+        writeLiteral(between.upperBoundary)
+      );
+    }
+    case 'PropertyIsLike': {
+      const like = /** @type {IsLike} */ (filter);
+      return (
+        writePropertyName(like.propertyName) +
+        (like.matchCase === false ? ' ILIKE ' : ' LIKE ') +
+        writeLiteral(toCqlPattern(like))
+      );
+    }
+    case 'During': {
+      const during = /** @type {During} */ (filter);
+      if (cql2) {
+        return (
+          'T_DURING(' +
+          writePropertyName(during.propertyName) +
+          ', INTERVAL(' +
+          writeLiteral(during.begin) +
+          ', ' +
+          writeLiteral(during.end) +
+          '))'
+        );
+      }
+      return (
+        writePropertyName(during.propertyName) +
+        ' DURING ' +
+        during.begin +
+        '/' +
+        during.end
+      );
+    }
+    case 'Before':
+    case 'After': {
+      const instant = /** @type {Before|After} */ (filter);
+      if (cql2) {
+        return (
+          'T_' +
+          tagName.toUpperCase() +
+          '(' +
+          writePropertyName(instant.propertyName) +
+          ', TIMESTAMP(' +
+          writeLiteral(instant.time) +
+          '))'
+        );
+      }
+      return (
+        writePropertyName(instant.propertyName) +
+        ' ' +
+        tagName.toUpperCase() +
+        ' ' +
+        instant.time
+      );
+    }
+    case 'ResourceId':
+      if (cql2) {
+        throw new Error('ResourceId filters are not supported by CQL2');
+      }
+      return (
+        'IN (' + writeLiteral(/** @type {ResourceId} */ (filter).rid) + ')'
+      );
+    case 'BBOX': {
+      const bbox = /** @type {Bbox} */ (filter);
+      if (cql2) {
+        return (
+          'S_INTERSECTS(' +
+          writePropertyName(bbox.geometryName) +
+          ', BBOX(' +
+          bbox.extent.join(', ') +
+          '))'
+        );
+      }
+      return (
+        'BBOX(' +
+        writePropertyName(bbox.geometryName) +
+        ', ' +
+        bbox.extent.join(', ') +
+        (bbox.srsName ? ', ' + writeLiteral(bbox.srsName) : '') +
+        ')'
+      );
+    }
+    case 'Contains':
+    case 'Disjoint':
+    case 'Intersects':
+    case 'Within':
+    case 'DWithin': {
+      const spatial = /** @type {import("./filter/Spatial.js").default} */ (
+        filter
+      );
+      let args =
+        writePropertyName(spatial.geometryName) +
+        ', ' +
+        writeGeometry(spatial, cql2, options);
+      if (tagName === 'DWithin') {
+        const dwithin = /** @type {DWithin} */ (filter);
+        args += ', ' + dwithin.distance + ', ' + dwithin.unit;
+      }
+      return (cql2 ? 'S_' : '') + tagName.toUpperCase() + '(' + args + ')';
+    }
+    default:
+      throw new Error('Unsupported filter: ' + tagName);
+  }
+}
+
+/**
+ * @param {import("./filter/Filter.js").default} filter Filter.
+ * @param {boolean} cql2 Write CQL2-Text instead of ECQL.
+ * @param {WriteOptions} options Write options.
+ * @param {boolean} [opt_always] Always wrap in parentheses.
+ * @return {string} CQL text, in parentheses for logical operators.
+ */
+function writeNested(filter, cql2, options, opt_always) {
+  const text = writeCondition(filter, cql2, options);
+  const tagName = filter.getTagName();
+  return opt_always || tagName === 'And' || tagName === 'Or'
+    ? '(' + text + ')'
+    : text;
+}
+
+/**
+ * @param {import("./filter/Spatial.js").default} filter Filter.
+ * @param {boolean} cql2 Write CQL2-Text instead of ECQL.
+ * @param {WriteOptions} options Write options.
+ * @return {string} WKT.
+ */
+function writeGeometry(filter, cql2, options) {
+  const wkt = new WKT().writeGeometry(filter.geometry, options);
+  const code = filter.srsName && /^EPSG:(\d+)$/i.exec(filter.srsName);
+  return code && !cql2 ? 'SRID=' + code[1] + ';' + wkt : wkt;
+}
+
+/**
+ * @param {string} name Property name.
+ * @return {string} Property name, quoted when needed.
+ */
+function writePropertyName(name) {
+  if (
+    /^[A-Za-z_][\w.:]*$/.test(name) &&
+    !(name.toUpperCase() in RESERVED_WORDS)
+  ) {
+    return name;
+  }
+  return '"' + name.replace(/"/g, '""') + '"';
+}
+
+/**
+ * @param {string|number|boolean} value Value.
+ * @return {string} CQL literal.
+ */
+function writeLiteral(value) {
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'TRUE' : 'FALSE';
+  }
+  return "'" + String(value).replace(/'/g, "''") + "'";
+}
+
+/**
+ * Convert the pattern of a like filter to CQL's `%`, `_` and `\` characters.
+ * @param {IsLike} filter Filter.
+ * @return {string} CQL pattern.
+ */
+function toCqlPattern(filter) {
+  const pattern = filter.pattern;
+  let cqlPattern = '';
+  for (let i = 0, ii = pattern.length; i < ii; ++i) {
+    let c = pattern[i];
+    if (c === filter.escapeChar && i + 1 < ii) {
+      c = pattern[++i];
+      cqlPattern += c === '%' || c === '_' || c === '\\' ? '\\' + c : c;
+    } else if (c === filter.wildCard) {
+      cqlPattern += '%';
+    } else if (c === filter.singleChar) {
+      cqlPattern += '_';
+    } else if (c === '%' || c === '_' || c === '\\') {
+      cqlPattern += '\\' + c;
+    } else {
+      cqlPattern += c;
+    }
+  }
+  return cqlPattern;
+}
@@ -1,8 +1,10 @@
 /**
  * @module ol/format/filter
  */
+import After from './filter/After.js';
 import And from './filter/And.js';
 import Bbox from './filter/Bbox.js';
+import Before from './filter/Before.js';
 import Contains from './filter/Contains.js';
 import DWithin from './filter/DWithin.js';
 import Disjoint from './filter/Disjoint.js';
@@ -19,8 +21,16 @@ import LessThanOrEqualTo from './filter/LessThanOrEqualTo.js';
 import Not from './filter/Not.js';
 import NotEqualTo from './filter/NotEqualTo.js';
 import Or from './filter/Or.js';
+import RenderFeature, {toGeometry} from '../render/Feature.js';
 import ResourceId from './filter/ResourceId.js';
 import Within from './filter/Within.js';
+import {
+  distance as partsDistance,
+  getParts,
+  intersects as partsIntersect,
+  within as partsWithin,
+} from '../geom/flat/relate.js';
+import {get as getProjection} from '../proj.js';
 
 /**
  * Create a logical `<And>` operator between two or more filter conditions.
@@ -296,6 +306,306 @@ export function during(propertyName, begin, end) {
   return new During(propertyName, begin, end);
 }
 
+/**
+ * Create a `<Before>` temporal operator.
+ *
+ * @param {!string} propertyName Name of the context property to compare.
+ * @param {!string} time The date in ISO-8601 format.
+ * @return {!Before} `<Before>` operator.
+ * @api
+ */
+export function before(propertyName, time) {
+  return new Before(propertyName, time);
+}
+
+/**
+ * Create an `<After>` temporal operator.
+ *
+ * @param {!string} propertyName Name of the context property to compare.
+ * @param {!string} time The date in ISO-8601 format.
+ * @return {!After} `<After>` operator.
+ * @api
+ */
+export function after(propertyName, time) {
+  return new After(propertyName, time);
+}
+
 export function resourceId(rid) {
   return new ResourceId(rid);
 }
+
+/**
+ * Meters per unit for the units of `<DWithin>` distances.
+ * @type {Object<string, number>}
+ */
+const METERS_PER_DISTANCE_UNIT = {
+  'm': 1,
+  'meter': 1,
+  'meters': 1,
+  'metre': 1,
+  'metres': 1,
+  'km': 1000,
+  'kilometer': 1000,
+  'kilometers': 1000,
+  'kilometre': 1000,
+  'kilometres': 1000,
+  'ft': 0.3048,
+  'feet': 0.3048,
+  'mi': 1609.344,
+  'miles': 1609.344,
+  'nmi': 1852,
+  'nautical miles': 1852,
+};
+
+/**
+ * Evaluate a filter against a feature, e.g. to apply the same filter that is
+ * used for a WFS GetFeature request to features that are already loaded.
+ *
+ * Spatial filters use the geometry of the filter's geometry name, or the
+ * feature's default geometry if the feature has no geometry with that name.
+ * Geometries of the filter are expected to be in the same projection as the
+ * feature geometries.
+ *
+ * @param {!import("./filter/Filter.js").default} filter Filter.
+ * @param {import("../Feature.js").FeatureLike} feature Feature.
+ * @param {import("../proj.js").ProjectionLike} [opt_projection] Projection of
+ *    the feature geometries. When provided, `<DWithin>` distances in length
+ *    units (e.g. `m`, `km`, `ft`) are converted to units of the projection.
+ *    Otherwise, distances are in the units of the feature geometries.
+ * @return {boolean} The feature matches the filter.
+ * @api
+ */
+export function evaluate(filter, feature, opt_projection) {
+  switch (filter.getTagName()) {
+    case 'And':
+      return /** @type {And} */ (filter).conditions.every(function (condition) {
+        return evaluate(condition, feature, opt_projection);
+      });
+    case 'Or':
+      return /** @type {Or} */ (filter).conditions.some(function (condition) {
+        return evaluate(condition, feature, opt_projection);
+      });
+    case 'Not':
+      return !evaluate(
+        /** @type {Not} */ (filter).condition,
+        feature,
+        opt_projection
+      );
+    case 'PropertyIsEqualTo':
+    case 'PropertyIsNotEqualTo':
+    case 'PropertyIsLessThan':
+    case 'PropertyIsLessThanOrEqualTo':
+    case 'PropertyIsGreaterThan':
+    case 'PropertyIsGreaterThanOrEqualTo':
+      return evaluateComparison(
+        /** @type {import("./filter/ComparisonBinary.js").default} */ (filter),
+        feature
+      );
+    case 'PropertyIsNull': {
+      const value = feature.get(/** @type {IsNull} */ (filter).propertyName);
+      return value === null || value === undefined;
+    }
+    case 'PropertyIsBetween': {
+      const between = /** @type {IsBetween} */ (filter);
+      const value = toNumber(feature.get(between.propertyName));
+      return (
+        !isNaN(value) &&
+        value >= between.lowerBoundary &&
+        value <= between.upperBoundary
+      );
+    }
+    case 'PropertyIsLike': {
+      const like = /** @type {IsLike} */ (filter);
+      const value = feature.get(like.propertyName);
+      return (
+        value !== null &&
+        value !== undefined &&
+        getLikeRegExp(like).test(String(value))
+      );
+    }
+    case 'ResourceId': {
+      const id = feature.getId();
+      return (
+        id !== undefined &&
+        String(id) === /** @type {ResourceId} */ (filter).rid
+      );
+    }
+    case 'During': {
+      const during = /** @type {During} */ (filter);
+      const time = toTime(feature.get(during.propertyName));
+      return (
+        !isNaN(time) &&
+        time >= Date.parse(during.begin) &&
+        time <= Date.parse(during.end)
+      );
+    }
+    case 'Before': {
+      const before = /** @type {Before} */ (filter);
+      const time = toTime(feature.get(before.propertyName));
+      return !isNaN(time) && time < Date.parse(before.time);
+    }
+    case 'After': {
+      const after = /** @type {After} */ (filter);
+      const time = toTime(feature.get(after.propertyName));
+      return !isNaN(time) && time > Date.parse(after.time);
+    }
+    case 'BBOX': {
+      const bbox = /** @type {Bbox} */ (filter);
+      const geometry = getFilterGeometry(feature, bbox.geometryName);
+      return !!geometry && geometry.intersectsExtent(bbox.extent);
+    }
+    case 'Intersects':
+    case 'Disjoint':
+    case 'Within':
+    case 'Contains':
+    case 'DWithin': {
+      const spatial = /** @type {import("./filter/Spatial.js").default} */ (
+        filter
+      );
+      const geometry = getFilterGeometry(feature, spatial.geometryName);
+      if (!geometry) {
+        return false;
+      }
+      const parts = getParts(geometry, []);
+      const filterParts = getParts(spatial.geometry, []);
+      switch (filter.getTagName()) {
+        case 'Intersects':
+          return partsIntersect(parts, filterParts);
+        case 'Disjoint':
+          return !partsIntersect(parts, filterParts);
+        case 'Within':
+          return partsWithin(parts, filterParts);
+        case 'Contains':
+          return partsWithin(filterParts, parts);
+        default:
+          return (
+            partsDistance(parts, filterParts) <=
+            getDistance(/** @type {DWithin} */ (filter), opt_projection)
+          );
+      }
+    }
+    default:
+      throw new Error('Unsupported filter: ' + filter.getTagName());
+  }
+}
+
+/**
+ * @param {*} value Value.
+ * @return {number} Number, `NaN` for values that are not numeric.
+ */
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string' && value.trim() !== '') {
+    return Number(value);
+  }
+  return NaN;
+}
+
+/**
+ * @param {*} value Value.
+ * @return {number} Time in milliseconds since the epoch, `NaN` for values that
+ *     are not dates.
+ */
+function toTime(value) {
+  return value instanceof Date ? value.getTime() : Date.parse(String(value));
+}
+
+/**
+ * @param {import("./filter/ComparisonBinary.js").default} filter Filter.
+ * @param {import("../Feature.js").FeatureLike} feature Feature.
+ * @return {boolean} The feature matches the filter.
+ */
+function evaluateComparison(filter, feature) {
+  let value = feature.get(filter.propertyName);
+  if (value === null || value === undefined) {
+    return false;
+  }
+  let expression = filter.expression;
+  const numericValue = toNumber(value);
+  const numericExpression = toNumber(expression);
+  if (!isNaN(numericValue) && !isNaN(numericExpression)) {
+    value = numericValue;
+    expression = numericExpression;
+  } else {
+    value = String(value);
+    expression = String(expression);
+    if (filter.matchCase === false) {
+      value = value.toLowerCase();
+      expression = expression.toLowerCase();
+    }
+  }
+  switch (filter.getTagName()) {
+    case 'PropertyIsEqualTo':
+      return value === expression;
+    case 'PropertyIsNotEqualTo':
+      return value !== expression;
+    case 'PropertyIsLessThan':
+      return value < expression;
+    case 'PropertyIsLessThanOrEqualTo':
+      return value <= expression;
+    case 'PropertyIsGreaterThan':
+      return value > expression;
+    default:
+      return value >= expression;
+  }
+}
+
+/**
+ * @param {IsLike} filter Filter.
+ * @return {RegExp} Regular expression for the filter's pattern.
+ */
+function getLikeRegExp(filter) {
+  const pattern = filter.pattern;
+  let source = '';
+  for (let i = 0, ii = pattern.length; i < ii; ++i) {
+    let c = pattern[i];
+    if (c === filter.escapeChar && i + 1 < ii) {
+      c = pattern[++i];
+    } else if (c === filter.wildCard) {
+      source += '[\\s\\S]*';
+      continue;
+    } else if (c === filter.singleChar) {
+      source += '[\\s\\S]';
+      continue;
+    }
+    source += c.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp('^' + source + '$', filter.matchCase === false ? 'i' : '');
+}
+
+/**
+ * @param {import("../Feature.js").FeatureLike} feature Feature.
+ * @param {string} geometryName Geometry name.
+ * @return {import("../geom/Geometry.js").default|undefined} The geometry with
+ *     the provided name, or the default geometry. Render features are converted
+ *     to a geometry.
+ */
+function getFilterGeometry(feature, geometryName) {
+  if (feature instanceof RenderFeature) {
+    return toGeometry(feature);
+  }
+  const geometry = feature.get(geometryName);
+  if (geometry && typeof geometry.getType === 'function') {
+    return geometry;
+  }
+  return feature.getGeometry();
+}
+
+/**
+ * @param {DWithin} filter Filter.
+ * @param {import("../proj.js").ProjectionLike} [opt_projection] Projection.
+ * @return {number} Distance in the units of the geometries.
+ */
+function getDistance(filter, opt_projection) {
+  const metersPerDistanceUnit =
+    METERS_PER_DISTANCE_UNIT[filter.unit.toLowerCase()];
+  const projection = opt_projection ? getProjection(opt_projection) : null;
+  if (!metersPerDistanceUnit || !projection || !projection.getMetersPerUnit()) {
+    return filter.distance;
+  }
+  return (
+    (filter.distance * metersPerDistanceUnit) / projection.getMetersPerUnit()
+  );
+}
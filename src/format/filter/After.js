@@ -0,0 +1,26 @@
+/**
+ * @module ol/format/filter/After
+ */
+import Comparison from './Comparison.js';
+
+/**
+ * @classdesc
+ * Represents an `<After>` temporal operator.
+ * @api
+ */
+class After extends Comparison {
+  /**
+   * @param {!string} propertyName Name of the context property to compare.
+   * @param {!string} time The date in ISO-8601 format.
+   */
+  constructor(propertyName, time) {
+    super('After', propertyName);
+
+    /**
+     * @type {!string}
+     */
+    this.time = time;
+  }
+}
+
+export default After;
@@ -0,0 +1,26 @@
+/**
+ * @module ol/format/filter/Before
+ */
+import Comparison from './Comparison.js';
+
+/**
+ * @classdesc
+ * Represents a `<Before>` temporal operator.
+ * @api
+ */
+class Before extends Comparison {
+  /**
+   * @param {!string} propertyName Name of the context property to compare.
+   * @param {!string} time The date in ISO-8601 format.
+   */
+  constructor(propertyName, time) {
+    super('Before', propertyName);
+
+    /**
+     * @type {!string}
+     */
+    this.time = time;
+  }
+}
+
+export default Before;
@@ -0,0 +1,432 @@
+/**
+ * @module ol/geom/flat/relate
+ */
+import {fromCircle} from '../Polygon.js';
+import {linearRingsContainsXY} from './contains.js';
+import {squaredSegmentDistance} from '../../math.js';
+
+/**
+ * A point, line string or polygon in flat coordinates. Multi geometries and
+ * geometry collections are represented by an array of parts.
+ * @typedef {Object} Part
+ * @property {string} type Type: `'Point'`, `'LineString'` or `'Polygon'`.
+ * @property {Array<number>} flatCoordinates Flat coordinates.
+ * @property {number} offset Offset.
+ * @property {Array<number>} ends Ends. For points and line strings, this
+ * holds a single end.
+ * @property {number} stride Stride.
+ */
+
+/**
+ * Get the parts of a geometry.
+ * @param {import("../Geometry.js").default} geometry Geometry.
+ * @param {Array<Part>} parts Parts to add to.
+ * @return {Array<Part>} Parts.
+ */
+export function getParts(geometry, parts) {
+  const type = geometry.getType();
+  if (type === 'GeometryCollection') {
+    const geometries =
+      /** @type {import("../GeometryCollection.js").default} */ (
+        geometry
+      ).getGeometriesArray();
+    for (let i = 0, ii = geometries.length; i < ii; ++i) {
+      getParts(geometries[i], parts);
+    }
+    return parts;
+  }
+  if (type === 'Circle') {
+    return getParts(
+      fromCircle(/** @type {import("../Circle.js").default} */ (geometry)),
+      parts
+    );
+  }
+  const simpleGeometry = /** @type {import("../SimpleGeometry.js").default} */ (
+    geometry
+  );
+  const flatCoordinates = simpleGeometry.getFlatCoordinates();
+  const stride = simpleGeometry.getStride();
+  /**
+   * @param {string} partType Part type.
+   * @param {number} offset Offset.
+   * @param {Array<number>} ends Ends.
+   */
+  function addPart(partType, offset, ends) {
+    parts.push({
+      type: partType,
+      flatCoordinates: flatCoordinates,
+      offset: offset,
+      ends: ends,
+      stride: stride,
+    });
+  }
+  switch (type) {
+    case 'Point':
+    case 'MultiPoint':
+      for (let i = 0, ii = flatCoordinates.length; i < ii; i += stride) {
+        addPart('Point', i, [i + stride]);
+      }
+      break;
+    case 'LineString':
+    case 'LinearRing':
+      addPart('LineString', 0, [flatCoordinates.length]);
+      break;
+    case 'MultiLineString': {
+      const ends = /** @type {Array<number>} */ (simpleGeometry.getEnds());
+      for (let i = 0, ii = ends.length; i < ii; ++i) {
+        addPart('LineString', i ? ends[i - 1] : 0, [ends[i]]);
+      }
+      break;
+    }
+    case 'Polygon':
+    case 'MultiPolygon': {
+      let endss;
+      if (type === 'Polygon') {
+        endss = [
+          /** @type {import("../Polygon.js").default} */ (geometry).getEnds(),
+        ];
+      } else {
+        endss = /** @type {import("../MultiPolygon.js").default} */ (
+          geometry
+        ).getEndss();
+      }
+      let offset = 0;
+      for (let i = 0, ii = endss.length; i < ii; ++i) {
+        const ends = endss[i];
+        addPart('Polygon', offset, ends);
+        offset = ends[ends.length - 1];
+      }
+      break;
+    }
+    default:
+      break;
+  }
+  return parts;
+}
+
+/**
+ * @param {number} x1 X1.
+ * @param {number} y1 Y1.
+ * @param {number} x2 X2.
+ * @param {number} y2 Y2.
+ * @param {number} x X.
+ * @param {number} y Y.
+ * @return {number} Positive when (x, y) is left of the line through (x1, y1)
+ *     and (x2, y2), negative when right, 0 when on the line.
+ */
+function orientation(x1, y1, x2, y2, x, y) {
+  return (x2 - x1) * (y - y1) - (y2 - y1) * (x - x1);
+}
+
+/**
+ * @param {number} x1 X1.
+ * @param {number} y1 Y1.
+ * @param {number} x2 X2.
+ * @param {number} y2 Y2.
+ * @param {number} x X.
+ * @param {number} y Y.
+ * @return {boolean} (x, y), which is collinear with the segment, is within
+ *     the bounds of the segment.
+ */
+function inSegmentBounds(x1, y1, x2, y2, x, y) {
+  return (
+    x >= Math.min(x1, x2) &&
+    x <= Math.max(x1, x2) &&
+    y >= Math.min(y1, y2) &&
+    y <= Math.max(y1, y2)
+  );
+}
+
+/**
+ * Check whether two segments touch or cross. Segments may be degenerate
+ * (points).
+ * @param {number} x1 Start x of the first segment.
+ * @param {number} y1 Start y of the first segment.
+ * @param {number} x2 End x of the first segment.
+ * @param {number} y2 End y of the first segment.
+ * @param {number} x3 Start x of the second segment.
+ * @param {number} y3 Start y of the second segment.
+ * @param {number} x4 End x of the second segment.
+ * @param {number} y4 End y of the second segment.
+ * @param {boolean} [opt_proper] Only report proper crossings, i.e. where the
+ *     segments cross in a single point that is not an end point of either
+ *     segment.
+ * @return {boolean} The segments intersect.
+ */
+export function segmentsIntersect(x1, y1, x2, y2, x3, y3, x4, y4, opt_proper) {
+  const o1 = orientation(x1, y1, x2, y2, x3, y3);
+  const o2 = orientation(x1, y1, x2, y2, x4, y4);
+  const o3 = orientation(x3, y3, x4, y4, x1, y1);
+  const o4 = orientation(x3, y3, x4, y4, x2, y2);
+  if (
+    ((o1 > 0 && o2 < 0) || (o1 < 0 && o2 > 0)) &&
+    ((o3 > 0 && o4 < 0) || (o3 < 0 && o4 > 0))
+  ) {
+    return true;
+  }
+  if (opt_proper) {
+    return false;
+  }
+  return (
+    (o1 === 0 && inSegmentBounds(x1, y1, x2, y2, x3, y3)) ||
+    (o2 === 0 && inSegmentBounds(x1, y1, x2, y2, x4, y4)) ||
+    (o3 === 0 && inSegmentBounds(x3, y3, x4, y4, x1, y1)) ||
+    (o4 === 0 && inSegmentBounds(x3, y3, x4, y4, x2, y2))
+  );
+}
+
+/**
+ * Call `callback` for each segment of a part. Points are a single degenerate
+ * segment. If the callback returns `true`, iteration stops and `true` is
+ * returned.
+ * @param {Part} part Part.
+ * @param {function(number, number, number, number): boolean} callback Called
+ *     with x1, y1, x2, y2 of each segment.
+ * @return {boolean} The callback returned `true`.
+ */
+function forEachSegment(part, callback) {
+  const flatCoordinates = part.flatCoordinates;
+  const stride = part.stride;
+  if (part.type === 'Point') {
+    const x = flatCoordinates[part.offset];
+    const y = flatCoordinates[part.offset + 1];
+    return callback(x, y, x, y);
+  }
+  let offset = part.offset;
+  for (let i = 0, ii = part.ends.length; i < ii; ++i) {
+    const end = part.ends[i];
+    for (let j = offset + stride; j < end; j += stride) {
+      if (
+        callback(
+          flatCoordinates[j - stride],
+          flatCoordinates[j - stride + 1],
+          flatCoordinates[j],
+          flatCoordinates[j + 1]
+        )
+      ) {
+        return true;
+      }
+    }
+    offset = end;
+  }
+  return false;
+}
+
+/**
+ * Call `callback` for each vertex of a part. If the callback returns `true`,
+ * iteration stops and `true` is returned.
+ * @param {Part} part Part.
+ * @param {function(number, number): boolean} callback Called with x, y of each
+ *     vertex.
+ * @return {boolean} The callback returned `true`.
+ */
+function forEachVertex(part, callback) {
+  const flatCoordinates = part.flatCoordinates;
+  const end = part.ends[part.ends.length - 1];
+  for (let i = part.offset; i < end; i += part.stride) {
+    if (callback(flatCoordinates[i], flatCoordinates[i + 1])) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * @param {Part} part Part.
+ * @param {number} x X.
+ * @param {number} y Y.
+ * @return {boolean} (x, y) is on a segment of the part.
+ */
+function onBoundary(part, x, y) {
+  return forEachSegment(part, function (x1, y1, x2, y2) {
+    return segmentsIntersect(x1, y1, x2, y2, x, y, x, y);
+  });
+}
+
+/**
+ * @param {Part} part Part.
+ * @param {number} x X.
+ * @param {number} y Y.
+ * @return {boolean} (x, y) is strictly inside the polygon part.
+ */
+function inInterior(part, x, y) {
+  return (
+    part.type === 'Polygon' &&
+    linearRingsContainsXY(
+      part.flatCoordinates,
+      part.offset,
+      part.ends,
+      part.stride,
+      x,
+      y
+    ) &&
+    !onBoundary(part, x, y)
+  );
+}
+
+/**
+ * @param {Part} part Part.
+ * @param {number} x X.
+ * @param {number} y Y.
+ * @return {boolean} (x, y) is on the part, or inside it for polygons.
+ */
+function covers(part, x, y) {
+  if (onBoundary(part, x, y)) {
+    return true;
+  }
+  return (
+    part.type === 'Polygon' &&
+    linearRingsContainsXY(
+      part.flatCoordinates,
+      part.offset,
+      part.ends,
+      part.stride,
+      x,
+      y
+    )
+  );
+}
+
+/**
+ * @param {Part} part1 First part.
+ * @param {Part} part2 Second part.
+ * @return {boolean} The parts intersect.
+ */
+function partIntersects(part1, part2) {
+  const crosses = forEachSegment(part1, function (x1, y1, x2, y2) {
+    return forEachSegment(part2, function (x3, y3, x4, y4) {
+      return segmentsIntersect(x1, y1, x2, y2, x3, y3, x4, y4);
+    });
+  });
+  if (crosses) {
+    return true;
+  }
+  // no boundary intersection, so one part may be inside the other
+  const flat1 = part1.flatCoordinates;
+  const flat2 = part2.flatCoordinates;
+  return (
+    (part2.type === 'Polygon' &&
+      covers(part2, flat1[part1.offset], flat1[part1.offset + 1])) ||
+    (part1.type === 'Polygon' &&
+      covers(part1, flat2[part2.offset], flat2[part2.offset + 1]))
+  );
+}
+
+/**
+ * Check whether two geometries, given as arrays of parts, intersect.
+ * @param {Array<Part>} parts1 First geometry.
+ * @param {Array<Part>} parts2 Second geometry.
+ * @return {boolean} The geometries intersect.
+ */
+export function intersects(parts1, parts2) {
+  for (let i = 0, ii = parts1.length; i < ii; ++i) {
+    for (let j = 0, jj = parts2.length; j < jj; ++j) {
+      if (partIntersects(parts1[i], parts2[j])) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Check whether the first geometry is within the second geometry, given as
+ * arrays of parts. Points on the boundary of the second geometry are
+ * considered within.
+ * @param {Array<Part>} parts1 First geometry.
+ * @param {Array<Part>} parts2 Second geometry.
+ * @return {boolean} The first geometry is within the second geometry.
+ */
+export function within(parts1, parts2) {
+  if (parts1.length === 0) {
+    return false;
+  }
+  /**
+   * @param {number} x X.
+   * @param {number} y Y.
+   * @return {boolean} (x, y) is not covered by the second geometry.
+   */
+  function notCovered(x, y) {
+    for (let i = 0, ii = parts2.length; i < ii; ++i) {
+      if (covers(parts2[i], x, y)) {
+        return false;
+      }
+    }
+    return true;
+  }
+  for (let i = 0, ii = parts1.length; i < ii; ++i) {
+    const part1 = parts1[i];
+    // all vertices and segment midpoints need to be covered
+    if (
+      forEachSegment(part1, function (x1, y1, x2, y2) {
+        return (
+          notCovered(x1, y1) ||
+          notCovered(x2, y2) ||
+          notCovered((x1 + x2) / 2, (y1 + y2) / 2)
+        );
+      })
+    ) {
+      return false;
+    }
+    for (let j = 0, jj = parts2.length; j < jj; ++j) {
+      const part2 = parts2[j];
+      // no segment may leave a polygon through its boundary
+      if (
+        part2.type === 'Polygon' &&
+        forEachSegment(part1, function (x1, y1, x2, y2) {
+          return forEachSegment(part2, function (x3, y3, x4, y4) {
+            return segmentsIntersect(x1, y1, x2, y2, x3, y3, x4, y4, true);
+          });
+        })
+      ) {
+        return false;
+      }
+      // the boundary of the second geometry, e.g. a hole, may not be inside
+      if (
+        part1.type === 'Polygon' &&
+        forEachVertex(part2, function (x, y) {
+          return inInterior(part1, x, y);
+        })
+      ) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+/**
+ * Get the shortest distance between two geometries, given as arrays of parts.
+ * @param {Array<Part>} parts1 First geometry.
+ * @param {Array<Part>} parts2 Second geometry.
+ * @return {number} Distance, `0` for intersecting geometries.
+ */
+export function distance(parts1, parts2) {
+  if (intersects(parts1, parts2)) {
+    return 0;
+  }
+  let minSquaredDistance = Infinity;
+  /**
+   * @param {Array<Part>} from Parts to measure from.
+   * @param {Array<Part>} to Parts to measure to.
+   */
+  function measure(from, to) {
+    for (let i = 0, ii = from.length; i < ii; ++i) {
+      forEachVertex(from[i], function (x, y) {
+        for (let j = 0, jj = to.length; j < jj; ++j) {
+          forEachSegment(to[j], function (x1, y1, x2, y2) {
+            minSquaredDistance = Math.min(
+              minSquaredDistance,
+              squaredSegmentDistance(x, y, x1, y1, x2, y2)
+            );
+            return false;
+          });
+        }
+        return false;
+      });
+    }
+  }
+  measure(parts1, parts2);
+  measure(parts2, parts1);
+  return Math.sqrt(minSquaredDistance);
+}
@@ -0,0 +1,620 @@
+/**
+ * @module ol/geom/overlay
+ */
+import Polygon from './Polygon.js';
+import {
+  closestOnSegment,
+  equals as coordinatesEqual,
+  squaredDistance,
+} from '../coordinate.js';
+
+/**
+ * Intersection of two lines.
+ * @typedef {Object} Intersection
+ * @property {import("../coordinate.js").Coordinate} point Intersection point.
+ * @property {number} index1 Fractional index of the intersection along the
+ * first line, i.e. the index of the segment plus the fraction of the segment.
+ * @property {number} index2 Fractional index of the intersection along the
+ * second line.
+ */
+
+/**
+ * Relative tolerance for considering a vertex to be on a segment, as fraction
+ * of the size of the processed coordinates.
+ * @type {number}
+ */
+const TOLERANCE = 1e-9;
+
+/**
+ * @param {import("../coordinate.js").Coordinate} coordinate Coordinate.
+ * @return {string} Key of the coordinate.
+ */
+function getKey(coordinate) {
+  return coordinate[0] + ',' + coordinate[1];
+}
+
+/**
+ * @param {Array<Array<import("../coordinate.js").Coordinate>>} lines Lines.
+ * @return {number} Squared tolerance for the coordinates of the lines.
+ */
+function getSquaredTolerance(lines) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (let i = 0, ii = lines.length; i < ii; ++i) {
+    const line = lines[i];
+    for (let j = 0, jj = line.length; j < jj; ++j) {
+      minX = Math.min(minX, line[j][0]);
+      minY = Math.min(minY, line[j][1]);
+      maxX = Math.max(maxX, line[j][0]);
+      maxY = Math.max(maxY, line[j][1]);
+    }
+  }
+  const tolerance = Math.max(maxX - minX, maxY - minY) * TOLERANCE;
+  return tolerance * tolerance;
+}
+
+/**
+ * @param {import("../coordinate.js").Coordinate} coordinate Coordinate.
+ * @param {import("../coordinate.js").Coordinate} start Segment start.
+ * @param {import("../coordinate.js").Coordinate} end Segment end.
+ * @return {number} Fraction of the segment at the projection of the
+ * coordinate on the segment.
+ */
+function getFraction(coordinate, start, end) {
+  const dx = end[0] - start[0];
+  const dy = end[1] - start[1];
+  const length = dx * dx + dy * dy;
+  if (length === 0) {
+    return 0;
+  }
+  const fraction =
+    ((coordinate[0] - start[0]) * dx + (coordinate[1] - start[1]) * dy) /
+    length;
+  return Math.min(1, Math.max(0, fraction));
+}
+
+/**
+ * Get the intersections of two segments. Vertices within the tolerance of the
+ * other segment are intersections, so collinear overlapping segments
+ * intersect at the ends of the overlap.
+ * @param {import("../coordinate.js").Coordinate} start1 Start of the first segment.
+ * @param {import("../coordinate.js").Coordinate} end1 End of the first segment.
+ * @param {import("../coordinate.js").Coordinate} start2 Start of the second segment.
+ * @param {import("../coordinate.js").Coordinate} end2 End of the second segment.
+ * @param {number} squaredTolerance Squared tolerance.
+ * @return {Array<Array>} Intersections, as intersection point, fraction of the
+ * first and fraction of the second segment.
+ */
+function intersectSegments(start1, end1, start2, end2, squaredTolerance) {
+  const intersections = [];
+  const segment1 = [start1, end1];
+  const segment2 = [start2, end2];
+  for (let i = 0; i < 2; ++i) {
+    const vertex = segment1[i];
+    if (
+      squaredDistance(vertex, closestOnSegment(vertex, segment2)) <=
+      squaredTolerance
+    ) {
+      intersections.push([vertex, i, getFraction(vertex, start2, end2)]);
+    }
+  }
+  for (let i = 0; i < 2; ++i) {
+    const vertex = segment2[i];
+    if (
+      squaredDistance(vertex, closestOnSegment(vertex, segment1)) <=
+        squaredTolerance &&
+      !intersections.some(function (intersection) {
+        return squaredDistance(intersection[0], vertex) <= squaredTolerance;
+      })
+    ) {
+      intersections.push([vertex, getFraction(vertex, start1, end1), i]);
+    }
+  }
+  if (intersections.length > 0) {
+    return intersections;
+  }
+  const [x1, y1] = start1;
+  const [x2, y2] = end1;
+  const [x3, y3] = start2;
+  const [x4, y4] = end2;
+  const denominator = (x2 - x1) * (y4 - y3) - (y2 - y1) * (x4 - x3);
+  if (denominator !== 0) {
+    const t = ((x3 - x1) * (y4 - y3) - (y3 - y1) * (x4 - x3)) / denominator;
+    const u = ((x3 - x1) * (y2 - y1) - (y3 - y1) * (x2 - x1)) / denominator;
+    if (t > 0 && t < 1 && u > 0 && u < 1) {
+      const point = start1.map(function (value, i) {
+        return value + t * (end1[i] - value);
+      });
+      intersections.push([point, t, u]);
+    }
+  }
+  return intersections;
+}
+
+/**
+ * @param {Array<import("../coordinate.js").Coordinate>} line1 Line.
+ * @param {number} index1 Segment index.
+ * @param {Array<import("../coordinate.js").Coordinate>} line2 Line.
+ * @param {number} index2 Segment index.
+ * @return {boolean} The extents of the segments intersect.
+ */
+function segmentExtentsIntersect(line1, index1, line2, index2) {
+  const a = line1[index1];
+  const b = line1[index1 + 1];
+  const c = line2[index2];
+  const d = line2[index2 + 1];
+  return (
+    Math.min(a[0], b[0]) <= Math.max(c[0], d[0]) &&
+    Math.max(a[0], b[0]) >= Math.min(c[0], d[0]) &&
+    Math.min(a[1], b[1]) <= Math.max(c[1], d[1]) &&
+    Math.max(a[1], b[1]) >= Math.min(c[1], d[1])
+  );
+}
+
+/**
+ * Get the intersections of two lines, ordered along the first line.
+ * @param {Array<import("../coordinate.js").Coordinate>} line1 First line.
+ * @param {Array<import("../coordinate.js").Coordinate>} line2 Second line.
+ * @return {Array<Intersection>} Intersections.
+ * @api
+ */
+export function getIntersections(line1, line2) {
+  const squaredTolerance = getSquaredTolerance([line1, line2]);
+  /** @type {Array<Intersection>} */
+  const intersections = [];
+  for (let i = 0, ii = line1.length - 1; i < ii; ++i) {
+    for (let j = 0, jj = line2.length - 1; j < jj; ++j) {
+      if (!segmentExtentsIntersect(line1, i, line2, j)) {
+        continue;
+      }
+      const segmentIntersections = intersectSegments(
+        line1[i],
+        line1[i + 1],
+        line2[j],
+        line2[j + 1],
+        squaredTolerance
+      );
+      for (let k = 0, kk = segmentIntersections.length; k < kk; ++k) {
+        const point = segmentIntersections[k][0];
+        if (
+          !intersections.some(function (intersection) {
+            return (
+              squaredDistance(intersection.point, point) <= squaredTolerance
+            );
+          })
+        ) {
+          intersections.push({
+            point: point,
+            index1: i + segmentIntersections[k][1],
+            index2: j + segmentIntersections[k][2],
+          });
+        }
+      }
+    }
+  }
+  return intersections.sort(function (a, b) {
+    return a.index1 - b.index1;
+  });
+}
+
+/**
+ * Insert the intersections of the lines with themselves and each other as
+ * vertices, so that lines only meet at vertices.
+ * @param {Array<Array<import("../coordinate.js").Coordinate>>} lines Lines.
+ * @return {Array<Array<import("../coordinate.js").Coordinate>>} Noded lines.
+ */
+function nodeLines(lines) {
+  const squaredTolerance = getSquaredTolerance(lines);
+  const splits = lines.map(function (line) {
+    return line.map(function () {
+      return [];
+    });
+  });
+  for (let l1 = 0, ll = lines.length; l1 < ll; ++l1) {
+    const line1 = lines[l1];
+    for (let i = 0, ii = line1.length - 1; i < ii; ++i) {
+      for (let l2 = l1; l2 < ll; ++l2) {
+        const line2 = lines[l2];
+        for (
+          let j = l2 === l1 ? i + 1 : 0, jj = line2.length - 1;
+          j < jj;
+          ++j
+        ) {
+          if (!segmentExtentsIntersect(line1, i, line2, j)) {
+            continue;
+          }
+          const intersections = intersectSegments(
+            line1[i],
+            line1[i + 1],
+            line2[j],
+            line2[j + 1],
+            squaredTolerance
+          );
+          for (let k = 0, kk = intersections.length; k < kk; ++k) {
+            const [point, t, u] = intersections[k];
+            splits[l1][i].push([t, point]);
+            splits[l2][j].push([u, point]);
+          }
+        }
+      }
+    }
+  }
+  return lines.map(function (line, l) {
+    const noded = [line[0]];
+    for (let i = 1, ii = line.length; i < ii; ++i) {
+      const segmentSplits = splits[l][i - 1].sort(function (a, b) {
+        return a[0] - b[0];
+      });
+      for (let j = 0, jj = segmentSplits.length; j < jj; ++j) {
+        const point = segmentSplits[j][1];
+        if (
+          squaredDistance(point, noded[noded.length - 1]) > squaredTolerance &&
+          squaredDistance(point, line[i]) > squaredTolerance
+        ) {
+          noded.push(point);
+        }
+      }
+      noded.push(line[i]);
+    }
+    return noded;
+  });
+}
+
+/**
+ * Give coordinates with fewer dimensions, e.g. vertices added from a 2D line
+ * to a 3D polygon, a 0 value for each missing dimension.
+ * @param {Array<Array<import("../coordinate.js").Coordinate>>} lines Lines.
+ * @param {number} dimension Dimension.
+ * @return {Array<Array<import("../coordinate.js").Coordinate>>} Lines.
+ */
+function setDimension(lines, dimension) {
+  for (let i = 0, ii = lines.length; i < ii; ++i) {
+    const line = lines[i];
+    for (let j = 0, jj = line.length; j < jj; ++j) {
+      if (line[j].length < dimension) {
+        line[j] = line[j].slice();
+        while (line[j].length < dimension) {
+          line[j].push(0);
+        }
+      }
+    }
+  }
+  return lines;
+}
+
+/**
+ * Call a callback for each segment of a noded line, with the segment and
+ * points just left and right of the middle of the segment.
+ * @param {Array<import("../coordinate.js").Coordinate>} line Line.
+ * @param {function(Array<import("../coordinate.js").Coordinate>, import("../coordinate.js").Coordinate, import("../coordinate.js").Coordinate): void} callback
+ * Callback.
+ */
+function forEachSegment(line, callback) {
+  for (let i = 1, ii = line.length; i < ii; ++i) {
+    const start = line[i - 1];
+    const end = line[i];
+    if (coordinatesEqual(start, end)) {
+      continue;
+    }
+    const x = (start[0] + end[0]) / 2;
+    const y = (start[1] + end[1]) / 2;
+    // a small offset perpendicular to the segment
+    const dx = (end[0] - start[0]) * TOLERANCE * 1000;
+    const dy = (end[1] - start[1]) * TOLERANCE * 1000;
+    callback([start, end], [x - dy, y + dx], [x + dy, y - dx]);
+  }
+}
+
+/**
+ * @param {Array<import("../coordinate.js").Coordinate>} ring Ring.
+ * @return {number} Signed area of the ring, positive for counter-clockwise
+ * rings.
+ */
+function getRingArea(ring) {
+  let twiceArea = 0;
+  for (let i = 1, ii = ring.length; i < ii; ++i) {
+    twiceArea += ring[i - 1][0] * ring[i][1] - ring[i][0] * ring[i - 1][1];
+  }
+  return twiceArea / 2;
+}
+
+/**
+ * Trace the rings formed by directed edges. The edges are expected to have the
+ * area of the resulting polygons on their left, so shells are traced
+ * counter-clockwise and holes clockwise.
+ * @param {Array<Array<import("../coordinate.js").Coordinate>>} edges Edges.
+ * @return {Array<Array<import("../coordinate.js").Coordinate>>} Rings.
+ */
+function traceRings(edges) {
+  const edgesByNode = {};
+  const edgeObjects = edges.map(function (edge) {
+    const key = getKey(edge[0]);
+    const edgeObject = {
+      from: edge[0],
+      to: edge[1],
+      angle: Math.atan2(edge[1][1] - edge[0][1], edge[1][0] - edge[0][0]),
+      used: false,
+    };
+    if (!(key in edgesByNode)) {
+      edgesByNode[key] = [];
+    }
+    edgesByNode[key].push(edgeObject);
+    return edgeObject;
+  });
+  const rings = [];
+  for (let i = 0, ii = edgeObjects.length; i < ii; ++i) {
+    let edge = edgeObjects[i];
+    if (edge.used) {
+      continue;
+    }
+    const startKey = getKey(edge.from);
+    let ring = [edge.from];
+    while (edge) {
+      edge.used = true;
+      ring.push(edge.to);
+      if (getKey(edge.to) === startKey) {
+        break;
+      }
+      // take the first edge clockwise from the way back, to keep the
+      // traced area on the left
+      const backAngle = Math.atan2(
+        edge.from[1] - edge.to[1],
+        edge.from[0] - edge.to[0]
+      );
+      const candidates = edgesByNode[getKey(edge.to)] || [];
+      let next = null;
+      let minRotation = Infinity;
+      for (let j = 0, jj = candidates.length; j < jj; ++j) {
+        const candidate = candidates[j];
+        if (candidate.used) {
+          continue;
+        }
+        let rotation = backAngle - candidate.angle;
+        while (rotation <= 0) {
+          rotation += 2 * Math.PI;
+        }
+        if (rotation < minRotation) {
+          minRotation = rotation;
+          next = candidate;
+        }
+      }
+      if (!next) {
+        ring = null;
+      }
+      edge = next;
+    }
+    if (ring && ring.length > 3) {
+      rings.push(ring);
+    }
+  }
+  return rings;
+}
+
+/**
+ * Assemble polygons from counter-clockwise shells and clockwise holes. Each
+ * hole is assigned to the smallest shell containing it.
+ * @param {Array<Array<import("../coordinate.js").Coordinate>>} rings Rings.
+ * @return {Array<Array<Array<import("../coordinate.js").Coordinate>>>} Polygons.
+ */
+function buildPolygons(rings) {
+  const shells = [];
+  const holes = [];
+  for (let i = 0, ii = rings.length; i < ii; ++i) {
+    const area = getRingArea(rings[i]);
+    if (area > 0) {
+      shells.push({
+        ring: rings[i],
+        area: area,
+        polygon: new Polygon([rings[i]]),
+      });
+    } else if (area < 0) {
+      holes.push(rings[i]);
+    }
+  }
+  shells.sort(function (a, b) {
+    return a.area - b.area;
+  });
+  const polygons = shells.map(function (shell) {
+    return [shell.ring];
+  });
+  for (let i = 0, ii = holes.length; i < ii; ++i) {
+    const hole = holes[i];
+    forEachSegment(hole.slice(0, 2), function (segment, left) {
+      for (let j = 0, jj = shells.length; j < jj; ++j) {
+        if (shells[j].polygon.containsXY(left[0], left[1])) {
+          polygons[j].push(hole);
+          break;
+        }
+      }
+    });
+  }
+  return polygons;
+}
+
+/**
+ * Get the boundary of the area for which `inside` returns `true`, from the
+ * rings of polygons that bound that area.
+ * @param {Array<Array<Array<import("../coordinate.js").Coordinate>>>} polygons Polygons.
+ * @param {function(number, number): boolean} inside Whether a point is inside
+ * the resulting area.
+ * @return {Array<Array<Array<import("../coordinate.js").Coordinate>>>} Polygons.
+ */
+function overlay(polygons, inside) {
+  const rings = [].concat.apply([], polygons);
+  const edges = [];
+  const seen = {};
+  nodeLines(rings).forEach(function (line) {
+    forEachSegment(line, function (segment, left, right) {
+      const startKey = getKey(segment[0]);
+      const endKey = getKey(segment[1]);
+      const key =
+        startKey < endKey ? startKey + ';' + endKey : endKey + ';' + startKey;
+      if (key in seen) {
+        return;
+      }
+      seen[key] = true;
+      const insideLeft = inside(left[0], left[1]);
+      if (insideLeft !== inside(right[0], right[1])) {
+        edges.push(insideLeft ? segment : [segment[1], segment[0]]);
+      }
+    });
+  });
+  const dimension = polygons[0][0][0].length;
+  return buildPolygons(traceRings(edges)).map(function (rings) {
+    return setDimension(rings, dimension);
+  });
+}
+
+/**
+ * Get the union of polygons.
+ * @param {Array<Array<Array<import("../coordinate.js").Coordinate>>>} polygons Polygon coordinates.
+ * @return {Array<Array<Array<import("../coordinate.js").Coordinate>>>} Coordinates of the
+ * polygons of the union.
+ * @api
+ */
+export function union(polygons) {
+  const geometries = polygons.map(function (coordinates) {
+    return new Polygon(coordinates);
+  });
+  return overlay(polygons, function (x, y) {
+    return geometries.some(function (geometry) {
+      return geometry.containsXY(x, y);
+    });
+  });
+}
+
+/**
+ * Get the difference of polygons, i.e. the area of the first polygons not
+ * covered by the second polygons.
+ * @param {Array<Array<Array<import("../coordinate.js").Coordinate>>>} polygons Polygon coordinates.
+ * @param {Array<Array<Array<import("../coordinate.js").Coordinate>>>} subtracted Coordinates of
+ * the polygons to subtract.
+ * @return {Array<Array<Array<import("../coordinate.js").Coordinate>>>} Coordinates of the
+ * polygons of the difference.
+ * @api
+ */
+export function difference(polygons, subtracted) {
+  const geometries = polygons.map(function (coordinates) {
+    return new Polygon(coordinates);
+  });
+  const subtractedGeometries = subtracted.map(function (coordinates) {
+    return new Polygon(coordinates);
+  });
+  return overlay(polygons.concat(subtracted), function (x, y) {
+    const contains = function (geometry) {
+      return geometry.containsXY(x, y);
+    };
+    return geometries.some(contains) && !subtractedGeometries.some(contains);
+  });
+}
+
+/**
+ * Split a line string where another line crosses or touches it.
+ * @param {Array<import("../coordinate.js").Coordinate>} line Line string coordinates.
+ * @param {Array<import("../coordinate.js").Coordinate>} splitter Coordinates of the
+ * splitting line.
+ * @return {Array<Array<import("../coordinate.js").Coordinate>>} Coordinates of the parts.
+ * A single part is returned when the line is not split.
+ * @api
+ */
+export function splitLineString(line, splitter) {
+  const last = line.length - 1;
+  const intersections = getIntersections(line, splitter).filter(function (
+    intersection
+  ) {
+    return intersection.index1 > 0 && intersection.index1 < last;
+  });
+  const parts = [];
+  let part = [line[0]];
+  let index = 1;
+  for (let i = 0, ii = intersections.length; i < ii; ++i) {
+    const intersection = intersections[i];
+    while (index < intersection.index1) {
+      part.push(line[index++]);
+    }
+    if (index === intersection.index1) {
+      ++index;
+    }
+    part.push(intersection.point);
+    parts.push(part);
+    part = [intersection.point];
+  }
+  while (index <= last) {
+    part.push(line[index++]);
+  }
+  parts.push(part);
+  return setDimension(parts, line[0].length);
+}
+
+/**
+ * Split a polygon along a line. Parts of the line outside the polygon, and
+ * parts that do not cut through it, are ignored.
+ * @param {Array<Array<import("../coordinate.js").Coordinate>>} polygon Polygon coordinates.
+ * @param {Array<import("../coordinate.js").Coordinate>} splitter Coordinates of the
+ * splitting line.
+ * @return {Array<Array<Array<import("../coordinate.js").Coordinate>>>} Coordinates of the
+ * parts. A single part is returned when the polygon is not split.
+ * @api
+ */
+export function splitPolygon(polygon, splitter) {
+  const geometry = new Polygon(polygon);
+  const noded = nodeLines(polygon.concat([splitter]));
+  const edges = {};
+  noded.forEach(function (line, i) {
+    forEachSegment(line, function (segment, left, right) {
+      const insideLeft = geometry.containsXY(left[0], left[1]);
+      const insideRight = geometry.containsXY(right[0], right[1]);
+      const startKey = getKey(segment[0]);
+      const endKey = getKey(segment[1]);
+      if (insideLeft && insideRight) {
+        if (i === polygon.length) {
+          // the splitter cuts through the polygon: both sides are boundaries
+          edges[startKey + ';' + endKey] = segment;
+          edges[endKey + ';' + startKey] = [segment[1], segment[0]];
+        }
+      } else if (insideLeft) {
+        edges[startKey + ';' + endKey] = segment;
+      } else if (insideRight) {
+        edges[endKey + ';' + startKey] = [segment[1], segment[0]];
+      }
+    });
+  });
+
+  // remove dangling splitter edges
+  let pruned = true;
+  while (pruned) {
+    pruned = false;
+    const neighbours = {};
+    for (const key in edges) {
+      const startKey = getKey(edges[key][0]);
+      const endKey = getKey(edges[key][1]);
+      if (!(startKey in neighbours)) {
+        neighbours[startKey] = {};
+      }
+      if (!(endKey in neighbours)) {
+        neighbours[endKey] = {};
+      }
+      neighbours[startKey][endKey] = true;
+      neighbours[endKey][startKey] = true;
+    }
+    for (const key in edges) {
+      if (
+        Object.keys(neighbours[getKey(edges[key][0])]).length < 2 ||
+        Object.keys(neighbours[getKey(edges[key][1])]).length < 2
+      ) {
+        delete edges[key];
+        pruned = true;
+      }
+    }
+  }
+
+  const edgeList = [];
+  for (const key in edges) {
+    edgeList.push(edges[key]);
+  }
+  return buildPolygons(traceRings(edgeList)).map(function (rings) {
+    return setDimension(rings, polygon[0][0].length);
+  });
+}
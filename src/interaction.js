@@ -13,6 +13,7 @@ import MouseWheelZoom from './interaction/MouseWheelZoom.js';
 import PinchRotate from './interaction/PinchRotate.js';
 import PinchZoom from './interaction/PinchZoom.js';
 
+export {default as Cut} from './interaction/Cut.js';
 export {default as DoubleClickZoom} from './interaction/DoubleClickZoom.js';
 export {default as DragAndDrop} from './interaction/DragAndDrop.js';
 export {default as DragBox} from './interaction/DragBox.js';
@@ -22,17 +23,24 @@ export {default as DragRotateAndZoom} from './interaction/DragRotateAndZoom.js';
 export {default as DragZoom} from './interaction/DragZoom.js';
 export {default as Draw} from './interaction/Draw.js';
 export {default as Extent} from './interaction/Extent.js';
+export {default as Highlight} from './interaction/Highlight.js';
 export {default as Interaction} from './interaction/Interaction.js';
 export {default as KeyboardPan} from './interaction/KeyboardPan.js';
 export {default as KeyboardZoom} from './interaction/KeyboardZoom.js';
+export {default as Measure} from './interaction/Measure.js';
+export {default as Merge} from './interaction/Merge.js';
 export {default as Modify} from './interaction/Modify.js';
 export {default as MouseWheelZoom} from './interaction/MouseWheelZoom.js';
 export {default as PinchRotate} from './interaction/PinchRotate.js';
 export {default as PinchZoom} from './interaction/PinchZoom.js';
 export {default as Pointer} from './interaction/Pointer.js';
+export {default as Reshape} from './interaction/Reshape.js';
 export {default as Select} from './interaction/Select.js';
 export {default as Snap} from './interaction/Snap.js';
+export {default as Split} from './interaction/Split.js';
+export {default as Transform} from './interaction/Transform.js';
 export {default as Translate} from './interaction/Translate.js';
+export {default as UndoRedo} from './interaction/UndoRedo.js';
 
 /**
  * @typedef {Object} DefaultsOptions
@@ -0,0 +1,245 @@
+/**
+ * @module ol/interaction/Cut
+ */
+import Draw from './Draw.js';
+import Event from '../events/Event.js';
+import GeometryType from '../geom/GeometryType.js';
+import MultiPolygon from '../geom/MultiPolygon.js';
+import Polygon from '../geom/Polygon.js';
+import {difference} from '../geom/overlay.js';
+
+/**
+ * @enum {string}
+ */
+const CutEventType = {
+  /**
+   * Triggered before features are cut.
+   * @event CutEvent#cutstart
+   * @api
+   */
+  CUTSTART: 'cutstart',
+  /**
+   * Triggered when features have been cut.
+   * @event CutEvent#cut
+   * @api
+   */
+  CUT: 'cut',
+};
+
+/**
+ * @typedef {Object} Options
+ * @property {import("../source/Vector.js").default} [source] Source of the
+ * polygon features to cut.
+ * @property {import("../Collection.js").default<import("../Feature.js").default>} [features]
+ * Polygon features to cut, e.g. the selected features of a
+ * {@link module:ol/interaction/Select~Select} interaction. When set, only these
+ * features are cut. Either `source` or `features` must be provided.
+ * @property {import("../events/condition.js").Condition} [condition] A function
+ * that takes an {@link module:ol/MapBrowserEvent~MapBrowserEvent} and returns a
+ * boolean to indicate whether that event should be handled when drawing the
+ * cutting polygon. By default {@link module:ol/events/condition.noModifierKeys}.
+ * @property {number} [snapTolerance=12] Pixel distance for snapping to the
+ * first point of the cutting polygon, to finish it.
+ * @property {import("../style/Style.js").StyleLike} [style] Style of the
+ * cutting polygon while it is drawn.
+ * @property {boolean|import("../events/condition.js").Condition} [trace=false]
+ * Trace features of the `traceSource` when drawing the cutting polygon. See
+ * {@link module:ol/interaction/Draw~Draw}.
+ * @property {import("../source/Vector.js").default} [traceSource] Source of the
+ * features to trace.
+ * @property {boolean} [wrapX=false] Wrap the world horizontally on the sketch
+ * overlay.
+ */
+
+/**
+ * @classdesc
+ * Events emitted by {@link module:ol/interaction/Cut~Cut} instances are
+ * instances of this type.
+ */
+export class CutEvent extends Event {
+  /**
+   * @param {CutEventType} type Type.
+   * @param {Array<import("../Feature.js").default>} features The cut features.
+   * @param {Polygon} cutter The cutting polygon.
+   * @param {Array<import("../geom/Geometry.js").default>} geometries The
+   * geometries of the features before they were cut.
+   */
+  constructor(type, features, cutter, geometries) {
+    super(type);
+
+    /**
+     * The features that are cut.
+     * @type {Array<import("../Feature.js").default>}
+     * @api
+     */
+    this.features = features;
+
+    /**
+     * The resulting features. Features are cut in place, so these are the
+     * same as `features`, with their new geometries after the `cut` event.
+     * @type {Array<import("../Feature.js").default>}
+     * @api
+     */
+    this.result = features;
+
+    /**
+     * The geometries of the features before they were cut, in the order of
+     * `features`. The features get new geometries, so these are not changed.
+     * @type {Array<import("../geom/Geometry.js").default>}
+     * @api
+     */
+    this.geometries = geometries;
+
+    /**
+     * The cutting polygon.
+     * @type {Polygon}
+     * @api
+     */
+    this.cutter = cutter;
+  }
+}
+
+/***
+ * @template Return
+ * @typedef {import("../Observable").OnSignature<import("../Observable").EventTypes, import("../events/Event.js").default, Return> &
+ *   import("../Observable").OnSignature<import("../ObjectEventType").Types|
+ *     'change:active', import("../Object").ObjectEvent, Return> &
+ *   import("../Observable").OnSignature<'drawabort'|'drawend'|'drawstart', import("./Draw.js").DrawEvent, Return> &
+ *   import("../Observable").OnSignature<'cut'|'cutstart', CutEvent, Return> &
+ *   import("../Observable").CombinedOnSignature<import("../Observable").EventTypes|import("../ObjectEventType").Types|
+ *     'change:active'|'cut'|'cutstart'|'drawabort'|'drawend'|'drawstart', Return>} CutOnSignature
+ */
+
+/**
+ * @classdesc
+ * Interaction for cutting a polygon drawn by the user out of polygon features.
+ * A cutting polygon inside a feature makes a hole in it, one that overlaps the
+ * boundary of a feature changes its outline. Features that are cut in more
+ * than one piece get a multi polygon geometry. Features that would be removed
+ * completely are left unchanged. A `cutstart` event is dispatched before and a
+ * `cut` event after the features get their new geometries.
+ *
+ * @fires CutEvent
+ * @api
+ */
+class Cut extends Draw {
+  /**
+   * @param {Options} options Options.
+   */
+  constructor(options) {
+    super({
+      type: GeometryType.POLYGON,
+      condition: options.condition,
+      snapTolerance: options.snapTolerance,
+      style: options.style,
+      trace: options.trace,
+      traceSource: options.traceSource,
+      wrapX: options.wrapX,
+    });
+
+    /***
+     * @type {CutOnSignature<import("../events").EventsKey>}
+     */
+    this.on;
+
+    /***
+     * @type {CutOnSignature<import("../events").EventsKey>}
+     */
+    this.once;
+
+    /***
+     * @type {CutOnSignature<void>}
+     */
+    this.un;
+
+    /**
+     * @type {import("../source/Vector.js").default}
+     * @private
+     */
+    this.targetSource_ = options.source ? options.source : null;
+
+    /**
+     * @type {import("../Collection.js").default<import("../Feature.js").default>}
+     * @private
+     */
+    this.targetFeatures_ = options.features ? options.features : null;
+
+    if (!this.targetSource_ && !this.targetFeatures_) {
+      throw new Error('The cut interaction requires a source or features');
+    }
+
+    this.addEventListener('drawend', this.handleDrawEnd_.bind(this));
+  }
+
+  /**
+   * @param {import("./Draw.js").DrawEvent} event Draw event.
+   * @private
+   */
+  handleDrawEnd_(event) {
+    this.cut(/** @type {Polygon} */ (event.feature.getGeometry()));
+  }
+
+  /**
+   * Cut a polygon out of the polygon features it overlaps.
+   * @param {Polygon} cutter Cutting polygon.
+   * @return {Array<import("../Feature.js").default>} The cut features.
+   * @api
+   */
+  cut(cutter) {
+    const extent = cutter.getExtent();
+    const candidates = this.targetFeatures_
+      ? this.targetFeatures_.getArray().filter(function (feature) {
+          const geometry = feature.getGeometry();
+          return geometry && geometry.intersectsExtent(extent);
+        })
+      : this.targetSource_.getFeaturesInExtent(extent);
+
+    const features = [];
+    const geometries = [];
+    const cutGeometries = [];
+    for (let i = 0, ii = candidates.length; i < ii; ++i) {
+      const feature = candidates[i];
+      const geometry = feature.getGeometry();
+      const type = geometry.getType();
+      let polygons;
+      if (type === GeometryType.POLYGON) {
+        polygons = [/** @type {Polygon} */ (geometry).getCoordinates()];
+      } else if (type === GeometryType.MULTI_POLYGON) {
+        polygons = /** @type {MultiPolygon} */ (geometry).getCoordinates();
+      } else {
+        continue;
+      }
+      const result = difference(polygons, [cutter.getCoordinates()]);
+      if (result.length === 0) {
+        continue;
+      }
+      const cutGeometry =
+        type === GeometryType.POLYGON && result.length === 1
+          ? new Polygon(result[0])
+          : new MultiPolygon(result);
+      const area = /** @type {Polygon|MultiPolygon} */ (geometry).getArea();
+      if (Math.abs(area - cutGeometry.getArea()) <= area * 1e-9) {
+        // the cutter does not overlap the feature
+        continue;
+      }
+      features.push(feature);
+      geometries.push(geometry);
+      cutGeometries.push(cutGeometry);
+    }
+    if (features.length === 0) {
+      return features;
+    }
+    this.dispatchEvent(
+      new CutEvent(CutEventType.CUTSTART, features, cutter, geometries)
+    );
+    for (let i = 0, ii = features.length; i < ii; ++i) {
+      features[i].setGeometry(cutGeometries[i]);
+    }
+    this.dispatchEvent(
+      new CutEvent(CutEventType.CUT, features, cutter, geometries)
+    );
+    return features;
+  }
+}
+
+export default Cut;
@@ -22,6 +22,10 @@ import {listen, unlistenByKey} from '../events.js';
  * providing the source option listen for the "addfeatures" event.
  * @property {import("../proj.js").ProjectionLike} [projection] Target projection. By default, the map's view's projection is used.
  * @property {HTMLElement} [target] The element that is used as the drop target, default is the viewport element.
+ * @property {function(File): Promise<import("../layer/Base.js").default|null>} [createLayer] Function that creates
+ * a layer for a dropped file. The layer is added to the map instead of reading the file with the formats. The
+ * function resolves with `null` for files that should be read with the formats. Use
+ * {@link module:ol/tilepackage.createLayerFactory} to add dropped tile packages as tile layers.
  */
 
 /**
@@ -34,6 +38,13 @@ const DragAndDropEventType = {
    * @api
    */
   ADD_FEATURES: 'addfeatures',
+
+  /**
+   * Triggered when a layer is added for a dropped file
+   * @event DragAndDropEvent#addlayer
+   * @api
+   */
+  ADD_LAYER: 'addlayer',
 };
 
 /**
@@ -47,8 +58,9 @@ export class DragAndDropEvent extends Event {
    * @param {File} file File.
    * @param {Array<import("../Feature.js").default>} [opt_features] Features.
    * @param {import("../proj/Projection.js").default} [opt_projection] Projection.
+   * @param {import("../layer/Base.js").default} [opt_layer] Layer.
    */
-  constructor(type, file, opt_features, opt_projection) {
+  constructor(type, file, opt_features, opt_projection, opt_layer) {
     super(type);
 
     /**
@@ -71,6 +83,37 @@ export class DragAndDropEvent extends Event {
      * @api
      */
     this.projection = opt_projection;
+
+    /**
+     * The layer created for the dropped file.
+     * @type {import("../layer/Base.js").default|undefined}
+     * @api
+     */
+    this.layer = opt_layer;
+  }
+}
+
+/**
+ * @classdesc
+ * Event emitted when a layer cannot be created for a dropped file.
+ */
+class ErrorEvent extends Event {
+  /**
+   * @param {File} file File.
+   * @param {Error} error Error object.
+   */
+  constructor(file, error) {
+    super(EventType.ERROR);
+
+    /**
+     * @type {File}
+     */
+    this.file = file;
+
+    /**
+     * @type {Error}
+     */
+    this.error = error;
   }
 }
 
@@ -79,14 +122,16 @@ export class DragAndDropEvent extends Event {
  * @typedef {import("../Observable").OnSignature<import("../Observable").EventTypes, import("../events/Event.js").default, Return> &
  *   import("../Observable").OnSignature<import("../ObjectEventType").Types|
  *     'change:active', import("../Object").ObjectEvent, Return> &
- *   import("../Observable").OnSignature<'addfeatures', DragAndDropEvent, Return> &
+ *   import("../Observable").OnSignature<'addfeatures'|'addlayer', DragAndDropEvent, Return> &
  *   import("../Observable").CombinedOnSignature<import("../Observable").EventTypes|import("../ObjectEventType").Types|
- *     'change:active'|'addfeatures', Return>} DragAndDropOnSignature
+ *     'change:active'|'addfeatures'|'addlayer', Return>} DragAndDropOnSignature
  */
 
 /**
  * @classdesc
- * Handles input of vector data by drag and drop.
+ * Handles input of vector data by drag and drop. With the `createLayer`
+ * option, dropped files like tile packages can be added to the map as layers.
+ * An `error` event is dispatched when a layer cannot be created.
  *
  * Note that the DragAndDrop interaction uses the TextDecoder() constructor if the supplied
  * combination of formats read both text string and ArrayBuffer sources. Older browsers such
@@ -171,6 +216,34 @@ class DragAndDrop extends Interaction {
      * @type {HTMLElement|null}
      */
     this.target = options.target ? options.target : null;
+
+    /**
+     * @private
+     * @type {function(File): Promise<import("../layer/Base.js").default|null>|undefined}
+     */
+    this.createLayer_ = options.createLayer;
+  }
+
+  /**
+   * @param {File} file File.
+   * @param {import("../layer/Base.js").default} layer Layer.
+   * @private
+   */
+  addLayer_(file, layer) {
+    const map = this.getMap();
+    if (!map) {
+      return;
+    }
+    map.addLayer(layer);
+    this.dispatchEvent(
+      new DragAndDropEvent(
+        DragAndDropEventType.ADD_LAYER,
+        file,
+        undefined,
+        undefined,
+        layer
+      )
+    );
   }
 
   /**
@@ -300,19 +373,42 @@ class DragAndDrop extends Interaction {
     const files = event.dataTransfer.files;
     for (let i = 0, ii = files.length; i < ii; ++i) {
       const file = files.item(i);
-      const reader = new FileReader();
-      reader.addEventListener(
-        EventType.LOAD,
-        this.handleResult_.bind(this, file)
-      );
-      if (this.readAsBuffer_) {
-        reader.readAsArrayBuffer(file);
+      if (this.createLayer_) {
+        this.createLayer_(file).then(
+          function (layer) {
+            if (layer) {
+              this.addLayer_(file, layer);
+            } else {
+              this.readFile_(file);
+            }
+          }.bind(this),
+          function (error) {
+            this.dispatchEvent(new ErrorEvent(file, error));
+          }.bind(this)
+        );
       } else {
-        reader.readAsText(file);
+        this.readFile_(file);
       }
     }
   }
 
+  /**
+   * @param {File} file File.
+   * @private
+   */
+  readFile_(file) {
+    const reader = new FileReader();
+    reader.addEventListener(
+      EventType.LOAD,
+      this.handleResult_.bind(this, file)
+    );
+    if (this.readAsBuffer_) {
+      reader.readAsArrayBuffer(file);
+    } else {
+      reader.readAsText(file);
+    }
+  }
+
   /**
    * @param {DragEvent} event Event.
    */
@@ -5,6 +5,7 @@ import Circle from '../geom/Circle.js';
 import Event from '../events/Event.js';
 import EventType from '../events/EventType.js';
 import Feature from '../Feature.js';
+import Fill from '../style/Fill.js';
 import GeometryType from '../geom/GeometryType.js';
 import InteractionProperty from './Property.js';
 import LineString from '../geom/LineString.js';
@@ -16,10 +17,19 @@ import MultiPolygon from '../geom/MultiPolygon.js';
 import Point from '../geom/Point.js';
 import PointerInteraction from './Pointer.js';
 import Polygon, {fromCircle, makeRegular} from '../geom/Polygon.js';
+import Snap from './Snap.js';
+import Stroke from '../style/Stroke.js';
+import Style, {createEditingStyle} from '../style/Style.js';
+import Text from '../style/Text.js';
 import VectorLayer from '../layer/Vector.js';
 import VectorSource from '../source/Vector.js';
 import {FALSE, TRUE} from '../functions.js';
-import {always, noModifierKeys, shiftKeyOnly} from '../events/condition.js';
+import {
+  altKeyOnly,
+  always,
+  noModifierKeys,
+  shiftKeyOnly,
+} from '../events/condition.js';
 import {
   boundingExtent,
   getBottomLeft,
@@ -27,9 +37,21 @@ import {
   getTopLeft,
   getTopRight,
 } from '../extent.js';
-import {createEditingStyle} from '../style/Style.js';
-import {fromUserCoordinate, getUserProjection} from '../proj.js';
-import {squaredDistance as squaredCoordinateDistance} from '../coordinate.js';
+import {
+  fromLonLat,
+  fromUserCoordinate,
+  getUserProjection,
+  toLonLat,
+  transform,
+} from '../proj.js';
+import {getBearing, getLength, offset} from '../sphere.js';
+import {modulo, toDegrees} from '../math.js';
+import {
+  closestOnSegment,
+  distance,
+  equals,
+  squaredDistance as squaredCoordinateDistance,
+} from '../coordinate.js';
 
 /**
  * @typedef {Object} Options
@@ -82,6 +104,31 @@ import {squaredDistance as squaredCoordinateDistance} from '../coordinate.js';
  * Shift key activates freehand drawing.
  * @property {boolean} [wrapX=false] Wrap the world horizontally on the sketch
  * overlay.
+ * @property {boolean|import("../events/condition.js").Condition} [trace=false]
+ * Trace the boundaries of the features of the `traceSource` when drawing lines
+ * and polygons. Once the pointer touches a line or polygon ring, moving along
+ * it adds the vertices of the shortest path along the line or ring between the
+ * entry point and the pointer. Can be a condition that takes an
+ * {@link module:ol/MapBrowserEvent~MapBrowserEvent} and returns a boolean to
+ * indicate whether tracing is active for that event.
+ * @property {VectorSource} [traceSource] Source of the features to trace.
+ * Required when `trace` is set.
+ * @property {boolean} [geodesic=false] Measure segment lengths and bearings on
+ * the sphere. Lengths are then in meters, computed with
+ * {@link module:ol/sphere.getLength}. By default, lengths are in map units and
+ * bearings are measured in the projection of the map.
+ * @property {AngleConstraint} [constraint='none'] Constraint for the direction
+ * of the segment following the pointer when drawing lines and polygons.
+ * @property {import("../events/condition.js").Condition} [pickCondition] A
+ * function that takes an {@link module:ol/MapBrowserEvent~MapBrowserEvent} and
+ * returns a boolean to indicate whether a click picks the reference segment for
+ * the `'parallel'` constraint. Segments are picked from the features of the
+ * `traceSource`, or else of the `source`. The default is
+ * {@link module:ol/events/condition.altKeyOnly}.
+ * @property {boolean|function(number, number): string} [readout=false] Label
+ * the pointer with the length and the bearing of the segment being drawn. Can
+ * be a function that takes the length and the bearing in radians and returns
+ * the label text. The label is the `readout` property of the sketch point.
  */
 
 /**
@@ -114,6 +161,28 @@ import {squaredDistance as squaredCoordinateDistance} from '../coordinate.js';
  *     import("../geom/SimpleGeometry.js").default} GeometryFunction
  */
 
+/**
+ * State of tracing a feature boundary.
+ * @typedef {Object} TraceState
+ * @property {boolean} active The sketch is tracing.
+ * @property {import("../Feature.js").default} [feature] Traced feature.
+ * @property {number} [partIndex] Index of the traced line or ring.
+ * @property {number} [startIndex] Fractional index along the line or ring
+ * where tracing started.
+ * @property {number} [endIndex] Fractional index along the line or ring of the
+ * last traced position.
+ * @property {number} count Number of traced vertices in the sketch, before the
+ * vertex following the pointer.
+ */
+
+/**
+ * A line or ring of a traced feature.
+ * @typedef {Object} TracePart
+ * @property {Array<import("../coordinate.js").Coordinate>} coordinates
+ * Coordinates.
+ * @property {boolean} ring The part is closed.
+ */
+
 /**
  * Draw mode.  This collapses multi-part geometry types with their single-part
  * cousins.
@@ -126,6 +195,38 @@ const Mode = {
   CIRCLE: 'Circle',
 };
 
+/**
+ * Constraint for the direction of the segment being drawn. Angles are measured
+ * in the projection of the map.
+ * @enum {string}
+ */
+export const AngleConstraint = {
+  /**
+   * No constraint.
+   * @api
+   */
+  NONE: 'none',
+  /**
+   * Right angles to the previous segment. The first segment is horizontal or
+   * vertical.
+   * @api
+   */
+  ORTHOGONAL: 'orthogonal',
+  /**
+   * Multiples of 45° to the previous segment, or to the horizontal for the
+   * first segment.
+   * @api
+   */
+  DIAGONAL: 'diagonal',
+  /**
+   * Parallel to the reference segment, which is picked with the
+   * `pickCondition` or set with
+   * {@link module:ol/interaction/Draw~Draw#setConstraint}.
+   * @api
+   */
+  PARALLEL: 'parallel',
+};
+
 /**
  * @enum {string}
  */
@@ -505,6 +606,80 @@ class Draw extends PointerInteraction {
         : shiftKeyOnly;
     }
 
+    /**
+     * @private
+     * @type {import("../events/condition.js").Condition}
+     */
+    this.traceCondition_ =
+      typeof options.trace === 'function'
+        ? options.trace
+        : options.trace
+        ? always
+        : FALSE;
+
+    /**
+     * Index of the segments of the features to trace.
+     * @private
+     * @type {Snap|null}
+     */
+    this.traceSnap_ =
+      options.trace && options.traceSource
+        ? new Snap({source: options.traceSource})
+        : null;
+
+    /**
+     * @private
+     * @type {TraceState}
+     */
+    this.traceState_ = {active: false, count: 0};
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.geodesic_ = !!options.geodesic;
+
+    /**
+     * @private
+     * @type {AngleConstraint}
+     */
+    this.constraint_ = options.constraint
+      ? options.constraint
+      : AngleConstraint.NONE;
+
+    /**
+     * Reference segment for the parallel constraint.
+     * @private
+     * @type {Array<import("../coordinate.js").Coordinate>|null}
+     */
+    this.referenceSegment_ = null;
+
+    /**
+     * @private
+     * @type {import("../events/condition.js").Condition}
+     */
+    this.pickCondition_ = options.pickCondition
+      ? options.pickCondition
+      : altKeyOnly;
+
+    /**
+     * Source of the reference segments.
+     * @private
+     * @type {VectorSource|null}
+     */
+    this.pickSource_ = options.traceSource ? options.traceSource : this.source_;
+
+    /**
+     * @private
+     * @type {function(number, number): string|null}
+     */
+    this.formatReadout_ =
+      typeof options.readout === 'function'
+        ? options.readout
+        : options.readout
+        ? getDefaultReadoutFunction(this.geodesic_)
+        : null;
+
     this.addChangeListener(InteractionProperty.ACTIVE, this.updateState_);
   }
 
@@ -516,6 +691,9 @@ class Draw extends PointerInteraction {
    */
   setMap(map) {
     super.setMap(map);
+    if (this.traceSnap_) {
+      this.traceSnap_.setMap(map);
+    }
     this.updateState_();
   }
 
@@ -539,6 +717,13 @@ class Draw extends PointerInteraction {
       // Avoid context menu for long taps when drawing on mobile
       event.originalEvent.preventDefault();
     }
+    if (
+      event.type === MapBrowserEventType.CLICK &&
+      this.pickCondition_(event) &&
+      this.pickReferenceSegment_(event.pixel)
+    ) {
+      return false;
+    }
     this.freehand_ =
       this.mode_ !== Mode.POINT && this.freehandCondition_(event);
     let move = event.type === MapBrowserEventType.POINTERMOVE;
@@ -665,7 +850,7 @@ class Draw extends PointerInteraction {
               this.finishDrawing();
             }
           } else {
-            this.addToDrawing_(event.coordinate);
+            this.addToDrawing_(this.constrain_(event.coordinate));
           }
         }
         pass = false;
@@ -706,7 +891,7 @@ class Draw extends PointerInteraction {
     }
 
     if (this.finishCoordinate_) {
-      this.modifyDrawing_(event.coordinate);
+      this.modifyDrawing_(this.constrain_(this.updateTrace_(event)));
     } else {
       this.createOrUpdateSketchPoint_(event.coordinate.slice());
     }
@@ -874,6 +1059,7 @@ class Draw extends PointerInteraction {
       const sketchLineGeom = this.sketchLine_.getGeometry();
       sketchLineGeom.setCoordinates(this.sketchLineCoords_);
     }
+    this.updateReadout_();
     this.updateSketchFeatures_();
   }
 
@@ -883,6 +1069,12 @@ class Draw extends PointerInteraction {
    * @private
    */
   addToDrawing_(coordinate) {
+    const traceState = this.traceState_;
+    if (traceState.active) {
+      // traced vertices become part of the sketch
+      traceState.count = 0;
+      traceState.startIndex = traceState.endIndex;
+    }
     const geometry = this.sketchFeature_.getGeometry();
     const projection = this.getMap().getView().getProjection();
     let done;
@@ -916,12 +1108,474 @@ class Draw extends PointerInteraction {
       this.geometryFunction_(this.sketchCoords_, geometry, projection);
     }
     this.createOrUpdateSketchPoint_(coordinate.slice());
+    this.updateReadout_();
     this.updateSketchFeatures_();
     if (done) {
       this.finishDrawing();
     }
   }
 
+  /**
+   * Update the traced vertices of the sketch for a pointer move.
+   * @param {import("../MapBrowserEvent.js").default} event Event.
+   * @return {import("../coordinate.js").Coordinate} Coordinate for the vertex
+   *     following the pointer.
+   * @private
+   */
+  updateTrace_(event) {
+    const mode = this.mode_;
+    if (
+      !this.traceSnap_ ||
+      this.freehand_ ||
+      (mode !== Mode.LINE_STRING && mode !== Mode.POLYGON)
+    ) {
+      return event.coordinate;
+    }
+    this.removeTracedVertices_();
+    const state = this.traceState_;
+    const target = this.traceCondition_(event)
+      ? this.getTraceTarget_(event.pixel)
+      : null;
+    if (!target) {
+      state.active = false;
+      return event.coordinate;
+    }
+    if (
+      !state.active ||
+      state.feature !== target.feature ||
+      state.partIndex !== target.partIndex
+    ) {
+      // entering a new line or ring
+      state.feature = target.feature;
+      state.partIndex = target.partIndex;
+      state.startIndex = target.index;
+    }
+    state.active = true;
+    state.endIndex = target.index;
+
+    const part = target.part;
+    const path = getTracePath(
+      part.coordinates,
+      part.ring,
+      state.startIndex,
+      target.index
+    );
+    const coordinates = this.getSketchLineCoordinates_();
+    const lastFixed = coordinates[coordinates.length - 2];
+    if (lastFixed && path.length > 0 && equals(lastFixed, path[0])) {
+      path.shift();
+    }
+    coordinates.splice(coordinates.length - 1, 0, ...path);
+    state.count = path.length;
+    return interpolateIndex(part.coordinates, target.index);
+  }
+
+  /**
+   * Remove traced vertices that were not added to the sketch by a click.
+   * @private
+   */
+  removeTracedVertices_() {
+    const state = this.traceState_;
+    if (state.count > 0) {
+      const coordinates = this.getSketchLineCoordinates_();
+      coordinates.splice(coordinates.length - 1 - state.count, state.count);
+      state.count = 0;
+    }
+  }
+
+  /**
+   * @return {LineCoordType} The coordinates of the line or polygon ring being
+   *     drawn.
+   * @private
+   */
+  getSketchLineCoordinates_() {
+    return this.mode_ === Mode.POLYGON
+      ? /** @type {PolyCoordType} */ (this.sketchCoords_)[0]
+      : /** @type {LineCoordType} */ (this.sketchCoords_);
+  }
+
+  /**
+   * Find the closest line or ring to trace within the snap tolerance.
+   * @param {import("../pixel.js").Pixel} pixel Pixel.
+   * @return {{feature: import("../Feature.js").default, partIndex: number, part: TracePart, index: number}|null}
+   *     Trace target, with the fractional index of the closest point.
+   * @private
+   */
+  getTraceTarget_(pixel) {
+    const map = this.getMap();
+    const tolerance = this.snapTolerance_;
+    const coordinate = map.getCoordinateFromPixel(pixel);
+    const box = boundingExtent([
+      map.getCoordinateFromPixel([pixel[0] - tolerance, pixel[1] + tolerance]),
+      map.getCoordinateFromPixel([pixel[0] + tolerance, pixel[1] - tolerance]),
+    ]);
+    const segments = this.traceSnap_.getSegmentsInExtent(box);
+    let closest = null;
+    let minSquaredDistance = Infinity;
+    for (let i = 0, ii = segments.length; i < ii; ++i) {
+      const segment = segments[i].segment;
+      if (segment.length === 2) {
+        const point = closestOnSegment(coordinate, segment);
+        const squaredDistance = squaredCoordinateDistance(coordinate, point);
+        if (squaredDistance < minSquaredDistance) {
+          minSquaredDistance = squaredDistance;
+          closest = segments[i];
+        }
+      }
+    }
+    if (!closest) {
+      return null;
+    }
+    const point = closestOnSegment(coordinate, closest.segment);
+    const pointPixel = map.getPixelFromCoordinate(point);
+    const dx = pointPixel[0] - pixel[0];
+    const dy = pointPixel[1] - pixel[1];
+    if (dx * dx + dy * dy > tolerance * tolerance) {
+      return null;
+    }
+    const parts = getTraceParts(closest.feature.getGeometry());
+    const [start, end] = closest.segment;
+    for (let i = 0, ii = parts.length; i < ii; ++i) {
+      const partCoordinates = parts[i].coordinates;
+      for (let j = 0, jj = partCoordinates.length - 1; j < jj; ++j) {
+        if (
+          equals(partCoordinates[j], start) &&
+          equals(partCoordinates[j + 1], end)
+        ) {
+          const length = distance(start, end);
+          return {
+            feature: closest.feature,
+            partIndex: i,
+            part: parts[i],
+            index: j + (length > 0 ? distance(start, point) / length : 0),
+          };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Apply the angle constraint to the coordinate of the vertex following the
+   * pointer.
+   * @param {import("../coordinate.js").Coordinate} coordinate Coordinate.
+   * @return {import("../coordinate.js").Coordinate} Constrained coordinate.
+   * @private
+   */
+  constrain_(coordinate) {
+    const mode = this.mode_;
+    const constraint = this.constraint_;
+    if (
+      constraint === AngleConstraint.NONE ||
+      this.freehand_ ||
+      this.traceState_.active ||
+      (mode !== Mode.LINE_STRING && mode !== Mode.POLYGON)
+    ) {
+      return coordinate;
+    }
+    const coordinates = this.getSketchLineCoordinates_();
+    if (coordinates.length < 2) {
+      return coordinate;
+    }
+    const last = coordinates[coordinates.length - 2];
+    let reference = 0;
+    let step;
+    if (constraint === AngleConstraint.PARALLEL) {
+      const segment = this.referenceSegment_;
+      if (!segment) {
+        return coordinate;
+      }
+      reference = Math.atan2(
+        segment[1][1] - segment[0][1],
+        segment[1][0] - segment[0][0]
+      );
+      step = Math.PI;
+    } else {
+      step =
+        constraint === AngleConstraint.ORTHOGONAL ? Math.PI / 2 : Math.PI / 4;
+      if (coordinates.length > 2) {
+        const previous = coordinates[coordinates.length - 3];
+        reference = Math.atan2(last[1] - previous[1], last[0] - previous[0]);
+      }
+    }
+    const dx = coordinate[0] - last[0];
+    const dy = coordinate[1] - last[1];
+    const angle =
+      reference + Math.round((Math.atan2(dy, dx) - reference) / step) * step;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    // project the pointer onto the constrained direction
+    const length = dx * cos + dy * sin;
+    const constrained = coordinate.slice();
+    constrained[0] = last[0] + length * cos;
+    constrained[1] = last[1] + length * sin;
+    return constrained;
+  }
+
+  /**
+   * Pick the segment closest to a pixel as reference for the parallel
+   * constraint.
+   * @param {import("../pixel.js").Pixel} pixel Pixel.
+   * @return {boolean} A segment was picked.
+   * @private
+   */
+  pickReferenceSegment_(pixel) {
+    const source = this.pickSource_;
+    if (!source) {
+      return false;
+    }
+    const map = this.getMap();
+    const tolerance = this.snapTolerance_;
+    const coordinate = map.getCoordinateFromPixel(pixel);
+    const box = boundingExtent([
+      map.getCoordinateFromPixel([pixel[0] - tolerance, pixel[1] + tolerance]),
+      map.getCoordinateFromPixel([pixel[0] + tolerance, pixel[1] - tolerance]),
+    ]);
+    const features = source.getFeaturesInExtent(box);
+    let closest = null;
+    let minSquaredDistance = Infinity;
+    for (let i = 0, ii = features.length; i < ii; ++i) {
+      const geometry = features[i].getGeometry();
+      const parts = geometry ? getTraceParts(geometry) : [];
+      for (let j = 0, jj = parts.length; j < jj; ++j) {
+        const partCoordinates = parts[j].coordinates;
+        for (let k = 0, kk = partCoordinates.length - 1; k < kk; ++k) {
+          const segment = [partCoordinates[k], partCoordinates[k + 1]];
+          const point = closestOnSegment(coordinate, segment);
+          const squaredDistance = squaredCoordinateDistance(coordinate, point);
+          if (squaredDistance < minSquaredDistance) {
+            minSquaredDistance = squaredDistance;
+            closest = segment;
+          }
+        }
+      }
+    }
+    if (!closest) {
+      return false;
+    }
+    const pointPixel = map.getPixelFromCoordinate(
+      closestOnSegment(coordinate, closest)
+    );
+    const dx = pointPixel[0] - pixel[0];
+    const dy = pointPixel[1] - pixel[1];
+    if (dx * dx + dy * dy > tolerance * tolerance) {
+      return false;
+    }
+    this.setConstraint(AngleConstraint.PARALLEL, closest);
+    return true;
+  }
+
+  /**
+   * Label the sketch point with the length and bearing of the segment being
+   * drawn.
+   * @private
+   */
+  updateReadout_() {
+    if (!this.formatReadout_ || !this.sketchPoint_) {
+      return;
+    }
+    const length = this.getSegmentLength();
+    this.sketchPoint_.set(
+      'readout',
+      length === null
+        ? undefined
+        : this.formatReadout_(length, this.getSegmentBearing())
+    );
+  }
+
+  /**
+   * @return {import("../proj/Projection.js").default} Projection of the sketch
+   *     coordinates.
+   * @private
+   */
+  getSketchProjection_() {
+    return getUserProjection() || this.getMap().getView().getProjection();
+  }
+
+  /**
+   * @return {Array<import("../coordinate.js").Coordinate>|null} The segment
+   *     from the last vertex to the pointer.
+   * @private
+   */
+  getSegment_() {
+    const last = this.getLastVertex();
+    if (!last) {
+      return null;
+    }
+    const coordinates = this.getSketchLineCoordinates_();
+    return [last, coordinates[coordinates.length - 1].slice()];
+  }
+
+  /**
+   * Get the feature currently being drawn.
+   * @return {Feature<import("../geom/SimpleGeometry.js").default>|null} The sketch feature, or
+   * `null` when not drawing.
+   * @api
+   */
+  getSketchFeature() {
+    return this.sketchFeature_;
+  }
+
+  /**
+   * Get the last vertex that was added to the feature currently being drawn,
+   * i.e. not the one following the pointer.
+   * @return {import("../coordinate.js").Coordinate|null} The last vertex, or
+   * `null` when not drawing a line string, polygon or circle.
+   * @api
+   */
+  getLastVertex() {
+    if (!this.sketchFeature_) {
+      return null;
+    }
+    let coordinates;
+    if (this.mode_ === Mode.LINE_STRING || this.mode_ === Mode.CIRCLE) {
+      coordinates = /** @type {LineCoordType} */ (this.sketchCoords_);
+    } else if (this.mode_ === Mode.POLYGON) {
+      coordinates = /** @type {PolyCoordType} */ (this.sketchCoords_)[0];
+    } else {
+      return null;
+    }
+    return coordinates.length >= 2
+      ? coordinates[coordinates.length - 2].slice()
+      : null;
+  }
+
+  /**
+   * Get the length of the segment from the last vertex to the pointer. In
+   * `geodesic` mode, the length is in meters, computed with
+   * {@link module:ol/sphere.getLength}, otherwise in map units.
+   * @return {number|null} The length, or `null` when not drawing a line
+   * string, polygon or circle.
+   * @api
+   */
+  getSegmentLength() {
+    const segment = this.getSegment_();
+    if (!segment) {
+      return null;
+    }
+    if (this.geodesic_) {
+      return getLength(new LineString(segment), {
+        projection: this.getSketchProjection_(),
+      });
+    }
+    return distance(segment[0], segment[1]);
+  }
+
+  /**
+   * Get the bearing of the segment from the last vertex to the pointer.
+   * @return {number|null} The bearing in radians, clockwise from north, or
+   * `null` when not drawing a line string, polygon or circle.
+   * @api
+   */
+  getSegmentBearing() {
+    const segment = this.getSegment_();
+    if (!segment) {
+      return null;
+    }
+    let bearing;
+    if (this.geodesic_) {
+      const projection = this.getSketchProjection_();
+      bearing = getBearing(
+        toLonLat(segment[0], projection),
+        toLonLat(segment[1], projection)
+      );
+    } else {
+      bearing = Math.atan2(
+        segment[1][0] - segment[0][0],
+        segment[1][1] - segment[0][1]
+      );
+    }
+    return modulo(bearing, 2 * Math.PI);
+  }
+
+  /**
+   * Set the constraint for the direction of the segment following the pointer.
+   * @param {AngleConstraint} constraint Constraint.
+   * @param {Array<import("../coordinate.js").Coordinate>} [opt_segment]
+   * Reference segment for the `'parallel'` constraint. By default, the last
+   * picked or set segment is used.
+   * @api
+   */
+  setConstraint(constraint, opt_segment) {
+    this.constraint_ = constraint;
+    if (opt_segment) {
+      this.referenceSegment_ = [opt_segment[0].slice(), opt_segment[1].slice()];
+    }
+  }
+
+  /**
+   * Get the constraint for the direction of the segment following the pointer.
+   * @return {AngleConstraint} Constraint.
+   * @api
+   */
+  getConstraint() {
+    return this.constraint_;
+  }
+
+  /**
+   * Add a vertex at a coordinate to the feature currently being drawn, or
+   * start drawing there. Points are finished right away.
+   * @param {import("../coordinate.js").Coordinate} coordinate Coordinate.
+   * @param {import("../proj.js").ProjectionLike} [opt_projection] Projection of
+   * the coordinate. By default, the coordinate is in the projection of the map.
+   * @api
+   */
+  addVertex(coordinate, opt_projection) {
+    if (opt_projection) {
+      coordinate = transform(
+        coordinate,
+        opt_projection,
+        this.getSketchProjection_()
+      );
+    }
+    if (!this.finishCoordinate_) {
+      this.createOrUpdateSketchPoint_(coordinate.slice());
+      this.startDrawing_(coordinate);
+      if (this.mode_ === Mode.POINT) {
+        this.finishDrawing();
+      }
+      return;
+    }
+    this.removeTracedVertices_();
+    this.traceState_.active = false;
+    this.modifyDrawing_(coordinate);
+    this.addToDrawing_(coordinate);
+  }
+
+  /**
+   * Add a vertex at a distance from the last vertex to the feature currently
+   * being drawn. Does nothing when not drawing a line string, polygon or
+   * circle.
+   * @param {number} length Length of the segment. In `geodesic` mode, the
+   * length is in meters, otherwise in map units.
+   * @param {number} [opt_bearing] Bearing of the segment in radians, clockwise
+   * from north. By default, the bearing of the segment following the pointer is
+   * used, so a typed length can be combined with the angle constraint.
+   * @api
+   */
+  addVertexAtDistance(length, opt_bearing) {
+    const last = this.getLastVertex();
+    if (!last) {
+      return;
+    }
+    const bearing =
+      opt_bearing !== undefined ? opt_bearing : this.getSegmentBearing();
+    let coordinate;
+    if (this.geodesic_) {
+      const projection = this.getSketchProjection_();
+      coordinate = fromLonLat(
+        offset(toLonLat(last, projection), length, bearing),
+        projection
+      );
+    } else {
+      coordinate = [
+        last[0] + length * Math.sin(bearing),
+        last[1] + length * Math.cos(bearing),
+      ];
+    }
+    this.addVertex(coordinate);
+  }
+
   /**
    * Remove last point of the feature currently being drawn. Does not do anything when
    * drawing POINT or MULTI_POINT geometries.
@@ -931,6 +1585,8 @@ class Draw extends PointerInteraction {
     if (!this.sketchFeature_) {
       return;
     }
+    this.removeTracedVertices_();
+    this.traceState_.active = false;
     const geometry = this.sketchFeature_.getGeometry();
     const projection = this.getMap().getView().getProjection();
     let coordinates;
@@ -1026,6 +1682,7 @@ class Draw extends PointerInteraction {
    * @private
    */
   abortDrawing_() {
+    this.traceState_ = {active: false, count: 0};
     this.finishCoordinate_ = null;
     const sketchFeature = this.sketchFeature_;
     this.sketchFeature_ = null;
@@ -1157,11 +1814,175 @@ class Draw extends PointerInteraction {
  */
 function getDefaultStyleFunction() {
   const styles = createEditingStyle();
+  const readoutStyle = new Style({
+    text: new Text({
+      font: '12px sans-serif',
+      offsetY: -12,
+      textBaseline: 'bottom',
+      fill: new Fill({
+        color: [0, 0, 0, 1],
+      }),
+      stroke: new Stroke({
+        color: [255, 255, 255, 1],
+        width: 3,
+      }),
+    }),
+  });
   return function (feature, resolution) {
-    return styles[feature.getGeometry().getType()];
+    const style = styles[feature.getGeometry().getType()];
+    const readout = feature.get('readout');
+    if (!readout) {
+      return style;
+    }
+    readoutStyle.getText().setText(readout);
+    return style.concat(readoutStyle);
   };
 }
 
+/**
+ * @param {boolean} geodesic Lengths are in meters.
+ * @return {function(number, number): string} Function that formats the length
+ *     and the bearing of the segment being drawn.
+ */
+function getDefaultReadoutFunction(geodesic) {
+  return function (length, bearing) {
+    let text;
+    if (!geodesic) {
+      text = length.toFixed(2);
+    } else if (length > 1000) {
+      text = (length / 1000).toFixed(2) + ' km';
+    } else {
+      text = length.toFixed(2) + ' m';
+    }
+    return text + ' ' + toDegrees(bearing).toFixed(1) + '°';
+  };
+}
+
+/**
+ * Get the lines and rings of a geometry that can be traced.
+ * @param {import("../geom/Geometry.js").default} geometry Geometry.
+ * @return {Array<TracePart>} Parts.
+ */
+function getTraceParts(geometry) {
+  /** @type {Array<Array<import("../coordinate.js").Coordinate>>} */
+  let lines = [];
+  switch (geometry.getType()) {
+    case GeometryType.LINE_STRING:
+    case GeometryType.LINEAR_RING:
+      lines = [/** @type {LineString} */ (geometry).getCoordinates()];
+      break;
+    case GeometryType.MULTI_LINE_STRING:
+    case GeometryType.POLYGON:
+      lines = /** @type {MultiLineString|Polygon} */ (
+        geometry
+      ).getCoordinates();
+      break;
+    case GeometryType.MULTI_POLYGON:
+      /** @type {MultiPolygon} */ (geometry)
+        .getCoordinates()
+        .forEach(function (rings) {
+          lines = lines.concat(rings);
+        });
+      break;
+    case GeometryType.GEOMETRY_COLLECTION:
+      return /** @type {import("../geom/GeometryCollection.js").default} */ (
+        geometry
+      )
+        .getGeometriesArray()
+        .reduce(function (parts, geometry) {
+          return parts.concat(getTraceParts(geometry));
+        }, []);
+    default:
+      break;
+  }
+  return lines.map(function (coordinates) {
+    return {
+      coordinates: coordinates,
+      ring:
+        coordinates.length > 3 &&
+        equals(coordinates[0], coordinates[coordinates.length - 1]),
+    };
+  });
+}
+
+/**
+ * @param {Array<import("../coordinate.js").Coordinate>} coordinates Coordinates.
+ * @param {number} index Fractional index.
+ * @return {import("../coordinate.js").Coordinate} Coordinate at the index.
+ */
+function interpolateIndex(coordinates, index) {
+  const i = Math.floor(index);
+  if (i >= coordinates.length - 1) {
+    return coordinates[coordinates.length - 1].slice();
+  }
+  const t = index - i;
+  const start = coordinates[i];
+  const end = coordinates[i + 1];
+  return [
+    start[0] + t * (end[0] - start[0]),
+    start[1] + t * (end[1] - start[1]),
+  ];
+}
+
+/**
+ * @param {Array<import("../coordinate.js").Coordinate>} path Path.
+ * @return {number} Length of the path.
+ */
+function getPathLength(path) {
+  let length = 0;
+  for (let i = 1, ii = path.length; i < ii; ++i) {
+    length += distance(path[i - 1], path[i]);
+  }
+  return length;
+}
+
+/**
+ * Get the path along a line or ring between two fractional indices. The path
+ * starts with the coordinate at `from` and contains all vertices in between,
+ * but not the coordinate at `to`. For rings, the shorter direction is used.
+ * The path is empty when `from` and `to` are equal.
+ * @param {Array<import("../coordinate.js").Coordinate>} coordinates Coordinates.
+ * @param {boolean} ring The coordinates are a closed ring.
+ * @param {number} from Fractional index of the start.
+ * @param {number} to Fractional index of the end.
+ * @return {Array<import("../coordinate.js").Coordinate>} Path.
+ */
+function getTracePath(coordinates, ring, from, to) {
+  if (from === to) {
+    return [];
+  }
+  const start = interpolateIndex(coordinates, from);
+  if (!ring) {
+    const path = [start];
+    if (from < to) {
+      for (let k = Math.floor(from) + 1; k < to; ++k) {
+        path.push(coordinates[k].slice());
+      }
+    } else {
+      for (let k = Math.ceil(from) - 1; k > to; --k) {
+        path.push(coordinates[k].slice());
+      }
+    }
+    return path;
+  }
+  const n = coordinates.length - 1;
+  const forward = [start];
+  const forwardTo = (to - from + n) % n;
+  for (let k = Math.floor(from) + 1; k - from < forwardTo; ++k) {
+    forward.push(coordinates[k % n].slice());
+  }
+  const backward = [start];
+  const backwardTo = (from - to + n) % n;
+  for (let k = Math.ceil(from) - 1; from - k < backwardTo; --k) {
+    backward.push(coordinates[((k % n) + n) % n].slice());
+  }
+  const end = interpolateIndex(coordinates, to);
+  return getPathLength(forward.concat([end])) <=
+    getPathLength(backward.concat([end]))
+    ? forward
+    : backward;
+}
+
 /**
  * Create a `geometryFunction` for `type: 'Circle'` that will create a regular
  * polygon with a user specified number of sides and start angle instead of a
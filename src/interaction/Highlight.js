@@ -0,0 +1,533 @@
+/**
+ * @module ol/interaction/Highlight
+ */
+import Event from '../events/Event.js';
+import Feature from '../Feature.js';
+import Interaction from './Interaction.js';
+import InteractionProperty from './Property.js';
+import PointerEventType from '../pointer/EventType.js';
+import {TRUE} from '../functions.js';
+import {getUid} from '../util.js';
+import {includes} from '../array.js';
+import {listen, unlistenByKey} from '../events.js';
+import {pointerMove, shiftKeyOnly, singleClick} from '../events/condition.js';
+import {setFeatureState} from '../featureState.js';
+
+/**
+ * Feature states managed by the highlight interaction.
+ * @enum {string}
+ */
+export const HighlightState = {
+  /**
+   * The feature is under the pointer.
+   * @api
+   */
+  HOVER: 'hover',
+  /**
+   * The feature was clicked.
+   * @api
+   */
+  SELECTED: 'selected',
+  /**
+   * The feature is the last clicked feature.
+   * @api
+   */
+  ACTIVE: 'active',
+};
+
+/**
+ * @enum {string}
+ */
+const HighlightEventType = {
+  /**
+   * Triggered when the features in a state have changed.
+   * @event HighlightEvent#highlight
+   * @api
+   */
+  HIGHLIGHT: 'highlight',
+};
+
+/**
+ * A function that takes an {@link module:ol/Feature~Feature} or
+ * {@link module:ol/render/Feature~RenderFeature} and an
+ * {@link module:ol/layer/Layer~Layer} and returns `true` if the feature may be
+ * highlighted or `false` otherwise.
+ * @typedef {function(import("../Feature.js").FeatureLike, import("../layer/Layer.js").default<import("../source/Source").default>):boolean} FilterFunction
+ */
+
+/**
+ * @typedef {Object} Options
+ * @property {import("../events/condition.js").Condition} [hoverCondition] A
+ * function that takes an {@link module:ol/MapBrowserEvent~MapBrowserEvent} and
+ * returns a boolean to indicate whether the hovered feature should be updated.
+ * Default is {@link module:ol/events/condition.pointerMove}. Use
+ * {@link module:ol/events/condition.never} to disable hovering.
+ * @property {import("../events/condition.js").Condition} [selectCondition] A
+ * function that takes an {@link module:ol/MapBrowserEvent~MapBrowserEvent} and
+ * returns a boolean to indicate whether the selected features should be
+ * replaced by the clicked feature(s). Default is
+ * {@link module:ol/events/condition.singleClick}.
+ * @property {import("../events/condition.js").Condition} [toggleCondition] A
+ * function that takes an {@link module:ol/MapBrowserEvent~MapBrowserEvent} and
+ * returns a boolean to indicate whether the clicked feature(s) should be added
+ * to or removed from the selected features. This is checked on the events
+ * that match the `selectCondition`. Default is
+ * {@link module:ol/events/condition.shiftKeyOnly}.
+ * @property {Array<import("../layer/Layer.js").default>|function(import("../layer/Layer.js").default<import("../source/Source").default>): boolean} [layers]
+ * A list of layers from which features should be highlighted. Alternatively, a
+ * filter function can be provided. The function will be called for each layer
+ * in the map and should return `true` for layers that you want to be
+ * highlightable. If the option is absent, all visible layers will be
+ * considered.
+ * @property {FilterFunction} [filter] A function that takes an
+ * {@link module:ol/Feature~Feature} and an {@link module:ol/layer/Layer~Layer}
+ * and returns `true` if the feature may be highlighted or `false` otherwise.
+ * @property {boolean} [multi=false] A boolean that determines if the default
+ * behaviour should select only single features or all (overlapping) features
+ * at the clicked map position.
+ * @property {number} [hitTolerance=0] Hit-detection tolerance. Pixels inside
+ * the radius around the given position will be checked for features.
+ */
+
+/**
+ * @classdesc
+ * Events emitted by {@link module:ol/interaction/Highlight~Highlight} instances
+ * are instances of this type.
+ */
+export class HighlightEvent extends Event {
+  /**
+   * @param {HighlightEventType} type The event type.
+   * @param {HighlightState} state The changed state.
+   * @param {Array<import("../Feature.js").FeatureLike>} added Features that
+   *     are now in the state.
+   * @param {Array<import("../Feature.js").FeatureLike>} removed Features that
+   *     are no longer in the state.
+   * @param {import("../MapBrowserEvent.js").default} [mapBrowserEvent]
+   *     Associated {@link module:ol/MapBrowserEvent~MapBrowserEvent}.
+   */
+  constructor(type, state, added, removed, mapBrowserEvent) {
+    super(type);
+
+    /**
+     * The changed state.
+     * @type {HighlightState}
+     * @api
+     */
+    this.state = state;
+
+    /**
+     * Features that are now in the state.
+     * @type {Array<import("../Feature.js").FeatureLike>}
+     * @api
+     */
+    this.added = added;
+
+    /**
+     * Features that are no longer in the state.
+     * @type {Array<import("../Feature.js").FeatureLike>}
+     * @api
+     */
+    this.removed = removed;
+
+    /**
+     * Associated {@link module:ol/MapBrowserEvent~MapBrowserEvent}, if the
+     * state changed because of a map browser event.
+     * @type {import("../MapBrowserEvent.js").default|undefined}
+     * @api
+     */
+    this.mapBrowserEvent = mapBrowserEvent;
+  }
+}
+
+/***
+ * @template Return
+ * @typedef {import("../Observable").OnSignature<import("../Observable").EventTypes, import("../events/Event.js").default, Return> &
+ *   import("../Observable").OnSignature<import("../ObjectEventType").Types|
+ *     'change:active', import("../Object").ObjectEvent, Return> &
+ *   import("../Observable").OnSignature<'highlight', HighlightEvent, Return> &
+ *   import("../Observable").CombinedOnSignature<import("../Observable").EventTypes|import("../ObjectEventType").Types|
+ *     'change:active'|'highlight', Return>} HighlightOnSignature
+ */
+
+/**
+ * @classdesc
+ * Interaction for highlighting vector features. Instead of changing feature
+ * styles or properties, it sets the `hover`, `selected` and `active` feature
+ * state (see {@link module:ol/featureState}). Style functions can read the
+ * state with {@link module:ol/featureState.getFeatureState}, and literal styles
+ * of {@link module:ol/layer/WebGLPoints~WebGLPointsLayer} with the
+ * `['feature-state', key]` expression operator:
+ * ```js
+ * const layer = new WebGLPointsLayer({
+ *   source: source,
+ *   style: {
+ *     symbol: {
+ *       symbolType: 'circle',
+ *       size: ['+', 8, ['*', 4, ['feature-state', 'hover']]],
+ *       color: [
+ *         'case',
+ *         ['==', ['feature-state', 'selected'], 1],
+ *         'red',
+ *         'blue',
+ *       ],
+ *     },
+ *   },
+ * });
+ * map.addInteraction(new Highlight({layers: [layer]}));
+ * ```
+ *
+ * @fires HighlightEvent
+ * @api
+ */
+class Highlight extends Interaction {
+  /**
+   * @param {Options} [opt_options] Options.
+   */
+  constructor(opt_options) {
+    super();
+
+    /***
+     * @type {HighlightOnSignature<import("../events").EventsKey>}
+     */
+    this.on;
+
+    /***
+     * @type {HighlightOnSignature<import("../events").EventsKey>}
+     */
+    this.once;
+
+    /***
+     * @type {HighlightOnSignature<void>}
+     */
+    this.un;
+
+    const options = opt_options ? opt_options : {};
+
+    /**
+     * @private
+     * @type {import("../events/condition.js").Condition}
+     */
+    this.hoverCondition_ = options.hoverCondition
+      ? options.hoverCondition
+      : pointerMove;
+
+    /**
+     * @private
+     * @type {import("../events/condition.js").Condition}
+     */
+    this.selectCondition_ = options.selectCondition
+      ? options.selectCondition
+      : singleClick;
+
+    /**
+     * @private
+     * @type {import("../events/condition.js").Condition}
+     */
+    this.toggleCondition_ = options.toggleCondition
+      ? options.toggleCondition
+      : shiftKeyOnly;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.multi_ = options.multi ? options.multi : false;
+
+    /**
+     * @private
+     * @type {FilterFunction}
+     */
+    this.filter_ = options.filter ? options.filter : TRUE;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.hitTolerance_ = options.hitTolerance ? options.hitTolerance : 0;
+
+    /** @type {function(import("../layer/Layer.js").default<import("../source/Source").default>): boolean} */
+    let layerFilter;
+    if (options.layers) {
+      if (typeof options.layers === 'function') {
+        layerFilter = options.layers;
+      } else {
+        const layers = options.layers;
+        layerFilter = function (layer) {
+          return includes(layers, layer);
+        };
+      }
+    } else {
+      layerFilter = TRUE;
+    }
+
+    /**
+     * @private
+     * @type {function(import("../layer/Layer.js").default<import("../source/Source").default>): boolean}
+     */
+    this.layerFilter_ = layerFilter;
+
+    /**
+     * Features in each state.
+     * @private
+     * @type {Object<string, Array<import("../Feature.js").FeatureLike>>}
+     */
+    this.features_ = {};
+    this.features_[HighlightState.HOVER] = [];
+    this.features_[HighlightState.SELECTED] = [];
+    this.features_[HighlightState.ACTIVE] = [];
+
+    /**
+     * Layers of hit render features, by feature uid. Render features do not
+     * dispatch change events, so their layers are changed to render a new
+     * state.
+     * @private
+     * @type {Object<string, import("../layer/Layer.js").default>}
+     */
+    this.renderFeatureLayers_ = {};
+
+    /**
+     * @private
+     * @type {?import("../events.js").EventsKey}
+     */
+    this.leaveListenerKey_ = null;
+
+    this.addChangeListener(
+      InteractionProperty.ACTIVE,
+      this.handleActiveChanged_
+    );
+  }
+
+  /**
+   * Get the feature under the pointer.
+   * @return {import("../Feature.js").FeatureLike|null} Hovered feature.
+   * @api
+   */
+  getHovered() {
+    const features = this.features_[HighlightState.HOVER];
+    return features.length ? features[0] : null;
+  }
+
+  /**
+   * Get the selected features.
+   * @return {Array<import("../Feature.js").FeatureLike>} Selected features.
+   * @api
+   */
+  getSelected() {
+    return this.features_[HighlightState.SELECTED].slice();
+  }
+
+  /**
+   * Set the selected features.
+   * @param {Array<import("../Feature.js").FeatureLike>} features Features.
+   * @api
+   */
+  setSelected(features) {
+    this.setFeatures_(HighlightState.SELECTED, features);
+  }
+
+  /**
+   * Get the active feature, i.e. the last clicked feature.
+   * @return {import("../Feature.js").FeatureLike|null} Active feature.
+   * @api
+   */
+  getActiveFeature() {
+    const features = this.features_[HighlightState.ACTIVE];
+    return features.length ? features[0] : null;
+  }
+
+  /**
+   * Set the active feature.
+   * @param {import("../Feature.js").FeatureLike|null} feature Feature.
+   * @api
+   */
+  setActiveFeature(feature) {
+    this.setFeatures_(HighlightState.ACTIVE, feature ? [feature] : []);
+  }
+
+  /**
+   * Remove the states set by this interaction from all features.
+   * @api
+   */
+  clear() {
+    for (const state in this.features_) {
+      this.setFeatures_(/** @type {HighlightState} */ (state), []);
+    }
+  }
+
+  /**
+   * Remove the interaction from its current map, if any, and attach it to a
+   * new map, if any. States set by the interaction are cleared.
+   * @param {import("../PluggableMap.js").default} map Map.
+   * @api
+   */
+  setMap(map) {
+    if (this.leaveListenerKey_) {
+      unlistenByKey(this.leaveListenerKey_);
+      this.leaveListenerKey_ = null;
+    }
+    this.clear();
+    super.setMap(map);
+    if (map) {
+      this.leaveListenerKey_ = listen(
+        map.getViewport(),
+        PointerEventType.POINTERLEAVE,
+        this.handleLeave_,
+        this
+      );
+    }
+  }
+
+  /**
+   * Handles the {@link module:ol/MapBrowserEvent map browser event} and may
+   * change the state of features.
+   * @param {import("../MapBrowserEvent.js").default} mapBrowserEvent Map browser event.
+   * @return {boolean} `false` to stop event propagation.
+   */
+  handleEvent(mapBrowserEvent) {
+    if (this.hoverCondition_(mapBrowserEvent)) {
+      const hits = this.getFeaturesAtPixel_(mapBrowserEvent, false);
+      this.setFeatures_(HighlightState.HOVER, hits, mapBrowserEvent);
+    }
+    if (this.selectCondition_(mapBrowserEvent)) {
+      const hits = this.getFeaturesAtPixel_(mapBrowserEvent, this.multi_);
+      let selected = hits;
+      if (this.toggleCondition_(mapBrowserEvent)) {
+        const current = this.features_[HighlightState.SELECTED];
+        selected = current
+          .filter(function (feature) {
+            return !includes(hits, feature);
+          })
+          .concat(
+            hits.filter(function (feature) {
+              return !includes(current, feature);
+            })
+          );
+      }
+      this.setFeatures_(HighlightState.SELECTED, selected, mapBrowserEvent);
+      this.setFeatures_(
+        HighlightState.ACTIVE,
+        hits.length && includes(selected, hits[0]) ? [hits[0]] : [],
+        mapBrowserEvent
+      );
+    }
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  handleActiveChanged_() {
+    if (!this.getActive()) {
+      this.setFeatures_(HighlightState.HOVER, []);
+    }
+  }
+
+  /**
+   * @private
+   */
+  handleLeave_() {
+    this.setFeatures_(HighlightState.HOVER, []);
+  }
+
+  /**
+   * @param {import("../MapBrowserEvent.js").default} mapBrowserEvent Map browser event.
+   * @param {boolean} multi Get all features instead of the top one.
+   * @return {Array<import("../Feature.js").FeatureLike>} Features.
+   * @private
+   */
+  getFeaturesAtPixel_(mapBrowserEvent, multi) {
+    const features = [];
+    mapBrowserEvent.map.forEachFeatureAtPixel(
+      mapBrowserEvent.pixel,
+      /**
+       * @param {import("../Feature.js").FeatureLike} feature Feature.
+       * @param {import("../layer/Layer.js").default} layer Layer.
+       * @return {boolean|undefined} Continue to iterate over the features.
+       */
+      function (feature, layer) {
+        if (this.filter_(feature, layer) && !includes(features, feature)) {
+          if (!(feature instanceof Feature)) {
+            this.renderFeatureLayers_[getUid(feature)] = layer;
+          }
+          features.push(feature);
+          return !multi;
+        }
+      }.bind(this),
+      {
+        layerFilter: this.layerFilter_,
+        hitTolerance: this.hitTolerance_,
+      }
+    );
+    return features;
+  }
+
+  /**
+   * Replace the features in a state.
+   * @param {HighlightState} state State.
+   * @param {Array<import("../Feature.js").FeatureLike>} features Features.
+   * @param {import("../MapBrowserEvent.js").default} [opt_mapBrowserEvent] Map browser event.
+   * @private
+   */
+  setFeatures_(state, features, opt_mapBrowserEvent) {
+    const current = this.features_[state];
+    const removed = current.filter(function (feature) {
+      return !includes(features, feature);
+    });
+    const added = features.filter(function (feature) {
+      return !includes(current, feature);
+    });
+    if (!added.length && !removed.length) {
+      return;
+    }
+    const value = {};
+    value[state] = undefined;
+    for (let i = 0, ii = removed.length; i < ii; ++i) {
+      setFeatureState(removed[i], value);
+    }
+    value[state] = true;
+    for (let i = 0, ii = added.length; i < ii; ++i) {
+      setFeatureState(added[i], value);
+    }
+    const layers = [];
+    removed.concat(added).forEach(function (feature) {
+      const layer = this.renderFeatureLayers_[getUid(feature)];
+      if (layer && !includes(layers, layer)) {
+        layers.push(layer);
+      }
+    }, this);
+    this.features_[state] = features.slice();
+    this.pruneRenderFeatureLayers_();
+    for (let i = 0, ii = layers.length; i < ii; ++i) {
+      layers[i].changed();
+    }
+    this.dispatchEvent(
+      new HighlightEvent(
+        HighlightEventType.HIGHLIGHT,
+        state,
+        added,
+        removed,
+        opt_mapBrowserEvent
+      )
+    );
+  }
+
+  /**
+   * Forget the layers of render features that are not in any state.
+   * @private
+   */
+  pruneRenderFeatureLayers_() {
+    const highlighted = {};
+    for (const state in this.features_) {
+      this.features_[state].forEach(function (feature) {
+        highlighted[getUid(feature)] = true;
+      });
+    }
+    for (const uid in this.renderFeatureLayers_) {
+      if (!highlighted[uid]) {
+        delete this.renderFeatureLayers_[uid];
+      }
+    }
+  }
+}
+
+export default Highlight;
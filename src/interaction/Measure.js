@@ -0,0 +1,574 @@
+/**
+ * @module ol/interaction/Measure
+ */
+import Draw from './Draw.js';
+import Event from '../events/Event.js';
+import EventType from '../events/EventType.js';
+import GeometryType from '../geom/GeometryType.js';
+import LineString from '../geom/LineString.js';
+import Overlay from '../Overlay.js';
+import OverlayPositioning from '../OverlayPositioning.js';
+import {getArea, getBearing, getLength} from '../sphere.js';
+import {getUserProjection, toLonLat} from '../proj.js';
+import {listen, unlistenByKey} from '../events.js';
+import {modulo, toDegrees} from '../math.js';
+
+/**
+ * What to measure.
+ * @enum {string}
+ */
+export const MeasureType = {
+  /**
+   * Length of a single segment.
+   * @api
+   */
+  DISTANCE: 'distance',
+  /**
+   * Length of a path of several segments.
+   * @api
+   */
+  PATH: 'path',
+  /**
+   * Area of a polygon.
+   * @api
+   */
+  AREA: 'area',
+  /**
+   * Bearing and length of a single segment.
+   * @api
+   */
+  BEARING: 'bearing',
+};
+
+/**
+ * Units of the measurement tooltips. Supported values are `'imperial'`,
+ * `'nautical'`, `'metric'` and `'us'`.
+ * @enum {string}
+ */
+export const Units = {
+  IMPERIAL: 'imperial',
+  NAUTICAL: 'nautical',
+  METRIC: 'metric',
+  US: 'us',
+};
+
+/**
+ * Length units by {@link Units}, as pairs of meters per unit and symbol, from
+ * small to large.
+ * @type {Object<string, Array<Array<number|string>>>}
+ */
+const LENGTH_UNITS = {
+  'imperial': [
+    [0.3048, 'ft'],
+    [1609.344, 'mi'],
+  ],
+  'nautical': [[1852, 'NM']],
+  'metric': [
+    [1, 'm'],
+    [1000, 'km'],
+  ],
+  'us': [
+    [1200 / 3937, 'ft'],
+    [6336000 / 3937, 'mi'],
+  ],
+};
+
+/**
+ * @enum {string}
+ */
+const MeasureEventType = {
+  /**
+   * Triggered when the measurement changes while drawing.
+   * @event MeasureEvent#measurechange
+   * @api
+   */
+  MEASURECHANGE: 'measurechange',
+  /**
+   * Triggered when a measurement is finished.
+   * @event MeasureEvent#measureend
+   * @api
+   */
+  MEASUREEND: 'measureend',
+};
+
+/**
+ * @typedef {Object} Measurement
+ * @property {MeasureType} type What was measured.
+ * @property {number} length Length of the line, or perimeter of the polygon,
+ * in meters.
+ * @property {number} [area] Area of the polygon in square meters.
+ * @property {number} [bearing] Bearing of the last segment of the line in
+ * radians, clockwise from north.
+ */
+
+/**
+ * @typedef {Object} Options
+ * @property {MeasureType} [type='distance'] What to measure.
+ * @property {boolean} [geodesic=true] Measure on the sphere, with
+ * {@link module:ol/sphere.getLength} and {@link module:ol/sphere.getArea}.
+ * When `false`, lengths and areas are measured in the projection of the map.
+ * @property {Units} [units='metric'] Units of the tooltips.
+ * @property {function(Measurement, Units): string} [format] Function that
+ * formats a measurement for the tooltips.
+ * @property {import("../source/Vector.js").default} [source] Destination source
+ * for the measured features.
+ * @property {import("../events/condition.js").Condition} [condition] A function
+ * that takes an {@link module:ol/MapBrowserEvent~MapBrowserEvent} and returns a
+ * boolean to indicate whether that event should be handled. By default
+ * {@link module:ol/events/condition.noModifierKeys}.
+ * @property {number} [snapTolerance=12] Pixel distance for snapping to the
+ * drawing finish.
+ * @property {import("../style/Style.js").StyleLike} [style] Style of the
+ * measured line or polygon while it is drawn.
+ * @property {boolean} [wrapX=false] Wrap the world horizontally on the sketch
+ * overlay.
+ */
+
+/**
+ * @classdesc
+ * Events emitted by {@link module:ol/interaction/Measure~Measure} instances are
+ * instances of this type.
+ */
+export class MeasureEvent extends Event {
+  /**
+   * @param {MeasureEventType} type Type.
+   * @param {import("../Feature.js").default} feature The measured feature.
+   * @param {Measurement} measurement The measurement.
+   * @param {string} text The formatted measurement.
+   */
+  constructor(type, feature, measurement, text) {
+    super(type);
+
+    /**
+     * The measured feature.
+     * @type {import("../Feature.js").default}
+     * @api
+     */
+    this.feature = feature;
+
+    /**
+     * What was measured.
+     * @type {MeasureType}
+     * @api
+     */
+    this.measureType = measurement.type;
+
+    /**
+     * Length of the line, or perimeter of the polygon, in meters.
+     * @type {number}
+     * @api
+     */
+    this.length = measurement.length;
+
+    /**
+     * Area of the polygon in square meters, `undefined` for lines.
+     * @type {number|undefined}
+     * @api
+     */
+    this.area = measurement.area;
+
+    /**
+     * Bearing of the last segment of the line in radians, clockwise from
+     * north, `undefined` for polygons.
+     * @type {number|undefined}
+     * @api
+     */
+    this.bearing = measurement.bearing;
+
+    /**
+     * The measurement as shown in the tooltip.
+     * @type {string}
+     * @api
+     */
+    this.text = text;
+  }
+}
+
+/***
+ * @template Return
+ * @typedef {import("../Observable").OnSignature<import("../Observable").EventTypes, import("../events/Event.js").default, Return> &
+ *   import("../Observable").OnSignature<import("../ObjectEventType").Types|
+ *     'change:active', import("../Object").ObjectEvent, Return> &
+ *   import("../Observable").OnSignature<'drawabort'|'drawend'|'drawstart', import("./Draw.js").DrawEvent, Return> &
+ *   import("../Observable").OnSignature<'measurechange'|'measureend', MeasureEvent, Return> &
+ *   import("../Observable").CombinedOnSignature<import("../Observable").EventTypes|import("../ObjectEventType").Types|
+ *     'change:active'|'drawabort'|'drawend'|'drawstart'|'measurechange'|'measureend', Return>} MeasureOnSignature
+ */
+
+/**
+ * @param {number} value Length in meters or area in square meters.
+ * @param {Units} units Units.
+ * @param {number} power `1` for lengths, `2` for areas.
+ * @return {string} Formatted value.
+ */
+function formatValue(value, units, power) {
+  const lengthUnits = LENGTH_UNITS[units];
+  let i = lengthUnits.length - 1;
+  let factor = Math.pow(/** @type {number} */ (lengthUnits[i][0]), power);
+  while (i > 0 && value < factor) {
+    --i;
+    factor = Math.pow(/** @type {number} */ (lengthUnits[i][0]), power);
+  }
+  const symbol = lengthUnits[i][1] + (power === 2 ? '²' : '');
+  return (value / factor).toFixed(2) + ' ' + symbol;
+}
+
+/**
+ * @param {Measurement} measurement Measurement.
+ * @param {Units} units Units.
+ * @return {string} Text of the tooltip.
+ */
+function defaultFormat(measurement, units) {
+  switch (measurement.type) {
+    case MeasureType.AREA:
+      return formatValue(measurement.area, units, 2);
+    case MeasureType.BEARING:
+      return (
+        toDegrees(measurement.bearing).toFixed(1) +
+        '° ' +
+        formatValue(measurement.length, units, 1)
+      );
+    default:
+      return formatValue(measurement.length, units, 1);
+  }
+}
+
+/**
+ * @param {import("../geom/Geometry.js").default} geometry Line or polygon.
+ * @return {import("../coordinate.js").Coordinate} Last coordinate of the line
+ *     or outer ring.
+ */
+function getLastCoordinate(geometry) {
+  const simpleGeometry =
+    /** @type {import("../geom/SimpleGeometry.js").default} */ (geometry);
+  const flatCoordinates = simpleGeometry.getFlatCoordinates();
+  const stride = simpleGeometry.getStride();
+  const end =
+    geometry.getType() === GeometryType.POLYGON
+      ? /** @type {import("../geom/Polygon.js").default} */ (
+          geometry
+        ).getEnds()[0]
+      : flatCoordinates.length;
+  return end >= stride
+    ? flatCoordinates.slice(end - stride, end - stride + 2)
+    : null;
+}
+
+/**
+ * @classdesc
+ * Interaction for measuring distances, paths, areas and bearings. The
+ * measurement is drawn like with {@link module:ol/interaction/Draw~Draw} and
+ * shown in a tooltip while drawing. Tooltips of finished measurements stay on
+ * the map until {@link module:ol/interaction/Measure~Measure#clear} is called.
+ * The tooltips are {@link module:ol/Overlay~Overlay}s with the CSS classes
+ * `ol-tooltip` and `ol-tooltip-measure` while drawing, or `ol-tooltip-static`
+ * when finished.
+ *
+ * @fires MeasureEvent
+ * @api
+ */
+class Measure extends Draw {
+  /**
+   * @param {Options} [opt_options] Options.
+   */
+  constructor(opt_options) {
+    const options = opt_options ? opt_options : {};
+    const measureType = options.type ? options.type : MeasureType.DISTANCE;
+    const geodesic = options.geodesic !== false;
+    const singleSegment =
+      measureType === MeasureType.DISTANCE ||
+      measureType === MeasureType.BEARING;
+
+    super({
+      type:
+        measureType === MeasureType.AREA
+          ? GeometryType.POLYGON
+          : GeometryType.LINE_STRING,
+      maxPoints: singleSegment ? 2 : undefined,
+      geodesic: geodesic,
+      source: options.source,
+      condition: options.condition,
+      snapTolerance: options.snapTolerance,
+      style: options.style,
+      wrapX: options.wrapX,
+    });
+
+    /***
+     * @type {MeasureOnSignature<import("../events").EventsKey>}
+     */
+    this.on;
+
+    /***
+     * @type {MeasureOnSignature<import("../events").EventsKey>}
+     */
+    this.once;
+
+    /***
+     * @type {MeasureOnSignature<void>}
+     */
+    this.un;
+
+    /**
+     * @type {MeasureType}
+     * @private
+     */
+    this.measureType_ = measureType;
+
+    /**
+     * Measure on the sphere.
+     * @type {boolean}
+     * @private
+     */
+    this.spherical_ = geodesic;
+
+    /**
+     * @type {Units}
+     * @private
+     */
+    this.units_ = options.units ? options.units : Units.METRIC;
+
+    /**
+     * @type {function(Measurement, Units): string}
+     * @private
+     */
+    this.format_ = options.format ? options.format : defaultFormat;
+
+    /**
+     * @type {import("../source/Vector.js").default}
+     * @private
+     */
+    this.targetSource_ = options.source ? options.source : null;
+
+    /**
+     * Tooltip of the measurement being drawn.
+     * @type {Overlay}
+     * @private
+     */
+    this.tooltip_ = null;
+
+    /**
+     * @type {import("../events.js").EventsKey}
+     * @private
+     */
+    this.sketchListenerKey_ = null;
+
+    /**
+     * Finished measurements with their tooltips.
+     * @type {Array<{feature: import("../Feature.js").default, tooltip: Overlay}>}
+     * @private
+     */
+    this.measurements_ = [];
+
+    this.addEventListener('drawstart', this.handleDrawStart_.bind(this));
+    this.addEventListener('drawend', this.handleDrawEnd_.bind(this));
+    this.addEventListener('drawabort', this.handleDrawAbort_.bind(this));
+  }
+
+  /**
+   * Remove the interaction from its current map and attach it to the new map.
+   * Subclasses may set up event handlers to get notified about changes to
+   * the map here.
+   * @param {import("../PluggableMap.js").default} map Map.
+   */
+  setMap(map) {
+    super.setMap(map);
+    this.measurements_.forEach(function (measurement) {
+      measurement.tooltip.setMap(map);
+    });
+  }
+
+  /**
+   * @param {import("./Draw.js").DrawEvent} event Draw event.
+   * @private
+   */
+  handleDrawStart_(event) {
+    const feature = event.feature;
+    const element = document.createElement('div');
+    element.className = 'ol-tooltip ol-tooltip-measure';
+    this.tooltip_ = new Overlay({
+      element: element,
+      offset: [0, -15],
+      positioning: OverlayPositioning.BOTTOM_CENTER,
+      stopEvent: false,
+      insertFirst: false,
+    });
+    this.tooltip_.setMap(this.getMap());
+    this.sketchListenerKey_ = listen(
+      feature.getGeometry(),
+      EventType.CHANGE,
+      function () {
+        const measurement = this.measure(feature.getGeometry());
+        const text = this.updateTooltip_(this.tooltip_, feature, measurement);
+        this.dispatchEvent(
+          new MeasureEvent(
+            MeasureEventType.MEASURECHANGE,
+            feature,
+            measurement,
+            text
+          )
+        );
+      },
+      this
+    );
+  }
+
+  /**
+   * @param {import("./Draw.js").DrawEvent} event Draw event.
+   * @private
+   */
+  handleDrawEnd_(event) {
+    unlistenByKey(this.sketchListenerKey_);
+    this.sketchListenerKey_ = null;
+    const feature = event.feature;
+    const tooltip = this.tooltip_;
+    this.tooltip_ = null;
+    tooltip.getElement().className = 'ol-tooltip ol-tooltip-static';
+    tooltip.setOffset([0, -7]);
+    this.measurements_.push({feature: feature, tooltip: tooltip});
+    const measurement = this.measure(feature.getGeometry());
+    const text = this.updateTooltip_(tooltip, feature, measurement);
+    this.dispatchEvent(
+      new MeasureEvent(MeasureEventType.MEASUREEND, feature, measurement, text)
+    );
+  }
+
+  /**
+   * @private
+   */
+  handleDrawAbort_() {
+    unlistenByKey(this.sketchListenerKey_);
+    this.sketchListenerKey_ = null;
+    if (this.tooltip_) {
+      this.tooltip_.setMap(null);
+      this.tooltip_ = null;
+    }
+  }
+
+  /**
+   * @param {Overlay} tooltip Tooltip.
+   * @param {import("../Feature.js").default} feature Measured feature.
+   * @param {Measurement} measurement Measurement.
+   * @return {string} Text of the tooltip.
+   * @private
+   */
+  updateTooltip_(tooltip, feature, measurement) {
+    const text = this.format_(measurement, this.units_);
+    tooltip.getElement().textContent = text;
+    const geometry = feature.getGeometry();
+    let position;
+    if (geometry.getType() === GeometryType.POLYGON) {
+      position = /** @type {import("../geom/Polygon.js").default} */ (geometry)
+        .getInteriorPoint()
+        .getCoordinates()
+        .slice(0, 2);
+    }
+    if (!position || isNaN(position[0]) || isNaN(position[1])) {
+      position = getLastCoordinate(geometry);
+    }
+    tooltip.setPosition(position);
+    return text;
+  }
+
+  /**
+   * Measure a line or polygon the way this interaction does.
+   * @param {import("../geom/Geometry.js").default} geometry Line or polygon, in
+   * the projection of the map.
+   * @return {Measurement} The measurement.
+   * @api
+   */
+  measure(geometry) {
+    const projection =
+      getUserProjection() || this.getMap().getView().getProjection();
+    const metersPerUnit = projection.getMetersPerUnit() || 1;
+    const polygon = geometry.getType() === GeometryType.POLYGON;
+    const line = polygon
+      ? new LineString(
+          /** @type {import("../geom/Polygon.js").default} */ (
+            geometry
+          ).getCoordinates()[0] || []
+        )
+      : /** @type {LineString} */ (geometry);
+    /** @type {Measurement} */
+    const measurement = {
+      type: this.measureType_,
+      length: this.spherical_
+        ? getLength(line, {projection: projection})
+        : line.getLength() * metersPerUnit,
+    };
+    if (polygon) {
+      measurement.area = this.spherical_
+        ? getArea(geometry, {projection: projection})
+        : Math.abs(
+            /** @type {import("../geom/Polygon.js").default} */ (
+              geometry
+            ).getArea()
+          ) *
+          metersPerUnit *
+          metersPerUnit;
+    } else {
+      const coordinates = line.getCoordinates();
+      const count = coordinates.length;
+      let bearing = 0;
+      if (count >= 2) {
+        const start = coordinates[count - 2];
+        const end = coordinates[count - 1];
+        bearing = this.spherical_
+          ? getBearing(toLonLat(start, projection), toLonLat(end, projection))
+          : Math.atan2(end[0] - start[0], end[1] - start[1]);
+      }
+      measurement.bearing = modulo(bearing, 2 * Math.PI);
+    }
+    return measurement;
+  }
+
+  /**
+   * Set the units of the tooltips.
+   * @param {Units} units Units.
+   * @api
+   */
+  setUnits(units) {
+    this.units_ = units;
+    this.measurements_.forEach(function (measurement) {
+      this.updateTooltip_(
+        measurement.tooltip,
+        measurement.feature,
+        this.measure(measurement.feature.getGeometry())
+      );
+    }, this);
+    const sketchFeature = this.getSketchFeature();
+    if (this.tooltip_ && sketchFeature) {
+      this.updateTooltip_(
+        this.tooltip_,
+        sketchFeature,
+        this.measure(sketchFeature.getGeometry())
+      );
+    }
+  }
+
+  /**
+   * Get the units of the tooltips.
+   * @return {Units} Units.
+   * @api
+   */
+  getUnits() {
+    return this.units_;
+  }
+
+  /**
+   * Remove the tooltips of the finished measurements, and their features from
+   * the `source`.
+   * @api
+   */
+  clear() {
+    const source = this.targetSource_;
+    this.measurements_.forEach(function (measurement) {
+      measurement.tooltip.setMap(null);
+      if (source && source.hasFeature(measurement.feature)) {
+        source.removeFeature(measurement.feature);
+      }
+    });
+    this.measurements_ = [];
+  }
+}
+
+export default Measure;
@@ -0,0 +1,208 @@
+/**
+ * @module ol/interaction/Merge
+ */
+import Event from '../events/Event.js';
+import GeometryType from '../geom/GeometryType.js';
+import Interaction from './Interaction.js';
+import MultiPolygon from '../geom/MultiPolygon.js';
+import Polygon from '../geom/Polygon.js';
+import {never} from '../events/condition.js';
+import {union} from '../geom/overlay.js';
+
+/**
+ * @enum {string}
+ */
+const MergeEventType = {
+  /**
+   * Triggered before features are merged.
+   * @event MergeEvent#mergestart
+   * @api
+   */
+  MERGESTART: 'mergestart',
+  /**
+   * Triggered when features have been merged.
+   * @event MergeEvent#merge
+   * @api
+   */
+  MERGE: 'merge',
+};
+
+/**
+ * @typedef {Object} Options
+ * @property {import("../Collection.js").default<import("../Feature.js").default>} features
+ * Features to merge, e.g. the selected features of a
+ * {@link module:ol/interaction/Select~Select} interaction. The merged features
+ * are replaced by the result in the collection.
+ * @property {import("../source/Vector.js").default} [source] Source of the
+ * features. When set, the merged features are replaced by the result in the
+ * source.
+ * @property {import("../events/condition.js").Condition} [condition] A function
+ * that takes an {@link module:ol/MapBrowserEvent~MapBrowserEvent} and returns a
+ * boolean to indicate whether the features should be merged, e.g. on a key
+ * press. By default, features are only merged by calling
+ * {@link module:ol/interaction/Merge~Merge#merge}.
+ */
+
+/**
+ * @classdesc
+ * Events emitted by {@link module:ol/interaction/Merge~Merge} instances are
+ * instances of this type.
+ */
+export class MergeEvent extends Event {
+  /**
+   * @param {MergeEventType} type Type.
+   * @param {Array<import("../Feature.js").default>} features The merged features.
+   * @param {import("../Feature.js").default} feature The resulting feature.
+   */
+  constructor(type, features, feature) {
+    super(type);
+
+    /**
+     * The features that are merged. After the `merge` event, they are no
+     * longer in the source.
+     * @type {Array<import("../Feature.js").default>}
+     * @api
+     */
+    this.features = features;
+
+    /**
+     * The new feature, with the properties of the first merged feature.
+     * @type {import("../Feature.js").default}
+     * @api
+     */
+    this.result = feature;
+  }
+}
+
+/***
+ * @template Return
+ * @typedef {import("../Observable").OnSignature<import("../Observable").EventTypes, import("../events/Event.js").default, Return> &
+ *   import("../Observable").OnSignature<import("../ObjectEventType").Types|
+ *     'change:active', import("../Object").ObjectEvent, Return> &
+ *   import("../Observable").OnSignature<'merge'|'mergestart', MergeEvent, Return> &
+ *   import("../Observable").CombinedOnSignature<import("../Observable").EventTypes|import("../ObjectEventType").Types|
+ *     'change:active'|'merge'|'mergestart', Return>} MergeOnSignature
+ */
+
+/**
+ * @classdesc
+ * Interaction for merging polygon features into one. The polygons of all
+ * features in the collection are dissolved into a single feature, which has a
+ * multi polygon geometry when they do not form one polygon. A `mergestart`
+ * event is dispatched before and a `merge` event after the features are
+ * replaced.
+ *
+ * @fires MergeEvent
+ * @api
+ */
+class Merge extends Interaction {
+  /**
+   * @param {Options} options Options.
+   */
+  constructor(options) {
+    super();
+
+    /***
+     * @type {MergeOnSignature<import("../events").EventsKey>}
+     */
+    this.on;
+
+    /***
+     * @type {MergeOnSignature<import("../events").EventsKey>}
+     */
+    this.once;
+
+    /***
+     * @type {MergeOnSignature<void>}
+     */
+    this.un;
+
+    /**
+     * @type {import("../Collection.js").default<import("../Feature.js").default>}
+     * @private
+     */
+    this.features_ = options.features;
+
+    /**
+     * @type {import("../source/Vector.js").default}
+     * @private
+     */
+    this.source_ = options.source ? options.source : null;
+
+    /**
+     * @type {import("../events/condition.js").Condition}
+     * @private
+     */
+    this.condition_ = options.condition ? options.condition : never;
+  }
+
+  /**
+   * Handles the {@link module:ol/MapBrowserEvent map browser event} and merges
+   * the features if the condition is met.
+   * @param {import("../MapBrowserEvent.js").default} mapBrowserEvent Map browser event.
+   * @return {boolean} `false` to stop event propagation.
+   * @api
+   */
+  handleEvent(mapBrowserEvent) {
+    if (!this.condition_(mapBrowserEvent)) {
+      return true;
+    }
+    this.merge();
+    mapBrowserEvent.preventDefault();
+    return false;
+  }
+
+  /**
+   * Merge the polygon features of the collection.
+   * @return {import("../Feature.js").default|null} The new feature, or `null`
+   * if there were less than two polygon features to merge.
+   * @api
+   */
+  merge() {
+    const features = [];
+    const polygons = [];
+    this.features_.forEach(function (feature) {
+      const geometry = feature.getGeometry();
+      if (!geometry) {
+        return;
+      }
+      if (geometry.getType() === GeometryType.POLYGON) {
+        polygons.push(/** @type {Polygon} */ (geometry).getCoordinates());
+      } else if (geometry.getType() === GeometryType.MULTI_POLYGON) {
+        polygons.push.apply(
+          polygons,
+          /** @type {MultiPolygon} */ (geometry).getCoordinates()
+        );
+      } else {
+        return;
+      }
+      features.push(feature);
+    });
+    if (features.length < 2) {
+      return null;
+    }
+
+    const result = union(polygons);
+    const merged = features[0].clone();
+    merged.setGeometry(
+      result.length === 1 ? new Polygon(result[0]) : new MultiPolygon(result)
+    );
+    this.dispatchEvent(
+      new MergeEvent(MergeEventType.MERGESTART, features, merged)
+    );
+    for (let i = 0, ii = features.length; i < ii; ++i) {
+      if (this.source_ && this.source_.hasFeature(features[i])) {
+        this.source_.removeFeature(features[i]);
+      }
+      this.features_.remove(features[i]);
+    }
+    if (this.source_) {
+      this.source_.addFeature(merged);
+    }
+    this.features_.push(merged);
+    this.dispatchEvent(new MergeEvent(MergeEventType.MERGE, features, merged));
+    return merged;
+  }
+}
+
+export default Merge;
@@ -43,6 +43,7 @@ import {
   toUserExtent,
 } from '../proj.js';
 import {getUid} from '../util.js';
+import {segmentsIntersect} from '../geom/flat/relate.js';
 
 /**
  * The segment index assigned to a circle's center when
@@ -89,6 +90,15 @@ const ModifyEventType = {
  * @property {Array<SegmentData>} [featureSegments] FeatureSegments.
  */
 
+/**
+ * Node/edge graph of the segments of the modified features, used in
+ * topological mode.
+ * @typedef {Object} Topology
+ * @property {Object<string, Array<Array>>} nodes Segment ends, as pairs of
+ * segment data and end index, by node key.
+ * @property {Object<string, Array<SegmentData>>} edges Segments by edge key.
+ */
+
 /**
  * @typedef {Object} Options
  * @property {import("../events/condition.js").Condition} [condition] A function that
@@ -130,6 +140,10 @@ const ModifyEventType = {
  * overlay.
  * @property {boolean} [snapToPointer=!hitDetection] The vertex, point or segment being modified snaps to the
  * pointer coordinate when clicked within the `pixelTolerance`.
+ * @property {boolean} [topology=false] Edit the features topologically. Coincident vertices and shared
+ * edges of line and polygon features are tracked in a node/edge graph, so that inserting, deleting and
+ * dragging a vertex is applied to every feature sharing it. Edits that would make a line or a polygon
+ * intersect itself are rejected.
  */
 
 /**
@@ -362,6 +376,19 @@ class Modify extends PointerInteraction {
      */
     this.hitDetection_ = null;
 
+    /**
+     * @type {boolean}
+     * @private
+     */
+    this.topological_ = !!options.topology;
+
+    /**
+     * Node/edge graph of the segments, built on demand in topological mode.
+     * @type {Topology}
+     * @private
+     */
+    this.topology_ = null;
+
     let features;
     if (options.features) {
       features = options.features;
@@ -428,6 +455,7 @@ class Modify extends PointerInteraction {
    * @private
    */
   addFeature_(feature) {
+    this.topology_ = null;
     const geometry = feature.getGeometry();
     if (geometry) {
       const writer = this.SEGMENT_WRITERS_[geometry.getType()];
@@ -496,6 +524,7 @@ class Modify extends PointerInteraction {
    * @private
    */
   removeFeatureSegmentData_(feature) {
+    this.topology_ = null;
     const rBush = this.rBush_;
     /** @type {Array<SegmentData>} */
     const nodesToRemove = [];
@@ -882,6 +911,9 @@ class Modify extends PointerInteraction {
       evt.coordinate[0] + this.delta_[0],
       evt.coordinate[1] + this.delta_[1],
     ];
+    if (this.topological_ && this.intersectsAfterDrag_(vertex)) {
+      return;
+    }
     const features = [];
     const geometries = [];
     for (let i = 0, ii = this.dragSegments_.length; i < ii; ++i) {
@@ -1118,6 +1150,9 @@ class Modify extends PointerInteraction {
         this.rBush_.update(boundingExtent(segmentData.segment), segmentData);
       }
     }
+    if (this.dragSegments_.length) {
+      this.topology_ = null;
+    }
     if (this.featuresBeingModified_) {
       this.dispatchEvent(
         new ModifyEvent(
@@ -1247,6 +1282,15 @@ class Modify extends PointerInteraction {
             [node.feature],
             [node.geometry]
           );
+          if (this.topological_) {
+            const edge =
+              this.getTopology_().edges[getEdgeKey(closestSegment)] || [];
+            for (let i = 0, ii = edge.length; i < ii; ++i) {
+              vertexSegments[getUid(edge[i].segment)] = true;
+            }
+            this.vertexSegments_ = vertexSegments;
+            return;
+          }
           const geometries = {};
           geometries[getUid(node.geometry)] = true;
           for (let i = 1, ii = nodes.length; i < ii; ++i) {
@@ -1317,6 +1361,7 @@ class Modify extends PointerInteraction {
     }
 
     this.setGeometryCoordinates_(geometry, coordinates);
+    this.topology_ = null;
     const rTree = this.rBush_;
     rTree.remove(segmentData);
     this.updateSegmentIndices_(geometry, index, depth, 1);
@@ -1358,6 +1403,11 @@ class Modify extends PointerInteraction {
       this.lastPointerEvent_.type != MapBrowserEventType.POINTERDRAG
     ) {
       const evt = this.lastPointerEvent_;
+      if (this.topological_ && this.vertexFeature_ && this.snappedToVertex_) {
+        this.dragSegments_ = this.getNodeSegments_(
+          this.vertexFeature_.getGeometry().getCoordinates()
+        );
+      }
       this.willModifyFeatures_(evt, this.dragSegments_);
       const removed = this.removeVertex_();
       if (this.featuresBeingModified_) {
@@ -1406,6 +1456,9 @@ class Modify extends PointerInteraction {
         segmentsByFeature[uid].index = segmentData.index + 1;
       }
     }
+    if (this.topological_ && !canRemoveVertex(segmentsByFeature)) {
+      return false;
+    }
     for (uid in segmentsByFeature) {
       right = segmentsByFeature[uid].right;
       left = segmentsByFeature[uid].left;
@@ -1461,6 +1514,7 @@ class Modify extends PointerInteraction {
 
       if (deleted) {
         this.setGeometryCoordinates_(geometry, coordinates);
+        this.topology_ = null;
         const segments = [];
         if (left !== undefined) {
           this.rBush_.remove(left);
@@ -1496,6 +1550,119 @@ class Modify extends PointerInteraction {
     return deleted;
   }
 
+  /**
+   * Get the node/edge graph of the line and polygon segments, building it if
+   * the segments changed since it was last built.
+   * @return {Topology} Topology.
+   * @private
+   */
+  getTopology_() {
+    if (!this.topology_) {
+      const nodes = {};
+      const edges = {};
+      this.rBush_.forEach(
+        /**
+         * @param {SegmentData} segmentData Segment data.
+         */
+        function (segmentData) {
+          const type = segmentData.geometry.getType();
+          if (
+            type === GeometryType.POINT ||
+            type === GeometryType.MULTI_POINT ||
+            type === GeometryType.CIRCLE
+          ) {
+            return;
+          }
+          const segment = segmentData.segment;
+          for (let i = 0; i < 2; ++i) {
+            const nodeKey = getNodeKey(segment[i]);
+            if (!(nodeKey in nodes)) {
+              nodes[nodeKey] = [];
+            }
+            nodes[nodeKey].push([segmentData, i]);
+          }
+          const edgeKey = getEdgeKey(segment);
+          if (!(edgeKey in edges)) {
+            edges[edgeKey] = [];
+          }
+          edges[edgeKey].push(segmentData);
+        }
+      );
+      this.topology_ = {nodes: nodes, edges: edges};
+    }
+    return this.topology_;
+  }
+
+  /**
+   * Get the segment ends of all features at a node of the topology. Like for
+   * dragging, closed line strings are only matched by their first segment.
+   * @param {import("../coordinate.js").Coordinate} vertex Vertex.
+   * @return {Array<Array>} Segment ends, as pairs of segment data and end index.
+   * @private
+   */
+  getNodeSegments_(vertex) {
+    const node = this.getTopology_().nodes[getNodeKey(vertex)] || [];
+    const lineStarts = {};
+    for (let i = 0, ii = node.length; i < ii; ++i) {
+      const segmentData = node[i][0];
+      if (node[i][1] === 0 && segmentData.index === 0) {
+        lineStarts[getComponentUid(segmentData)] = true;
+      }
+    }
+    return node.filter(function (nodeSegment) {
+      const segmentData = nodeSegment[0];
+      const type = segmentData.geometry.getType();
+      return !(
+        nodeSegment[1] === 1 &&
+        (type === GeometryType.LINE_STRING ||
+          type === GeometryType.MULTI_LINE_STRING) &&
+        getComponentUid(segmentData) in lineStarts
+      );
+    });
+  }
+
+  /**
+   * Check whether moving the dragged vertex would make any of the dragged
+   * lines or polygons intersect itself.
+   * @param {import("../coordinate.js").Coordinate} vertex New vertex position.
+   * @return {boolean} The drag would cause a self-intersection.
+   * @private
+   */
+  intersectsAfterDrag_(vertex) {
+    const dragSegments = this.dragSegments_;
+    const coordinatesByGeometry = {};
+    const movedVertices = [];
+    for (let i = 0, ii = dragSegments.length; i < ii; ++i) {
+      const segmentData = dragSegments[i][0];
+      const geometry = segmentData.geometry;
+      const component = getComponent(
+        geometry,
+        coordinatesByGeometry,
+        segmentData.depth
+      );
+      if (component) {
+        const index = segmentData.index + dragSegments[i][1];
+        component[index] = vertex;
+        movedVertices.push([segmentData, index]);
+      }
+    }
+    for (let i = 0, ii = movedVertices.length; i < ii; ++i) {
+      const segmentData = movedVertices[i][0];
+      const geometry = segmentData.geometry;
+      if (
+        selfIntersectsAt(
+          geometry.getType(),
+          coordinatesByGeometry[getUid(geometry)],
+          segmentData.depth,
+          movedVertices[i][1]
+        )
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
   /**
    * @param {import("../geom/SimpleGeometry.js").default} geometry Geometry.
    * @param {Array} coordinates Coordinates.
@@ -1532,6 +1699,206 @@ class Modify extends PointerInteraction {
   }
 }
 
+/**
+ * @param {import("../coordinate.js").Coordinate} coordinate Coordinate.
+ * @return {string} Key of the topology node at the coordinate.
+ */
+function getNodeKey(coordinate) {
+  return coordinate[0] + ',' + coordinate[1];
+}
+
+/**
+ * @param {Array<import("../coordinate.js").Coordinate>} segment Segment.
+ * @return {string} Key of the topology edge of the segment, independent of
+ * the segment direction.
+ */
+function getEdgeKey(segment) {
+  const key0 = getNodeKey(segment[0]);
+  const key1 = getNodeKey(segment[1]);
+  return key0 < key1 ? key0 + ';' + key1 : key1 + ';' + key0;
+}
+
+/**
+ * @param {SegmentData} segmentData Segment data.
+ * @return {string} Id of the geometry component the segment belongs to.
+ */
+function getComponentUid(segmentData) {
+  let uid = getUid(segmentData.geometry);
+  if (segmentData.depth) {
+    uid += '-' + segmentData.depth.join('-');
+  }
+  return uid;
+}
+
+/**
+ * Get the coordinates of the line string or polygon ring a segment belongs to.
+ * The coordinates of the geometry are read once and cached by geometry uid, so
+ * that changes to several components of the same geometry add up.
+ * @param {import("../geom/SimpleGeometry.js").default} geometry Geometry.
+ * @param {Object<string, Array>} coordinatesByGeometry Coordinates cache.
+ * @param {Array<number>|undefined} depth Depth of the segment.
+ * @return {Array<import("../coordinate.js").Coordinate>|null} Coordinates of
+ * the component, or `null` for other geometry types.
+ */
+function getComponent(geometry, coordinatesByGeometry, depth) {
+  const type = geometry.getType();
+  if (
+    type !== GeometryType.LINE_STRING &&
+    type !== GeometryType.MULTI_LINE_STRING &&
+    type !== GeometryType.POLYGON &&
+    type !== GeometryType.MULTI_POLYGON
+  ) {
+    return null;
+  }
+  const uid = getUid(geometry);
+  if (!(uid in coordinatesByGeometry)) {
+    coordinatesByGeometry[uid] = geometry.getCoordinates();
+  }
+  const coordinates = coordinatesByGeometry[uid];
+  switch (type) {
+    case GeometryType.MULTI_LINE_STRING:
+    case GeometryType.POLYGON:
+      return coordinates[depth[0]];
+    case GeometryType.MULTI_POLYGON:
+      return coordinates[depth[1]][depth[0]];
+    default:
+      return coordinates;
+  }
+}
+
+/**
+ * Check whether the segments next to a vertex of a line string or polygon
+ * ring intersect any other segment of the same line string or polygon.
+ * @param {string} type Geometry type.
+ * @param {Array} coordinates Coordinates of the geometry.
+ * @param {Array<number>|undefined} depth Depth of the line or ring.
+ * @param {number} vertexIndex Index of the vertex in the line or ring.
+ * @return {boolean} The line or polygon intersects itself at the vertex.
+ */
+function selfIntersectsAt(type, coordinates, depth, vertexIndex) {
+  let lines;
+  let lineIndex = 0;
+  switch (type) {
+    case GeometryType.LINE_STRING:
+      lines = [coordinates];
+      break;
+    case GeometryType.MULTI_LINE_STRING:
+      lines = [coordinates[depth[0]]];
+      break;
+    case GeometryType.POLYGON:
+      lines = coordinates;
+      lineIndex = depth[0];
+      break;
+    case GeometryType.MULTI_POLYGON:
+      lines = coordinates[depth[1]];
+      lineIndex = depth[0];
+      break;
+    default:
+      return false;
+  }
+  const line = lines[lineIndex];
+  const last = line.length - 1;
+  const closed = last > 2 && coordinatesEqual(line[0], line[last]);
+  if (closed && vertexIndex === last) {
+    vertexIndex = 0;
+  }
+  const segmentIndices = [];
+  if (vertexIndex > 0) {
+    segmentIndices.push(vertexIndex - 1);
+  } else if (closed) {
+    segmentIndices.push(last - 1);
+  }
+  if (vertexIndex < last) {
+    segmentIndices.push(vertexIndex);
+  }
+  for (let i = 0, ii = segmentIndices.length; i < ii; ++i) {
+    const s = segmentIndices[i];
+    const start = line[s];
+    const end = line[s + 1];
+    for (let l = 0, ll = lines.length; l < ll; ++l) {
+      const other = lines[l];
+      for (let j = 0, jj = other.length - 1; j < jj; ++j) {
+        if (
+          l === lineIndex &&
+          (Math.abs(j - s) <= 1 || (closed && Math.abs(j - s) === last - 1))
+        ) {
+          // the segment itself and its neighbours always touch it
+          continue;
+        }
+        if (
+          segmentsIntersect(
+            start[0],
+            start[1],
+            end[0],
+            end[1],
+            other[j][0],
+            other[j][1],
+            other[j + 1][0],
+            other[j + 1][1]
+          )
+        ) {
+          return true;
+        }
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Check whether a vertex can be removed from all features sharing it, i.e.
+ * no line string or polygon ring gets too few vertices, and none intersects
+ * itself after the removal.
+ * @param {Object<string, Object>} segmentsByFeature Left and right segment
+ * and vertex index, by feature component.
+ * @return {boolean} The vertex can be removed.
+ */
+function canRemoveVertex(segmentsByFeature) {
+  const coordinatesByGeometry = {};
+  for (const uid in segmentsByFeature) {
+    const segmentData =
+      segmentsByFeature[uid].left !== undefined
+        ? segmentsByFeature[uid].left
+        : segmentsByFeature[uid].right;
+    const geometry = segmentData.geometry;
+    const component = getComponent(
+      geometry,
+      coordinatesByGeometry,
+      segmentData.depth
+    );
+    if (!component) {
+      continue;
+    }
+    const type = geometry.getType();
+    const polygonal =
+      type === GeometryType.POLYGON || type === GeometryType.MULTI_POLYGON;
+    if (component.length <= (polygonal ? 4 : 2)) {
+      return false;
+    }
+    let index = segmentsByFeature[uid].index;
+    if (polygonal && index === component.length - 1) {
+      index = 0;
+    }
+    component.splice(index, 1);
+    if (polygonal && index === 0) {
+      component.pop();
+      component.push(component[0]);
+    }
+    if (
+      (index > 0 || polygonal) &&
+      selfIntersectsAt(
+        type,
+        coordinatesByGeometry[getUid(geometry)],
+        segmentData.depth,
+        index > 0 ? index - 1 : 0
+      )
+    ) {
+      return false;
+    }
+  }
+  return true;
+}
+
 /**
  * @param {SegmentData} a The first segment data.
  * @param {SegmentData} b The second segment data.
@@ -0,0 +1,398 @@
+/**
+ * @module ol/interaction/Reshape
+ */
+import Draw from './Draw.js';
+import Event from '../events/Event.js';
+import GeometryType from '../geom/GeometryType.js';
+import Polygon from '../geom/Polygon.js';
+import {getIntersections} from '../geom/overlay.js';
+
+/**
+ * @enum {string}
+ */
+const ReshapeEventType = {
+  /**
+   * Triggered before features are reshaped.
+   * @event ReshapeEvent#reshapestart
+   * @api
+   */
+  RESHAPESTART: 'reshapestart',
+  /**
+   * Triggered when features have been reshaped.
+   * @event ReshapeEvent#reshape
+   * @api
+   */
+  RESHAPE: 'reshape',
+};
+
+/**
+ * @typedef {Object} Options
+ * @property {import("../source/Vector.js").default} [source] Source of the
+ * line and polygon features to reshape.
+ * @property {import("../Collection.js").default<import("../Feature.js").default>} [features]
+ * Features to reshape, e.g. the selected features of a
+ * {@link module:ol/interaction/Select~Select} interaction. When set, only these
+ * features are reshaped. Either `source` or `features` must be provided.
+ * @property {import("../events/condition.js").Condition} [condition] A function
+ * that takes an {@link module:ol/MapBrowserEvent~MapBrowserEvent} and returns a
+ * boolean to indicate whether that event should be handled when drawing the
+ * reshape line. By default {@link module:ol/events/condition.noModifierKeys}.
+ * @property {number} [snapTolerance=12] Pixel distance for snapping to the
+ * last point of the reshape line, to finish it.
+ * @property {import("../style/Style.js").StyleLike} [style] Style of the
+ * reshape line while it is drawn.
+ * @property {boolean|import("../events/condition.js").Condition} [trace=false]
+ * Trace features of the `traceSource` when drawing the reshape line. See
+ * {@link module:ol/interaction/Draw~Draw}.
+ * @property {import("../source/Vector.js").default} [traceSource] Source of the
+ * features to trace.
+ * @property {boolean} [wrapX=false] Wrap the world horizontally on the sketch
+ * overlay.
+ */
+
+/**
+ * @classdesc
+ * Events emitted by {@link module:ol/interaction/Reshape~Reshape} instances are
+ * instances of this type.
+ */
+export class ReshapeEvent extends Event {
+  /**
+   * @param {ReshapeEventType} type Type.
+   * @param {Array<import("../Feature.js").default>} features The reshaped features.
+   * @param {import("../geom/LineString.js").default} line The reshape line.
+   * @param {Array<import("../geom/Geometry.js").default>} geometries The
+   * geometries of the features before they were reshaped.
+   */
+  constructor(type, features, line, geometries) {
+    super(type);
+
+    /**
+     * The features that are reshaped.
+     * @type {Array<import("../Feature.js").default>}
+     * @api
+     */
+    this.features = features;
+
+    /**
+     * The resulting features. Features are reshaped in place, so these are the
+     * same as `features`, with their new geometries after the `reshape` event.
+     * @type {Array<import("../Feature.js").default>}
+     * @api
+     */
+    this.result = features;
+
+    /**
+     * The geometries of the features before they were reshaped, in the order
+     * of `features`. The features get new geometries, so these are not
+     * changed.
+     * @type {Array<import("../geom/Geometry.js").default>}
+     * @api
+     */
+    this.geometries = geometries;
+
+    /**
+     * The reshape line.
+     * @type {import("../geom/LineString.js").default}
+     * @api
+     */
+    this.line = line;
+  }
+}
+
+/***
+ * @template Return
+ * @typedef {import("../Observable").OnSignature<import("../Observable").EventTypes, import("../events/Event.js").default, Return> &
+ *   import("../Observable").OnSignature<import("../ObjectEventType").Types|
+ *     'change:active', import("../Object").ObjectEvent, Return> &
+ *   import("../Observable").OnSignature<'drawabort'|'drawend'|'drawstart', import("./Draw.js").DrawEvent, Return> &
+ *   import("../Observable").OnSignature<'reshape'|'reshapestart', ReshapeEvent, Return> &
+ *   import("../Observable").CombinedOnSignature<import("../Observable").EventTypes|import("../ObjectEventType").Types|
+ *     'change:active'|'drawabort'|'drawend'|'drawstart'|'reshape'|'reshapestart', Return>} ReshapeOnSignature
+ */
+
+/**
+ * Get the first and the last intersection of the sketch with a line, and the
+ * part of the sketch between them.
+ * @param {Array<import("../coordinate.js").Coordinate>} line Line or ring.
+ * @param {Array<import("../coordinate.js").Coordinate>} sketch Reshape line.
+ * @return {Array|null} First intersection, last intersection and sketch part,
+ * or `null` when the sketch does not cross the line twice.
+ */
+function getReshapePart(line, sketch) {
+  const intersections = getIntersections(line, sketch).sort(function (a, b) {
+    return a.index2 - b.index2;
+  });
+  if (intersections.length < 2) {
+    return null;
+  }
+  const first = intersections[0];
+  const last = intersections[intersections.length - 1];
+  const part = [first.point];
+  for (let i = Math.floor(first.index2) + 1; i < last.index2; ++i) {
+    part.push(sketch[i]);
+  }
+  part.push(last.point);
+  return [first, last, part];
+}
+
+/**
+ * Replace the part of a line between the first and the last intersection with
+ * the sketch by the sketch.
+ * @param {Array<import("../coordinate.js").Coordinate>} line Line.
+ * @param {Array<import("../coordinate.js").Coordinate>} sketch Reshape line.
+ * @return {Array<import("../coordinate.js").Coordinate>|null} Reshaped line, or
+ * `null` when the sketch does not cross the line twice.
+ */
+function reshapeLine(line, sketch) {
+  const reshapePart = getReshapePart(line, sketch);
+  if (!reshapePart) {
+    return null;
+  }
+  let [start, end, part] = reshapePart;
+  if (start.index1 > end.index1) {
+    [start, end] = [end, start];
+    part.reverse();
+  }
+  return line
+    .filter(function (coordinate, i) {
+      return i < start.index1;
+    })
+    .concat(
+      part,
+      line.filter(function (coordinate, i) {
+        return i > end.index1;
+      })
+    );
+}
+
+/**
+ * Get the vertices of a ring strictly between two fractional indexes.
+ * @param {Array<import("../coordinate.js").Coordinate>} ring Closed ring.
+ * @param {number} from Fractional index to start from.
+ * @param {number} to Fractional index to end at.
+ * @param {boolean} forward Walk the ring forward.
+ * @return {Array<import("../coordinate.js").Coordinate>} Vertices.
+ */
+function getRingPath(ring, from, to, forward) {
+  const count = ring.length - 1;
+  const path = [];
+  if (forward) {
+    const end = to > from ? to : to + count;
+    for (let i = Math.floor(from) + 1; i < end; ++i) {
+      path.push(ring[i % count]);
+    }
+  } else {
+    const end = to < from ? to : to - count;
+    for (let i = Math.ceil(from) - 1; i > end; --i) {
+      path.push(ring[((i % count) + count) % count]);
+    }
+  }
+  return path;
+}
+
+/**
+ * Replace the part of a ring between the first and the last intersection with
+ * the sketch by the sketch. Of the two possible results, the one with the
+ * larger or, for holes, the smaller area is used.
+ * @param {Array<import("../coordinate.js").Coordinate>} ring Ring.
+ * @param {Array<import("../coordinate.js").Coordinate>} sketch Reshape line.
+ * @param {boolean} hole The ring is a hole.
+ * @return {Array<import("../coordinate.js").Coordinate>|null} Reshaped ring, or
+ * `null` when the sketch does not cross the ring twice.
+ */
+function reshapeRing(ring, sketch, hole) {
+  const reshapePart = getReshapePart(ring, sketch);
+  if (!reshapePart) {
+    return null;
+  }
+  const [start, end, part] = reshapePart;
+  const rings = [true, false].map(function (forward) {
+    return part.concat(getRingPath(ring, end.index1, start.index1, forward), [
+      start.point,
+    ]);
+  });
+  const areas = rings.map(function (candidate) {
+    return new Polygon([candidate]).getArea();
+  });
+  return areas[0] > areas[1] !== hole ? rings[0] : rings[1];
+}
+
+/**
+ * Reshape the first line or ring of a geometry crossed twice by the sketch.
+ * The geometry is modified in place.
+ * @param {import("../geom/Geometry.js").default} geometry Geometry.
+ * @param {Array<import("../coordinate.js").Coordinate>} sketch Reshape line.
+ * @return {boolean} The geometry was reshaped.
+ */
+function reshapeGeometry(geometry, sketch) {
+  const type = geometry.getType();
+  const lineal =
+    type === GeometryType.LINE_STRING ||
+    type === GeometryType.MULTI_LINE_STRING;
+  const polygonal =
+    type === GeometryType.POLYGON || type === GeometryType.MULTI_POLYGON;
+  if (!lineal && !polygonal) {
+    return false;
+  }
+  const simpleGeometry =
+    /** @type {import("../geom/SimpleGeometry.js").default} */ (geometry);
+  const stride = simpleGeometry.getStride();
+  sketch = sketch.map(function (coordinate) {
+    coordinate = coordinate.slice(0, stride);
+    while (coordinate.length < stride) {
+      coordinate.push(0);
+    }
+    return coordinate;
+  });
+  const multi =
+    type === GeometryType.MULTI_LINE_STRING ||
+    type === GeometryType.MULTI_POLYGON;
+  const parts = multi
+    ? simpleGeometry.getCoordinates()
+    : [simpleGeometry.getCoordinates()];
+  for (let i = 0, ii = parts.length; i < ii; ++i) {
+    if (lineal) {
+      const line = reshapeLine(parts[i], sketch);
+      if (line) {
+        parts[i] = line;
+        simpleGeometry.setCoordinates(multi ? parts : parts[0]);
+        return true;
+      }
+      continue;
+    }
+    const rings = parts[i];
+    for (let j = 0, jj = rings.length; j < jj; ++j) {
+      const ring = reshapeRing(rings[j], sketch, j > 0);
+      if (ring) {
+        rings[j] = ring;
+        simpleGeometry.setCoordinates(multi ? parts : parts[0]);
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * @classdesc
+ * Interaction for reshaping line and polygon features by redrawing part of
+ * their boundary. The drawn line has to cross or touch the line or polygon
+ * boundary at least twice. The part of the boundary between the first and the
+ * last crossing is replaced by the drawn line. For polygons, the larger of the
+ * two possible outlines is kept. A `reshapestart` event is dispatched before
+ * and a `reshape` event after the features get their new geometries.
+ *
+ * @fires ReshapeEvent
+ * @api
+ */
+class Reshape extends Draw {
+  /**
+   * @param {Options} options Options.
+   */
+  constructor(options) {
+    super({
+      type: GeometryType.LINE_STRING,
+      condition: options.condition,
+      snapTolerance: options.snapTolerance,
+      style: options.style,
+      trace: options.trace,
+      traceSource: options.traceSource,
+      wrapX: options.wrapX,
+    });
+
+    /***
+     * @type {ReshapeOnSignature<import("../events").EventsKey>}
+     */
+    this.on;
+
+    /***
+     * @type {ReshapeOnSignature<import("../events").EventsKey>}
+     */
+    this.once;
+
+    /***
+     * @type {ReshapeOnSignature<void>}
+     */
+    this.un;
+
+    /**
+     * @type {import("../source/Vector.js").default}
+     * @private
+     */
+    this.targetSource_ = options.source ? options.source : null;
+
+    /**
+     * @type {import("../Collection.js").default<import("../Feature.js").default>}
+     * @private
+     */
+    this.targetFeatures_ = options.features ? options.features : null;
+
+    if (!this.targetSource_ && !this.targetFeatures_) {
+      throw new Error('The reshape interaction requires a source or features');
+    }
+
+    this.addEventListener('drawend', this.handleDrawEnd_.bind(this));
+  }
+
+  /**
+   * @param {import("./Draw.js").DrawEvent} event Draw event.
+   * @private
+   */
+  handleDrawEnd_(event) {
+    this.reshape(
+      /** @type {import("../geom/LineString.js").default} */ (
+        event.feature.getGeometry()
+      )
+    );
+  }
+
+  /**
+   * Reshape the features crossed by a line.
+   * @param {import("../geom/LineString.js").default} line Reshape line.
+   * @return {Array<import("../Feature.js").default>} The reshaped features.
+   * @api
+   */
+  reshape(line) {
+    const sketch = line.getCoordinates();
+    const extent = line.getExtent();
+    const candidates = this.targetFeatures_
+      ? this.targetFeatures_.getArray().filter(function (feature) {
+          const geometry = feature.getGeometry();
+          return geometry && geometry.intersectsExtent(extent);
+        })
+      : this.targetSource_.getFeaturesInExtent(extent);
+
+    const features = [];
+    const geometries = [];
+    const reshapedGeometries = [];
+    for (let i = 0, ii = candidates.length; i < ii; ++i) {
+      const geometry = candidates[i].getGeometry();
+      const reshaped = geometry.clone();
+      if (reshapeGeometry(reshaped, sketch)) {
+        features.push(candidates[i]);
+        geometries.push(geometry);
+        reshapedGeometries.push(reshaped);
+      }
+    }
+    if (features.length === 0) {
+      return features;
+    }
+    this.dispatchEvent(
+      new ReshapeEvent(
+        ReshapeEventType.RESHAPESTART,
+        features,
+        line,
+        geometries
+      )
+    );
+    for (let i = 0, ii = features.length; i < ii; ++i) {
+      features[i].setGeometry(reshapedGeometries[i]);
+    }
+    this.dispatchEvent(
+      new ReshapeEvent(ReshapeEventType.RESHAPE, features, line, geometries)
+    );
+    return features;
+  }
+}
+
+export default Reshape;
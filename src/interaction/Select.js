@@ -1,18 +1,29 @@
 /**
  * @module ol/interaction/Select
  */
+import BaseVectorLayer from '../layer/BaseVector.js';
 import Collection from '../Collection.js';
 import CollectionEventType from '../CollectionEventType.js';
+import DragBox from './DragBox.js';
+import Draw from './Draw.js';
 import Event from '../events/Event.js';
 import GeometryType from '../geom/GeometryType.js';
 import Interaction from './Interaction.js';
+import InteractionProperty from './Property.js';
 import VectorLayer from '../layer/Vector.js';
+import VectorSource from '../source/Vector.js';
 import {TRUE} from '../functions.js';
 import {clear} from '../obj.js';
 import {createEditingStyle} from '../style/Style.js';
 import {extend, includes} from '../array.js';
+import {getParts, intersects} from '../geom/flat/relate.js';
 import {getUid} from '../util.js';
-import {never, shiftKeyOnly, singleClick} from '../events/condition.js';
+import {
+  never,
+  primaryAction,
+  shiftKeyOnly,
+  singleClick,
+} from '../events/condition.js';
 
 /**
  * @enum {string}
@@ -26,6 +37,34 @@ const SelectEventType = {
   SELECT: 'select',
 };
 
+/**
+ * How features are selected.
+ * @enum {string}
+ */
+export const SelectMode = {
+  /**
+   * Select the features at the clicked pixel.
+   * @api
+   */
+  CLICK: 'click',
+  /**
+   * Select the features that intersect a box dragged on the map.
+   * @api
+   */
+  BOX: 'box',
+  /**
+   * Select the features that intersect an area drawn freehand.
+   * @api
+   */
+  LASSO: 'lasso',
+  /**
+   * Select the features that intersect a polygon drawn by clicking its
+   * vertices.
+   * @api
+   */
+  POLYGON: 'polygon',
+};
+
 /**
  * A function that takes an {@link module:ol/Feature~Feature} or
  * {@link module:ol/render/Feature~RenderFeature} and an
@@ -88,6 +127,15 @@ const SelectEventType = {
  * selected or `false` otherwise.
  * @property {number} [hitTolerance=0] Hit-detection tolerance. Pixels inside
  * the radius around the given position will be checked for features.
+ * @property {SelectMode} [mode='click'] How features are selected. In the
+ * `'box'`, `'lasso'` and `'polygon'` modes, the features of visible vector
+ * layers that intersect the drawn area are selected. The `condition` and
+ * `multi` options do not apply to these modes, and the `addCondition`,
+ * `removeCondition` and `toggleCondition` are checked on the event that
+ * finishes the area.
+ * @property {import("../style/Style.js").StyleLike} [areaStyle] Style of the
+ * lasso and the polygon while they are drawn. The box is styled with the
+ * `ol-box` and `ol-dragbox` CSS classes.
  */
 
 /**
@@ -279,6 +327,39 @@ class Select extends Interaction {
      * @type {Object<string, import("../layer/Layer.js").default>}
      */
     this.featureLayerAssociation_ = {};
+
+    /**
+     * @private
+     * @type {import("../style/Style.js").StyleLike|undefined}
+     */
+    this.areaStyle_ = options.areaStyle;
+
+    /**
+     * @private
+     * @type {SelectMode}
+     */
+    this.mode_ = SelectMode.CLICK;
+
+    /**
+     * Interaction that draws the area in the box, lasso and polygon modes.
+     * @private
+     * @type {DragBox|Draw|null}
+     */
+    this.areaInteraction_ = null;
+
+    /**
+     * Last event handled by the area interaction.
+     * @private
+     * @type {import("../MapBrowserEvent.js").default}
+     */
+    this.areaEvent_ = null;
+
+    this.setMode(options.mode ? options.mode : SelectMode.CLICK);
+
+    this.addChangeListener(
+      InteractionProperty.ACTIVE,
+      this.handleActiveChanged_
+    );
   }
 
   /**
@@ -331,6 +412,75 @@ class Select extends Interaction {
     this.hitTolerance_ = hitTolerance;
   }
 
+  /**
+   * Get how features are selected.
+   * @return {SelectMode} Mode.
+   * @api
+   */
+  getMode() {
+    return this.mode_;
+  }
+
+  /**
+   * Set how features are selected.
+   * @param {SelectMode} mode Mode.
+   * @api
+   */
+  setMode(mode) {
+    if (this.areaInteraction_) {
+      this.areaInteraction_.setMap(null);
+      this.areaInteraction_ = null;
+    }
+    this.mode_ = mode;
+    let areaInteraction = null;
+    if (mode === SelectMode.BOX) {
+      const dragBox = new DragBox({condition: primaryAction});
+      dragBox.addEventListener(
+        'boxend',
+        /**
+         * @param {import("./DragBox.js").DragBoxEvent} event Event.
+         */
+        function (event) {
+          this.selectInArea_(dragBox.getGeometry(), event.mapBrowserEvent);
+        }.bind(this)
+      );
+      areaInteraction = dragBox;
+    } else if (mode === SelectMode.LASSO || mode === SelectMode.POLYGON) {
+      const draw = new Draw({
+        type: GeometryType.POLYGON,
+        condition: primaryAction,
+        freehand: mode === SelectMode.LASSO,
+        freehandCondition: never,
+        stopClick: true,
+        style: this.areaStyle_,
+      });
+      draw.addEventListener(
+        'drawend',
+        /**
+         * @param {import("./Draw.js").DrawEvent} event Event.
+         */
+        function (event) {
+          this.selectInArea_(event.feature.getGeometry(), this.areaEvent_);
+        }.bind(this)
+      );
+      areaInteraction = draw;
+    }
+    if (areaInteraction) {
+      areaInteraction.setActive(this.getActive());
+      areaInteraction.setMap(this.getMap());
+    }
+    this.areaInteraction_ = areaInteraction;
+  }
+
+  /**
+   * @private
+   */
+  handleActiveChanged_() {
+    if (this.areaInteraction_) {
+      this.areaInteraction_.setActive(this.getActive());
+    }
+  }
+
   /**
    * Remove the interaction from its current map, if any,  and attach it to a new
    * map, if any. Pass `null` to just remove the interaction from the current map.
@@ -343,6 +493,9 @@ class Select extends Interaction {
       this.features_.forEach(this.restorePreviousStyle_.bind(this));
     }
     super.setMap(map);
+    if (this.areaInteraction_) {
+      this.areaInteraction_.setMap(map);
+    }
     if (map) {
       this.features_.addEventListener(
         CollectionEventType.ADD,
@@ -467,84 +620,150 @@ class Select extends Interaction {
    * @this {Select}
    */
   handleEvent(mapBrowserEvent) {
+    if (this.areaInteraction_) {
+      this.areaEvent_ = mapBrowserEvent;
+      return this.areaInteraction_.handleEvent(mapBrowserEvent);
+    }
     if (!this.condition_(mapBrowserEvent)) {
       return true;
     }
+    /** @type {Array<Array<?>>} */
+    const hits = [];
+    mapBrowserEvent.map.forEachFeatureAtPixel(
+      mapBrowserEvent.pixel,
+      /**
+       * @param {import("../Feature.js").FeatureLike} feature Feature.
+       * @param {import("../layer/Layer.js").default} layer Layer.
+       * @return {boolean|undefined} Continue to iterate over the features.
+       */
+      function (feature, layer) {
+        if (this.filter_(feature, layer)) {
+          hits.push([feature, layer]);
+          return !this.multi_;
+        }
+      }.bind(this),
+      {
+        layerFilter: this.layerFilter_,
+        hitTolerance: this.hitTolerance_,
+      }
+    );
+    this.selectHits_(hits, mapBrowserEvent);
+    return true;
+  }
+
+  /**
+   * Select the features of visible vector layers that intersect an area.
+   * Candidates are looked up in the spatial index of the sources, and then
+   * tested for intersection with their geometry.
+   * @param {import("../geom/Geometry.js").default} area Area.
+   * @param {import("../MapBrowserEvent.js").default} mapBrowserEvent Event that
+   *     finished the area.
+   * @private
+   */
+  selectInArea_(area, mapBrowserEvent) {
+    const extent = area.getExtent();
+    const areaParts = getParts(area, []);
+    /** @type {Array<Array<?>>} */
+    const hits = [];
+    const layers = this.getMap().getAllLayers();
+    // top layers first, like hit detection
+    for (let i = layers.length - 1; i >= 0; --i) {
+      const layer = layers[i];
+      const source = layer.getSource();
+      if (
+        !(layer instanceof BaseVectorLayer) ||
+        !(source instanceof VectorSource) ||
+        !layer.getVisible() ||
+        !this.layerFilter_(layer)
+      ) {
+        continue;
+      }
+      source.forEachFeatureIntersectingExtent(
+        extent,
+        /**
+         * @param {import("../Feature.js").default} feature Feature.
+         */
+        function (feature) {
+          const geometry = feature.getGeometry();
+          if (
+            geometry &&
+            this.filter_(feature, layer) &&
+            intersects(getParts(geometry, []), areaParts)
+          ) {
+            hits.push([feature, layer]);
+          }
+        }.bind(this)
+      );
+    }
+    this.selectHits_(hits, mapBrowserEvent);
+  }
+
+  /**
+   * Change the selected features according to the conditions of an event.
+   * @param {Array<Array<?>>} hits Pairs of the features that were hit and
+   *     their layers.
+   * @param {import("../MapBrowserEvent.js").default} mapBrowserEvent Map browser event.
+   * @private
+   */
+  selectHits_(hits, mapBrowserEvent) {
     const add = this.addCondition_(mapBrowserEvent);
     const remove = this.removeCondition_(mapBrowserEvent);
     const toggle = this.toggleCondition_(mapBrowserEvent);
     const set = !add && !remove && !toggle;
-    const map = mapBrowserEvent.map;
     const features = this.getFeatures();
+    /** @type {Object<string, boolean>} */
+    const wasSelected = {};
+    features.forEach(function (feature) {
+      wasSelected[getUid(feature)] = true;
+    });
+    /** @type {Object<string, boolean>} */
+    const seen = {};
     const deselected = [];
-    const selected = [];
+    let selected = [];
     if (set) {
-      // Replace the currently selected feature(s) with the feature(s) at the
-      // pixel, or clear the selected feature(s) if there is no feature at
-      // the pixel.
+      // Replace the currently selected feature(s) with the feature(s) that
+      // were hit, or clear the selected feature(s) if none were hit.
       clear(this.featureLayerAssociation_);
-      map.forEachFeatureAtPixel(
-        mapBrowserEvent.pixel,
-        /**
-         * @param {import("../Feature.js").FeatureLike} feature Feature.
-         * @param {import("../layer/Layer.js").default} layer Layer.
-         * @return {boolean|undefined} Continue to iterate over the features.
-         */
-        function (feature, layer) {
-          if (this.filter_(feature, layer)) {
-            this.addFeatureLayerAssociation_(feature, layer);
-            selected.push(feature);
-            return !this.multi_;
-          }
-        }.bind(this),
-        {
-          layerFilter: this.layerFilter_,
-          hitTolerance: this.hitTolerance_,
+      for (let i = 0, ii = hits.length; i < ii; ++i) {
+        const feature = hits[i][0];
+        const uid = getUid(feature);
+        if (!seen[uid]) {
+          seen[uid] = true;
+          this.addFeatureLayerAssociation_(feature, hits[i][1]);
+          selected.push(feature);
         }
-      );
+      }
       for (let i = features.getLength() - 1; i >= 0; --i) {
         const feature = features.item(i);
-        const index = selected.indexOf(feature);
-        if (index > -1) {
-          // feature is already selected
-          selected.splice(index, 1);
-        } else {
+        if (!seen[getUid(feature)]) {
           features.remove(feature);
           deselected.push(feature);
         }
       }
+      selected = selected.filter(function (feature) {
+        // skip features that are already selected
+        return !wasSelected[getUid(feature)];
+      });
       if (selected.length !== 0) {
         features.extend(selected);
       }
     } else {
       // Modify the currently selected feature(s).
-      map.forEachFeatureAtPixel(
-        mapBrowserEvent.pixel,
-        /**
-         * @param {import("../Feature.js").FeatureLike} feature Feature.
-         * @param {import("../layer/Layer.js").default} layer Layer.
-         * @return {boolean|undefined} Continue to iterate over the features.
-         */
-        function (feature, layer) {
-          if (this.filter_(feature, layer)) {
-            if ((add || toggle) && !includes(features.getArray(), feature)) {
-              this.addFeatureLayerAssociation_(feature, layer);
-              selected.push(feature);
-            } else if (
-              (remove || toggle) &&
-              includes(features.getArray(), feature)
-            ) {
-              deselected.push(feature);
-              this.removeFeatureLayerAssociation_(feature);
-            }
-            return !this.multi_;
-          }
-        }.bind(this),
-        {
-          layerFilter: this.layerFilter_,
-          hitTolerance: this.hitTolerance_,
+      for (let i = 0, ii = hits.length; i < ii; ++i) {
+        const feature = hits[i][0];
+        const uid = getUid(feature);
+        if (seen[uid]) {
+          continue;
         }
-      );
+        seen[uid] = true;
+        if ((add || toggle) && !wasSelected[uid]) {
+          this.addFeatureLayerAssociation_(feature, hits[i][1]);
+          selected.push(feature);
+        } else if ((remove || toggle) && wasSelected[uid]) {
+          deselected.push(feature);
+          this.removeFeatureLayerAssociation_(feature);
+        }
+      }
       for (let j = deselected.length - 1; j >= 0; --j) {
         features.remove(deselected[j]);
       }
@@ -560,7 +779,6 @@ class Select extends Interaction {
         )
       );
     }
-    return true;
   }
 }
 
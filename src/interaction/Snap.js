@@ -2,6 +2,7 @@
  * @module ol/interaction/Snap
  */
 import CollectionEventType from '../CollectionEventType.js';
+import Event from '../events/Event.js';
 import EventType from '../events/EventType.js';
 import GeometryType from '../geom/GeometryType.js';
 import PointerInteraction from './Pointer.js';
@@ -12,6 +13,7 @@ import {boundingExtent, createEmpty} from '../extent.js';
 import {
   closestOnCircle,
   closestOnSegment,
+  equals,
   squaredDistance,
 } from '../coordinate.js';
 import {fromCircle} from '../geom/Polygon.js';
@@ -19,15 +21,51 @@ import {
   fromUserCoordinate,
   getUserProjection,
   toUserCoordinate,
+  toUserExtent,
 } from '../proj.js';
 import {getUid} from '../util.js';
 import {getValues} from '../obj.js';
 import {listen, unlistenByKey} from '../events.js';
 
+/**
+ * Kind of target that was snapped to.
+ * @enum {string}
+ */
+export const SnapType = {
+  VERTEX: 'vertex',
+  INTERSECTION: 'intersection',
+  MIDPOINT: 'midpoint',
+  PERPENDICULAR: 'perpendicular',
+  EDGE: 'edge',
+  EXTENSION: 'extension',
+};
+
+/**
+ * @enum {string}
+ */
+const SnapEventType = {
+  /**
+   * Triggered for each map browser event that was snapped.
+   * @event SnapEvent#snap
+   * @api
+   */
+  SNAP: 'snap',
+  /**
+   * Triggered for the first map browser event that was not snapped after a
+   * snapped one.
+   * @event SnapEvent#unsnap
+   * @api
+   */
+  UNSNAP: 'unsnap',
+};
+
 /**
  * @typedef {Object} Result
  * @property {import("../coordinate.js").Coordinate|null} vertex Vertex.
  * @property {import("../pixel.js").Pixel|null} vertexPixel VertexPixel.
+ * @property {SnapType} [snapType] Kind of target that was snapped to.
+ * @property {import("../Feature.js").default|null} [feature] Feature that was
+ * snapped to. For intersections, this is one of the intersecting features.
  */
 
 /**
@@ -41,6 +79,15 @@ import {listen, unlistenByKey} from '../events.js';
  * @property {import("../Collection.js").default<import("../Feature.js").default>} [features] Snap to these features. Either this option or source should be provided.
  * @property {boolean} [edge=true] Snap to edges.
  * @property {boolean} [vertex=true] Snap to vertices.
+ * @property {boolean} [intersection=false] Snap to intersections between
+ * segments of different features.
+ * @property {boolean} [midpoint=false] Snap to the midpoints of segments.
+ * @property {boolean} [perpendicular=false] Snap to the foot of the
+ * perpendicular from the last vertex of the feature being drawn by a
+ * {@link module:ol/interaction/Draw~Draw} interaction of the map.
+ * @property {boolean} [extension=false] Snap to the extensions of line
+ * strings beyond their first and last vertex. Only lines that end within the
+ * current view are considered.
  * @property {number} [pixelTolerance=10] Pixel tolerance for considering the pointer close enough to a segment or
  * vertex for snapping.
  * @property {import("../source/Vector.js").default} [source] Snap to features from this source. Either this option or features should be provided
@@ -67,6 +114,149 @@ function getFeatureFromEvent(evt) {
 
 const tempSegment = [];
 
+/**
+ * Collect the first and last segments of the open line strings of a geometry,
+ * both ending with the end vertex of the line.
+ * @param {import("../geom/Geometry.js").default} geometry Geometry.
+ * @param {Array<Array<import("../coordinate.js").Coordinate>>} endSegments
+ *     End segments.
+ */
+function collectEndSegments(geometry, endSegments) {
+  const type = geometry.getType();
+  let lines;
+  if (type === GeometryType.LINE_STRING) {
+    lines = [
+      /** @type {import("../geom/LineString.js").default} */ (
+        geometry
+      ).getCoordinates(),
+    ];
+  } else if (type === GeometryType.MULTI_LINE_STRING) {
+    lines = /** @type {import("../geom/MultiLineString.js").default} */ (
+      geometry
+    ).getCoordinates();
+  } else if (type === GeometryType.GEOMETRY_COLLECTION) {
+    /** @type {import("../geom/GeometryCollection.js").default} */ (geometry)
+      .getGeometriesArray()
+      .forEach(function (geometry) {
+        collectEndSegments(geometry, endSegments);
+      });
+    return;
+  } else {
+    return;
+  }
+  for (let i = 0, ii = lines.length; i < ii; ++i) {
+    const line = lines[i];
+    const last = line.length - 1;
+    if (last < 1 || equals(line[0], line[last])) {
+      continue;
+    }
+    endSegments.push([line[1], line[0]], [line[last - 1], line[last]]);
+  }
+}
+
+/**
+ * @classdesc
+ * Events emitted by {@link module:ol/interaction/Snap~Snap} instances are
+ * instances of this type.
+ */
+export class SnapEvent extends Event {
+  /**
+   * @param {SnapEventType} type Type.
+   * @param {Result|null} result Snap result.
+   * @param {import("../MapBrowserEvent.js").default} mapBrowserEvent
+   * Associated {@link module:ol/MapBrowserEvent~MapBrowserEvent}.
+   */
+  constructor(type, result, mapBrowserEvent) {
+    super(type);
+
+    /**
+     * The snapped coordinate, `null` for `unsnap` events.
+     * @type {import("../coordinate.js").Coordinate|null}
+     * @api
+     */
+    this.vertex = result ? result.vertex : null;
+
+    /**
+     * The snapped pixel, `null` for `unsnap` events.
+     * @type {import("../pixel.js").Pixel|null}
+     * @api
+     */
+    this.vertexPixel = result ? result.vertexPixel : null;
+
+    /**
+     * Kind of target that was snapped to: `vertex`, `intersection`,
+     * `midpoint`, `perpendicular`, `edge` or `extension`. `null` for `unsnap`
+     * events.
+     * @type {SnapType|null}
+     * @api
+     */
+    this.snapType = result ? result.snapType : null;
+
+    /**
+     * The feature that was snapped to, `null` for `unsnap` events.
+     * @type {import("../Feature.js").default|null}
+     * @api
+     */
+    this.feature = result ? result.feature : null;
+
+    /**
+     * Associated {@link module:ol/MapBrowserEvent~MapBrowserEvent}.
+     * @type {import("../MapBrowserEvent.js").default}
+     * @api
+     */
+    this.mapBrowserEvent = mapBrowserEvent;
+  }
+}
+
+/***
+ * @template Return
+ * @typedef {import("../Observable").OnSignature<import("../Observable").EventTypes, import("../events/Event.js").default, Return> &
+ *   import("../Observable").OnSignature<import("../ObjectEventType").Types|
+ *     'change:active', import("../Object").ObjectEvent, Return> &
+ *   import("../Observable").OnSignature<'snap'|'unsnap', SnapEvent, Return> &
+ *   import("../Observable").CombinedOnSignature<import("../Observable").EventTypes|import("../ObjectEventType").Types|
+ *     'change:active'|'snap'|'unsnap', Return>} SnapOnSignature
+ */
+
+/**
+ * @param {number} x X.
+ * @param {number} y Y.
+ * @param {import("../coordinate.js").Coordinate} start Start of the line.
+ * @param {import("../coordinate.js").Coordinate} end End of the line.
+ * @return {number} Position of the projection of (x, y) on the line through
+ *     start and end: `0` at start, `1` at end. `NaN` for degenerate lines.
+ */
+function projectOnLine(x, y, start, end) {
+  const dx = end[0] - start[0];
+  const dy = end[1] - start[1];
+  const squaredLength = dx * dx + dy * dy;
+  if (squaredLength === 0) {
+    return NaN;
+  }
+  return ((x - start[0]) * dx + (y - start[1]) * dy) / squaredLength;
+}
+
+/**
+ * @param {Array<import("../coordinate.js").Coordinate>} segment1 Segment.
+ * @param {Array<import("../coordinate.js").Coordinate>} segment2 Segment.
+ * @return {import("../coordinate.js").Coordinate|null} Intersection of the
+ *     segments, `null` when they do not intersect or are parallel.
+ */
+function intersectSegments(segment1, segment2) {
+  const [[x1, y1], [x2, y2]] = segment1;
+  const [[x3, y3], [x4, y4]] = segment2;
+  const denominator = (x2 - x1) * (y4 - y3) - (y2 - y1) * (x4 - x3);
+  if (denominator === 0) {
+    return null;
+  }
+  const t = ((x3 - x1) * (y4 - y3) - (y3 - y1) * (x4 - x3)) / denominator;
+  const u = ((x3 - x1) * (y2 - y1) - (y3 - y1) * (x2 - x1)) / denominator;
+  if (t < 0 || t > 1 || u < 0 || u > 1) {
+    return null;
+  }
+  return [x1 + t * (x2 - x1), y1 + t * (y2 - y1)];
+}
+
 /**
  * @classdesc
  * Handles snapping of vector features while modifying or drawing them.  The
@@ -78,6 +268,13 @@ const tempSegment = [];
  * The snap interaction modifies map browser event `coordinate` and `pixel`
  * properties to force the snap to occur to any interaction that them.
  *
+ * Besides vertices and edges, the interaction can snap to segment
+ * intersections, segment midpoints, the foot of the perpendicular from the
+ * last vertex drawn, and line extensions. Targets are tried in this order:
+ * vertex, intersection, midpoint, perpendicular, edge, extension. A `snap`
+ * event reporting the kind of target is dispatched for each snapped map
+ * browser event, and an `unsnap` event when the pointer leaves the targets.
+ *
  * Example:
  *
  *     import Snap from 'ol/interaction/Snap';
@@ -111,6 +308,21 @@ class Snap extends PointerInteraction {
 
     super(pointerOptions);
 
+    /***
+     * @type {SnapOnSignature<import("../events").EventsKey>}
+     */
+    this.on;
+
+    /***
+     * @type {SnapOnSignature<import("../events").EventsKey>}
+     */
+    this.once;
+
+    /***
+     * @type {SnapOnSignature<void>}
+     */
+    this.un;
+
     /**
      * @type {import("../source/Vector.js").default|null}
      * @private
@@ -129,6 +341,36 @@ class Snap extends PointerInteraction {
      */
     this.edge_ = options.edge !== undefined ? options.edge : true;
 
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.intersection_ = !!options.intersection;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.midpoint_ = !!options.midpoint;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.perpendicular_ = !!options.perpendicular;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.extension_ = !!options.extension;
+
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.snapped_ = false;
+
     /**
      * @type {import("../Collection.js").default<import("../Feature.js").default>|null}
      * @private
@@ -178,6 +420,14 @@ class Snap extends PointerInteraction {
      */
     this.rBush_ = new RBush();
 
+    /**
+     * First and last segments of line strings, indexed by their end vertex,
+     * for snapping to extensions. The end vertex is the second coordinate.
+     * @type {import("../structs/RBush.js").default<SegmentData>}
+     * @private
+     */
+    this.endSegmentsRBush_ = new RBush();
+
     /**
      * @const
      * @private
@@ -229,6 +479,16 @@ class Snap extends PointerInteraction {
           }));
           this.rBush_.load(extents, segmentsData);
         }
+        if (this.extension_) {
+          const endSegments = [];
+          collectEndSegments(geometry, endSegments);
+          for (let i = 0, ii = endSegments.length; i < ii; ++i) {
+            this.endSegmentsRBush_.insert(boundingExtent([endSegments[i][1]]), {
+              feature: feature,
+              segment: endSegments[i],
+            });
+          }
+        }
       }
     }
 
@@ -242,6 +502,16 @@ class Snap extends PointerInteraction {
     }
   }
 
+  /**
+   * Get the indexed segments of the features that we may snap to. Points are
+   * segments with a single coordinate.
+   * @param {import("../extent.js").Extent} extent Extent.
+   * @return {Array<SegmentData>} Segments in the extent.
+   */
+  getSegmentsInExtent(extent) {
+    return this.rBush_.getInExtent(extent);
+  }
+
   /**
    * @param {import("../Feature.js").default} feature Feature.
    * @private
@@ -281,6 +551,11 @@ class Snap extends PointerInteraction {
     if (result) {
       evt.coordinate = result.vertex.slice(0, 2);
       evt.pixel = result.vertexPixel;
+      this.snapped_ = true;
+      this.dispatchEvent(new SnapEvent(SnapEventType.SNAP, result, evt));
+    } else if (this.snapped_) {
+      this.snapped_ = false;
+      this.dispatchEvent(new SnapEvent(SnapEventType.UNSNAP, null, evt));
     }
     return super.handleEvent(evt);
   }
@@ -355,6 +630,18 @@ class Snap extends PointerInteraction {
       for (let i = nodesToRemove.length - 1; i >= 0; --i) {
         rBush.remove(nodesToRemove[i]);
       }
+      if (this.extension_) {
+        const endSegmentsRBush = this.endSegmentsRBush_;
+        const endSegmentsToRemove = [];
+        endSegmentsRBush.forEachInExtent(extent, function (node) {
+          if (feature === node.feature) {
+            endSegmentsToRemove.push(node);
+          }
+        });
+        for (let i = endSegmentsToRemove.length - 1; i >= 0; --i) {
+          endSegmentsRBush.remove(endSegmentsToRemove[i]);
+        }
+      }
     }
 
     if (unregister) {
@@ -439,7 +726,7 @@ class Snap extends PointerInteraction {
     const segments = this.rBush_.getInExtent(box);
 
     const segmentsLength = segments.length;
-    if (segmentsLength === 0) {
+    if (segmentsLength === 0 && !this.extension_) {
       return null;
     }
 
@@ -447,10 +734,15 @@ class Snap extends PointerInteraction {
     const projectedCoordinate = fromUserCoordinate(pixelCoordinate, projection);
 
     let closestVertex;
+    let closestFeature = null;
     let minSquaredDistance = Infinity;
 
     const squaredPixelTolerance = this.pixelTolerance_ * this.pixelTolerance_;
-    const getResult = () => {
+    /**
+     * @param {SnapType} snapType Snap type.
+     * @return {Result|null} Result.
+     */
+    const getResult = (snapType) => {
       if (closestVertex) {
         const vertexPixel = map.getPixelFromCoordinate(closestVertex);
         const squaredPixelDistance = squaredDistance(pixel, vertexPixel);
@@ -461,11 +753,50 @@ class Snap extends PointerInteraction {
               Math.round(vertexPixel[0]),
               Math.round(vertexPixel[1]),
             ],
+            snapType: snapType,
+            feature: closestFeature,
           };
         }
       }
       return null;
     };
+    /**
+     * Use a candidate in view projection if it is the closest so far.
+     * @param {import("../coordinate.js").Coordinate} candidate Candidate.
+     * @param {import("../Feature.js").default} feature Feature.
+     */
+    const consider = (candidate, feature) => {
+      const delta = squaredDistance(projectedCoordinate, candidate);
+      if (delta < minSquaredDistance) {
+        closestVertex = toUserCoordinate(candidate, projection);
+        closestFeature = feature;
+        minSquaredDistance = delta;
+      }
+    };
+    // segments in view projection, without points and circles
+    const lineSegments = [];
+    if (
+      this.intersection_ ||
+      this.midpoint_ ||
+      this.perpendicular_ ||
+      this.extension_
+    ) {
+      for (let i = 0; i < segmentsLength; ++i) {
+        const segmentData = segments[i];
+        if (
+          segmentData.segment.length === 2 &&
+          segmentData.feature.getGeometry().getType() !== GeometryType.CIRCLE
+        ) {
+          lineSegments.push({
+            feature: segmentData.feature,
+            segment: [
+              fromUserCoordinate(segmentData.segment[0], projection),
+              fromUserCoordinate(segmentData.segment[1], projection),
+            ],
+          });
+        }
+      }
+    }
 
     if (this.vertex_) {
       for (let i = 0; i < segmentsLength; ++i) {
@@ -478,17 +809,82 @@ class Snap extends PointerInteraction {
             const delta = squaredDistance(projectedCoordinate, tempVertexCoord);
             if (delta < minSquaredDistance) {
               closestVertex = vertex;
+              closestFeature = segmentData.feature;
               minSquaredDistance = delta;
             }
           });
         }
       }
-      const result = getResult();
+      const result = getResult(SnapType.VERTEX);
+      if (result) {
+        return result;
+      }
+    }
+
+    if (this.intersection_) {
+      for (let i = 0, ii = lineSegments.length; i < ii; ++i) {
+        const segmentData = lineSegments[i];
+        for (let j = i + 1; j < ii; ++j) {
+          if (lineSegments[j].feature !== segmentData.feature) {
+            const intersection = intersectSegments(
+              segmentData.segment,
+              lineSegments[j].segment
+            );
+            if (intersection) {
+              consider(intersection, segmentData.feature);
+            }
+          }
+        }
+      }
+      const result = getResult(SnapType.INTERSECTION);
       if (result) {
         return result;
       }
     }
 
+    if (this.midpoint_) {
+      for (let i = 0, ii = lineSegments.length; i < ii; ++i) {
+        const [start, end] = lineSegments[i].segment;
+        consider(
+          [(start[0] + end[0]) / 2, (start[1] + end[1]) / 2],
+          lineSegments[i].feature
+        );
+      }
+      const result = getResult(SnapType.MIDPOINT);
+      if (result) {
+        return result;
+      }
+    }
+
+    if (this.perpendicular_) {
+      const origin = this.getPerpendicularOrigin_(map);
+      if (origin) {
+        const projectedOrigin = fromUserCoordinate(origin, projection);
+        for (let i = 0, ii = lineSegments.length; i < ii; ++i) {
+          const [start, end] = lineSegments[i].segment;
+          const t = projectOnLine(
+            projectedOrigin[0],
+            projectedOrigin[1],
+            start,
+            end
+          );
+          if (t >= 0 && t <= 1) {
+            consider(
+              [
+                start[0] + t * (end[0] - start[0]),
+                start[1] + t * (end[1] - start[1]),
+              ],
+              lineSegments[i].feature
+            );
+          }
+        }
+        const result = getResult(SnapType.PERPENDICULAR);
+        if (result) {
+          return result;
+        }
+      }
+    }
+
     if (this.edge_) {
       for (let i = 0; i < segmentsLength; ++i) {
         let vertex = null;
@@ -525,17 +921,72 @@ class Snap extends PointerInteraction {
           const delta = squaredDistance(projectedCoordinate, vertex);
           if (delta < minSquaredDistance) {
             closestVertex = vertex;
+            closestFeature = segmentData.feature;
             minSquaredDistance = delta;
           }
         }
       }
 
-      const result = getResult();
+      const result = getResult(SnapType.EDGE);
       if (result) {
         return result;
       }
     }
 
+    if (this.extension_) {
+      const viewExtent = toUserExtent(
+        map.getView().calculateExtent(map.getSize()),
+        projection
+      );
+      const endSegments = this.endSegmentsRBush_.getInExtent(viewExtent);
+      for (let i = 0, ii = endSegments.length; i < ii; ++i) {
+        const start = fromUserCoordinate(endSegments[i].segment[0], projection);
+        const end = fromUserCoordinate(endSegments[i].segment[1], projection);
+        const t = projectOnLine(
+          projectedCoordinate[0],
+          projectedCoordinate[1],
+          start,
+          end
+        );
+        if (t > 1) {
+          consider(
+            [
+              start[0] + t * (end[0] - start[0]),
+              start[1] + t * (end[1] - start[1]),
+            ],
+            endSegments[i].feature
+          );
+        }
+      }
+      const result = getResult(SnapType.EXTENSION);
+      if (result) {
+        return result;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the last vertex of the feature being drawn by a Draw interaction of
+   * the map.
+   * @param {import("../PluggableMap.js").default} map Map.
+   * @return {import("../coordinate.js").Coordinate|null} Last vertex.
+   * @private
+   */
+  getPerpendicularOrigin_(map) {
+    const interactions = map.getInteractions().getArray();
+    for (let i = interactions.length - 1; i >= 0; --i) {
+      const interaction = interactions[i];
+      // duck typed, because Draw uses Snap for tracing
+      const draw = /** @type {import("./Draw.js").default} */ (interaction);
+      if (typeof draw.getLastVertex === 'function' && draw.getActive()) {
+        const vertex = draw.getLastVertex();
+        if (vertex) {
+          return vertex;
+        }
+      }
+    }
     return null;
   }
 
@@ -0,0 +1,287 @@
+/**
+ * @module ol/interaction/Split
+ */
+import Draw from './Draw.js';
+import Event from '../events/Event.js';
+import GeometryType from '../geom/GeometryType.js';
+import LineString from '../geom/LineString.js';
+import MultiLineString from '../geom/MultiLineString.js';
+import MultiPolygon from '../geom/MultiPolygon.js';
+import Polygon from '../geom/Polygon.js';
+import {splitLineString, splitPolygon} from '../geom/overlay.js';
+
+/**
+ * @enum {string}
+ */
+const SplitEventType = {
+  /**
+   * Triggered before features are split.
+   * @event SplitEvent#splitstart
+   * @api
+   */
+  SPLITSTART: 'splitstart',
+  /**
+   * Triggered when features have been split.
+   * @event SplitEvent#split
+   * @api
+   */
+  SPLIT: 'split',
+};
+
+/**
+ * @typedef {Object} Options
+ * @property {import("../source/Vector.js").default} [source] Source of the
+ * features to split. Split features are replaced by their parts in the source.
+ * @property {import("../Collection.js").default<import("../Feature.js").default>} [features]
+ * Features to split, e.g. the selected features of a
+ * {@link module:ol/interaction/Select~Select} interaction. When set, only these
+ * features are split, and they are also replaced by their parts in the
+ * collection. Either `source` or `features` must be provided.
+ * @property {import("../events/condition.js").Condition} [condition] A function
+ * that takes an {@link module:ol/MapBrowserEvent~MapBrowserEvent} and returns a
+ * boolean to indicate whether that event should be handled when drawing the
+ * splitting line. By default {@link module:ol/events/condition.noModifierKeys}.
+ * @property {number} [snapTolerance=12] Pixel distance for snapping to the
+ * last point of the splitting line, to finish it.
+ * @property {import("../style/Style.js").StyleLike} [style] Style of the
+ * splitting line while it is drawn.
+ * @property {boolean|import("../events/condition.js").Condition} [trace=false]
+ * Trace features of the `traceSource` when drawing the splitting line. See
+ * {@link module:ol/interaction/Draw~Draw}.
+ * @property {import("../source/Vector.js").default} [traceSource] Source of the
+ * features to trace.
+ * @property {boolean} [wrapX=false] Wrap the world horizontally on the sketch
+ * overlay.
+ */
+
+/**
+ * @classdesc
+ * Events emitted by {@link module:ol/interaction/Split~Split} instances are
+ * instances of this type.
+ */
+export class SplitEvent extends Event {
+  /**
+   * @param {SplitEventType} type Type.
+   * @param {Array<import("../Feature.js").default>} features The split features.
+   * @param {Array<import("../Feature.js").default>} result The parts.
+   */
+  constructor(type, features, result) {
+    super(type);
+
+    /**
+     * The features that are split. After the `split` event, they are no longer
+     * in the source.
+     * @type {Array<import("../Feature.js").default>}
+     * @api
+     */
+    this.features = features;
+
+    /**
+     * The new features, one per part. They have the properties of the feature
+     * they were split from.
+     * @type {Array<import("../Feature.js").default>}
+     * @api
+     */
+    this.result = result;
+  }
+}
+
+/***
+ * @template Return
+ * @typedef {import("../Observable").OnSignature<import("../Observable").EventTypes, import("../events/Event.js").default, Return> &
+ *   import("../Observable").OnSignature<import("../ObjectEventType").Types|
+ *     'change:active', import("../Object").ObjectEvent, Return> &
+ *   import("../Observable").OnSignature<'drawabort'|'drawend'|'drawstart', import("./Draw.js").DrawEvent, Return> &
+ *   import("../Observable").OnSignature<'split'|'splitstart', SplitEvent, Return> &
+ *   import("../Observable").CombinedOnSignature<import("../Observable").EventTypes|import("../ObjectEventType").Types|
+ *     'change:active'|'drawabort'|'drawend'|'drawstart'|'split'|'splitstart', Return>} SplitOnSignature
+ */
+
+/**
+ * @param {import("../geom/Geometry.js").default} geometry Geometry.
+ * @param {Array<import("../coordinate.js").Coordinate>} splitter Splitting line.
+ * @return {Array<import("../geom/Geometry.js").default>|null} The parts, or
+ * `null` if the geometry is not split. Parts of multi geometries are multi
+ * geometries with a single part.
+ */
+function splitGeometry(geometry, splitter) {
+  let parts = [];
+  let split = false;
+  switch (geometry.getType()) {
+    case GeometryType.LINE_STRING:
+      parts = splitLineString(
+        /** @type {LineString} */ (geometry).getCoordinates(),
+        splitter
+      );
+      return parts.length > 1
+        ? parts.map(function (coordinates) {
+            return new LineString(coordinates);
+          })
+        : null;
+    case GeometryType.MULTI_LINE_STRING:
+      /** @type {MultiLineString} */ (geometry)
+        .getCoordinates()
+        .forEach(function (coordinates) {
+          const lineParts = splitLineString(coordinates, splitter);
+          split = split || lineParts.length > 1;
+          parts.push.apply(parts, lineParts);
+        });
+      return split
+        ? parts.map(function (coordinates) {
+            return new MultiLineString([coordinates]);
+          })
+        : null;
+    case GeometryType.POLYGON:
+      parts = splitPolygon(
+        /** @type {Polygon} */ (geometry).getCoordinates(),
+        splitter
+      );
+      return parts.length > 1
+        ? parts.map(function (coordinates) {
+            return new Polygon(coordinates);
+          })
+        : null;
+    case GeometryType.MULTI_POLYGON:
+      /** @type {MultiPolygon} */ (geometry)
+        .getCoordinates()
+        .forEach(function (coordinates) {
+          const polygonParts = splitPolygon(coordinates, splitter);
+          split = split || polygonParts.length > 1;
+          parts.push.apply(parts, polygonParts);
+        });
+      return split
+        ? parts.map(function (coordinates) {
+            return new MultiPolygon([coordinates]);
+          })
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * @classdesc
+ * Interaction for splitting line and polygon features with a line drawn by the
+ * user. Lines are split where the drawn line crosses them, polygons where it
+ * cuts all the way through them. Each split feature is replaced by new
+ * features, one per part. A `splitstart` event is dispatched before and a
+ * `split` event after the features are replaced.
+ *
+ * @fires SplitEvent
+ * @api
+ */
+class Split extends Draw {
+  /**
+   * @param {Options} options Options.
+   */
+  constructor(options) {
+    super({
+      type: GeometryType.LINE_STRING,
+      condition: options.condition,
+      snapTolerance: options.snapTolerance,
+      style: options.style,
+      trace: options.trace,
+      traceSource: options.traceSource,
+      wrapX: options.wrapX,
+    });
+
+    /***
+     * @type {SplitOnSignature<import("../events").EventsKey>}
+     */
+    this.on;
+
+    /***
+     * @type {SplitOnSignature<import("../events").EventsKey>}
+     */
+    this.once;
+
+    /***
+     * @type {SplitOnSignature<void>}
+     */
+    this.un;
+
+    /**
+     * @type {import("../source/Vector.js").default}
+     * @private
+     */
+    this.targetSource_ = options.source ? options.source : null;
+
+    /**
+     * @type {import("../Collection.js").default<import("../Feature.js").default>}
+     * @private
+     */
+    this.targetFeatures_ = options.features ? options.features : null;
+
+    if (!this.targetSource_ && !this.targetFeatures_) {
+      throw new Error('The split interaction requires a source or features');
+    }
+
+    this.addEventListener('drawend', this.handleDrawEnd_.bind(this));
+  }
+
+  /**
+   * @param {import("./Draw.js").DrawEvent} event Draw event.
+   * @private
+   */
+  handleDrawEnd_(event) {
+    this.split(/** @type {LineString} */ (event.feature.getGeometry()));
+  }
+
+  /**
+   * Split the features crossed by a line.
+   * @param {LineString} line Splitting line.
+   * @return {Array<import("../Feature.js").default>} The new features.
+   * @api
+   */
+  split(line) {
+    const splitter = line.getCoordinates();
+    const extent = line.getExtent();
+    const candidates = this.targetFeatures_
+      ? this.targetFeatures_.getArray().filter(function (feature) {
+          const geometry = feature.getGeometry();
+          return geometry && geometry.intersectsExtent(extent);
+        })
+      : this.targetSource_.getFeaturesInExtent(extent);
+
+    const features = [];
+    const result = [];
+    for (let i = 0, ii = candidates.length; i < ii; ++i) {
+      const feature = candidates[i];
+      const parts = splitGeometry(feature.getGeometry(), splitter);
+      if (!parts) {
+        continue;
+      }
+      features.push(feature);
+      for (let j = 0, jj = parts.length; j < jj; ++j) {
+        const part = feature.clone();
+        part.setGeometry(parts[j]);
+        result.push(part);
+      }
+    }
+    if (features.length === 0) {
+      return result;
+    }
+
+    this.dispatchEvent(
+      new SplitEvent(SplitEventType.SPLITSTART, features, result)
+    );
+    for (let i = 0, ii = features.length; i < ii; ++i) {
+      if (this.targetSource_ && this.targetSource_.hasFeature(features[i])) {
+        this.targetSource_.removeFeature(features[i]);
+      }
+      if (this.targetFeatures_) {
+        this.targetFeatures_.remove(features[i]);
+      }
+    }
+    if (this.targetSource_) {
+      this.targetSource_.addFeatures(result);
+    }
+    if (this.targetFeatures_) {
+      this.targetFeatures_.extend(result);
+    }
+    this.dispatchEvent(new SplitEvent(SplitEventType.SPLIT, features, result));
+    return result;
+  }
+}
+
+export default Split;
@@ -0,0 +1,853 @@
+/**
+ * @module ol/interaction/Transform
+ */
+import CollectionEventType from '../CollectionEventType.js';
+import Event from '../events/Event.js';
+import EventType from '../events/EventType.js';
+import Feature from '../Feature.js';
+import GeometryType from '../geom/GeometryType.js';
+import InteractionProperty from './Property.js';
+import MapEventType from '../MapEventType.js';
+import Point from '../geom/Point.js';
+import PointerInteraction from './Pointer.js';
+import Stroke from '../style/Stroke.js';
+import Style, {createEditingStyle} from '../style/Style.js';
+import VectorLayer from '../layer/Vector.js';
+import VectorSource from '../source/Vector.js';
+import {always, shiftKeyOnly} from '../events/condition.js';
+import {
+  createEmpty,
+  extend as extendExtent,
+  getCenter,
+  isEmpty,
+} from '../extent.js';
+import {fromExtent} from '../geom/Polygon.js';
+import {getUid} from '../util.js';
+import {listen, unlistenByKey} from '../events.js';
+
+/**
+ * Distance of the rotate handle from the box, in pixels.
+ * @type {number}
+ */
+const ROTATE_HANDLE_DISTANCE = 30;
+
+/**
+ * @enum {string}
+ */
+const TransformEventType = {
+  /**
+   * Triggered upon feature transformation start.
+   * @event TransformEvent#transformstart
+   * @api
+   */
+  TRANSFORMSTART: 'transformstart',
+  /**
+   * Triggered upon feature transformation.
+   * @event TransformEvent#transforming
+   * @api
+   */
+  TRANSFORMING: 'transforming',
+  /**
+   * Triggered upon feature transformation end.
+   * @event TransformEvent#transformend
+   * @api
+   */
+  TRANSFORMEND: 'transformend',
+};
+
+/**
+ * Kind of transformation, which is also the `handle` property of the handle
+ * features.
+ * @enum {string}
+ */
+export const TransformMode = {
+  /**
+   * Moving, by dragging the box.
+   * @api
+   */
+  TRANSLATE: 'translate',
+  /**
+   * Rotating around the center of the box, by dragging the rotate handle.
+   * @api
+   */
+  ROTATE: 'rotate',
+  /**
+   * Uniform scaling from the opposite corner, by dragging a corner handle.
+   * @api
+   */
+  SCALE: 'scale',
+  /**
+   * Scaling along one axis from the opposite edge, by dragging an edge
+   * handle.
+   * @api
+   */
+  STRETCH: 'stretch',
+};
+
+/**
+ * @typedef {Object} Options
+ * @property {import("../Collection.js").default<Feature>} features The features
+ * to transform, e.g. the selected features of a
+ * {@link module:ol/interaction/Select~Select} interaction.
+ * @property {import("../events/condition.js").Condition} [condition] A function
+ * that takes an {@link module:ol/MapBrowserEvent~MapBrowserEvent} and returns a
+ * boolean to indicate whether that event should be handled.
+ * Default is {@link module:ol/events/condition.always}.
+ * @property {boolean} [translate=true] Allow moving the features by dragging
+ * the box.
+ * @property {boolean} [rotate=true] Show the rotate handle.
+ * @property {boolean} [scale=true] Show the corner handles, for uniform
+ * scaling.
+ * @property {boolean} [stretch=true] Show the edge handles, for scaling along
+ * one axis.
+ * @property {number} [angleStep=Math.PI / 12] Step in radians that rotation
+ * angles snap to while the `angleStepCondition` is met.
+ * @property {import("../events/condition.js").Condition} [angleStepCondition]
+ * A function that takes an {@link module:ol/MapBrowserEvent~MapBrowserEvent}
+ * and returns a boolean to indicate whether the rotation angle should snap to
+ * the `angleStep`. Default is {@link module:ol/events/condition.shiftKeyOnly}.
+ * @property {number} [hitTolerance=6] Pixel tolerance for hitting a handle.
+ * @property {import("../style/Style.js").StyleLike} [style] Style of the box
+ * and the handles. The box and handle features have a `handle` property, which
+ * is `'box'` for the box and a {@link module:ol/interaction/Transform~TransformMode}
+ * for the handles.
+ */
+
+/**
+ * @classdesc
+ * Events emitted by {@link module:ol/interaction/Transform~Transform} instances
+ * are instances of this type.
+ */
+export class TransformEvent extends Event {
+  /**
+   * @param {TransformEventType} type Type.
+   * @param {import("../Collection.js").default<Feature>} features The features transformed.
+   * @param {TransformMode} mode Kind of transformation.
+   * @param {import("../coordinate.js").Coordinate} coordinate The event coordinate.
+   * @param {import("../coordinate.js").Coordinate} startCoordinate The coordinate
+   * where the transformation started.
+   * @param {import("../coordinate.js").Coordinate} center Center of rotation or
+   * anchor of scaling.
+   * @param {number} angle Rotation angle in radians.
+   * @param {Array<number>} scale Scale factors along the x and y axis.
+   * @param {import("../MapBrowserEvent.js").default} mapBrowserEvent Map browser event.
+   */
+  constructor(
+    type,
+    features,
+    mode,
+    coordinate,
+    startCoordinate,
+    center,
+    angle,
+    scale,
+    mapBrowserEvent
+  ) {
+    super(type);
+
+    /**
+     * The features being transformed.
+     * @type {import("../Collection.js").default<Feature>}
+     * @api
+     */
+    this.features = features;
+
+    /**
+     * The kind of transformation.
+     * @type {TransformMode}
+     * @api
+     */
+    this.mode = mode;
+
+    /**
+     * The coordinate of the event.
+     * @type {import("../coordinate.js").Coordinate}
+     * @api
+     */
+    this.coordinate = coordinate;
+
+    /**
+     * The coordinate where the transformation started.
+     * @type {import("../coordinate.js").Coordinate}
+     * @api
+     */
+    this.startCoordinate = startCoordinate;
+
+    /**
+     * The center of rotation or the anchor of scaling. `null` when
+     * translating.
+     * @type {import("../coordinate.js").Coordinate}
+     * @api
+     */
+    this.center = center;
+
+    /**
+     * The rotation angle in radians, counter-clockwise.
+     * @type {number}
+     * @api
+     */
+    this.angle = angle;
+
+    /**
+     * The scale factors along the x and y axis.
+     * @type {Array<number>}
+     * @api
+     */
+    this.scale = scale;
+
+    /**
+     * Associated {@link module:ol/MapBrowserEvent~MapBrowserEvent}.
+     * @type {import("../MapBrowserEvent.js").default}
+     * @api
+     */
+    this.mapBrowserEvent = mapBrowserEvent;
+  }
+}
+
+/***
+ * @template Return
+ * @typedef {import("../Observable").OnSignature<import("../Observable").EventTypes, import("../events/Event.js").default, Return> &
+ *   import("../Observable").OnSignature<import("../ObjectEventType").Types|
+ *     'change:active', import("../Object").ObjectEvent, Return> &
+ *   import("../Observable").OnSignature<'transformend'|'transformstart'|'transforming', TransformEvent, Return> &
+ *   import("../Observable").CombinedOnSignature<import("../Observable").EventTypes|import("../ObjectEventType").Types|
+ *     'change:active'|'transformend'|'transformstart'|'transforming', Return>} TransformOnSignature
+ */
+
+/**
+ * @return {import("../style/Style.js").StyleFunction} Styles.
+ */
+function getDefaultStyleFunction() {
+  const handleStyle = createEditingStyle()[GeometryType.POINT];
+  const boxStyle = new Style({
+    stroke: new Stroke({
+      color: [0, 153, 255, 1],
+      width: 1.5,
+      lineDash: [4, 4],
+    }),
+  });
+  return function (feature, resolution) {
+    return feature.get('handle') === 'box' ? boxStyle : handleStyle;
+  };
+}
+
+/**
+ * @param {import("../coordinate.js").Coordinate} start Start.
+ * @param {import("../coordinate.js").Coordinate} end End.
+ * @return {import("../coordinate.js").Coordinate} Midpoint.
+ */
+function getMidpoint(start, end) {
+  return [(start[0] + end[0]) / 2, (start[1] + end[1]) / 2];
+}
+
+/**
+ * @classdesc
+ * Interaction for rotating, scaling and moving features. A box with handles is
+ * drawn around the features of the collection. Dragging the rotate handle
+ * rotates the features around the center of the box, dragging a corner handle
+ * scales them uniformly, dragging an edge handle scales them along one axis,
+ * and dragging the box moves them.
+ *
+ * @fires TransformEvent
+ * @api
+ */
+class Transform extends PointerInteraction {
+  /**
+   * @param {Options} options Options.
+   */
+  constructor(options) {
+    super(/** @type {import("./Pointer.js").Options} */ (options));
+
+    /***
+     * @type {TransformOnSignature<import("../events").EventsKey>}
+     */
+    this.on;
+
+    /***
+     * @type {TransformOnSignature<import("../events").EventsKey>}
+     */
+    this.once;
+
+    /***
+     * @type {TransformOnSignature<void>}
+     */
+    this.un;
+
+    /**
+     * @type {import("../Collection.js").default<Feature>}
+     * @private
+     */
+    this.features_ = options.features;
+
+    /**
+     * @private
+     * @type {import("../events/condition.js").Condition}
+     */
+    this.condition_ = options.condition ? options.condition : always;
+
+    /**
+     * Enabled transformations.
+     * @type {Object<string, boolean>}
+     * @private
+     */
+    this.modes_ = {};
+    this.modes_[TransformMode.TRANSLATE] = options.translate !== false;
+    this.modes_[TransformMode.ROTATE] = options.rotate !== false;
+    this.modes_[TransformMode.SCALE] = options.scale !== false;
+    this.modes_[TransformMode.STRETCH] = options.stretch !== false;
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this.angleStep_ =
+      options.angleStep !== undefined ? options.angleStep : Math.PI / 12;
+
+    /**
+     * @private
+     * @type {import("../events/condition.js").Condition}
+     */
+    this.angleStepCondition_ = options.angleStepCondition
+      ? options.angleStepCondition
+      : shiftKeyOnly;
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this.hitTolerance_ =
+      options.hitTolerance !== undefined ? options.hitTolerance : 6;
+
+    /**
+     * Layer of the box and the handles.
+     * @type {VectorLayer}
+     * @private
+     */
+    this.overlay_ = new VectorLayer({
+      source: new VectorSource({
+        useSpatialIndex: false,
+      }),
+      style: options.style ? options.style : getDefaultStyleFunction(),
+      updateWhileAnimating: true,
+      updateWhileInteracting: true,
+    });
+
+    /**
+     * The box around the features.
+     * @type {import("../geom/Polygon.js").default}
+     * @private
+     */
+    this.box_ = null;
+
+    /**
+     * Transformation in progress.
+     * @type {TransformMode|null}
+     * @private
+     */
+    this.mode_ = null;
+
+    /**
+     * @type {import("../coordinate.js").Coordinate}
+     * @private
+     */
+    this.startCoordinate_ = null;
+
+    /**
+     * Center of rotation or anchor of scaling.
+     * @type {import("../coordinate.js").Coordinate}
+     * @private
+     */
+    this.center_ = null;
+
+    /**
+     * Stretched axis, 0 for x and 1 for y.
+     * @type {number}
+     * @private
+     */
+    this.axis_ = 0;
+
+    /**
+     * Rotation angle of the transformation in progress.
+     * @type {number}
+     * @private
+     */
+    this.angle_ = 0;
+
+    /**
+     * Scale factors of the transformation in progress.
+     * @type {Array<number>}
+     * @private
+     */
+    this.scale_ = [1, 1];
+
+    /**
+     * The box before the transformation.
+     * @type {import("../geom/Polygon.js").default}
+     * @private
+     */
+    this.startBox_ = null;
+
+    /**
+     * The geometries of the features before the transformation.
+     * @type {Array<import("../geom/Geometry.js").default>}
+     * @private
+     */
+    this.startGeometries_ = [];
+
+    /**
+     * @type {Object<string, import("../events.js").EventsKey>}
+     * @private
+     */
+    this.featureListenerKeys_ = {};
+
+    /**
+     * @type {import("../events.js").EventsKey}
+     * @private
+     */
+    this.mapListenerKey_ = null;
+
+    this.features_.forEach(this.addFeature_.bind(this));
+    this.features_.addEventListener(
+      CollectionEventType.ADD,
+      this.handleFeatureAdd_.bind(this)
+    );
+    this.features_.addEventListener(
+      CollectionEventType.REMOVE,
+      this.handleFeatureRemove_.bind(this)
+    );
+
+    this.addChangeListener(
+      InteractionProperty.ACTIVE,
+      this.handleActiveChanged_
+    );
+  }
+
+  /**
+   * @param {Feature} feature Feature.
+   * @private
+   */
+  addFeature_(feature) {
+    this.featureListenerKeys_[getUid(feature)] = listen(
+      feature,
+      EventType.CHANGE,
+      this.handleFeatureChange_,
+      this
+    );
+  }
+
+  /**
+   * @param {import("../Collection.js").CollectionEvent} event Event.
+   * @private
+   */
+  handleFeatureAdd_(event) {
+    this.addFeature_(/** @type {Feature} */ (event.element));
+    this.updateHandles_();
+  }
+
+  /**
+   * @param {import("../Collection.js").CollectionEvent} event Event.
+   * @private
+   */
+  handleFeatureRemove_(event) {
+    const feature = /** @type {Feature} */ (event.element);
+    const uid = getUid(feature);
+    unlistenByKey(this.featureListenerKeys_[uid]);
+    delete this.featureListenerKeys_[uid];
+    this.updateHandles_();
+  }
+
+  /**
+   * @private
+   */
+  handleFeatureChange_() {
+    if (!this.mode_) {
+      this.updateHandles_();
+    }
+  }
+
+  /**
+   * Remove the interaction from its current map and attach it to the new map.
+   * Subclasses may set up event handlers to get notified about changes to
+   * the map here.
+   * @param {import("../PluggableMap.js").default} map Map.
+   */
+  setMap(map) {
+    const oldMap = this.getMap();
+    if (this.mapListenerKey_) {
+      unlistenByKey(this.mapListenerKey_);
+      this.mapListenerKey_ = null;
+    }
+    this.overlay_.setMap(map);
+    super.setMap(map);
+    if (map) {
+      // the rotate handle is placed at a pixel distance from the box
+      this.mapListenerKey_ = listen(
+        map,
+        MapEventType.MOVEEND,
+        function () {
+          if (!this.mode_) {
+            this.updateHandles_();
+          }
+        },
+        this
+      );
+    }
+    this.updateState_(oldMap);
+  }
+
+  /**
+   * @private
+   */
+  handleActiveChanged_() {
+    this.updateState_(null);
+  }
+
+  /**
+   * @param {import("../PluggableMap.js").default} oldMap Old map.
+   * @private
+   */
+  updateState_(oldMap) {
+    let map = this.getMap();
+    if (!map || !this.getActive()) {
+      map = map || oldMap;
+      if (map) {
+        map.getViewport().classList.remove('ol-grab');
+      }
+    }
+    this.updateHandles_();
+  }
+
+  /**
+   * Get the overlay layer that this interaction renders the box and the
+   * handles to.
+   * @return {VectorLayer} Overlay layer.
+   * @api
+   */
+  getOverlay() {
+    return this.overlay_;
+  }
+
+  /**
+   * Draw the box and the handles.
+   * @param {import("../geom/Polygon.js").default} [opt_box] Box. By default,
+   * the box is the extent of the features.
+   * @private
+   */
+  updateHandles_(opt_box) {
+    const source = this.overlay_.getSource();
+    source.clear(true);
+    this.box_ = null;
+    const map = this.getMap();
+    if (!map || !this.getActive()) {
+      return;
+    }
+    let box = opt_box;
+    if (!box) {
+      const extent = createEmpty();
+      this.features_.forEach(function (feature) {
+        const geometry = feature.getGeometry();
+        if (geometry) {
+          extendExtent(extent, geometry.getExtent());
+        }
+      });
+      if (isEmpty(extent)) {
+        return;
+      }
+      box = fromExtent(extent);
+    }
+    this.box_ = box;
+
+    const corners = box.getCoordinates()[0];
+    const handles = [new Feature({geometry: box, handle: 'box'})];
+    for (let i = 0; i < 4; ++i) {
+      if (this.modes_[TransformMode.SCALE]) {
+        handles.push(
+          new Feature({
+            geometry: new Point(corners[i]),
+            handle: TransformMode.SCALE,
+            index: i,
+          })
+        );
+      }
+      if (this.modes_[TransformMode.STRETCH]) {
+        handles.push(
+          new Feature({
+            geometry: new Point(getMidpoint(corners[i], corners[i + 1])),
+            handle: TransformMode.STRETCH,
+            index: i,
+          })
+        );
+      }
+    }
+    const resolution = map.getView().getResolution();
+    if (this.modes_[TransformMode.ROTATE] && resolution) {
+      const center = getCenter(box.getExtent());
+      // the top edge, from the top left to the top right corner
+      const top = getMidpoint(corners[1], corners[2]);
+      let dx = top[0] - center[0];
+      let dy = top[1] - center[1];
+      const length = Math.sqrt(dx * dx + dy * dy);
+      if (length > 0) {
+        dx /= length;
+        dy /= length;
+      } else {
+        dx = 0;
+        dy = 1;
+      }
+      const distance = ROTATE_HANDLE_DISTANCE * resolution;
+      handles.push(
+        new Feature({
+          geometry: new Point([top[0] + dx * distance, top[1] + dy * distance]),
+          handle: TransformMode.ROTATE,
+        })
+      );
+    }
+    source.addFeatures(handles);
+  }
+
+  /**
+   * @param {import("../pixel.js").Pixel} pixel Pixel.
+   * @param {import("../PluggableMap.js").default} map Map.
+   * @return {Feature|null} The handle at the pixel, or the box.
+   * @private
+   */
+  getHandleAtPixel_(pixel, map) {
+    if (!this.box_) {
+      return null;
+    }
+    const tolerance = this.hitTolerance_ * this.hitTolerance_;
+    const handles = this.overlay_.getSource().getFeatures();
+    let closest = null;
+    let minDistance = Infinity;
+    for (let i = 0, ii = handles.length; i < ii; ++i) {
+      const handle = handles[i];
+      if (handle.get('handle') === 'box') {
+        continue;
+      }
+      const handlePixel = map.getPixelFromCoordinate(
+        /** @type {Point} */ (handle.getGeometry()).getCoordinates()
+      );
+      const dx = handlePixel[0] - pixel[0];
+      const dy = handlePixel[1] - pixel[1];
+      const distance = dx * dx + dy * dy;
+      if (distance <= tolerance && distance < minDistance) {
+        minDistance = distance;
+        closest = handle;
+      }
+    }
+    if (closest) {
+      return closest;
+    }
+    if (this.modes_[TransformMode.TRANSLATE]) {
+      const coordinate = map.getCoordinateFromPixel(pixel);
+      const closestPixel = map.getPixelFromCoordinate(
+        this.box_.getClosestPoint(coordinate)
+      );
+      const dx = closestPixel[0] - pixel[0];
+      const dy = closestPixel[1] - pixel[1];
+      if (
+        this.box_.intersectsCoordinate(coordinate) ||
+        dx * dx + dy * dy <= tolerance
+      ) {
+        return handles[0];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Handle pointer down events.
+   * @param {import("../MapBrowserEvent.js").default} event Event.
+   * @return {boolean} If the event was consumed.
+   */
+  handleDownEvent(event) {
+    if (!event.originalEvent || !this.condition_(event)) {
+      return false;
+    }
+    const handle = this.getHandleAtPixel_(event.pixel, event.map);
+    if (!handle) {
+      return false;
+    }
+    const type = handle.get('handle');
+    const index = handle.get('index');
+    const corners = this.box_.getCoordinates()[0];
+    this.mode_ = type === 'box' ? TransformMode.TRANSLATE : type;
+    switch (this.mode_) {
+      case TransformMode.ROTATE:
+        this.center_ = getCenter(this.box_.getExtent());
+        break;
+      case TransformMode.SCALE:
+        this.center_ = corners[(index + 2) % 4];
+        break;
+      case TransformMode.STRETCH:
+        this.center_ = getMidpoint(
+          corners[(index + 2) % 4],
+          corners[(index + 3) % 4]
+        );
+        // the left and right edges stretch along the x axis
+        this.axis_ = index % 2;
+        break;
+      default:
+        this.center_ = null;
+    }
+    this.startCoordinate_ = event.coordinate;
+    this.angle_ = 0;
+    this.scale_ = [1, 1];
+    this.startBox_ = this.box_.clone();
+    this.startGeometries_ = this.features_.getArray().map(function (feature) {
+      const geometry = feature.getGeometry();
+      return geometry ? geometry.clone() : null;
+    });
+    this.dispatchEvent(
+      new TransformEvent(
+        TransformEventType.TRANSFORMSTART,
+        this.features_,
+        this.mode_,
+        event.coordinate,
+        this.startCoordinate_,
+        this.center_,
+        0,
+        [1, 1],
+        event
+      )
+    );
+    return true;
+  }
+
+  /**
+   * Handle pointer drag events.
+   * @param {import("../MapBrowserEvent.js").default} event Event.
+   */
+  handleDragEvent(event) {
+    if (!this.mode_) {
+      return;
+    }
+    const coordinate = event.coordinate;
+    const start = this.startCoordinate_;
+    const center = this.center_;
+    let angle = 0;
+    const scale = [1, 1];
+    let transform;
+    switch (this.mode_) {
+      case TransformMode.ROTATE:
+        angle =
+          Math.atan2(coordinate[1] - center[1], coordinate[0] - center[0]) -
+          Math.atan2(start[1] - center[1], start[0] - center[0]);
+        if (this.angleStep_ && this.angleStepCondition_(event)) {
+          angle = Math.round(angle / this.angleStep_) * this.angleStep_;
+        }
+        transform = function (geometry) {
+          geometry.rotate(angle, center);
+        };
+        break;
+      case TransformMode.SCALE: {
+        const dx = start[0] - center[0];
+        const dy = start[1] - center[1];
+        const length = dx * dx + dy * dy;
+        scale[0] =
+          length > 0
+            ? ((coordinate[0] - center[0]) * dx +
+                (coordinate[1] - center[1]) * dy) /
+              length
+            : 1;
+        scale[1] = scale[0];
+        transform = function (geometry) {
+          geometry.scale(scale[0], scale[1], center);
+        };
+        break;
+      }
+      case TransformMode.STRETCH: {
+        const axis = this.axis_;
+        const delta = start[axis] - center[axis];
+        scale[axis] =
+          delta !== 0 ? (coordinate[axis] - center[axis]) / delta : 1;
+        transform = function (geometry) {
+          geometry.scale(scale[0], scale[1], center);
+        };
+        break;
+      }
+      default:
+        transform = function (geometry) {
+          geometry.translate(
+            coordinate[0] - start[0],
+            coordinate[1] - start[1]
+          );
+        };
+    }
+
+    const startGeometries = this.startGeometries_;
+    this.features_.forEach(function (feature, i) {
+      if (startGeometries[i]) {
+        const geometry = startGeometries[i].clone();
+        transform(geometry);
+        feature.setGeometry(geometry);
+      }
+    });
+    const box = this.startBox_.clone();
+    transform(box);
+    this.updateHandles_(box);
+    this.angle_ = angle;
+    this.scale_ = scale;
+
+    this.dispatchEvent(
+      new TransformEvent(
+        TransformEventType.TRANSFORMING,
+        this.features_,
+        this.mode_,
+        coordinate,
+        start,
+        center,
+        angle,
+        scale,
+        event
+      )
+    );
+  }
+
+  /**
+   * Handle pointer up events.
+   * @param {import("../MapBrowserEvent.js").default} event Event.
+   * @return {boolean} If the event was consumed.
+   */
+  handleUpEvent(event) {
+    if (!this.mode_) {
+      return false;
+    }
+    const mode = this.mode_;
+    this.mode_ = null;
+    this.startGeometries_ = [];
+    this.startBox_ = null;
+    this.updateHandles_();
+    this.dispatchEvent(
+      new TransformEvent(
+        TransformEventType.TRANSFORMEND,
+        this.features_,
+        mode,
+        event.coordinate,
+        this.startCoordinate_,
+        this.center_,
+        this.angle_,
+        this.scale_,
+        event
+      )
+    );
+    this.startCoordinate_ = null;
+    this.center_ = null;
+    return false;
+  }
+
+  /**
+   * Handle pointer move events.
+   * @param {import("../MapBrowserEvent.js").default} event Event.
+   */
+  handleMoveEvent(event) {
+    const elem = event.map.getViewport();
+    if (this.getHandleAtPixel_(event.pixel, event.map)) {
+      elem.classList.add('ol-grab');
+    } else {
+      elem.classList.remove('ol-grab');
+    }
+  }
+}
+
+export default Transform;
@@ -0,0 +1,832 @@
+/**
+ * @module ol/interaction/UndoRedo
+ */
+import CollectionEventType from '../CollectionEventType.js';
+import Cut from './Cut.js';
+import Draw from './Draw.js';
+import EventType from '../events/EventType.js';
+import Interaction from './Interaction.js';
+import Merge from './Merge.js';
+import Modify from './Modify.js';
+import Reshape from './Reshape.js';
+import Split from './Split.js';
+import Transform from './Transform.js';
+import Translate from './Translate.js';
+import VectorEventType from '../source/VectorEventType.js';
+import {MAC} from '../has.js';
+import {equals} from '../array.js';
+import {getUid} from '../util.js';
+import {listen, unlistenByKey} from '../events.js';
+import {targetNotEditable} from '../events/condition.js';
+
+/**
+ * @typedef {Object} Options
+ * @property {import("../source/Vector.js").default|Array<import("../source/Vector.js").default>} [source]
+ * Vector source(s) whose added, removed and changed features are recorded.
+ * @property {number} [maxLength=100] Maximum number of transactions kept in the
+ * undo history. Older transactions are discarded.
+ * @property {import("../events/condition.js").Condition} [undoCondition] A
+ * function that takes an {@link module:ol/MapBrowserEvent~MapBrowserEvent} of
+ * type `keydown` and returns a boolean to indicate whether it should undo.
+ * Default is `Ctrl+Z` (`Cmd+Z` on Mac).
+ * @property {import("../events/condition.js").Condition} [redoCondition] A
+ * function that takes an {@link module:ol/MapBrowserEvent~MapBrowserEvent} of
+ * type `keydown` and returns a boolean to indicate whether it should redo.
+ * Default is `Ctrl+Y` or `Ctrl+Shift+Z` (`Cmd+Shift+Z` on Mac).
+ */
+
+/**
+ * A reversible edit.
+ * @typedef {Object} Edit
+ * @property {string} type Type: `'add'`, `'remove'` or `'change'`.
+ * @property {import("../Feature.js").default} feature Feature.
+ * @property {import("../source/Vector.js").default} [source] Source of added
+ * and removed features.
+ * @property {Snapshot} [before] Feature state before a change.
+ * @property {Snapshot} [after] Feature state after a change.
+ */
+
+/**
+ * Recorded state of a feature.
+ * @typedef {Object} Snapshot
+ * @property {import("../geom/Geometry.js").default} geometry Clone of the
+ * geometry.
+ * @property {Object<string, *>} properties Properties, without the geometry.
+ * @property {import("../geom/Geometry.js").default} source The geometry of the
+ * feature when the snapshot was taken.
+ * @property {number} revision Revision of `source` when the snapshot was taken.
+ */
+
+/**
+ * @param {import("../MapBrowserEvent.js").default} mapBrowserEvent Map browser event.
+ * @return {boolean} The event is an undo key press.
+ */
+function defaultUndoCondition(mapBrowserEvent) {
+  const keyEvent = /** @type {KeyboardEvent} */ (mapBrowserEvent.originalEvent);
+  return (
+    (MAC ? keyEvent.metaKey : keyEvent.ctrlKey) &&
+    !keyEvent.altKey &&
+    !keyEvent.shiftKey &&
+    keyEvent.key.toLowerCase() === 'z' &&
+    targetNotEditable(mapBrowserEvent)
+  );
+}
+
+/**
+ * @param {import("../MapBrowserEvent.js").default} mapBrowserEvent Map browser event.
+ * @return {boolean} The event is a redo key press.
+ */
+function defaultRedoCondition(mapBrowserEvent) {
+  const keyEvent = /** @type {KeyboardEvent} */ (mapBrowserEvent.originalEvent);
+  const key = keyEvent.key.toLowerCase();
+  return (
+    (MAC ? keyEvent.metaKey : keyEvent.ctrlKey) &&
+    !keyEvent.altKey &&
+    ((keyEvent.shiftKey && key === 'z') || (!MAC && key === 'y')) &&
+    targetNotEditable(mapBrowserEvent)
+  );
+}
+
+/**
+ * @param {import("../geom/Geometry.js").default} geometry Geometry.
+ * @return {import("../geom/Geometry.js").default} Clone.
+ */
+function cloneGeometry(geometry) {
+  return geometry ? geometry.clone() : null;
+}
+
+/**
+ * @param {import("../geom/Geometry.js").default} geometry1 Geometry.
+ * @param {import("../geom/Geometry.js").default} geometry2 Geometry.
+ * @return {boolean} The geometries are equal.
+ */
+function geometryEquals(geometry1, geometry2) {
+  if (!geometry1 || !geometry2) {
+    return geometry1 === geometry2;
+  }
+  if (geometry1.getType() !== geometry2.getType()) {
+    return false;
+  }
+  const simple1 = /** @type {?} */ (geometry1);
+  const simple2 = /** @type {?} */ (geometry2);
+  if (
+    typeof simple1.getFlatCoordinates !== 'function' ||
+    typeof simple1.getLayout !== 'function'
+  ) {
+    // geometry collections are compared by revision, i.e. always recorded
+    return false;
+  }
+  return (
+    simple1.getLayout() === simple2.getLayout() &&
+    equals(simple1.getFlatCoordinates(), simple2.getFlatCoordinates()) &&
+    equals(
+      simple1.getEnds ? simple1.getEnds() : [],
+      simple2.getEnds ? simple2.getEnds() : []
+    )
+  );
+}
+
+/**
+ * @param {Object<string, *>} properties1 Properties.
+ * @param {Object<string, *>} properties2 Properties.
+ * @return {boolean} The properties are equal.
+ */
+function propertiesEqual(properties1, properties2) {
+  const keys1 = Object.keys(properties1);
+  if (keys1.length !== Object.keys(properties2).length) {
+    return false;
+  }
+  for (let i = 0, ii = keys1.length; i < ii; ++i) {
+    const key = keys1[i];
+    if (!(key in properties2) || properties1[key] !== properties2[key]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * @param {import("../Feature.js").default} feature Feature.
+ * @return {Snapshot} Snapshot of the feature.
+ */
+function createSnapshot(feature) {
+  const geometry = feature.getGeometry();
+  const properties = feature.getProperties();
+  delete properties[feature.getGeometryName()];
+  return {
+    geometry: cloneGeometry(geometry),
+    properties: properties,
+    source: geometry,
+    revision: geometry ? geometry.getRevision() : 0,
+  };
+}
+
+/**
+ * The features of a start or end event of a watched interaction. Modify,
+ * Transform and Translate events have a collection, the others an array.
+ * @param {import("../events/Event.js").default} event Event.
+ * @return {Array<import("../Feature.js").default>|undefined} Features.
+ */
+function getEventFeatures(event) {
+  const features = /** @type {?} */ (event).features;
+  if (!features || Array.isArray(features)) {
+    return features;
+  }
+  return features.getArray();
+}
+
+/**
+ * @classdesc
+ * Undo/redo history for feature edits. Features added to, removed from and
+ * changed in the configured vector sources are recorded as transactions, which
+ * can be reverted with {@link #undo} and re-applied with {@link #redo}. Changes
+ * of the geometry and of the properties of features are recorded.
+ *
+ * Features drawn with {@link module:ol/interaction/Draw~Draw} are recorded
+ * when they are added to a source. The edits of a single
+ * {@link module:ol/interaction/Modify~Modify},
+ * {@link module:ol/interaction/Transform~Transform} or
+ * {@link module:ol/interaction/Translate~Translate} gesture, and of a single
+ * {@link module:ol/interaction/Split~Split},
+ * {@link module:ol/interaction/Merge~Merge},
+ * {@link module:ol/interaction/Cut~Cut} or
+ * {@link module:ol/interaction/Reshape~Reshape} operation of the map this
+ * interaction is added to are recorded as one transaction. This also covers
+ * features that are modified or transformed without being in a source.
+ * Application edits can be grouped with {@link #beginGroup} and
+ * {@link #endGroup}.
+ *
+ * The state of a feature is recorded when a gesture or operation of one of
+ * these interactions starts, when the feature is passed to {@link #beginGroup},
+ * and with each recorded change. A change of a feature whose state was not
+ * recorded before cannot be undone: it only records the new state. So features
+ * are not copied when they are loaded, but application edits need to pass the
+ * features they change to {@link #beginGroup}.
+ *
+ * While a `Draw` interaction of the map is drawing, undo removes the last
+ * vertex of the sketch, and aborts the sketch when no vertex is left.
+ *
+ * By default, `Ctrl+Z` undoes and `Ctrl+Y`/`Ctrl+Shift+Z` redoes (`Cmd` on
+ * Mac). Note that keyboard events are only received when the browser focus is
+ * on the map's `keyboardEventTarget`.
+ *
+ * A `change` event is dispatched whenever the history changes.
+ *
+ * @api
+ */
+class UndoRedo extends Interaction {
+  /**
+   * @param {Options} [opt_options] Options.
+   */
+  constructor(opt_options) {
+    super();
+
+    const options = opt_options ? opt_options : {};
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.maxLength_ = options.maxLength !== undefined ? options.maxLength : 100;
+
+    /**
+     * @private
+     * @type {import("../events/condition.js").Condition}
+     */
+    this.undoCondition_ = options.undoCondition
+      ? options.undoCondition
+      : defaultUndoCondition;
+
+    /**
+     * @private
+     * @type {import("../events/condition.js").Condition}
+     */
+    this.redoCondition_ = options.redoCondition
+      ? options.redoCondition
+      : defaultRedoCondition;
+
+    /**
+     * @private
+     * @type {Array<Array<Edit>>}
+     */
+    this.undoStack_ = [];
+
+    /**
+     * @private
+     * @type {Array<Array<Edit>>}
+     */
+    this.redoStack_ = [];
+
+    /**
+     * Edits of the open group.
+     * @private
+     * @type {Array<Edit>}
+     */
+    this.group_ = [];
+
+    /**
+     * Nesting depth of open groups.
+     * @private
+     * @type {number}
+     */
+    this.groupDepth_ = 0;
+
+    /**
+     * Changed features that were not recorded yet, by uid.
+     * @private
+     * @type {Object<string, import("../Feature.js").default>}
+     */
+    this.pending_ = {};
+
+    /**
+     * Last recorded states of features, by uid.
+     * @private
+     * @type {Object<string, Snapshot>}
+     */
+    this.snapshots_ = {};
+
+    /**
+     * An undo or redo is being applied.
+     * @private
+     * @type {boolean}
+     */
+    this.applying_ = false;
+
+    /**
+     * @private
+     * @type {Array<import("../events.js").EventsKey>}
+     */
+    this.sourceListenerKeys_ = [];
+
+    /**
+     * @private
+     * @type {Array<import("../events.js").EventsKey>}
+     */
+    this.mapListenerKeys_ = [];
+
+    /**
+     * Listener keys of the watched interactions, by uid.
+     * @private
+     * @type {Object<string, Array<import("../events.js").EventsKey>>}
+     */
+    this.interactionListenerKeys_ = {};
+
+    /**
+     * Uids of interactions with an open gesture group.
+     * @private
+     * @type {Object<string, boolean>}
+     */
+    this.openGestures_ = {};
+
+    if (options.source) {
+      const sources = Array.isArray(options.source)
+        ? options.source
+        : [options.source];
+      sources.forEach(this.addSource.bind(this));
+    }
+  }
+
+  /**
+   * Record the edits of a vector source.
+   * @param {import("../source/Vector.js").default} source Vector source.
+   * @api
+   */
+  addSource(source) {
+    this.sourceListenerKeys_.push(
+      listen(source, VectorEventType.ADDFEATURE, this.handleAddFeature_, this),
+      listen(
+        source,
+        VectorEventType.REMOVEFEATURE,
+        this.handleRemoveFeature_,
+        this
+      ),
+      listen(
+        source,
+        VectorEventType.CHANGEFEATURE,
+        this.handleChangeFeature_,
+        this
+      )
+    );
+  }
+
+  /**
+   * Start a group of edits. All edits until the matching {@link #endGroup}
+   * are undone and redone as one transaction. Groups can be nested.
+   * @param {Array<import("../Feature.js").default>} [opt_features] Features
+   * that will be changed in the group. Their current state is recorded, so
+   * that their changes can be undone.
+   * @api
+   */
+  beginGroup(opt_features) {
+    if (opt_features) {
+      opt_features.forEach(function (feature) {
+        // pending changes are recorded against the existing snapshot
+        if (!(getUid(feature) in this.pending_)) {
+          this.takeSnapshot_(feature);
+        }
+      }, this);
+    }
+    ++this.groupDepth_;
+  }
+
+  /**
+   * End a group of edits started with {@link #beginGroup}.
+   * @api
+   */
+  endGroup() {
+    if (this.groupDepth_ === 0) {
+      return;
+    }
+    --this.groupDepth_;
+    if (this.groupDepth_ === 0) {
+      this.flush_();
+    }
+  }
+
+  /**
+   * @return {boolean} There is a transaction to undo.
+   * @api
+   */
+  canUndo() {
+    return this.undoStack_.length > 0;
+  }
+
+  /**
+   * @return {boolean} There is a transaction to redo.
+   * @api
+   */
+  canRedo() {
+    return this.redoStack_.length > 0;
+  }
+
+  /**
+   * Revert the last transaction.
+   * @return {boolean} A transaction was reverted.
+   * @api
+   */
+  undo() {
+    this.flush_();
+    const edits = this.undoStack_.pop();
+    if (!edits) {
+      return false;
+    }
+    this.applying_ = true;
+    for (let i = edits.length - 1; i >= 0; --i) {
+      const edit = edits[i];
+      if (edit.type === 'add') {
+        if (edit.source.hasFeature(edit.feature)) {
+          edit.source.removeFeature(edit.feature);
+        }
+      } else if (edit.type === 'remove') {
+        if (!edit.source.hasFeature(edit.feature)) {
+          edit.source.addFeature(edit.feature);
+        }
+      } else {
+        this.restore_(edit.feature, edit.before);
+      }
+    }
+    this.applying_ = false;
+    this.redoStack_.push(edits);
+    this.changed();
+    return true;
+  }
+
+  /**
+   * Re-apply the last undone transaction.
+   * @return {boolean} A transaction was re-applied.
+   * @api
+   */
+  redo() {
+    this.flush_();
+    const edits = this.redoStack_.pop();
+    if (!edits) {
+      return false;
+    }
+    this.applying_ = true;
+    for (let i = 0, ii = edits.length; i < ii; ++i) {
+      const edit = edits[i];
+      if (edit.type === 'add') {
+        if (!edit.source.hasFeature(edit.feature)) {
+          edit.source.addFeature(edit.feature);
+        }
+      } else if (edit.type === 'remove') {
+        if (edit.source.hasFeature(edit.feature)) {
+          edit.source.removeFeature(edit.feature);
+        }
+      } else {
+        this.restore_(edit.feature, edit.after);
+      }
+    }
+    this.applying_ = false;
+    this.undoStack_.push(edits);
+    this.changed();
+    return true;
+  }
+
+  /**
+   * Remove all transactions from the history.
+   * @api
+   */
+  clear() {
+    this.flush_();
+    this.undoStack_.length = 0;
+    this.redoStack_.length = 0;
+    this.changed();
+  }
+
+  /**
+   * Handles key presses for undo and redo.
+   * @param {import("../MapBrowserEvent.js").default} mapBrowserEvent Map browser event.
+   * @return {boolean} `false` to stop event propagation.
+   */
+  handleEvent(mapBrowserEvent) {
+    if (mapBrowserEvent.type !== EventType.KEYDOWN) {
+      return true;
+    }
+    const keyEvent = /** @type {KeyboardEvent} */ (
+      mapBrowserEvent.originalEvent
+    );
+    if (this.undoCondition_(mapBrowserEvent)) {
+      if (!this.undoSketch_()) {
+        this.undo();
+      }
+    } else if (this.redoCondition_(mapBrowserEvent)) {
+      this.redo();
+    } else {
+      return true;
+    }
+    keyEvent.preventDefault();
+    return false;
+  }
+
+  /**
+   * Remove the last vertex of a sketch of an active Draw interaction.
+   * @return {boolean} A sketch was being drawn.
+   * @private
+   */
+  undoSketch_() {
+    const map = this.getMap();
+    if (!map) {
+      return false;
+    }
+    const interactions = map.getInteractions().getArray();
+    for (let i = interactions.length - 1; i >= 0; --i) {
+      const interaction = interactions[i];
+      if (
+        interaction instanceof Draw &&
+        interaction.getActive() &&
+        interaction.getSketchFeature()
+      ) {
+        interaction.removeLastPoint();
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * @param {import("../PluggableMap.js").default|null} map Map.
+   */
+  setMap(map) {
+    this.mapListenerKeys_.forEach(unlistenByKey);
+    this.mapListenerKeys_.length = 0;
+    Object.keys(this.interactionListenerKeys_).forEach(function (uid) {
+      this.interactionListenerKeys_[uid].forEach(unlistenByKey);
+    }, this);
+    this.interactionListenerKeys_ = {};
+    super.setMap(map);
+    if (map) {
+      const interactions = map.getInteractions();
+      interactions.forEach(this.watchInteraction_.bind(this));
+      this.mapListenerKeys_.push(
+        listen(
+          interactions,
+          CollectionEventType.ADD,
+          function (event) {
+            this.watchInteraction_(event.element);
+          },
+          this
+        ),
+        listen(
+          interactions,
+          CollectionEventType.REMOVE,
+          function (event) {
+            this.unwatchInteraction_(event.element);
+          },
+          this
+        )
+      );
+    }
+  }
+
+  /**
+   * Group the edits of the gestures or operations of an interaction.
+   * @param {Interaction} interaction Interaction.
+   * @private
+   */
+  watchInteraction_(interaction) {
+    let types;
+    if (interaction instanceof Modify) {
+      types = ['modifystart', 'modifyend'];
+    } else if (interaction instanceof Transform) {
+      types = ['transformstart', 'transformend'];
+    } else if (interaction instanceof Translate) {
+      types = ['translatestart', 'translateend'];
+    } else if (interaction instanceof Split) {
+      types = ['splitstart', 'split'];
+    } else if (interaction instanceof Merge) {
+      types = ['mergestart', 'merge'];
+    } else if (interaction instanceof Cut) {
+      types = ['cutstart', 'cut'];
+    } else if (interaction instanceof Reshape) {
+      types = ['reshapestart', 'reshape'];
+    } else {
+      return;
+    }
+    this.interactionListenerKeys_[getUid(interaction)] = [
+      listen(interaction, types[0], this.handleGestureStart_, this),
+      listen(interaction, types[1], this.handleGestureEnd_, this),
+    ];
+  }
+
+  /**
+   * @param {Interaction} interaction Interaction.
+   * @private
+   */
+  unwatchInteraction_(interaction) {
+    const uid = getUid(interaction);
+    const keys = this.interactionListenerKeys_[uid];
+    if (keys) {
+      keys.forEach(unlistenByKey);
+      delete this.interactionListenerKeys_[uid];
+    }
+    if (this.openGestures_[uid]) {
+      delete this.openGestures_[uid];
+      this.endGroup();
+    }
+  }
+
+  /**
+   * @param {import("../events/Event.js").default} event Start event of a
+   *     gesture or operation of a watched interaction.
+   * @private
+   */
+  handleGestureStart_(event) {
+    const uid = getUid(event.target);
+    if (this.openGestures_[uid]) {
+      return;
+    }
+    this.openGestures_[uid] = true;
+    this.beginGroup(getEventFeatures(event));
+  }
+
+  /**
+   * @param {import("../events/Event.js").default} event End event of a
+   *     gesture or operation of a watched interaction.
+   * @private
+   */
+  handleGestureEnd_(event) {
+    const uid = getUid(event.target);
+    const features = getEventFeatures(event);
+    if (features) {
+      features.forEach(function (feature) {
+        const snapshot = this.snapshots_[getUid(feature)];
+        const geometry = feature.getGeometry();
+        if (
+          // features removed by the operation have no snapshot
+          snapshot &&
+          (geometry !== snapshot.source ||
+            (geometry && geometry.getRevision() !== snapshot.revision))
+        ) {
+          this.pending_[getUid(feature)] = feature;
+        }
+      }, this);
+    }
+    if (!this.openGestures_[uid]) {
+      this.flush_();
+      return;
+    }
+    delete this.openGestures_[uid];
+    this.endGroup();
+  }
+
+  /**
+   * @param {import("../source/Vector.js").VectorSourceEvent} event Event.
+   * @private
+   */
+  handleAddFeature_(event) {
+    const feature = event.feature;
+    if (!this.applying_) {
+      this.record_({
+        type: 'add',
+        feature: feature,
+        source: /** @type {import("../source/Vector.js").default} */ (
+          event.target
+        ),
+      });
+    }
+  }
+
+  /**
+   * @param {import("../source/Vector.js").VectorSourceEvent} event Event.
+   * @private
+   */
+  handleRemoveFeature_(event) {
+    const feature = event.feature;
+    const uid = getUid(feature);
+    if (uid in this.pending_) {
+      this.recordChange_(feature);
+      delete this.pending_[uid];
+    }
+    delete this.snapshots_[uid];
+    if (!this.applying_) {
+      this.record_({
+        type: 'remove',
+        feature: feature,
+        source: /** @type {import("../source/Vector.js").default} */ (
+          event.target
+        ),
+      });
+    }
+  }
+
+  /**
+   * @param {import("../source/Vector.js").VectorSourceEvent} event Event.
+   * @private
+   */
+  handleChangeFeature_(event) {
+    const feature = event.feature;
+    if (this.applying_) {
+      this.takeSnapshot_(feature);
+      return;
+    }
+    this.pending_[getUid(feature)] = feature;
+    if (this.groupDepth_ === 0) {
+      this.flush_();
+    }
+  }
+
+  /**
+   * @param {import("../Feature.js").default} feature Feature.
+   * @private
+   */
+  takeSnapshot_(feature) {
+    this.snapshots_[getUid(feature)] = createSnapshot(feature);
+  }
+
+  /**
+   * @param {import("../Feature.js").default} feature Feature.
+   * @param {Snapshot} snapshot Snapshot to restore.
+   * @private
+   */
+  restore_(feature, snapshot) {
+    const geometryName = feature.getGeometryName();
+    const properties = snapshot.properties;
+    Object.keys(feature.getProperties()).forEach(function (key) {
+      if (key !== geometryName && !(key in properties)) {
+        feature.unset(key);
+      }
+    });
+    feature.setProperties(properties);
+    feature.setGeometry(cloneGeometry(snapshot.geometry));
+    this.takeSnapshot_(feature);
+  }
+
+  /**
+   * Record the change of a feature geometry or properties since its last
+   * snapshot. Without snapshot, only the current state is recorded.
+   * @param {import("../Feature.js").default} feature Feature.
+   * @private
+   */
+  recordChange_(feature) {
+    const uid = getUid(feature);
+    if (!(uid in this.snapshots_)) {
+      this.takeSnapshot_(feature);
+      return;
+    }
+    const before = this.snapshots_[uid];
+    const after = createSnapshot(feature);
+    if (
+      geometryEquals(before.geometry, after.geometry) &&
+      propertiesEqual(before.properties, after.properties)
+    ) {
+      before.source = after.source;
+      before.revision = after.revision;
+      return;
+    }
+    this.snapshots_[uid] = after;
+    this.record_({
+      type: 'change',
+      feature: feature,
+      before: before,
+      after: after,
+    });
+  }
+
+  /**
+   * @param {Edit} edit Edit.
+   * @private
+   */
+  record_(edit) {
+    const group = this.group_;
+    if (edit.type === 'change') {
+      for (let i = group.length - 1; i >= 0; --i) {
+        const previous = group[i];
+        if (previous.feature === edit.feature) {
+          if (previous.type === 'change') {
+            previous.after = edit.after;
+            return;
+          }
+          break;
+        }
+      }
+    }
+    group.push(edit);
+    if (this.groupDepth_ === 0) {
+      this.commit_();
+    }
+  }
+
+  /**
+   * Record pending changes, and commit the group when no group is open.
+   * @private
+   */
+  flush_() {
+    const pending = this.pending_;
+    this.pending_ = {};
+    for (const uid in pending) {
+      this.recordChange_(pending[uid]);
+    }
+    if (this.groupDepth_ === 0) {
+      this.commit_();
+    }
+  }
+
+  /**
+   * Push the edits of the group to the undo history.
+   * @private
+   */
+  commit_() {
+    if (this.group_.length === 0) {
+      return;
+    }
+    this.undoStack_.push(this.group_);
+    this.group_ = [];
+    if (this.undoStack_.length > this.maxLength_) {
+      this.undoStack_.splice(0, this.undoStack_.length - this.maxLength_);
+    }
+    this.redoStack_.length = 0;
+    this.changed();
+  }
+
+  /**
+   * Clean up.
+   */
+  disposeInternal() {
+    this.sourceListenerKeys_.forEach(unlistenByKey);
+    this.sourceListenerKeys_.length = 0;
+    super.disposeInternal();
+  }
+}
+
+export default UndoRedo;
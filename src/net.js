@@ -125,6 +125,60 @@ export function getJSON(url) {
   });
 }
 
+/**
+ * @param {string} url The URL.
+ * @param {number} [opt_start] Offset of the first byte to request. If not provided, the
+ * whole resource is requested.
+ * @param {number} [opt_end] Offset of the last byte to request (exclusive). If not provided,
+ * all bytes from `opt_start` to the end of the resource are requested.
+ * @return {Promise<ArrayBuffer>} A promise that resolves to the response body.
+ */
+export function getArrayBuffer(url, opt_start, opt_end) {
+  return new Promise(function (resolve, reject) {
+    /**
+     * @param {ProgressEvent<XMLHttpRequest>} event The load event.
+     */
+    function onLoad(event) {
+      const client = event.target;
+      // status will be 0 for file:// urls
+      if (!client.status || (client.status >= 200 && client.status < 300)) {
+        let data = /** @type {ArrayBuffer} */ (client.response);
+        if (opt_start !== undefined && client.status !== 206) {
+          // the server ignored the Range header and sent the whole resource
+          data = data.slice(opt_start, opt_end);
+        }
+        resolve(data);
+        return;
+      }
+
+      reject(new ResponseError(client));
+    }
+
+    /**
+     * @param {ProgressEvent<XMLHttpRequest>} event The error event.
+     */
+    function onError(event) {
+      reject(new ClientError(event.target));
+    }
+
+    const client = new XMLHttpRequest();
+    client.addEventListener('load', onLoad);
+    client.addEventListener('error', onError);
+    client.open('GET', url);
+    client.responseType = 'arraybuffer';
+    if (opt_start !== undefined) {
+      client.setRequestHeader(
+        'Range',
+        'bytes=' +
+          opt_start +
+          '-' +
+          (opt_end !== undefined ? String(opt_end - 1) : '')
+      );
+    }
+    client.send();
+  });
+}
+
 /**
  * @param {string} base The base URL.
  * @param {string} url The potentially relative URL.
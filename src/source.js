@@ -17,6 +17,8 @@ export {default as ImageCanvas} from './source/ImageCanvas.js';
 export {default as ImageMapGuide} from './source/ImageMapGuide.js';
 export {default as ImageStatic} from './source/ImageStatic.js';
 export {default as ImageWMS} from './source/ImageWMS.js';
+export {default as KML} from './source/KML.js';
+export {default as OGCFeatures} from './source/OGCFeatures.js';
 export {default as OSM} from './source/OSM.js';
 export {default as Raster} from './source/Raster.js';
 export {default as Source} from './source/Source.js';
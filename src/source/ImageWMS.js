@@ -22,6 +22,7 @@ import {
   getWidth,
 } from '../extent.js';
 import {get as getProjection, transform} from '../proj.js';
+import {getLegendUrl} from './wms.js';
 
 /**
  * Number of decimal digits to consider in integer values when rounding.
@@ -38,6 +39,9 @@ const GETFEATUREINFO_IMAGE_SIZE = [101, 101];
 /**
  * @typedef {Object} Options
  * @property {import("./Source.js").AttributionLike} [attributions] Attributions.
+ * @property {Object} [capabilities] WMS capabilities of the service, as read by
+ * {@link module:ol/format/WMSCapabilities~WMSCapabilities#read}. When set,
+ * {@link #getLegendUrl} uses the `LegendURL` of the layer style.
  * @property {null|string} [crossOrigin] The `crossOrigin` attribute for loaded images.  Note that
  * you must provide a `crossOrigin` value if you want to access pixel data with the Canvas renderer.
  * See https://developer.mozilla.org/en-US/docs/Web/HTML/CORS_enabled_image for more detail.
@@ -139,6 +143,12 @@ class ImageWMS extends ImageSource {
      */
     this.hidpi_ = options.hidpi !== undefined ? options.hidpi : true;
 
+    /**
+     * @private
+     * @type {Object|null}
+     */
+    this.capabilities_ = options.capabilities || null;
+
     /**
      * @private
      * @type {import("../Image.js").default}
@@ -235,8 +245,9 @@ class ImageWMS extends ImageSource {
    *     will not be calculated and included in URL.
    * @param {Object} [params] GetLegendGraphic params. If `LAYER` is set, the
    *     request is generated for this wms layer, else it will try to use the
-   *     configured wms layer. Default `FORMAT` is `image/png`.
-   *     `VERSION` should not be specified here.
+   *     configured wms layer. Default `FORMAT` is `image/png`, or the format of
+   *     the `LegendURL` from the capabilities. `VERSION` should not be
+   *     specified here.
    * @return {string|undefined} GetLegendGraphic URL.
    * @api
    */
@@ -244,34 +255,25 @@ class ImageWMS extends ImageSource {
     if (this.url_ === undefined) {
       return undefined;
     }
+    return getLegendUrl(
+      /** @type {string} */ (this.url_),
+      this.params_,
+      this.getProjection(),
+      this.capabilities_,
+      resolution,
+      params
+    );
+  }
 
-    const baseParams = {
-      'SERVICE': 'WMS',
-      'VERSION': DEFAULT_WMS_VERSION,
-      'REQUEST': 'GetLegendGraphic',
-      'FORMAT': 'image/png',
-    };
-
-    if (params === undefined || params['LAYER'] === undefined) {
-      const layers = this.params_.LAYERS;
-      const isSingleLayer = !Array.isArray(layers) || layers.length === 1;
-      if (!isSingleLayer) {
-        return undefined;
-      }
-      baseParams['LAYER'] = layers;
-    }
-
-    if (resolution !== undefined) {
-      const mpu = this.getProjection()
-        ? this.getProjection().getMetersPerUnit()
-        : 1;
-      const pixelSize = 0.00028;
-      baseParams['SCALE'] = (resolution * mpu) / pixelSize;
-    }
-
-    assign(baseParams, params);
-
-    return appendParams(/** @type {string} */ (this.url_), baseParams);
+  /**
+   * Set the WMS capabilities of the service, as read by
+   * {@link module:ol/format/WMSCapabilities~WMSCapabilities#read}. When set,
+   * {@link #getLegendUrl} uses the `LegendURL` of the layer style.
+   * @param {Object|null} capabilities Capabilities.
+   * @api
+   */
+  setCapabilities(capabilities) {
+    this.capabilities_ = capabilities;
   }
 
   /**
@@ -0,0 +1,625 @@
+/**
+ * @module ol/source/KML
+ */
+import KML from '../format/KML.js';
+import VectorEventType from './VectorEventType.js';
+import VectorSource, {VectorSourceEvent} from './Vector.js';
+import {
+  applyTransform,
+  equals,
+  getCenter,
+  getHeight,
+  getWidth,
+  intersects,
+  scaleFromCenter,
+} from '../extent.js';
+import {appendParams} from '../uri.js';
+import {get as getProjection, getTransform} from '../proj.js';
+import {parse} from '../xml.js';
+
+/**
+ * @typedef {Object} Options
+ * @property {import("./Source.js").AttributionLike} [attributions] Attributions.
+ * @property {string} url URL of the root KML document.
+ * @property {KML} [format] KML format used to read the documents. Default is
+ * a KML format with default options.
+ * @property {boolean} [wrapX=true] Wrap the world horizontally.
+ */
+
+/**
+ * A network link of the tree of loaded documents.
+ * @typedef {Object} Link
+ * @property {string} href Href.
+ * @property {string} refreshMode Refresh mode: `onChange`, `onInterval` or
+ * `onExpire`.
+ * @property {number} refreshInterval Refresh interval in seconds.
+ * @property {string} viewRefreshMode View refresh mode: `never`, `onStop`,
+ * `onRequest` or `onRegion`.
+ * @property {number} viewRefreshTime Time in seconds after the view stopped
+ * changing until the link is refreshed.
+ * @property {number} viewBoundScale Scale of the view bbox.
+ * @property {string|undefined} viewFormat Format of view parameters.
+ * @property {string|undefined} httpQuery Format of client parameters.
+ * @property {Region|null} region Region.
+ * @property {boolean} active The link is active.
+ * @property {boolean} loaded The link was loaded and is up to date.
+ * @property {XMLHttpRequest|null} request Outstanding request.
+ * @property {Array<import("../Feature.js").default>} features Features of the
+ * document the link points to.
+ * @property {Array<Link>} children Network links of the document the link
+ * points to.
+ * @property {ReturnType<typeof setTimeout>|undefined} refreshTimeout Timeout
+ * of `refreshMode` refreshes.
+ * @property {ReturnType<typeof setTimeout>|undefined} viewRefreshTimeout
+ * Timeout of `viewRefreshMode` refreshes.
+ */
+
+/**
+ * @typedef {Object} Region
+ * @property {import("../extent.js").Extent} extent Extent in geographic
+ * coordinates.
+ * @property {number} minLodPixels Minimum size in pixels.
+ * @property {number} maxLodPixels Maximum size in pixels, `-1` for no maximum.
+ */
+
+/**
+ * Default view format for links with view based refresh.
+ * @type {string}
+ */
+const DEFAULT_VIEW_FORMAT =
+  'BBOX=[bboxWest],[bboxSouth],[bboxEast],[bboxNorth]';
+
+/**
+ * @classdesc
+ * Vector source for KML documents with network links. Features of the root
+ * document and of all documents it links to are added to the source.
+ *
+ * Network links are followed recursively, and refreshed as configured by
+ * their `refreshMode`/`refreshInterval` and `viewRefreshMode`
+ * (`onStop`, `onRegion`). For `onStop` links, the bbox of the current view is
+ * sent as configured by `viewFormat`. Network links and placemarks with a
+ * `Region` are only loaded and shown while the region is in view and its size
+ * on screen is within its `Lod` limits.
+ *
+ * @api
+ */
+class KMLSource extends VectorSource {
+  /**
+   * @param {Options} options Options.
+   */
+  constructor(options) {
+    super({
+      attributions: options.attributions,
+      wrapX: options.wrapX,
+    });
+
+    /**
+     * @private
+     * @type {KML}
+     */
+    this.format_ = options.format ? options.format : new KML();
+
+    /**
+     * @private
+     * @type {string}
+     */
+    this.url_ = options.url;
+
+    /**
+     * @private
+     * @type {Link}
+     */
+    this.root_ = createLink({'href': options.url});
+
+    /**
+     * @private
+     * @type {import("../extent.js").Extent}
+     */
+    this.extent_ = null;
+
+    /**
+     * Second load extent, on the other side of the antimeridian, when the view
+     * crosses it.
+     * @private
+     * @type {import("../extent.js").Extent}
+     */
+    this.wrappedExtent_ = null;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.resolution_ = NaN;
+
+    /**
+     * @private
+     * @type {import("../proj/Projection.js").default}
+     */
+    this.projection_ = null;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.loadingCount_ = 0;
+  }
+
+  /**
+   * Called by the layer renderer with the current view extent, also when the
+   * layer is rendered again for the same view. Updates the active network
+   * links and regions, and restarts view based refreshes only when the view
+   * changed.
+   * @param {import("../extent.js").Extent} extent Extent.
+   * @param {number} resolution Resolution.
+   * @param {import("../proj/Projection.js").default} projection Projection.
+   */
+  loadFeatures(extent, resolution, projection) {
+    const sameView =
+      this.extent_ !== null &&
+      resolution === this.resolution_ &&
+      projection === this.projection_;
+    if (sameView && this.isWrappedExtent_(extent)) {
+      // second load extent of a view that crosses the antimeridian
+      if (!this.wrappedExtent_ || !equals(extent, this.wrappedExtent_)) {
+        this.wrappedExtent_ = extent;
+        this.updateLink_(this.root_, true, false);
+      }
+      return;
+    }
+    const viewChanged = !sameView || !equals(extent, this.extent_);
+    if (viewChanged) {
+      this.extent_ = extent;
+      this.wrappedExtent_ = null;
+      this.resolution_ = resolution;
+      this.projection_ = projection;
+    }
+    this.updateLink_(this.root_, true, viewChanged);
+  }
+
+  /**
+   * @param {import("../extent.js").Extent} extent Extent.
+   * @return {boolean} The extent is the current extent shifted by one world.
+   * @private
+   */
+  isWrappedExtent_(extent) {
+    const projection = this.projection_;
+    if (!this.getWrapX() || !projection.canWrapX()) {
+      return false;
+    }
+    const worldWidth = getWidth(projection.getExtent());
+    const shift = extent[0] - this.extent_[0];
+    return (
+      Math.abs(Math.abs(shift) - worldWidth) < 1e-9 * worldWidth &&
+      Math.abs(extent[2] - this.extent_[2] - shift) < 1e-9 * worldWidth &&
+      extent[1] === this.extent_[1] &&
+      extent[3] === this.extent_[3]
+    );
+  }
+
+  /**
+   * Reload the root document and all network links.
+   * @api
+   */
+  refresh() {
+    this.destroyLink_(this.root_);
+    this.root_ = createLink({'href': this.url_});
+    super.refresh();
+  }
+
+  /**
+   * Clean up.
+   */
+  disposeInternal() {
+    this.destroyLink_(this.root_);
+    super.disposeInternal();
+  }
+
+  /**
+   * Update the state of a link and its children.
+   * @param {Link} link Link.
+   * @param {boolean} active The parent link is active.
+   * @param {boolean} viewChanged The view changed.
+   * @private
+   */
+  updateLink_(link, active, viewChanged) {
+    active = active && this.isRegionActive_(link.region);
+    if (!active) {
+      if (link.active) {
+        link.active = false;
+        clearTimeout(link.viewRefreshTimeout);
+        this.setFeaturesVisible_(link, false);
+        for (let i = 0, ii = link.children.length; i < ii; ++i) {
+          this.updateLink_(link.children[i], false, viewChanged);
+        }
+      }
+      return;
+    }
+    const activated = !link.active;
+    link.active = true;
+    if (!link.loaded) {
+      if (!link.request) {
+        this.loadLink_(link);
+      }
+    } else if (
+      link.viewRefreshMode === 'onStop' &&
+      (viewChanged || activated)
+    ) {
+      clearTimeout(link.viewRefreshTimeout);
+      link.viewRefreshTimeout = setTimeout(
+        this.loadLink_.bind(this, link),
+        link.viewRefreshTime * 1000
+      );
+    } else if (link.viewRefreshMode === 'onRegion' && activated) {
+      this.loadLink_(link);
+    }
+    this.setFeaturesVisible_(link, true);
+    for (let i = 0, ii = link.children.length; i < ii; ++i) {
+      this.updateLink_(link.children[i], true, viewChanged);
+    }
+  }
+
+  /**
+   * Add the features of a link to the source, or remove them.
+   * @param {Link} link Link.
+   * @param {boolean} visible The features should be in the source.
+   * @private
+   */
+  setFeaturesVisible_(link, visible) {
+    const features = link.features;
+    const toAdd = [];
+    for (let i = 0, ii = features.length; i < ii; ++i) {
+      const feature = features[i];
+      const show = visible && this.isRegionActive_(getFeatureRegion(feature));
+      const shown = this.hasFeature(feature);
+      if (show && !shown) {
+        toAdd.push(feature);
+      } else if (!show && shown) {
+        this.removeFeature(feature);
+      }
+    }
+    if (toAdd.length > 0) {
+      this.addFeatures(toAdd);
+    }
+  }
+
+  /**
+   * @param {Region|null} region Region.
+   * @return {boolean} The region is active for the current view.
+   * @private
+   */
+  isRegionActive_(region) {
+    if (!region) {
+      return true;
+    }
+    if (!this.extent_) {
+      return false;
+    }
+    const extent = applyTransform(
+      region.extent,
+      getTransform('EPSG:4326', this.projection_)
+    );
+    if (
+      !intersects(extent, this.extent_) &&
+      !(this.wrappedExtent_ && intersects(extent, this.wrappedExtent_))
+    ) {
+      return false;
+    }
+    const pixels = Math.sqrt(
+      (getWidth(extent) / this.resolution_) *
+        (getHeight(extent) / this.resolution_)
+    );
+    return (
+      pixels >= region.minLodPixels &&
+      (region.maxLodPixels < 0 || pixels <= region.maxLodPixels)
+    );
+  }
+
+  /**
+   * Load or reload the document of a link.
+   * @param {Link} link Link.
+   * @private
+   */
+  loadLink_(link) {
+    this.abortLink_(link);
+    clearTimeout(link.refreshTimeout);
+    clearTimeout(link.viewRefreshTimeout);
+    const url = this.getLinkUrl_(link);
+    const projection = this.projection_;
+    const xhr = new XMLHttpRequest();
+    link.request = xhr;
+    ++this.loadingCount_;
+    this.loading = true;
+    this.dispatchEvent(
+      new VectorSourceEvent(VectorEventType.FEATURESLOADSTART)
+    );
+    xhr.open('GET', url, true);
+    xhr.onload = function () {
+      link.request = null;
+      this.loadEnd_();
+      // status will be 0 for file:// urls
+      if (xhr.status && (xhr.status < 200 || xhr.status >= 300)) {
+        this.loadError_(link);
+        return;
+      }
+      const doc = xhr.responseXML ? xhr.responseXML : parse(xhr.responseText);
+      resolveHrefs(doc, url);
+      const features = this.format_.readFeatures(doc, {
+        featureProjection: projection,
+      });
+      const networkLinks = this.format_.readNetworkLinks(doc);
+
+      const oldFeatures = link.features;
+      for (let i = 0, ii = oldFeatures.length; i < ii; ++i) {
+        if (this.hasFeature(oldFeatures[i])) {
+          this.removeFeature(oldFeatures[i]);
+        }
+      }
+      for (let i = 0, ii = link.children.length; i < ii; ++i) {
+        this.destroyLink_(link.children[i]);
+      }
+      link.features = features;
+      link.children = networkLinks.map(createLink);
+      link.loaded = true;
+      this.scheduleRefresh_(link, xhr);
+
+      this.dispatchEvent(
+        new VectorSourceEvent(
+          VectorEventType.FEATURESLOADEND,
+          undefined,
+          features
+        )
+      );
+      if (link.active) {
+        link.active = false;
+        this.updateLink_(link, true, false);
+      }
+    }.bind(this);
+    xhr.onerror = function () {
+      link.request = null;
+      this.loadEnd_();
+      this.loadError_(link);
+    }.bind(this);
+    xhr.send();
+  }
+
+  /**
+   * Abort the outstanding request of a link. Loading ends without new
+   * features.
+   * @param {Link} link Link.
+   * @private
+   */
+  abortLink_(link) {
+    if (link.request) {
+      link.request.abort();
+      link.request = null;
+      this.loadEnd_();
+      this.dispatchEvent(
+        new VectorSourceEvent(VectorEventType.FEATURESLOADEND, undefined, [])
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  loadEnd_() {
+    --this.loadingCount_;
+    this.loading = this.loadingCount_ > 0;
+  }
+
+  /**
+   * @param {Link} link Link.
+   * @private
+   */
+  loadError_(link) {
+    // keep what was loaded before, but retry on the next refresh
+    link.loaded = link.features.length > 0;
+    this.scheduleRefresh_(link, null);
+    this.dispatchEvent(
+      new VectorSourceEvent(VectorEventType.FEATURESLOADERROR)
+    );
+  }
+
+  /**
+   * Schedule the next `refreshMode` refresh of a link.
+   * @param {Link} link Link.
+   * @param {XMLHttpRequest} xhr The request of the last load.
+   * @private
+   */
+  scheduleRefresh_(link, xhr) {
+    let delay = NaN;
+    if (link.refreshMode === 'onInterval') {
+      delay = link.refreshInterval * 1000;
+    } else if (link.refreshMode === 'onExpire' && xhr) {
+      delay = Date.parse(xhr.getResponseHeader('Expires')) - Date.now();
+    }
+    if (!isFinite(delay)) {
+      return;
+    }
+    link.refreshTimeout = setTimeout(
+      function () {
+        if (link.active) {
+          this.loadLink_(link);
+        } else {
+          // reload when the link gets active again
+          link.loaded = false;
+        }
+      }.bind(this),
+      Math.max(delay, 0)
+    );
+  }
+
+  /**
+   * Cancel requests and timers of a link and its children, and remove their
+   * features from the source.
+   * @param {Link} link Link.
+   * @private
+   */
+  destroyLink_(link) {
+    this.abortLink_(link);
+    clearTimeout(link.refreshTimeout);
+    clearTimeout(link.viewRefreshTimeout);
+    link.active = false;
+    this.setFeaturesVisible_(link, false);
+    for (let i = 0, ii = link.children.length; i < ii; ++i) {
+      this.destroyLink_(link.children[i]);
+    }
+  }
+
+  /**
+   * Get the url of a link, with view and client parameters.
+   * @param {Link} link Link.
+   * @return {string} Url.
+   * @private
+   */
+  getLinkUrl_(link) {
+    let url = link.href;
+    let viewFormat = link.viewFormat;
+    if (viewFormat === undefined && link.viewRefreshMode === 'onStop') {
+      viewFormat = DEFAULT_VIEW_FORMAT;
+    }
+    const query = [];
+    if (viewFormat && this.extent_) {
+      query.push(this.formatViewParameters_(viewFormat, link.viewBoundScale));
+    }
+    if (link.httpQuery) {
+      query.push(formatClientParameters(link.httpQuery));
+    }
+    if (query.length > 0) {
+      url = appendParams(url, {}) + query.join('&');
+    }
+    return url;
+  }
+
+  /**
+   * @param {string} viewFormat View format.
+   * @param {number} viewBoundScale View bound scale.
+   * @return {string} Query string.
+   * @private
+   */
+  formatViewParameters_(viewFormat, viewBoundScale) {
+    const extent = this.extent_.slice();
+    scaleFromCenter(extent, viewBoundScale);
+    const bbox = applyTransform(
+      extent,
+      getTransform(this.projection_, getProjection('EPSG:4326'))
+    );
+    const center = getCenter(bbox);
+    const values = {
+      'bboxWest': bbox[0],
+      'bboxSouth': bbox[1],
+      'bboxEast': bbox[2],
+      'bboxNorth': bbox[3],
+      'lookatLon': center[0],
+      'lookatLat': center[1],
+      'cameraLon': center[0],
+      'cameraLat': center[1],
+      'lookatHeading': 0,
+      'lookatTilt': 0,
+      'horizPixels': Math.round(getWidth(this.extent_) / this.resolution_),
+      'vertPixels': Math.round(getHeight(this.extent_) / this.resolution_),
+    };
+    return viewFormat.replace(/\[(\w+)\]/g, function (match, name) {
+      return name in values ? String(values[name]) : match;
+    });
+  }
+}
+
+/**
+ * @param {Object} networkLink Network link, as read by
+ *     {@link module:ol/format/KML~KML#readNetworkLinks}.
+ * @return {Link} Link.
+ */
+function createLink(networkLink) {
+  const extent = networkLink['extent'];
+  return {
+    href: networkLink['href'],
+    refreshMode: networkLink['refreshMode'] || 'onChange',
+    refreshInterval:
+      networkLink['refreshInterval'] !== undefined
+        ? networkLink['refreshInterval']
+        : 4,
+    viewRefreshMode: networkLink['viewRefreshMode'] || 'never',
+    viewRefreshTime:
+      networkLink['viewRefreshTime'] !== undefined
+        ? networkLink['viewRefreshTime']
+        : 4,
+    viewBoundScale:
+      networkLink['viewBoundScale'] !== undefined
+        ? networkLink['viewBoundScale']
+        : 1,
+    viewFormat: networkLink['viewFormat'],
+    httpQuery: networkLink['httpQuery'],
+    region: extent ? createRegion(networkLink) : null,
+    active: false,
+    loaded: false,
+    request: null,
+    features: [],
+    children: [],
+    refreshTimeout: undefined,
+    viewRefreshTimeout: undefined,
+  };
+}
+
+/**
+ * @param {Object} object Network link or feature properties with the
+ *     properties of a `Region`.
+ * @return {Region} Region.
+ */
+function createRegion(object) {
+  const minLodPixels = object['minLodPixels'];
+  const maxLodPixels = object['maxLodPixels'];
+  return {
+    extent: object['extent'],
+    minLodPixels: isNaN(minLodPixels) ? 0 : minLodPixels,
+    maxLodPixels: isNaN(maxLodPixels) ? -1 : maxLodPixels,
+  };
+}
+
+/**
+ * @param {import("../Feature.js").default} feature Feature.
+ * @return {Region|null} The region of the placemark.
+ */
+function getFeatureRegion(feature) {
+  const extent = feature.get('extent');
+  if (Array.isArray(extent) && extent.length === 4) {
+    return createRegion(feature.getProperties());
+  }
+  return null;
+}
+
+/**
+ * @param {string} httpQuery Http query format.
+ * @return {string} Query string.
+ */
+function formatClientParameters(httpQuery) {
+  const values = {
+    'clientVersion': '',
+    'kmlVersion': '2.2',
+    'clientName': 'OpenLayers',
+    'language': typeof navigator !== 'undefined' ? navigator.language : '',
+  };
+  return httpQuery.replace(/\[(\w+)\]/g, function (match, name) {
+    return name in values ? encodeURIComponent(values[name]) : match;
+  });
+}
+
+/**
+ * Resolve relative `href`s of a document against the url it was loaded from.
+ * @param {Document} doc Document.
+ * @param {string} url Url of the document.
+ */
+function resolveHrefs(doc, url) {
+  const hrefs = doc.getElementsByTagName('href');
+  for (let i = 0, ii = hrefs.length; i < ii; ++i) {
+    const node = hrefs[i];
+    const href = node.textContent.trim();
+    try {
+      node.textContent = new URL(href, new URL(url, window.location.href)).href;
+    } catch (e) {
+      // leave unresolvable hrefs as they are
+    }
+  }
+}
+
+export default KMLSource;
@@ -0,0 +1,306 @@
+/**
+ * @module ol/source/OGCFeatures
+ */
+
+import GeoJSON from '../format/GeoJSON.js';
+import SourceState from './State.js';
+import VectorEventType from './VectorEventType.js';
+import VectorSource from './Vector.js';
+import {bbox as bboxStrategy} from '../loadingstrategy.js';
+import {
+  getCollectionInfo,
+  getDataProjection,
+  getItemsRequest,
+  getNextUrl,
+} from './ogcFeatureUtil.js';
+import {getJSON} from '../net.js';
+import {listen, unlistenByKey} from '../events.js';
+import {writeFilter} from '../format/cql.js';
+
+/**
+ * @typedef {Object} Options
+ * @property {string} url URL of the OGC API landing page.
+ * @property {string} collection Identifier of the collection.
+ * @property {import("../format/Feature.js").default} [format] Format used to
+ * read the items. Default is {@link module:ol/format/GeoJSON~GeoJSON}.
+ * @property {string} [mediaType] The media type of the items (e.g.
+ * "application/geo+json"). If not provided, the first `items` link with a
+ * JSON media type is used.
+ * @property {string|import("../format/filter/Filter.js").default} [filter]
+ * Filter, as CQL2-Text or as filter with geometries in the view projection.
+ * @property {string} [datetime] Date and time, or interval (e.g.
+ * `2021-01-01T00:00:00Z/..`), of the items.
+ * @property {number} [limit] Number of features per page. When not set, the
+ * page size is determined by the server.
+ * @property {Object<string, string>} [params] Additional query parameters for
+ * the items requests.
+ * @property {import("./Source.js").AttributionLike} [attributions] Attributions.
+ * @property {boolean} [overlaps=true] This source may have overlapping geometries.
+ * @property {import("./Vector.js").LoadingStrategy} [strategy] The loading
+ * strategy to use. Default is {@link module:ol/loadingstrategy.bbox}.
+ * @property {boolean} [wrapX=true] Wrap the world horizontally.
+ */
+
+/**
+ * @classdesc
+ * Vector source for a collection of an
+ * [OGC API - Features](https://ogcapi.ogc.org/features/) service. The
+ * collection is looked up from the landing page, and its items are requested
+ * for the loaded extents, following `next` links until all pages are loaded.
+ *
+ * When the collection lists the CRS of the view projection (OGC API -
+ * Features - Part 2), the bbox is sent and the features are requested in that
+ * CRS, with the `bbox-crs` and `crs` parameters. Otherwise longitude/latitude
+ * (CRS84) is used. Filters are sent as CQL2-Text (OGC API - Features -
+ * Part 3).
+ *
+ * @api
+ */
+class OGCFeatures extends VectorSource {
+  /**
+   * @param {Options} options Options.
+   */
+  constructor(options) {
+    super({
+      attributions: options.attributions,
+      format: options.format ? options.format : new GeoJSON(),
+      overlaps: options.overlaps,
+      strategy: options.strategy ? options.strategy : bboxStrategy,
+      wrapX: options.wrapX,
+    });
+
+    /**
+     * @private
+     * @type {string|import("../format/filter/Filter.js").default|undefined}
+     */
+    this.filter_ = options.filter;
+
+    /**
+     * @private
+     * @type {string|undefined}
+     */
+    this.datetime_ = options.datetime;
+
+    /**
+     * @private
+     * @type {number|undefined}
+     */
+    this.limit_ = options.limit;
+
+    /**
+     * @private
+     * @type {Object<string, string>|undefined}
+     */
+    this.params_ = options.params;
+
+    /**
+     * @private
+     * @type {Promise<Object>|null}
+     */
+    this.queryables_ = null;
+
+    /**
+     * @private
+     * @type {Promise<import("./ogcFeatureUtil.js").CollectionInfo>}
+     */
+    this.collectionInfo_ = getCollectionInfo(
+      options.url,
+      options.collection,
+      options.mediaType
+    );
+
+    this.setState(SourceState.LOADING);
+    this.collectionInfo_.then(
+      function () {
+        this.setState(SourceState.READY);
+      }.bind(this),
+      function (error) {
+        console.error(error); // eslint-disable-line no-console
+        this.setState(SourceState.ERROR);
+      }.bind(this)
+    );
+
+    this.setLoader(this.loadItems_.bind(this));
+  }
+
+  /**
+   * Get the collection metadata.
+   * @return {Promise<import("./ogcFeatureUtil.js").Collection>} Collection
+   * metadata.
+   * @api
+   */
+  getCollection() {
+    return this.collectionInfo_.then(function (info) {
+      return info.collection;
+    });
+  }
+
+  /**
+   * Get the queryables of the collection, i.e. the properties that can be used
+   * in filters, as JSON schema.
+   * @return {Promise<Object>} Queryables schema.
+   * @api
+   */
+  getQueryables() {
+    if (!this.queryables_) {
+      this.queryables_ = this.collectionInfo_.then(function (info) {
+        return getJSON(info.queryablesUrl);
+      });
+      this.queryables_.catch(
+        function () {
+          this.queryables_ = null;
+        }.bind(this)
+      );
+    }
+    return this.queryables_;
+  }
+
+  /**
+   * Get the filter.
+   * @return {string|import("../format/filter/Filter.js").default|undefined} Filter.
+   * @api
+   */
+  getFilter() {
+    return this.filter_;
+  }
+
+  /**
+   * Set the filter and reload the features.
+   * @param {string|import("../format/filter/Filter.js").default|undefined} filter
+   * Filter, as CQL2-Text or as filter with geometries in the view projection.
+   * @api
+   */
+  setFilter(filter) {
+    this.filter_ = filter;
+    this.refresh();
+  }
+
+  /**
+   * Get the date and time, or interval, of the items.
+   * @return {string|undefined} Date and time.
+   * @api
+   */
+  getDatetime() {
+    return this.datetime_;
+  }
+
+  /**
+   * Set the date and time, or interval, of the items and reload the features.
+   * @param {string|undefined} datetime Date and time.
+   * @api
+   */
+  setDatetime(datetime) {
+    this.datetime_ = datetime;
+    this.refresh();
+  }
+
+  /**
+   * @param {import("../extent.js").Extent} extent Extent.
+   * @param {number} resolution Resolution.
+   * @param {import("../proj/Projection.js").default} projection Projection.
+   * @param {function(Array<import("../Feature.js").default>): void} success
+   * Success callback.
+   * @param {function(): void} failure Failure callback.
+   * @private
+   */
+  loadItems_(extent, resolution, projection, success, failure) {
+    const format = this.getFormat();
+    /** @type {Array<import("../Feature.js").default>} */
+    let features = [];
+    let cancelled = false;
+
+    const clearKey = listen(this, VectorEventType.CLEAR, function () {
+      cancelled = true;
+      done(true);
+    });
+
+    /**
+     * @param {boolean} loaded Loading ended without error.
+     */
+    const done = function (loaded) {
+      unlistenByKey(clearKey);
+      if (loaded) {
+        success(features);
+      } else {
+        this.removeLoadedExtent(extent);
+        failure();
+      }
+    }.bind(this);
+
+    /**
+     * @param {string} url Page URL.
+     * @param {import("../proj/Projection.js").default} dataProjection Data
+     * projection.
+     */
+    const loadPage = function (url, dataProjection) {
+      getJSON(url).then(
+        function (response) {
+          if (cancelled) {
+            return;
+          }
+          const pageFeatures =
+            /** @type {Array<import("../Feature.js").default>} */ (
+              format.readFeatures(response, {
+                dataProjection: dataProjection,
+                extent: extent,
+                featureProjection: projection,
+              })
+            );
+          this.addFeatures(pageFeatures);
+          features = features.concat(pageFeatures);
+          const nextUrl = getNextUrl(response, url);
+          if (nextUrl && pageFeatures.length > 0) {
+            loadPage(nextUrl, dataProjection);
+          } else {
+            done(true);
+          }
+        }.bind(this),
+        function () {
+          if (!cancelled) {
+            done(false);
+          }
+        }
+      );
+    }.bind(this);
+
+    this.collectionInfo_.then(
+      function (info) {
+        if (cancelled) {
+          return;
+        }
+        const request = getItemsRequest(info, extent, projection, {
+          limit: this.limit_,
+          datetime: this.datetime_,
+          filter: this.getFilterText_(info, projection),
+          params: this.params_,
+        });
+        loadPage(request.url, request.dataProjection);
+      }.bind(this),
+      function () {
+        if (!cancelled) {
+          done(false);
+        }
+      }
+    );
+  }
+
+  /**
+   * @param {import("./ogcFeatureUtil.js").CollectionInfo} info Collection info.
+   * @param {import("../proj/Projection.js").default} projection Projection.
+   * @return {string|undefined} CQL2-Text filter.
+   * @private
+   */
+  getFilterText_(info, projection) {
+    const filter = this.filter_;
+    if (!filter || typeof filter === 'string') {
+      return filter;
+    }
+    return writeFilter(filter, {
+      dialect: 'cql2',
+      dataProjection: getDataProjection(info, projection),
+      featureProjection: projection,
+    });
+  }
+}
+
+export default OGCFeatures;
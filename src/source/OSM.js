@@ -44,6 +44,8 @@ export const ATTRIBUTION =
  * @property {number|import("../array.js").NearestDirectionFunction} [zDirection=0]
  * Choose whether to use tiles with a higher or lower zoom level when between integer
  * zoom levels. See {@link module:ol/tilegrid/TileGrid~TileGrid#getZForResolution}.
+ * @property {import("../tilestore.js").TileStore} [tileStore] Persistent store to read tiles through, e.g. an
+ * {@link module:ol/tilestore/IndexedDB~IndexedDBTileStore}, to use tiles offline.
  */
 
 /**
@@ -93,6 +95,7 @@ class OSM extends XYZ {
       url: url,
       wrapX: options.wrapX,
       zDirection: options.zDirection,
+      tileStore: options.tileStore,
     });
   }
 }
@@ -57,6 +57,8 @@ import {getUid} from '../util.js';
  * @property {number|import("../array.js").NearestDirectionFunction} [zDirection=0]
  * Choose whether to use tiles with a higher or lower zoom level when between integer
  * zoom levels. See {@link module:ol/tilegrid/TileGrid~TileGrid#getZForResolution}.
+ * @property {import("../tilestore.js").TileStore} [tileStore] Persistent store to read tiles through, e.g. an
+ * {@link module:ol/tilestore/IndexedDB~IndexedDBTileStore}, to use tiles offline.
  */
 
 /**
@@ -97,6 +99,7 @@ class TileImage extends UrlTile {
       key: options.key,
       attributionsCollapsible: options.attributionsCollapsible,
       zDirection: options.zDirection,
+      tileStore: options.tileStore,
     });
 
     /**
@@ -297,7 +300,7 @@ class TileImage extends UrlTile {
       tileUrl !== undefined ? TileState.IDLE : TileState.EMPTY,
       tileUrl !== undefined ? tileUrl : '',
       this.crossOrigin,
-      this.tileLoadFunction,
+      this.getTileLoadFunctionInternal(),
       this.tileOptions
     );
     tile.key = key;
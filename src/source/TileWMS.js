@@ -14,6 +14,7 @@ import {buffer as bufferSize, scale as scaleSize, toSize} from '../size.js';
 import {calculateSourceResolution} from '../reproj.js';
 import {compareVersions} from '../string.js';
 import {get as getProjection, transform, transformExtent} from '../proj.js';
+import {getLegendUrl} from './wms.js';
 import {modulo} from '../math.js';
 import {hash as tileCoordHash} from '../tilecoord.js';
 
@@ -21,6 +22,9 @@ import {hash as tileCoordHash} from '../tilecoord.js';
  * @typedef {Object} Options
  * @property {import("./Source.js").AttributionLike} [attributions] Attributions.
  * @property {boolean} [attributionsCollapsible=true] Attributions are collapsible.
+ * @property {Object} [capabilities] WMS capabilities of the service, as read by
+ * {@link module:ol/format/WMSCapabilities~WMSCapabilities#read}. When set,
+ * {@link #getLegendUrl} uses the `LegendURL` of the layer style.
  * @property {number} [cacheSize] Initial tile cache size. Will auto-grow to hold at least the number of tiles in the viewport.
  * @property {null|string} [crossOrigin] The `crossOrigin` attribute for loaded images.  Note that
  * you must provide a `crossOrigin` value if you want to access pixel data with the Canvas renderer.
@@ -150,6 +154,12 @@ class TileWMS extends TileImage {
      */
     this.hidpi_ = options.hidpi !== undefined ? options.hidpi : true;
 
+    /**
+     * @private
+     * @type {Object|null}
+     */
+    this.capabilities_ = options.capabilities || null;
+
     /**
      * @private
      * @type {import("../extent.js").Extent}
@@ -250,8 +260,9 @@ class TileWMS extends TileImage {
    *     will not be calculated and included in URL.
    * @param {Object} [params] GetLegendGraphic params. If `LAYER` is set, the
    *     request is generated for this wms layer, else it will try to use the
-   *     configured wms layer. Default `FORMAT` is `image/png`.
-   *     `VERSION` should not be specified here.
+   *     configured wms layer. Default `FORMAT` is `image/png`, or the format of
+   *     the `LegendURL` from the capabilities. `VERSION` should not be
+   *     specified here.
    * @return {string|undefined} GetLegendGraphic URL.
    * @api
    */
@@ -259,34 +270,25 @@ class TileWMS extends TileImage {
     if (this.urls[0] === undefined) {
       return undefined;
     }
+    return getLegendUrl(
+      /** @type {string} */ (this.urls[0]),
+      this.params_,
+      this.getProjection(),
+      this.capabilities_,
+      resolution,
+      params
+    );
+  }
 
-    const baseParams = {
-      'SERVICE': 'WMS',
-      'VERSION': DEFAULT_WMS_VERSION,
-      'REQUEST': 'GetLegendGraphic',
-      'FORMAT': 'image/png',
-    };
-
-    if (params === undefined || params['LAYER'] === undefined) {
-      const layers = this.params_.LAYERS;
-      const isSingleLayer = !Array.isArray(layers) || layers.length === 1;
-      if (!isSingleLayer) {
-        return undefined;
-      }
-      baseParams['LAYER'] = layers;
-    }
-
-    if (resolution !== undefined) {
-      const mpu = this.getProjection()
-        ? this.getProjection().getMetersPerUnit()
-        : 1;
-      const pixelSize = 0.00028;
-      baseParams['SCALE'] = (resolution * mpu) / pixelSize;
-    }
-
-    assign(baseParams, params);
-
-    return appendParams(/** @type {string} */ (this.urls[0]), baseParams);
+  /**
+   * Set the WMS capabilities of the service, as read by
+   * {@link module:ol/format/WMSCapabilities~WMSCapabilities#read}. When set,
+   * {@link #getLegendUrl} uses the `LegendURL` of the layer style.
+   * @param {Object|null} capabilities Capabilities.
+   * @api
+   */
+  setCapabilities(capabilities) {
+    this.capabilities_ = capabilities;
   }
 
   /**
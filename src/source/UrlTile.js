@@ -5,6 +5,7 @@ import TileEventType from './TileEventType.js';
 import TileSource, {TileSourceEvent} from './Tile.js';
 import TileState from '../TileState.js';
 import {createFromTemplates, expandUrl} from '../tileurlfunction.js';
+import {createLoadFunction} from '../tilestore.js';
 import {getKeyZXY} from '../tilecoord.js';
 import {getUid} from '../util.js';
 
@@ -28,6 +29,7 @@ import {getUid} from '../util.js';
  * @property {number|import("../array.js").NearestDirectionFunction} [zDirection=0] ZDirection.
  * @property {boolean} [interpolate=false] Use interpolated values when resampling.  By default,
  * the nearest neighbor is used when resampling.
+ * @property {import("../tilestore.js").TileStore} [tileStore] Persistent store to read tiles through.
  */
 
 /**
@@ -70,6 +72,19 @@ class UrlTile extends TileSource {
      */
     this.tileLoadFunction = options.tileLoadFunction;
 
+    /**
+     * @private
+     * @type {import("../tilestore.js").TileStore|null}
+     */
+    this.tileStore_ = options.tileStore ? options.tileStore : null;
+
+    /**
+     * Tile load function that reads through the tile store.
+     * @private
+     * @type {import("../Tile.js").LoadFunction|null}
+     */
+    this.storeTileLoadFunction_ = null;
+
     if (options.tileUrlFunction) {
       this.tileUrlFunction = options.tileUrlFunction;
     }
@@ -102,6 +117,49 @@ class UrlTile extends TileSource {
     return this.tileLoadFunction;
   }
 
+  /**
+   * Get the function that loads the tiles of this source. When the source has a
+   * tile store, tiles are read through the store.
+   * @return {import("../Tile.js").LoadFunction} Tile load function.
+   * @protected
+   */
+  getTileLoadFunctionInternal() {
+    if (!this.tileStore_) {
+      return this.tileLoadFunction;
+    }
+    if (!this.storeTileLoadFunction_) {
+      this.storeTileLoadFunction_ = createLoadFunction(
+        this.tileStore_,
+        this.tileLoadFunction
+      );
+    }
+    return this.storeTileLoadFunction_;
+  }
+
+  /**
+   * Return the tile store of the source.
+   * @return {import("../tilestore.js").TileStore|null} Tile store.
+   * @api
+   */
+  getTileStore() {
+    return this.tileStore_;
+  }
+
+  /**
+   * Set a persistent store to read tiles through. Tiles that are not in the
+   * store, or have expired, are fetched and stored. When fetching fails,
+   * expired tiles are used, so tiles that were stored before, e.g. with
+   * {@link module:ol/tilestore.prefetch}, remain available offline.
+   * @param {import("../tilestore.js").TileStore|null} tileStore Tile store.
+   * @api
+   */
+  setTileStore(tileStore) {
+    this.tileCache.clear();
+    this.tileStore_ = tileStore;
+    this.storeTileLoadFunction_ = null;
+    this.changed();
+  }
+
   /**
    * Return the tile URL function of the source.
    * @return {import("../Tile.js").UrlFunction} TileUrlFunction
@@ -159,6 +217,7 @@ class UrlTile extends TileSource {
   setTileLoadFunction(tileLoadFunction) {
     this.tileCache.clear();
     this.tileLoadFunction = tileLoadFunction;
+    this.storeTileLoadFunction_ = null;
     this.changed();
   }
 
@@ -41,8 +41,9 @@ export class VectorSourceEvent extends Event {
    * @param {string} type Type.
    * @param {import("../Feature.js").default<Geometry>} [opt_feature] Feature.
    * @param {Array<import("../Feature.js").default<Geometry>>} [opt_features] Features.
+   * @param {import("../extent.js").Extent} [opt_extent] Extent.
    */
-  constructor(type, opt_feature, opt_features) {
+  constructor(type, opt_feature, opt_features, opt_extent) {
     super(type);
 
     /**
@@ -53,11 +54,20 @@ export class VectorSourceEvent extends Event {
     this.feature = opt_feature;
 
     /**
-     * The loaded features for the `FEATURESLOADED` event, `undefined` otherwise.
+     * The loaded features for the `FEATURESLOADEND` and `FEATURESLOADPROGRESS`
+     * events, `undefined` otherwise.
      * @type {Array<import("../Feature.js").default<Geometry>>|undefined}
      * @api
      */
     this.features = opt_features;
+
+    /**
+     * The removed extent for the `REMOVELOADEDEXTENT` event, `undefined`
+     * otherwise.
+     * @type {import("../extent.js").Extent|undefined}
+     * @api
+     */
+    this.extent = opt_extent;
   }
 }
 
@@ -421,6 +431,25 @@ class VectorSource extends Source {
     this.changed();
   }
 
+  /**
+   * Add a batch of features while a feature loader is still loading. Loaders
+   * that add features progressively call this for each batch, and pass all
+   * features to the `success` callback when loading ends. A
+   * `featuresloadprogress` event is dispatched with the batch.
+   * @param {Array<import("../Feature.js").default<Geometry>>} features Features to add.
+   * @api
+   */
+  addLoadedFeatures(features) {
+    this.addFeatures(features);
+    this.dispatchEvent(
+      new VectorSourceEvent(
+        VectorEventType.FEATURESLOADPROGRESS,
+        undefined,
+        features
+      )
+    );
+  }
+
   /**
    * Add features without firing a `change` event.
    * @param {Array<import("../Feature.js").default<Geometry>>} features Features.
@@ -1028,6 +1057,14 @@ class VectorSource extends Source {
     });
     if (obj) {
       loadedExtentsRtree.remove(obj);
+      this.dispatchEvent(
+        new VectorSourceEvent(
+          VectorEventType.REMOVELOADEDEXTENT,
+          undefined,
+          undefined,
+          obj.extent
+        )
+      );
     }
   }
 
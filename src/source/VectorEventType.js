@@ -55,8 +55,24 @@ export default {
    * @api
    */
   FEATURESLOADERROR: 'featuresloaderror',
+
+  /**
+   * Triggered by feature loaders that add features progressively, when a
+   * batch of features was added. The batch is available as `features`.
+   * @event module:ol/source/Vector.VectorSourceEvent#featuresloadprogress
+   * @api
+   */
+  FEATURESLOADPROGRESS: 'featuresloadprogress',
+
+  /**
+   * Triggered when an extent is removed from the list of loaded extents. The
+   * extent is available as `extent`.
+   * @event module:ol/source/Vector.VectorSourceEvent#removeloadedextent
+   * @api
+   */
+  REMOVELOADEDEXTENT: 'removeloadedextent',
 };
 
 /**
- * @typedef {'addfeature'|'changefeature'|'clear'|'removefeature'|'featuresloadstart'|'featuresloadend'|'featuresloaderror'} VectorSourceEventTypes
+ * @typedef {'addfeature'|'changefeature'|'clear'|'removefeature'|'featuresloadstart'|'featuresloadend'|'featuresloaderror'|'featuresloadprogress'|'removeloadedextent'} VectorSourceEventTypes
  */
@@ -86,6 +86,9 @@ import {toSize} from '../size.js';
  * @property {number|import("../array.js").NearestDirectionFunction} [zDirection=1]
  * Choose whether to use tiles with a higher or lower zoom level when between integer
  * zoom levels. See {@link module:ol/tilegrid/TileGrid~TileGrid#getZForResolution}.
+ * @property {import("../tilestore.js").TileStore} [tileStore] Persistent store to read tiles through, e.g. an
+ * {@link module:ol/tilestore/IndexedDB~IndexedDBTileStore}, to use tiles offline. Stored tiles are read with the
+ * `format`; the `tileLoadFunction` is not used.
  */
 
 /**
@@ -138,6 +141,7 @@ class VectorTile extends UrlTile {
       wrapX: options.wrapX === undefined ? true : options.wrapX,
       transition: options.transition,
       zDirection: options.zDirection === undefined ? 1 : options.zDirection,
+      tileStore: options.tileStore,
     });
 
     /**
@@ -288,7 +292,7 @@ class VectorTile extends UrlTile {
               tileUrl ? TileState.IDLE : TileState.EMPTY,
               tileUrl,
               this.format_,
-              this.tileLoadFunction
+              this.getTileLoadFunctionInternal()
             );
         tile.sourceTiles.push(sourceTile);
         const sourceTileState = sourceTile.getState();
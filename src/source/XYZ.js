@@ -49,6 +49,8 @@ import {createXYZ, extentFromProjection} from '../tilegrid.js';
  * @property {number|import("../array.js").NearestDirectionFunction} [zDirection=0]
  * Choose whether to use tiles with a higher or lower zoom level when between integer
  * zoom levels. See {@link module:ol/tilegrid/TileGrid~TileGrid#getZForResolution}.
+ * @property {import("../tilestore.js").TileStore} [tileStore] Persistent store to read tiles through, e.g. an
+ * {@link module:ol/tilestore/IndexedDB~IndexedDBTileStore}, to use tiles offline.
  */
 
 /**
@@ -113,6 +115,7 @@ class XYZ extends TileImage {
       transition: options.transition,
       attributionsCollapsible: options.attributionsCollapsible,
       zDirection: options.zDirection,
+      tileStore: options.tileStore,
     });
   }
 }
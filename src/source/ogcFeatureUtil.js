@@ -0,0 +1,239 @@
+/**
+ * @module ol/source/ogcFeatureUtil
+ */
+
+import {appendParams} from '../uri.js';
+import {assign} from '../obj.js';
+import {equivalent, get as getProjection, transformExtent} from '../proj.js';
+import {getJSON, resolveUrl} from '../net.js';
+
+/**
+ * See https://ogcapi.ogc.org/features/.
+ */
+
+/**
+ * Identifier of WGS 84 longitude/latitude, the default CRS of OGC API -
+ * Features.
+ * @type {string}
+ */
+export const CRS84 = 'http://www.opengis.net/def/crs/OGC/1.3/CRS84';
+
+/**
+ * @typedef {Object} Collection
+ * @property {string} id The collection identifier.
+ * @property {string} [title] The collection title.
+ * @property {string} [description] The collection description.
+ * @property {Array<import("./ogcTileUtil.js").Link>} links Collection links.
+ * @property {Object} [extent] Spatial and temporal extent.
+ * @property {Array<string>} [crs] Supported coordinate reference systems.
+ * @property {string} [storageCrs] Coordinate reference system of the stored
+ * features.
+ */
+
+/**
+ * @typedef {Object} CollectionInfo
+ * @property {Collection} collection The collection metadata.
+ * @property {string} itemsUrl URL of the collection items.
+ * @property {string} queryablesUrl URL of the queryables schema.
+ * @property {Array<string>} crs Supported coordinate reference systems.
+ */
+
+/**
+ * @typedef {Object} ItemsRequest
+ * @property {string} url URL of the first page of items.
+ * @property {import("../proj/Projection.js").default} dataProjection
+ * Projection of the returned features.
+ */
+
+/**
+ * @typedef {Object} ItemsParams
+ * @property {number} [limit] Number of features per page.
+ * @property {string} [datetime] Date and time or interval.
+ * @property {string} [filter] CQL2-Text filter.
+ * @property {Object<string, string>} [params] Additional query parameters.
+ */
+
+/**
+ * @type {Object<string, boolean>}
+ */
+const knownItemsMediaTypes = {
+  'application/geo+json': true,
+  'application/json': true,
+};
+
+/**
+ * @param {Array<import("./ogcTileUtil.js").Link>} links Links.
+ * @param {string} rel Relation type.
+ * @param {string} [mediaType] The preferred media type.
+ * @return {import("./ogcTileUtil.js").Link|undefined} The link.
+ */
+function findLink(links, rel, mediaType) {
+  let fallback;
+  for (let i = 0; i < links.length; ++i) {
+    const link = links[i];
+    if (link.rel === rel) {
+      if (!mediaType || link.type === mediaType) {
+        return link;
+      }
+      if (!fallback || (link.type && knownItemsMediaTypes[link.type])) {
+        fallback = link;
+      }
+    }
+  }
+  return fallback;
+}
+
+/**
+ * Get the CRS identifier of a projection.
+ * @param {import("../proj/Projection.js").default} projection Projection.
+ * @return {string} CRS identifier, {@link module:ol/source/ogcFeatureUtil.CRS84}
+ * for longitude/latitude.
+ */
+export function getCrsUri(projection) {
+  if (equivalent(projection, getProjection('EPSG:4326'))) {
+    return CRS84;
+  }
+  const match = /^EPSG:(\d+)$/.exec(projection.getCode());
+  return match
+    ? 'http://www.opengis.net/def/crs/EPSG/0/' + match[1]
+    : projection.getCode();
+}
+
+/**
+ * @param {string} url The landing page URL.
+ * @param {string} collectionId The collection identifier.
+ * @param {string} [mediaType] The preferred media type for items.
+ * @return {Promise<CollectionInfo>} Collection info.
+ */
+export function getCollectionInfo(url, collectionId, mediaType) {
+  return getJSON(url).then(function (landingPage) {
+    const link =
+      findLink(landingPage.links || [], 'data') ||
+      findLink(
+        landingPage.links || [],
+        'http://www.opengis.net/def/rel/ogc/1.0/data'
+      );
+    const collectionsUrl = link
+      ? resolveUrl(url, link.href)
+      : withPath(url, 'collections');
+    const collectionUrl = withPath(
+      collectionsUrl,
+      encodeURIComponent(collectionId)
+    );
+    return getJSON(collectionUrl).then(function (collection) {
+      return parseCollection(collectionUrl, collection, mediaType);
+    });
+  });
+}
+
+/**
+ * @param {string} url URL.
+ * @param {string} path Path segment.
+ * @return {string} URL with the path segment appended to its path.
+ */
+function withPath(url, path) {
+  return url.split('?')[0].replace(/\/$/, '') + '/' + path;
+}
+
+/**
+ * @param {string} url The collection URL.
+ * @param {Collection} collection The collection metadata.
+ * @param {string} [mediaType] The preferred media type for items.
+ * @return {CollectionInfo} Collection info.
+ */
+function parseCollection(url, collection, mediaType) {
+  const links = collection.links || [];
+  const itemsLink = findLink(
+    links,
+    'items',
+    mediaType || 'application/geo+json'
+  );
+  if (!itemsLink) {
+    throw new Error('Could not find "items" link');
+  }
+  const queryablesLink =
+    findLink(links, 'http://www.opengis.net/def/rel/ogc/1.0/queryables') ||
+    findLink(links, 'queryables');
+  return {
+    collection: collection,
+    itemsUrl: resolveUrl(url, itemsLink.href),
+    queryablesUrl: queryablesLink
+      ? resolveUrl(url, queryablesLink.href)
+      : withPath(url, 'queryables'),
+    crs: collection.crs && collection.crs.length ? collection.crs : [CRS84],
+  };
+}
+
+/**
+ * Get the projection of the items requested for a projection. This is the
+ * projection itself when the collection supports its CRS, otherwise
+ * longitude/latitude.
+ * @param {CollectionInfo} info Collection info.
+ * @param {import("../proj/Projection.js").default} projection Projection.
+ * @return {import("../proj/Projection.js").default} Data projection.
+ */
+export function getDataProjection(info, projection) {
+  const crs = getCrsUri(projection);
+  return crs !== CRS84 &&
+    info.crs.indexOf(crs) !== -1 &&
+    projection.getAxisOrientation().substr(0, 2) === 'en'
+    ? projection
+    : getProjection('EPSG:4326');
+}
+
+/**
+ * Get the request for the first page of items in an extent. When the
+ * collection supports the CRS of the projection, the bbox and the features
+ * are in that projection, otherwise they are in
+ * {@link module:ol/source/ogcFeatureUtil.CRS84}.
+ * @param {CollectionInfo} info Collection info.
+ * @param {import("../extent.js").Extent} extent Extent, `null` or infinite for
+ * all items.
+ * @param {import("../proj/Projection.js").default} projection Projection of the
+ * extent.
+ * @param {ItemsParams} itemsParams Query parameters.
+ * @return {ItemsRequest} The request.
+ */
+export function getItemsRequest(info, extent, projection, itemsParams) {
+  const crs = getCrsUri(projection);
+  const dataProjection = getDataProjection(info, projection);
+  const native = crs !== CRS84 && dataProjection === projection;
+  let bbox;
+  if (extent && isFinite(extent[0]) && isFinite(extent[2])) {
+    if (native) {
+      bbox = extent;
+    } else {
+      const lonLat = transformExtent(extent, projection, dataProjection);
+      bbox = [
+        Math.max(lonLat[0], -180),
+        Math.max(lonLat[1], -90),
+        Math.min(lonLat[2], 180),
+        Math.min(lonLat[3], 90),
+      ];
+    }
+  }
+  const params = {
+    'limit': itemsParams.limit,
+    'bbox': bbox ? bbox.join(',') : undefined,
+    'bbox-crs': bbox && native ? crs : undefined,
+    'crs': native ? crs : undefined,
+    'datetime': itemsParams.datetime,
+    'filter': itemsParams.filter,
+    'filter-lang': itemsParams.filter ? 'cql2-text' : undefined,
+    'filter-crs': itemsParams.filter && native ? crs : undefined,
+  };
+  return {
+    url: appendParams(info.itemsUrl, assign(params, itemsParams.params)),
+    dataProjection: dataProjection,
+  };
+}
+
+/**
+ * @param {Object} response Items response.
+ * @param {string} url URL of the response.
+ * @return {string|undefined} URL of the next page.
+ */
+export function getNextUrl(response, url) {
+  const link = findLink(response.links || [], 'next');
+  return link ? resolveUrl(url, link.href) : undefined;
+}
@@ -0,0 +1,562 @@
+/**
+ * @module ol/source/pmtiles
+ */
+import {createSourceOptions, createTileLoadFunction} from '../tilepackage.js';
+import {getArrayBuffer} from '../net.js';
+
+/**
+ * See https://github.com/protomaps/PMTiles/blob/main/spec/v3/spec.md.
+ */
+
+/**
+ * Number of bytes fetched first. The header and the root directory of an
+ * archive are always in the first 16 KiB.
+ * @type {number}
+ */
+const INITIAL_LENGTH = 16384;
+
+/**
+ * Length of the header in bytes.
+ * @type {number}
+ */
+const HEADER_LENGTH = 127;
+
+/**
+ * Maximum depth of leaf directories.
+ * @type {number}
+ */
+const MAX_DEPTH = 3;
+
+/**
+ * @enum {number}
+ */
+export const Compression = {
+  UNKNOWN: 0,
+  NONE: 1,
+  GZIP: 2,
+  BROTLI: 3,
+  ZSTD: 4,
+};
+
+/**
+ * @enum {number}
+ */
+export const TileType = {
+  UNKNOWN: 0,
+  MVT: 1,
+  PNG: 2,
+  JPEG: 3,
+  WEBP: 4,
+  AVIF: 5,
+};
+
+/**
+ * @type {Object<number, string>}
+ */
+const mimeTypes = {
+  [TileType.PNG]: 'image/png',
+  [TileType.JPEG]: 'image/jpeg',
+  [TileType.WEBP]: 'image/webp',
+  [TileType.AVIF]: 'image/avif',
+};
+
+/**
+ * @typedef {Object} Header
+ * @property {number} rootDirectoryOffset Offset of the root directory.
+ * @property {number} rootDirectoryLength Length of the root directory.
+ * @property {number} metadataOffset Offset of the JSON metadata.
+ * @property {number} metadataLength Length of the JSON metadata.
+ * @property {number} leafDirectoryOffset Offset of the leaf directories.
+ * @property {number} leafDirectoryLength Length of the leaf directories.
+ * @property {number} tileDataOffset Offset of the tile data.
+ * @property {number} tileDataLength Length of the tile data.
+ * @property {number} numAddressedTiles Number of addressed tiles.
+ * @property {number} numTileEntries Number of tile entries.
+ * @property {number} numTileContents Number of distinct tile contents.
+ * @property {boolean} clustered Tile data is ordered by tile id.
+ * @property {Compression} internalCompression Compression of the directories
+ * and the metadata.
+ * @property {Compression} tileCompression Compression of the tiles.
+ * @property {TileType} tileType Type of the tiles.
+ * @property {number} minZoom Minimum zoom level.
+ * @property {number} maxZoom Maximum zoom level.
+ * @property {import("../extent.js").Extent} bounds Bounds in degrees.
+ * @property {number} centerZoom Zoom level of the center.
+ * @property {import("../coordinate.js").Coordinate} center Center in
+ * degrees.
+ */
+
+/**
+ * @typedef {Object} Entry
+ * @property {number} tileId Id of the first tile.
+ * @property {number} offset Offset of the tile data, or of the leaf
+ * directory, relative to their section.
+ * @property {number} length Length of the tile data or leaf directory.
+ * @property {number} runLength Number of consecutive tiles with the same data,
+ * or `0` for a leaf directory.
+ */
+
+/**
+ * @typedef {Object} Options
+ * @property {number} [tileSize] Tile size in pixels. Default is `512` for
+ * vector tiles and `256` for image tiles.
+ */
+
+/**
+ * @param {DataView} view View.
+ * @param {number} offset Offset.
+ * @return {number} Unsigned 64 bit integer.
+ */
+function getUint64(view, offset) {
+  return (
+    view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 2 ** 32
+  );
+}
+
+/**
+ * @param {ArrayBuffer} buffer Buffer that starts with the header.
+ * @return {Header} Header.
+ */
+function readHeader(buffer) {
+  if (buffer.byteLength < HEADER_LENGTH) {
+    throw new Error('Not a PMTiles archive');
+  }
+  const view = new DataView(buffer);
+  const magic = String.fromCharCode.apply(null, new Uint8Array(buffer, 0, 7));
+  if (magic !== 'PMTiles') {
+    throw new Error('Not a PMTiles archive');
+  }
+  const version = view.getUint8(7);
+  if (version !== 3) {
+    throw new Error(`Unsupported PMTiles version ${version}`);
+  }
+  return {
+    rootDirectoryOffset: getUint64(view, 8),
+    rootDirectoryLength: getUint64(view, 16),
+    metadataOffset: getUint64(view, 24),
+    metadataLength: getUint64(view, 32),
+    leafDirectoryOffset: getUint64(view, 40),
+    leafDirectoryLength: getUint64(view, 48),
+    tileDataOffset: getUint64(view, 56),
+    tileDataLength: getUint64(view, 64),
+    numAddressedTiles: getUint64(view, 72),
+    numTileEntries: getUint64(view, 80),
+    numTileContents: getUint64(view, 88),
+    clustered: view.getUint8(96) === 1,
+    internalCompression: view.getUint8(97),
+    tileCompression: view.getUint8(98),
+    tileType: view.getUint8(99),
+    minZoom: view.getUint8(100),
+    maxZoom: view.getUint8(101),
+    bounds: [
+      view.getInt32(102, true) / 1e7,
+      view.getInt32(106, true) / 1e7,
+      view.getInt32(110, true) / 1e7,
+      view.getInt32(114, true) / 1e7,
+    ],
+    centerZoom: view.getUint8(118),
+    center: [view.getInt32(119, true) / 1e7, view.getInt32(123, true) / 1e7],
+  };
+}
+
+/**
+ * @param {ArrayBuffer} buffer Uncompressed directory.
+ * @return {Array<Entry>} Entries, ordered by tile id.
+ */
+function readDirectory(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let position = 0;
+
+  /**
+   * @return {number} Unsigned varint.
+   */
+  function readVarint() {
+    let value = 0;
+    let factor = 1;
+    let byte;
+    do {
+      if (position >= bytes.length) {
+        throw new Error('Unexpected end of PMTiles directory');
+      }
+      byte = bytes[position++];
+      value += (byte & 0x7f) * factor;
+      factor *= 128;
+    } while (byte & 0x80);
+    return value;
+  }
+
+  const count = readVarint();
+  /** @type {Array<Entry>} */
+  const entries = new Array(count);
+  let tileId = 0;
+  for (let i = 0; i < count; ++i) {
+    tileId += readVarint();
+    entries[i] = {tileId: tileId, offset: 0, length: 0, runLength: 1};
+  }
+  for (let i = 0; i < count; ++i) {
+    entries[i].runLength = readVarint();
+  }
+  for (let i = 0; i < count; ++i) {
+    entries[i].length = readVarint();
+  }
+  for (let i = 0; i < count; ++i) {
+    const value = readVarint();
+    entries[i].offset =
+      value === 0 && i > 0
+        ? entries[i - 1].offset + entries[i - 1].length
+        : value - 1;
+  }
+  return entries;
+}
+
+/**
+ * Find the entry for a tile, or the leaf directory that may contain it.
+ * @param {Array<Entry>} entries Entries, ordered by tile id.
+ * @param {number} tileId Tile id.
+ * @return {Entry|null} Entry.
+ */
+function findEntry(entries, tileId) {
+  let low = 0;
+  let high = entries.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    const difference = tileId - entries[mid].tileId;
+    if (difference > 0) {
+      low = mid + 1;
+    } else if (difference < 0) {
+      high = mid - 1;
+    } else {
+      return entries[mid];
+    }
+  }
+  if (high >= 0) {
+    const entry = entries[high];
+    if (entry.runLength === 0 || tileId - entry.tileId < entry.runLength) {
+      return entry;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {ArrayBuffer} buffer Data.
+ * @param {Compression} compression Compression.
+ * @return {Promise<ArrayBuffer>} Uncompressed data.
+ */
+function decompress(buffer, compression) {
+  if (compression === Compression.NONE || compression === Compression.UNKNOWN) {
+    return Promise.resolve(buffer);
+  }
+  if (
+    compression === Compression.GZIP &&
+    typeof DecompressionStream !== 'undefined'
+  ) {
+    const stream = new Blob([buffer])
+      .stream()
+      .pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).arrayBuffer();
+  }
+  return Promise.reject(
+    new Error(`Unsupported PMTiles compression ${compression}`)
+  );
+}
+
+/**
+ * Get the id of a tile on the Hilbert curve of its zoom level, after the ids
+ * of all tiles of the lower zoom levels.
+ * @param {number} z Zoom level.
+ * @param {number} x Column, from the left.
+ * @param {number} y Row, from the top.
+ * @return {number} Tile id.
+ * @api
+ */
+export function zxyToTileId(z, x, y) {
+  if (z > 26) {
+    throw new Error('Tile zoom level exceeds the maximum of 26');
+  }
+  const n = 2 ** z;
+  if (x < 0 || y < 0 || x >= n || y >= n) {
+    throw new Error(`Tile ${z}/${x}/${y} is outside of the zoom level`);
+  }
+  let id = (n * n - 1) / 3;
+  for (let s = n / 2; s >= 1; s /= 2) {
+    const rx = x & s ? 1 : 0;
+    const ry = y & s ? 1 : 0;
+    id += s * s * ((3 * rx) ^ ry);
+    if (ry === 0) {
+      if (rx === 1) {
+        x = s - 1 - x;
+        y = s - 1 - y;
+      }
+      const t = x;
+      x = y;
+      y = t;
+    }
+  }
+  return id;
+}
+
+/**
+ * @classdesc
+ * Reader for PMTiles archives, single files with raster or vector tiles that
+ * are read with HTTP range requests, or from a local `File` or `Blob`. The
+ * archive is a {@link module:ol/tilepackage~TilePackage} and can be used by
+ * {@link module:ol/source/XYZ~XYZ} and
+ * {@link module:ol/source/VectorTile~VectorTile} sources:
+ * ```js
+ * const archive = new PMTiles('https://example.com/basemap.pmtiles');
+ * archive.getSourceOptions().then(function (options) {
+ *   layer.setSource(new VectorTileSource(assign({format: new MVT()}, options)));
+ * });
+ * ```
+ * or, with a tile grid configured by the application:
+ * ```js
+ * const source = new XYZ({
+ *   url: archive.getUrl(),
+ *   tileLoadFunction: archive.getTileLoadFunction(),
+ * });
+ * ```
+ * Gzip compressed archives need a browser with `DecompressionStream`.
+ *
+ * @api
+ */
+export class PMTiles {
+  /**
+   * @param {string|Blob} url URL of the archive, or the archive.
+   * @param {Options} [opt_options] Options.
+   */
+  constructor(url, opt_options) {
+    const options = opt_options ? opt_options : {};
+
+    /**
+     * @private
+     * @type {string}
+     */
+    this.url_ =
+      typeof url === 'string' ? url : /** @type {File} */ (url).name || 'blob';
+
+    /**
+     * @private
+     * @type {Blob|null}
+     */
+    this.blob_ = typeof url === 'string' ? null : url;
+
+    /**
+     * @private
+     * @type {number|undefined}
+     */
+    this.tileSize_ = options.tileSize;
+
+    /**
+     * @private
+     * @type {Promise<Header>|null}
+     */
+    this.header_ = null;
+
+    /**
+     * Directories by offset.
+     * @private
+     * @type {Object<string, Promise<Array<Entry>>>}
+     */
+    this.directories_ = {};
+
+    /**
+     * @private
+     * @type {import("../Tile.js").LoadFunction}
+     */
+    this.tileLoadFunction_ = createTileLoadFunction(this);
+  }
+
+  /**
+   * @param {number} start Offset of the first byte.
+   * @param {number} end Offset of the last byte (exclusive).
+   * @return {Promise<ArrayBuffer>} Data.
+   * @private
+   */
+  read_(start, end) {
+    if (this.blob_) {
+      return this.blob_.slice(start, end).arrayBuffer();
+    }
+    return getArrayBuffer(this.url_, start, end);
+  }
+
+  /**
+   * Get the header of the archive.
+   * @return {Promise<Header>} Header.
+   * @api
+   */
+  getHeader() {
+    if (!this.header_) {
+      this.header_ = this.read_(0, INITIAL_LENGTH).then(
+        function (buffer) {
+          const header = readHeader(buffer);
+          const end = header.rootDirectoryOffset + header.rootDirectoryLength;
+          if (end <= buffer.byteLength) {
+            this.directories_[header.rootDirectoryOffset] = decompress(
+              buffer.slice(header.rootDirectoryOffset, end),
+              header.internalCompression
+            ).then(readDirectory);
+          }
+          return header;
+        }.bind(this)
+      );
+      this.header_.catch(
+        function () {
+          // allow to retry, e.g. when the network is back
+          this.header_ = null;
+        }.bind(this)
+      );
+    }
+    return this.header_;
+  }
+
+  /**
+   * Get the JSON metadata of the archive.
+   * @return {Promise<Object>} Metadata.
+   * @api
+   */
+  getMetadata() {
+    return this.getHeader().then(
+      function (header) {
+        if (!header.metadataLength) {
+          return {};
+        }
+        return this.read_(
+          header.metadataOffset,
+          header.metadataOffset + header.metadataLength
+        )
+          .then(function (buffer) {
+            return decompress(buffer, header.internalCompression);
+          })
+          .then(function (buffer) {
+            return JSON.parse(new TextDecoder().decode(buffer));
+          });
+      }.bind(this)
+    );
+  }
+
+  /**
+   * @param {Header} header Header.
+   * @param {number} offset Offset.
+   * @param {number} length Length.
+   * @return {Promise<Array<Entry>>} Entries.
+   * @private
+   */
+  getDirectory_(header, offset, length) {
+    if (!(offset in this.directories_)) {
+      this.directories_[offset] = this.read_(offset, offset + length)
+        .then(function (buffer) {
+          return decompress(buffer, header.internalCompression);
+        })
+        .then(readDirectory);
+      this.directories_[offset].catch(
+        function () {
+          delete this.directories_[offset];
+        }.bind(this)
+      );
+    }
+    return this.directories_[offset];
+  }
+
+  /**
+   * Get the uncompressed data of a tile.
+   * @param {number} z Zoom level.
+   * @param {number} x Column, from the left.
+   * @param {number} y Row, from the top.
+   * @return {Promise<ArrayBuffer|null>} Tile data, or `null` if the archive
+   * does not have the tile.
+   * @api
+   */
+  getTile(z, x, y) {
+    const tileId = zxyToTileId(z, x, y);
+    return this.getHeader().then(
+      function (header) {
+        if (z < header.minZoom || z > header.maxZoom) {
+          return null;
+        }
+        const find = function (offset, length, depth) {
+          return this.getDirectory_(header, offset, length).then(
+            function (entries) {
+              const entry = findEntry(entries, tileId);
+              if (!entry) {
+                return null;
+              }
+              if (entry.runLength > 0) {
+                const start = header.tileDataOffset + entry.offset;
+                return this.read_(start, start + entry.length).then(function (
+                  buffer
+                ) {
+                  return decompress(buffer, header.tileCompression);
+                });
+              }
+              if (depth >= MAX_DEPTH) {
+                throw new Error('Too many PMTiles leaf directory levels');
+              }
+              return find(
+                header.leafDirectoryOffset + entry.offset,
+                entry.length,
+                depth + 1
+              );
+            }.bind(this)
+          );
+        }.bind(this);
+        return find(header.rootDirectoryOffset, header.rootDirectoryLength, 0);
+      }.bind(this)
+    );
+  }
+
+  /**
+   * Get the tile URL template to use with the tile load function.
+   * @return {string} URL template.
+   * @api
+   */
+  getUrl() {
+    return 'pmtiles://' + this.url_ + '/{z}/{x}/{y}';
+  }
+
+  /**
+   * Get a tile load function that reads tiles from the archive. The tile URLs
+   * have to end with `{z}/{x}/{y}`, see
+   * {@link module:ol/source/pmtiles.PMTiles#getUrl}.
+   * @return {import("../Tile.js").LoadFunction} Tile load function.
+   * @api
+   */
+  getTileLoadFunction() {
+    return this.tileLoadFunction_;
+  }
+
+  /**
+   * Get the package information, from the header and the metadata of the
+   * archive.
+   * @return {Promise<import("../tilepackage.js").PackageInfo>} Package
+   * information.
+   * @api
+   */
+  getInfo() {
+    return Promise.all([this.getHeader(), this.getMetadata()]).then(
+      function (result) {
+        const header = result[0];
+        return {
+          vector: header.tileType === TileType.MVT,
+          mimeType: mimeTypes[header.tileType],
+          minZoom: header.minZoom,
+          maxZoom: header.maxZoom,
+          bounds: header.bounds,
+          tileSize: this.tileSize_,
+          attributions: result[1].attribution,
+        };
+      }.bind(this)
+    );
+  }
+
+  /**
+   * Get options for a {@link module:ol/source/XYZ~XYZ} or
+   * {@link module:ol/source/VectorTile~VectorTile} source, with the tile grid
+   * and the attributions of the archive.
+   * @return {Promise<import("../tilepackage.js").SourceOptions>} Source options.
+   * @api
+   */
+  getSourceOptions() {
+    return createSourceOptions(this);
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * @module ol/source/wms
+ */
+
+import {DEFAULT_WMS_VERSION} from './common.js';
+import {appendParams} from '../uri.js';
+import {assign} from '../obj.js';
+
+/**
+ * Size of a rendering pixel in meters, as defined by the OGC SLD and WMS
+ * specifications.
+ * @type {number}
+ */
+const PIXEL_SIZE = 0.00028;
+
+/**
+ * Find the `LegendURL` of a layer style in WMS capabilities.
+ * @param {Object} capabilities Capabilities, as read by
+ *     {@link module:ol/format/WMSCapabilities~WMSCapabilities#read}.
+ * @param {string} layerName Layer name.
+ * @param {string} [opt_styleName] Style name. When not set or empty, the first
+ *     style of the layer is used.
+ * @return {Object|undefined} The legend url object, with `Format`,
+ *     `OnlineResource` and `size`.
+ */
+export function findLegendUrl(capabilities, layerName, opt_styleName) {
+  const capability = capabilities['Capability'];
+  const layer =
+    capability && capability['Layer']
+      ? findLayer(capability['Layer'], layerName)
+      : undefined;
+  if (!layer || !layer['Style']) {
+    return undefined;
+  }
+  const styles = layer['Style'];
+  let style = styles[0];
+  if (opt_styleName) {
+    for (let i = 0, ii = styles.length; i < ii; ++i) {
+      if (styles[i]['Name'] === opt_styleName) {
+        style = styles[i];
+        break;
+      }
+    }
+  }
+  const legendUrls = style && style['LegendURL'];
+  return legendUrls && legendUrls.length > 0 ? legendUrls[0] : undefined;
+}
+
+/**
+ * @param {Object} layer Layer object of the capabilities.
+ * @param {string} name Layer name.
+ * @return {Object|undefined} The layer with the given name.
+ */
+function findLayer(layer, name) {
+  if (layer['Name'] === name) {
+    return layer;
+  }
+  const children = layer['Layer'];
+  if (children) {
+    for (let i = 0, ii = children.length; i < ii; ++i) {
+      const found = findLayer(children[i], name);
+      if (found) {
+        return found;
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Read the query parameters of a url, with upper case keys.
+ * @param {string} url Url.
+ * @return {Object<string, string>} Params.
+ */
+function getQueryParams(url) {
+  const params = {};
+  const index = url.indexOf('?');
+  if (index !== -1) {
+    url
+      .substring(index + 1)
+      .split('&')
+      .forEach(function (pair) {
+        if (pair) {
+          const parts = pair.split('=');
+          params[decodeURIComponent(parts[0]).toUpperCase()] =
+            parts.length > 1
+              ? decodeURIComponent(parts.slice(1).join('=').replace(/\+/g, ' '))
+              : '';
+        }
+      });
+  }
+  return params;
+}
+
+/**
+ * Get the GetLegendGraphic url for a WMS source. When the capabilities list a
+ * `LegendURL` for the style of the layer, the request is based on that url,
+ * its format and its size.
+ * @param {string} url WMS service url.
+ * @param {Object} sourceParams Params of the source.
+ * @param {import("../proj/Projection.js").default|null} projection Projection
+ *     of the source.
+ * @param {Object|null} capabilities WMS capabilities.
+ * @param {number} [resolution] Resolution.
+ * @param {Object} [params] GetLegendGraphic params.
+ * @return {string|undefined} GetLegendGraphic URL.
+ */
+export function getLegendUrl(
+  url,
+  sourceParams,
+  projection,
+  capabilities,
+  resolution,
+  params
+) {
+  const baseParams = {
+    'SERVICE': 'WMS',
+    'VERSION': DEFAULT_WMS_VERSION,
+    'REQUEST': 'GetLegendGraphic',
+    'FORMAT': 'image/png',
+  };
+
+  let layer = params === undefined ? undefined : params['LAYER'];
+  if (layer === undefined) {
+    const layers = sourceParams['LAYERS'];
+    const isSingleLayer = !Array.isArray(layers) || layers.length === 1;
+    if (!isSingleLayer) {
+      return undefined;
+    }
+    baseParams['LAYER'] = layers;
+    layer = layers;
+  }
+
+  if (capabilities) {
+    let style = params === undefined ? undefined : params['STYLE'];
+    if (style === undefined) {
+      const styles = sourceParams['STYLES'];
+      style = Array.isArray(styles) ? styles[0] : styles;
+    }
+    const legendUrl = findLegendUrl(capabilities, String(layer), style);
+    if (legendUrl && legendUrl['OnlineResource']) {
+      if (legendUrl['Format']) {
+        baseParams['FORMAT'] = legendUrl['Format'];
+      }
+      const size = legendUrl['size'];
+      if (size && size[0] && size[1]) {
+        baseParams['WIDTH'] = size[0];
+        baseParams['HEIGHT'] = size[1];
+      }
+      url = legendUrl['OnlineResource'];
+      // params of the legend url take precedence over the defaults
+      assign(baseParams, getQueryParams(url));
+      url = url.split('?')[0];
+    }
+  }
+
+  if (resolution !== undefined) {
+    const mpu = projection ? projection.getMetersPerUnit() : 1;
+    baseParams['SCALE'] = (resolution * mpu) / PIXEL_SIZE;
+  }
+
+  assign(baseParams, params);
+
+  return appendParams(url, baseParams);
+}
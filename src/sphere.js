@@ -262,3 +262,22 @@ export function offset(c1, distance, bearing, opt_radius) {
     );
   return [toDegrees(lon), toDegrees(lat)];
 }
+
+/**
+ * Get the initial bearing of the great circle path between two geographic
+ * coordinates.
+ *
+ * @param {import("./coordinate.js").Coordinate} c1 The origin point (`[lon, lat]` in degrees).
+ * @param {import("./coordinate.js").Coordinate} c2 The target point (`[lon, lat]` in degrees).
+ * @return {number} The bearing (in radians), clockwise from north.
+ */
+export function getBearing(c1, c2) {
+  const lat1 = toRadians(c1[1]);
+  const lat2 = toRadians(c2[1]);
+  const deltaLon = toRadians(c2[0] - c1[0]);
+  return Math.atan2(
+    Math.sin(deltaLon) * Math.cos(lat2),
+    Math.cos(lat1) * Math.sin(lat2) -
+      Math.sin(lat1) * Math.cos(lat2) * Math.cos(deltaLon)
+  );
+}
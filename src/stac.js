@@ -0,0 +1,458 @@
+/**
+ * @module ol/stac
+ */
+import GeoJSON from './format/GeoJSON.js';
+import GeoTIFF from './source/GeoTIFF.js';
+import VectorLayer from './layer/Vector.js';
+import VectorSource from './source/Vector.js';
+import WebGLTileLayer from './layer/WebGLTile.js';
+import {appendParams} from './uri.js';
+import {assign} from './obj.js';
+import {getJSON, resolveUrl} from './net.js';
+import {transformExtent} from './proj.js';
+
+/**
+ * See https://stacspec.org/.
+ */
+
+/**
+ * @typedef {Object} Link
+ * @property {string} rel The link rel attribute.
+ * @property {string} href The link URL.
+ * @property {string} [type] The link type.
+ */
+
+/**
+ * @typedef {Object} Band
+ * @property {string} [name] Band name.
+ * @property {string} [common_name] Common band name, e.g. `red` or `nir`.
+ * @property {number} [nodata] Nodata value (`raster:bands`).
+ * @property {{minimum: number, maximum: number}} [statistics] Band statistics
+ * (`raster:bands`).
+ */
+
+/**
+ * Asset of an item. The `eo:bands`, `raster:bands` and `proj:epsg` extension
+ * fields are read when present.
+ * @typedef {Object} Asset
+ * @property {string} href Asset URL.
+ * @property {string} [type] Media type.
+ * @property {Array<string>} [roles] Roles, e.g. `data`, `visual` or
+ * `overview`.
+ */
+
+/**
+ * @typedef {Object} Item
+ * @property {string} type Always `Feature`.
+ * @property {string} id Item identifier.
+ * @property {Object} geometry Footprint as GeoJSON geometry.
+ * @property {Array<number>} [bbox] Bounding box.
+ * @property {Object<string, *>} properties Properties, e.g. `datetime` and
+ * `proj:epsg`.
+ * @property {Object<string, Asset>} assets Assets by key.
+ * @property {Array<Link>} links Links.
+ * @property {string} [collection] Collection identifier.
+ */
+
+/**
+ * @typedef {Object} ItemCollection
+ * @property {string} type Always `FeatureCollection`.
+ * @property {Array<Item>} features Items.
+ * @property {Array<Link>} [links] Links, e.g. to the `next` page.
+ * @property {Object} [context] Search context, e.g. the number of matched
+ * items.
+ */
+
+/**
+ * @typedef {Object} SearchOptions
+ * @property {import("./extent.js").Extent} [bbox] Bounding box in degrees.
+ * @property {string} [datetime] Date and time, or interval (e.g.
+ * `2021-01-01T00:00:00Z/2021-02-01T00:00:00Z`).
+ * @property {Array<string>} [collections] Collection identifiers.
+ * @property {Array<string>} [ids] Item identifiers.
+ * @property {number} [limit] Maximum number of items.
+ * @property {Object<string, string>} [params] Additional query parameters.
+ */
+
+/**
+ * @typedef {Object} AssetOptions
+ * @property {Array<string>} [bands] Names of the bands to read, matched
+ * against asset keys and the `name` and `common_name` of `eo:bands`, e.g.
+ * `['red', 'green', 'blue']`. If not provided, the first asset with the
+ * `visual` role is used, or the first asset with the `data` role.
+ * @property {Array<string>} [roles=['data', 'visual']] Asset roles to consider.
+ * Assets without roles are always considered.
+ * @property {Array<string>} [mediaTypes] Asset media types to consider.
+ * Default is GeoTIFF media types.
+ */
+
+/**
+ * @typedef {Object} SelectedAsset
+ * @property {string} key Asset key.
+ * @property {Asset} asset Asset.
+ * @property {number|undefined} band Index of the band in the asset, or
+ * `undefined` for all bands.
+ */
+
+/**
+ * @typedef {Object} SourceOptions
+ * @property {Array<string>} [bands] Names of the bands to read, see
+ * {@link module:ol/stac~AssetOptions}.
+ * @property {Array<string>} [roles=['data', 'visual']] Asset roles to consider.
+ * @property {Array<string>} [mediaTypes] Asset media types to consider.
+ * @property {number} [nodata] Nodata value. Default is the `nodata` of
+ * `raster:bands`.
+ * @property {number} [min] Minimum value. Default is the minimum of the
+ * `raster:bands` statistics.
+ * @property {number} [max] Maximum value. Default is the maximum of the
+ * `raster:bands` statistics.
+ * @property {string} [baseUrl] URL to resolve relative asset URLs against.
+ * Default is the `self` link of the item.
+ * @property {boolean} [normalize=true] Normalize values, see
+ * {@link module:ol/source/GeoTIFF~Options}.
+ * @property {boolean} [convertToRGB=false] Convert color spaces to RGB, see
+ * {@link module:ol/source/GeoTIFF~Options}.
+ * @property {import("./source/GeoTIFF.js").GeoTIFFSourceOptions} [sourceOptions]
+ * Additional options for geotiff.js.
+ */
+
+/**
+ * @type {Object<string, boolean>}
+ */
+const geoTiffMediaTypes = {
+  'image/tiff': true,
+  'image/tiff; application=geotiff': true,
+  'image/tiff; application=geotiff; profile=cloud-optimized': true,
+  'image/vnd.stac.geotiff': true,
+  'image/vnd.stac.geotiff; cloud-optimized=true': true,
+};
+
+/**
+ * @param {Asset} asset Asset.
+ * @param {AssetOptions} options Options.
+ * @return {boolean} The asset can be used.
+ */
+function isCandidate(asset, options) {
+  const roles = options.roles ? options.roles : ['data', 'visual'];
+  if (
+    asset.roles &&
+    asset.roles.length &&
+    !asset.roles.some(function (role) {
+      return roles.indexOf(role) !== -1;
+    })
+  ) {
+    return false;
+  }
+  if (!asset.type) {
+    return /\.tiff?(\?|$)/i.test(asset.href);
+  }
+  const type = asset.type.toLowerCase().replace(/\s/g, '');
+  if (options.mediaTypes) {
+    return options.mediaTypes.some(function (mediaType) {
+      return mediaType.toLowerCase().replace(/\s/g, '') === type;
+    });
+  }
+  for (const mediaType in geoTiffMediaTypes) {
+    if (mediaType.replace(/\s/g, '') === type) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * @param {Asset} asset Asset.
+ * @param {string} name Band name.
+ * @return {number} Index of the band in the asset, or `-1`.
+ */
+function findBand(asset, name) {
+  const bands = asset['eo:bands'] || [];
+  const lowerName = name.toLowerCase();
+  for (let i = 0; i < bands.length; ++i) {
+    const band = bands[i];
+    if (
+      (band.name && band.name.toLowerCase() === lowerName) ||
+      (band.common_name && band.common_name.toLowerCase() === lowerName)
+    ) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Read the items of a STAC Item, ItemCollection or search response.
+ * @param {Item|ItemCollection} object STAC object.
+ * @return {Array<Item>} Items.
+ * @api
+ */
+export function readItems(object) {
+  if (object.type === 'Feature') {
+    return [/** @type {Item} */ (object)];
+  }
+  if (object.type === 'FeatureCollection') {
+    return /** @type {ItemCollection} */ (object).features;
+  }
+  throw new Error('Expected a STAC Item or ItemCollection');
+}
+
+/**
+ * Get the URL of a link of a STAC object.
+ * @param {Item|ItemCollection} object STAC object.
+ * @param {string} rel Link relation, e.g. `self` or `next`.
+ * @return {string|undefined} URL.
+ * @api
+ */
+export function getLink(object, rel) {
+  const links = object.links || [];
+  for (let i = 0; i < links.length; ++i) {
+    if (links[i].rel === rel) {
+      return links[i].href;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Pick the assets for the requested bands of an item.
+ * @param {Item} item Item.
+ * @param {AssetOptions} [opt_options] Options.
+ * @return {Array<SelectedAsset>} One asset per requested band, or the visual
+ * or data asset when no bands are requested.
+ * @api
+ */
+export function selectAssets(item, opt_options) {
+  const options = opt_options ? opt_options : {};
+  const assets = item.assets || {};
+  const keys = Object.keys(assets).filter(function (key) {
+    return isCandidate(assets[key], options);
+  });
+  if (!options.bands) {
+    const roles = ['visual', 'data'];
+    for (let i = 0; i < roles.length; ++i) {
+      for (let j = 0; j < keys.length; ++j) {
+        const asset = assets[keys[j]];
+        if (asset.roles && asset.roles.indexOf(roles[i]) !== -1) {
+          return [{key: keys[j], asset: asset, band: undefined}];
+        }
+      }
+    }
+    if (keys.length === 0) {
+      throw new Error(`No GeoTIFF asset found in item "${item.id}"`);
+    }
+    return [{key: keys[0], asset: assets[keys[0]], band: undefined}];
+  }
+  return options.bands.map(function (name) {
+    const lowerName = name.toLowerCase();
+    for (let i = 0; i < keys.length; ++i) {
+      if (keys[i].toLowerCase() === lowerName) {
+        return {key: keys[i], asset: assets[keys[i]], band: undefined};
+      }
+    }
+    for (let i = 0; i < keys.length; ++i) {
+      const asset = assets[keys[i]];
+      const index = findBand(asset, name);
+      if (index !== -1) {
+        return {
+          key: keys[i],
+          asset: asset,
+          band: asset['eo:bands'].length > 1 ? index : undefined,
+        };
+      }
+    }
+    throw new Error(`No asset found for band "${name}" in item "${item.id}"`);
+  });
+}
+
+/**
+ * Get the projection code of an item or asset from its `proj:epsg` property.
+ * @param {Item} item Item.
+ * @param {Asset} [opt_asset] Asset.
+ * @return {string|undefined} Projection code, e.g. `EPSG:32633`.
+ * @api
+ */
+export function getProjectionCode(item, opt_asset) {
+  const epsg =
+    opt_asset && opt_asset['proj:epsg'] !== undefined
+      ? opt_asset['proj:epsg']
+      : item.properties['proj:epsg'];
+  return typeof epsg === 'number' ? 'EPSG:' + epsg : undefined;
+}
+
+/**
+ * Create a {@link module:ol/source/GeoTIFF~GeoTIFFSource} for the assets of an
+ * item, with `nodata`, `min` and `max` from `raster:bands` and the projection
+ * from `proj:epsg`. Projections other than EPSG:4326 and EPSG:3857 have to be
+ * registered, e.g. with {@link module:ol/proj/proj4.register}, otherwise the
+ * projection of the GeoTIFF metadata is used.
+ * @param {Item} item Item.
+ * @param {SourceOptions} [opt_options] Options.
+ * @return {GeoTIFF} Source.
+ * @api
+ */
+export function createSource(item, opt_options) {
+  const options = opt_options ? opt_options : {};
+  const baseUrl = options.baseUrl ? options.baseUrl : getLink(item, 'self');
+  const selected = selectAssets(item, options);
+  const sources = selected.map(function (selectedAsset) {
+    const asset = selectedAsset.asset;
+    const rasterBands = asset['raster:bands'] || [];
+    const rasterBand =
+      rasterBands[selectedAsset.band !== undefined ? selectedAsset.band : 0];
+    const statistics = rasterBand ? rasterBand.statistics : undefined;
+    /** @type {import("./source/GeoTIFF.js").SourceInfo} */
+    const sourceInfo = {
+      url: baseUrl ? resolveUrl(baseUrl, asset.href) : asset.href,
+    };
+    if (selectedAsset.band !== undefined) {
+      sourceInfo.bands = [selectedAsset.band + 1];
+    }
+    const nodata =
+      options.nodata !== undefined
+        ? options.nodata
+        : rasterBand
+        ? rasterBand.nodata
+        : undefined;
+    if (nodata !== undefined && nodata !== null) {
+      sourceInfo.nodata = Number(nodata);
+    }
+    const min =
+      options.min !== undefined
+        ? options.min
+        : statistics
+        ? statistics.minimum
+        : undefined;
+    if (min !== undefined) {
+      sourceInfo.min = min;
+    }
+    const max =
+      options.max !== undefined
+        ? options.max
+        : statistics
+        ? statistics.maximum
+        : undefined;
+    if (max !== undefined) {
+      sourceInfo.max = max;
+    }
+    return sourceInfo;
+  });
+  return new GeoTIFF({
+    sources: sources,
+    projection: getProjectionCode(item, selected[0].asset),
+    normalize: options.normalize,
+    convertToRGB: options.convertToRGB,
+    sourceOptions: options.sourceOptions,
+  });
+}
+
+/**
+ * Create a {@link module:ol/layer/WebGLTile~WebGLTileLayer} with a source for
+ * the assets of an item, see {@link module:ol/stac.createSource}.
+ * @param {Item} item Item.
+ * @param {SourceOptions} [opt_options] Source options.
+ * @param {import("./layer/WebGLTile.js").Options} [opt_layerOptions] Layer
+ * options.
+ * @return {WebGLTileLayer} Layer.
+ * @api
+ */
+export function createLayer(item, opt_options, opt_layerOptions) {
+  return new WebGLTileLayer(
+    assign({}, opt_layerOptions, {source: createSource(item, opt_options)})
+  );
+}
+
+/**
+ * Create a vector layer with the footprints of items. The features have the
+ * item identifiers as id and the item properties.
+ * @param {Array<Item>} items Items.
+ * @param {import("./layer/BaseVector.js").Options<VectorSource>} [opt_layerOptions]
+ * Layer options.
+ * @param {import("./proj.js").ProjectionLike} [opt_projection='EPSG:3857']
+ * Projection of the map.
+ * @return {VectorLayer<VectorSource>} Layer.
+ * @api
+ */
+export function createFootprintLayer(items, opt_layerOptions, opt_projection) {
+  const features = new GeoJSON().readFeatures(
+    {type: 'FeatureCollection', features: items},
+    {featureProjection: opt_projection ? opt_projection : 'EPSG:3857'}
+  );
+  return new VectorLayer(
+    assign({}, opt_layerOptions, {
+      source: new VectorSource({features: features}),
+    })
+  );
+}
+
+/**
+ * Get search options for the current view of a map: the bbox of the view
+ * extent, and the `datetime` property of the view, if set.
+ * @param {import("./PluggableMap.js").default} map Map.
+ * @param {SearchOptions} [opt_options] Search options that override the view
+ * based ones.
+ * @return {SearchOptions} Search options.
+ * @api
+ */
+export function getViewSearchOptions(map, opt_options) {
+  const view = map.getView();
+  const size = map.getSize();
+  /** @type {SearchOptions} */
+  const options = {};
+  if (size) {
+    const extent = transformExtent(
+      view.calculateExtentInternal(size),
+      view.getProjection(),
+      'EPSG:4326'
+    );
+    options.bbox = [
+      Math.max(extent[0], -180),
+      Math.max(extent[1], -90),
+      Math.min(extent[2], 180),
+      Math.min(extent[3], 90),
+    ];
+  }
+  const datetime = view.get('datetime');
+  if (datetime) {
+    options.datetime = datetime;
+  }
+  return assign(options, opt_options);
+}
+
+/**
+ * Search items with a GET request to a STAC API search endpoint.
+ * @param {string} url URL of the search endpoint, e.g.
+ * `https://example.com/stac/search`.
+ * @param {SearchOptions} [opt_options] Search options.
+ * @return {Promise<ItemCollection>} Resolves with the first page of matching
+ * items, use {@link module:ol/stac.getNextPage} for the next pages.
+ * @api
+ */
+export function search(url, opt_options) {
+  const options = opt_options ? opt_options : {};
+  const params = {
+    'bbox': options.bbox ? options.bbox.join(',') : undefined,
+    'datetime': options.datetime,
+    'collections': options.collections
+      ? options.collections.join(',')
+      : undefined,
+    'ids': options.ids ? options.ids.join(',') : undefined,
+    'limit': options.limit,
+  };
+  return getJSON(appendParams(url, assign(params, options.params)));
+}
+
+/**
+ * Get the next page of an ItemCollection.
+ * @param {ItemCollection} itemCollection Item collection.
+ * @return {Promise<ItemCollection|null>} Resolves with the next page, or `null`
+ * on the last page.
+ * @api
+ */
+export function getNextPage(itemCollection) {
+  const next = getLink(itemCollection, 'next');
+  if (!next) {
+    return Promise.resolve(null);
+  }
+  const self = getLink(itemCollection, 'self');
+  return getJSON(self ? resolveUrl(self, next) : next);
+}
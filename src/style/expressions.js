@@ -22,6 +22,10 @@ import {log2} from '../math.js';
  *     of bands, depending on the underlying data source and
  *     {@link import("../source/GeoTIFF.js").Options configuration}. `xOffset` and `yOffset` are optional
  *     and allow specifying pixel offsets for x and y. This is used for sampling data from neighboring pixels.
+ *   * `['feature-state', 'key']` For vector layers only. Fetches a value of the feature state, as set with
+ *     {@link module:ol/featureState.setFeatureState} or the {@link module:ol/interaction/Highlight~Highlight}
+ *     interaction. `true` is read as `1`, and `false` or a missing value as `0`, e.g.
+ *     `['case', ['==', ['feature-state', 'hover'], 1], 'red', 'blue']`.
  *   * `['get', 'attributeName']` fetches a feature attribute (it will be prefixed by `a_` in the shader)
  *     Note: those will be taken from the attributes provided to the renderer
  *   * `['resolution']` returns the current resolution
@@ -192,6 +196,8 @@ export function isTypeUnique(valueType) {
  * @property {boolean} [inFragmentShader] If false, means the expression output should be made for a vertex shader
  * @property {Array<string>} variables List of variables used in the expression; contains **unprefixed names**
  * @property {Array<string>} attributes List of attributes used in the expression; contains **unprefixed names**
+ * @property {Array<string>} [featureStates] List of feature state keys used in the expression; the corresponding
+ * attributes are named with {@link attributeNameForFeatureState}. Not defined for layers without features.
  * @property {Object<string, number>} stringLiteralsMap This object maps all encountered string values to a number
  * @property {Object<string, string>} functions Lookup of functions used by the style.
  * @property {number} [bandCount] Number of bands per pixel.
@@ -404,6 +410,40 @@ Operators['get'] = {
   },
 };
 
+/**
+ * Get the attribute name given a feature state key.
+ * @param {string} key The feature state key.
+ * @return {string} The attribute name, without the `a_` prefix.
+ */
+export function attributeNameForFeatureState(key) {
+  return 'state_' + key;
+}
+
+Operators['feature-state'] = {
+  getReturnType: function (args) {
+    return ValueTypes.ANY;
+  },
+  toGlsl: function (context, args) {
+    assertArgsCount(args, 1);
+    assertString(args[0]);
+    if (!context.featureStates) {
+      throw new Error(
+        'The feature-state operator can only be used with vector layers'
+      );
+    }
+    const key = args[0].toString();
+    if (context.featureStates.indexOf(key) === -1) {
+      context.featureStates.push(key);
+    }
+    const name = attributeNameForFeatureState(key);
+    if (context.attributes.indexOf(name) === -1) {
+      context.attributes.push(name);
+    }
+    const prefix = context.inFragmentShader ? 'v_' : 'a_';
+    return prefix + name;
+  },
+};
+
 /**
  * Get the uniform name given a variable name.
  * @param {string} variableName The variable name.
@@ -0,0 +1,254 @@
+/**
+ * @module ol/tilepackage
+ */
+import EventType from './events/EventType.js';
+import MVT from './format/MVT.js';
+import TileGrid from './tilegrid/TileGrid.js';
+import TileLayer from './layer/Tile.js';
+import TileState from './TileState.js';
+import VectorTile from './VectorTile.js';
+import VectorTileLayer from './layer/VectorTile.js';
+import VectorTileSource from './source/VectorTile.js';
+import XYZ from './source/XYZ.js';
+import {assign} from './obj.js';
+import {createXYZ, extentFromProjection} from './tilegrid.js';
+import {get as getProjection, transformExtent} from './proj.js';
+import {getTopLeft} from './extent.js';
+import {listen, unlistenByKey} from './events.js';
+
+/**
+ * @typedef {Object} PackageInfo
+ * @property {boolean} vector The package contains vector tiles.
+ * @property {string} [mimeType] Mime type of image tiles.
+ * @property {number} minZoom Minimum zoom level.
+ * @property {number} maxZoom Maximum zoom level.
+ * @property {import("./extent.js").Extent} [bounds] Bounds in degrees.
+ * @property {number} [tileSize] Tile size in pixels. Default is `512` for
+ * vector tiles and `256` for image tiles.
+ * @property {string} [attributions] Attributions.
+ */
+
+/**
+ * A tile package is a single file with the tiles of a web mercator XYZ tile
+ * grid, e.g. {@link module:ol/source/pmtiles.PMTiles} or
+ * {@link module:ol/tilepackage/Zip~ZipTilePackage}.
+ * @typedef {Object} TilePackage
+ * @property {function(): Promise<PackageInfo>} getInfo Read the package
+ * information. Rejects when the file is not a package of this type.
+ * @property {function(number, number, number): Promise<ArrayBuffer|null>} getTile
+ * Get the data of the tile with the given zoom level, column and row (from the
+ * top), or `null` if the package does not have the tile.
+ * @property {function(): string} getUrl Get a tile URL template that ends with
+ * `{z}/{x}/{y}`.
+ */
+
+/**
+ * @typedef {Object} SourceOptions
+ * @property {string} url Tile URL template, for the tile load function.
+ * @property {import("./Tile.js").LoadFunction} tileLoadFunction Tile load
+ * function.
+ * @property {TileGrid} tileGrid Tile grid for the bounds and zoom levels of the
+ * package.
+ * @property {string} projection Projection.
+ * @property {string|undefined} attributions Attributions.
+ */
+
+/**
+ * @typedef {Object} CreateSourceOptions
+ * @property {import("./format/Feature.js").default} [format] Format for vector
+ * tiles. Default is {@link module:ol/format/MVT~MVT}.
+ */
+
+/**
+ * Get a tile load function that reads tiles from a package. The tile URLs have
+ * to end with `{z}/{x}/{y}`.
+ * @param {TilePackage} tilePackage Tile package.
+ * @return {import("./Tile.js").LoadFunction} Tile load function.
+ * @api
+ */
+export function createTileLoadFunction(tilePackage) {
+  return function (tile, src) {
+    const match = /(\d+)\/(\d+)\/(\d+)$/.exec(src);
+    const z = Number(match[1]);
+    const x = Number(match[2]);
+    const y = Number(match[3]);
+    if (tile instanceof VectorTile) {
+      tile.setLoader(
+        /**
+         * @param {import("./extent.js").Extent} extent Extent.
+         * @param {number} resolution Resolution.
+         * @param {import("./proj/Projection.js").default} projection Projection.
+         */
+        function (extent, resolution, projection) {
+          tilePackage.getTile(z, x, y).then(
+            function (data) {
+              if (!data) {
+                tile.onLoad([], null);
+                return;
+              }
+              const format = tile.getFormat();
+              tile.onLoad(
+                /** @type {Array<import("./Feature.js").default>} */ (
+                  format.readFeatures(data, {
+                    extent: extent,
+                    featureProjection: projection,
+                  })
+                ),
+                format.readProjection(data)
+              );
+            },
+            function () {
+              tile.onError();
+            }
+          );
+        }
+      );
+      return;
+    }
+    const imageTile = /** @type {import("./ImageTile.js").default} */ (tile);
+    Promise.all([tilePackage.getInfo(), tilePackage.getTile(z, x, y)]).then(
+      function (result) {
+        if (imageTile.getState() !== TileState.LOADING) {
+          return;
+        }
+        const data = result[1];
+        if (!data) {
+          imageTile.setState(TileState.EMPTY);
+          return;
+        }
+        const url = URL.createObjectURL(
+          new Blob([data], {type: result[0].mimeType})
+        );
+        const key = listen(imageTile, EventType.CHANGE, function () {
+          if (imageTile.getState() !== TileState.LOADING) {
+            unlistenByKey(key);
+            URL.revokeObjectURL(url);
+          }
+        });
+        /** @type {HTMLImageElement} */ (imageTile.getImage()).src = url;
+      },
+      function () {
+        if (imageTile.getState() === TileState.LOADING) {
+          imageTile.setState(TileState.ERROR);
+        }
+      }
+    );
+  };
+}
+
+/**
+ * Get options for a {@link module:ol/source/XYZ~XYZ} or
+ * {@link module:ol/source/VectorTile~VectorTile} source, with the tile grid
+ * and the attributions of a package.
+ * @param {TilePackage} tilePackage Tile package.
+ * @return {Promise<SourceOptions>} Source options.
+ * @api
+ */
+export function createSourceOptions(tilePackage) {
+  return tilePackage.getInfo().then(function (info) {
+    const projection = getProjection('EPSG:3857');
+    const tileSize =
+      info.tileSize !== undefined ? info.tileSize : info.vector ? 512 : 256;
+    const resolutions = createXYZ({
+      extent: extentFromProjection(projection),
+      maxZoom: info.maxZoom,
+      tileSize: tileSize,
+    }).getResolutions();
+    const bounds = info.bounds;
+    const hasBounds = bounds && bounds[0] < bounds[2] && bounds[1] < bounds[3];
+    return {
+      url: tilePackage.getUrl(),
+      tileLoadFunction: createTileLoadFunction(tilePackage),
+      tileGrid: new TileGrid({
+        extent: hasBounds
+          ? transformExtent(bounds, 'EPSG:4326', projection)
+          : projection.getExtent(),
+        origin: getTopLeft(projection.getExtent()),
+        minZoom: info.minZoom,
+        resolutions: resolutions,
+        tileSize: tileSize,
+      }),
+      projection: 'EPSG:3857',
+      attributions: info.attributions,
+    };
+  });
+}
+
+/**
+ * Create a source for the tiles of a package.
+ * @param {TilePackage} tilePackage Tile package.
+ * @param {CreateSourceOptions} [opt_options] Options.
+ * @return {Promise<XYZ|VectorTileSource>} Resolves with an
+ * {@link module:ol/source/XYZ~XYZ} source for image tiles, or a
+ * {@link module:ol/source/VectorTile~VectorTile} source for vector tiles.
+ * @api
+ */
+export function createSource(tilePackage, opt_options) {
+  const options = opt_options ? opt_options : {};
+  return Promise.all([
+    tilePackage.getInfo(),
+    createSourceOptions(tilePackage),
+  ]).then(function (result) {
+    const sourceOptions = result[1];
+    if (result[0].vector) {
+      return new VectorTileSource(
+        assign(
+          {format: options.format ? options.format : new MVT()},
+          sourceOptions
+        )
+      );
+    }
+    return new XYZ(sourceOptions);
+  });
+}
+
+/**
+ * Open a file as a tile package.
+ * @param {Blob} blob File.
+ * @param {Array<function(new: TilePackage, Blob)>} packageConstructors
+ * Constructors of the package types to try, in order.
+ * @return {Promise<TilePackage|null>} Resolves with the package of the first
+ * type that can read the file, or `null`.
+ * @api
+ */
+export function open(blob, packageConstructors) {
+  let index = 0;
+  const next = function () {
+    if (index >= packageConstructors.length) {
+      return Promise.resolve(null);
+    }
+    const tilePackage = new packageConstructors[index++](blob);
+    return tilePackage.getInfo().then(function () {
+      return tilePackage;
+    }, next);
+  };
+  return next();
+}
+
+/**
+ * Create a function for the `createLayer` option of
+ * {@link module:ol/interaction/DragAndDrop~DragAndDrop}, which adds dropped tile
+ * packages to the map as tile layers. Vector tile packages get a
+ * {@link module:ol/layer/VectorTile~VectorTileLayer}, image tile packages a
+ * {@link module:ol/layer/Tile~TileLayer}.
+ * @param {Array<function(new: TilePackage, Blob)>} packageConstructors
+ * Constructors of the package types to try, in order.
+ * @param {CreateSourceOptions} [opt_options] Options for the sources.
+ * @return {function(Blob): Promise<TileLayer|VectorTileLayer|null>} Function
+ * that resolves with a layer for a tile package, or `null` for other files.
+ * @api
+ */
+export function createLayerFactory(packageConstructors, opt_options) {
+  return function (blob) {
+    return open(blob, packageConstructors).then(function (tilePackage) {
+      if (!tilePackage) {
+        return null;
+      }
+      return createSource(tilePackage, opt_options).then(function (source) {
+        return source instanceof VectorTileSource
+          ? new VectorTileLayer({source: source})
+          : new TileLayer({source: source});
+      });
+    });
+  };
+}
@@ -0,0 +1,247 @@
+/**
+ * @module ol/tilepackage/Zip
+ */
+
+/**
+ * Maximum length of the end of central directory record, with a comment.
+ * @type {number}
+ */
+const MAX_END_LENGTH = 22 + 0xffff;
+
+/**
+ * @type {Object<string, string>}
+ */
+const mimeTypes = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  avif: 'image/avif',
+};
+
+/**
+ * @typedef {Object} Entry
+ * @property {number} method Compression method.
+ * @property {number} offset Offset of the local file header.
+ * @property {number} length Compressed length.
+ */
+
+/**
+ * @typedef {Object} Options
+ * @property {number} [tileSize] Tile size in pixels. Default is `512` for
+ * vector tiles and `256` for image tiles.
+ * @property {string} [attributions] Attributions.
+ */
+
+/**
+ * @param {Blob} blob Blob.
+ * @param {number} start Offset of the first byte.
+ * @param {number} end Offset of the last byte (exclusive).
+ * @return {Promise<DataView>} Data.
+ */
+function read(blob, start, end) {
+  return blob
+    .slice(start, end)
+    .arrayBuffer()
+    .then(function (buffer) {
+      return new DataView(buffer);
+    });
+}
+
+/**
+ * @param {DataView} view View.
+ * @param {number} offset Offset.
+ * @param {number} length Length.
+ * @return {string} File name.
+ */
+function readName(view, offset, length) {
+  return new TextDecoder().decode(
+    new Uint8Array(view.buffer, view.byteOffset + offset, length)
+  );
+}
+
+/**
+ * @classdesc
+ * {@link module:ol/tilepackage~TilePackage} for ZIP files with the tiles of a
+ * web mercator XYZ tile grid as `{z}/{x}/{y}.{ext}` files, e.g.
+ * `12/2200/1343.png` or `14/8800/5372.pbf`. The files may be in a common
+ * directory. Files with the `pbf` or `mvt` extension are read as vector tiles.
+ *
+ * Deflate compressed files need a browser with `DecompressionStream`.
+ *
+ * @api
+ */
+class ZipTilePackage {
+  /**
+   * @param {Blob} blob ZIP file.
+   * @param {Options} [opt_options] Options.
+   */
+  constructor(blob, opt_options) {
+    const options = opt_options ? opt_options : {};
+
+    /**
+     * @private
+     * @type {Blob}
+     */
+    this.blob_ = blob;
+
+    /**
+     * @private
+     * @type {number|undefined}
+     */
+    this.tileSize_ = options.tileSize;
+
+    /**
+     * @private
+     * @type {string|undefined}
+     */
+    this.attributions_ = options.attributions;
+
+    /**
+     * Entries by `z/x/y`.
+     * @private
+     * @type {Object<string, Entry>}
+     */
+    this.entries_ = {};
+
+    /**
+     * @private
+     * @type {Promise<import("../tilepackage.js").PackageInfo>|null}
+     */
+    this.info_ = null;
+  }
+
+  /**
+   * Read the central directory of the ZIP file.
+   * @return {Promise<import("../tilepackage.js").PackageInfo>} Package
+   * information.
+   * @api
+   */
+  getInfo() {
+    if (!this.info_) {
+      const blob = this.blob_;
+      const start = Math.max(0, blob.size - MAX_END_LENGTH);
+      this.info_ = read(blob, start, blob.size)
+        .then(function (view) {
+          for (let i = view.byteLength - 22; i >= 0; --i) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+              const length = view.getUint32(i + 12, true);
+              const offset = view.getUint32(i + 16, true);
+              if (offset === 0xffffffff) {
+                throw new Error('ZIP64 files are not supported');
+              }
+              return read(blob, offset, offset + length);
+            }
+          }
+          throw new Error('Not a ZIP file');
+        })
+        .then(
+          function (view) {
+            let minZoom = Infinity;
+            let maxZoom = -Infinity;
+            let extension;
+            let position = 0;
+            while (
+              position + 46 <= view.byteLength &&
+              view.getUint32(position, true) === 0x02014b50
+            ) {
+              const nameLength = view.getUint16(position + 28, true);
+              const name = readName(view, position + 46, nameLength);
+              const match = /(?:^|\/)(\d+)\/(\d+)\/(\d+)\.(\w+)$/.exec(name);
+              if (match) {
+                const z = Number(match[1]);
+                minZoom = Math.min(minZoom, z);
+                maxZoom = Math.max(maxZoom, z);
+                extension = match[4].toLowerCase();
+                this.entries_[z + '/' + match[2] + '/' + match[3]] = {
+                  method: view.getUint16(position + 10, true),
+                  offset: view.getUint32(position + 42, true),
+                  length: view.getUint32(position + 20, true),
+                };
+              }
+              position +=
+                46 +
+                nameLength +
+                view.getUint16(position + 30, true) +
+                view.getUint16(position + 32, true);
+            }
+            if (extension === undefined) {
+              throw new Error('The ZIP file does not contain tiles');
+            }
+            return {
+              vector: extension === 'pbf' || extension === 'mvt',
+              mimeType: mimeTypes[extension],
+              minZoom: minZoom,
+              maxZoom: maxZoom,
+              tileSize: this.tileSize_,
+              attributions: this.attributions_,
+            };
+          }.bind(this)
+        );
+      this.info_.catch(
+        function () {
+          this.info_ = null;
+        }.bind(this)
+      );
+    }
+    return this.info_;
+  }
+
+  /**
+   * Get the data of a tile.
+   * @param {number} z Zoom level.
+   * @param {number} x Column, from the left.
+   * @param {number} y Row, from the top.
+   * @return {Promise<ArrayBuffer|null>} Tile data, or `null` if the ZIP file
+   * does not have the tile.
+   * @api
+   */
+  getTile(z, x, y) {
+    const blob = this.blob_;
+    return this.getInfo().then(
+      function () {
+        const entry = this.entries_[z + '/' + x + '/' + y];
+        if (!entry) {
+          return null;
+        }
+        return read(blob, entry.offset, entry.offset + 30).then(function (
+          view
+        ) {
+          if (view.getUint32(0, true) !== 0x04034b50) {
+            throw new Error('Invalid ZIP file entry');
+          }
+          const start =
+            entry.offset +
+            30 +
+            view.getUint16(26, true) +
+            view.getUint16(28, true);
+          const data = blob.slice(start, start + entry.length);
+          if (entry.method === 0) {
+            return data.arrayBuffer();
+          }
+          if (
+            entry.method === 8 &&
+            typeof DecompressionStream !== 'undefined'
+          ) {
+            return new Response(
+              data.stream().pipeThrough(new DecompressionStream('deflate-raw'))
+            ).arrayBuffer();
+          }
+          throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+        });
+      }.bind(this)
+    );
+  }
+
+  /**
+   * Get the tile URL template to use with the tile load function.
+   * @return {string} URL template.
+   * @api
+   */
+  getUrl() {
+    const name = /** @type {File} */ (this.blob_).name;
+    return 'zip://' + (name || 'blob') + '/{z}/{x}/{y}';
+  }
+}
+
+export default ZipTilePackage;
@@ -0,0 +1,439 @@
+/**
+ * @module ol/tilestore
+ */
+import EventType from './events/EventType.js';
+import TileState from './TileState.js';
+import VectorTile from './VectorTile.js';
+import {get as getProjection, transformExtent} from './proj.js';
+import {listen, unlistenByKey} from './events.js';
+import {loadFeaturesXhr} from './featureloader.js';
+
+/**
+ * @typedef {Object} StoredTile
+ * @property {Blob} data Tile data.
+ * @property {number} expires Time when the tile expires, in milliseconds since
+ * the epoch. Expired tiles are fetched again, but still used when fetching
+ * fails.
+ */
+
+/**
+ * Interface for persistent tile storage. Tiles are stored by their URL. See
+ * {@link module:ol/tilestore/IndexedDB~IndexedDBTileStore} and
+ * {@link module:ol/tilestore/Memory~MemoryTileStore}.
+ * @typedef {Object} TileStore
+ * @property {function(string): Promise<StoredTile|undefined>} get Get a tile.
+ * @property {function(string, Blob): Promise<void>} put Store a tile. The
+ * store sets its expiry time. The promise is rejected with an error named
+ * `QuotaExceededError` when the storage is full.
+ * @property {function(string): Promise<void>} remove Remove a tile.
+ * @property {function(): Promise<number>} purge Remove expired tiles. The
+ * promise resolves with the number of removed tiles.
+ * @property {function(): Promise<void>} clear Remove all tiles.
+ */
+
+/**
+ * @typedef {Object} PrefetchOptions
+ * @property {import("./extent.js").Extent} extent Extent to fetch the tiles
+ * for.
+ * @property {import("./proj.js").ProjectionLike} [projection] Projection of
+ * the extent. Default is the projection of the source.
+ * @property {number} [minZoom] Minimum zoom level. Default is the minimum zoom
+ * level of the tile grid.
+ * @property {number} [maxZoom] Maximum zoom level. Default is the maximum zoom
+ * level of the tile grid.
+ * @property {TileStore} [store] Store to put the tiles in. Default is the tile
+ * store of the source.
+ * @property {number} [pixelRatio=1] Pixel ratio to get the tile URLs for.
+ * @property {number} [concurrency=4] Number of tiles fetched at the same time.
+ * @property {number} [averageTileSize=20000] Expected average size of a tile in
+ * bytes, used for estimates until tiles have been fetched.
+ * @property {function(PrefetchProgress): void} [onProgress] Called after each
+ * tile.
+ * @property {AbortSignal} [signal] Signal to abort the prefetch with.
+ */
+
+/**
+ * @typedef {Object} PrefetchProgress
+ * @property {number} total Number of tiles in the extent and zoom range.
+ * @property {number} loaded Number of tiles that are stored.
+ * @property {number} failed Number of tiles that could not be fetched.
+ * @property {number} bytes Size of the stored tiles in bytes.
+ * @property {number} estimatedBytes Estimated size of all tiles in bytes.
+ */
+
+/**
+ * @typedef {Object} PrefetchEstimate
+ * @property {number} tiles Number of tiles in the extent and zoom range.
+ * @property {number} bytes Estimated size of the tiles in bytes.
+ * @property {number|undefined} available Storage still available to the page
+ * in bytes, if the browser reports it.
+ */
+
+/**
+ * @param {string} url Tile URL.
+ * @return {Promise<Blob>} Tile data.
+ */
+function fetchTile(url) {
+  return fetch(url).then(function (response) {
+    if (!response.ok) {
+      throw new Error(
+        `Unexpected response status ${response.status} for ${url}`
+      );
+    }
+    return response.blob();
+  });
+}
+
+/**
+ * Get the data of a tile from a store. Tiles that are not stored or have
+ * expired are fetched and stored. When fetching fails, expired data is used.
+ * @param {TileStore} store Tile store.
+ * @param {string} url Tile URL.
+ * @return {Promise<Blob>} Tile data.
+ * @api
+ */
+export function loadTile(store, url) {
+  return store.get(url).then(function (stored) {
+    if (stored && stored.expires > Date.now()) {
+      return stored.data;
+    }
+    return fetchTile(url).then(
+      function (data) {
+        // a full store must not prevent the tile from being rendered
+        store.put(url, data).catch(function () {});
+        return data;
+      },
+      function (error) {
+        if (stored) {
+          return stored.data;
+        }
+        throw error;
+      }
+    );
+  });
+}
+
+/**
+ * Create a tile load function that reads tiles through a store. Image tiles
+ * are loaded by the given tile load function, with an object URL of the stored
+ * data. Vector tiles are read with the format of the tile. When neither the
+ * store nor the network has the tile, the tile is loaded without the store.
+ * @param {TileStore} store Tile store.
+ * @param {import("./Tile.js").LoadFunction} tileLoadFunction Tile load function.
+ * @return {import("./Tile.js").LoadFunction} Tile load function.
+ */
+export function createLoadFunction(store, tileLoadFunction) {
+  return function (tile, src) {
+    if (tile instanceof VectorTile) {
+      tile.setLoader(
+        /**
+         * @param {import("./extent.js").Extent} extent Extent.
+         * @param {number} resolution Resolution.
+         * @param {import("./proj/Projection.js").default} projection Projection.
+         */
+        function (extent, resolution, projection) {
+          const onLoad = tile.onLoad.bind(tile);
+          const onError = tile.onError.bind(tile);
+          loadTile(store, src).then(
+            function (data) {
+              const url = URL.createObjectURL(data);
+              loadFeaturesXhr(
+                url,
+                tile.getFormat(),
+                extent,
+                resolution,
+                projection,
+                function (features, dataProjection) {
+                  URL.revokeObjectURL(url);
+                  onLoad(features, dataProjection);
+                },
+                function () {
+                  URL.revokeObjectURL(url);
+                  onError();
+                }
+              );
+            },
+            function () {
+              loadFeaturesXhr(
+                src,
+                tile.getFormat(),
+                extent,
+                resolution,
+                projection,
+                onLoad,
+                onError
+              );
+            }
+          );
+        }
+      );
+      return;
+    }
+    loadTile(store, src).then(
+      function (data) {
+        if (tile.getState() !== TileState.LOADING) {
+          return;
+        }
+        const url = URL.createObjectURL(data);
+        const key = listen(tile, EventType.CHANGE, function () {
+          if (tile.getState() !== TileState.LOADING) {
+            unlistenByKey(key);
+            URL.revokeObjectURL(url);
+          }
+        });
+        tileLoadFunction(tile, url);
+      },
+      function () {
+        if (tile.getState() === TileState.LOADING) {
+          tileLoadFunction(tile, src);
+        }
+      }
+    );
+  };
+}
+
+/**
+ * @param {import("./source/UrlTile.js").default} source Tile source.
+ * @param {PrefetchOptions} options Options.
+ * @return {{total: number, next: function(): (string|null)}} Number of tiles,
+ * and a function that returns the next tile URL, or `null` when done.
+ */
+function getTileUrls(source, options) {
+  const projection = source.getProjection()
+    ? source.getProjection()
+    : getProjection(options.projection);
+  if (!projection) {
+    throw new Error('A projection is needed to get the tiles of the source');
+  }
+  const extent = options.projection
+    ? transformExtent(options.extent, options.projection, projection)
+    : options.extent;
+  const tileGrid = source.getTileGridForProjection(projection);
+  const minZoom =
+    options.minZoom !== undefined
+      ? Math.max(options.minZoom, tileGrid.getMinZoom())
+      : tileGrid.getMinZoom();
+  const maxZoom =
+    options.maxZoom !== undefined
+      ? Math.min(options.maxZoom, tileGrid.getMaxZoom())
+      : tileGrid.getMaxZoom();
+  const pixelRatio = options.pixelRatio !== undefined ? options.pixelRatio : 1;
+  const tileUrlFunction = source.getTileUrlFunction();
+
+  const tileRanges = [];
+  let total = 0;
+  for (let z = minZoom; z <= maxZoom; ++z) {
+    const tileRange = tileGrid.getTileRangeForExtentAndZ(extent, z);
+    tileRanges.push(tileRange);
+    total += tileRange.getWidth() * tileRange.getHeight();
+  }
+
+  let z = minZoom;
+  let x = tileRanges.length ? tileRanges[0].minX : 0;
+  let y = tileRanges.length ? tileRanges[0].minY - 1 : 0;
+  return {
+    total: total,
+    next: function () {
+      while (z <= maxZoom) {
+        const tileRange = tileRanges[z - minZoom];
+        if (++y > tileRange.maxY) {
+          y = tileRange.minY;
+          if (++x > tileRange.maxX) {
+            if (++z <= maxZoom) {
+              x = tileRanges[z - minZoom].minX;
+              y = tileRanges[z - minZoom].minY - 1;
+            }
+            continue;
+          }
+        }
+        const tileCoord = source.getTileCoordForTileUrlFunction(
+          [z, x, y],
+          projection
+        );
+        const url = tileCoord
+          ? tileUrlFunction(tileCoord, pixelRatio, projection)
+          : undefined;
+        if (url) {
+          return url;
+        }
+      }
+      return null;
+    },
+  };
+}
+
+/**
+ * Estimate how much storage the tiles of a source in an extent and zoom range
+ * need.
+ * @param {import("./source/UrlTile.js").default} source Tile source.
+ * @param {PrefetchOptions} options Options.
+ * @return {Promise<PrefetchEstimate>} Estimate.
+ * @api
+ */
+export function estimatePrefetch(source, options) {
+  const tiles = getTileUrls(source, options).total;
+  const averageTileSize =
+    options.averageTileSize !== undefined ? options.averageTileSize : 20000;
+  const estimate = {
+    tiles: tiles,
+    bytes: tiles * averageTileSize,
+    available: undefined,
+  };
+  if (
+    typeof navigator === 'undefined' ||
+    !navigator.storage ||
+    !navigator.storage.estimate
+  ) {
+    return Promise.resolve(estimate);
+  }
+  return navigator.storage.estimate().then(
+    function (storageEstimate) {
+      estimate.available = storageEstimate.quota - storageEstimate.usage;
+      return estimate;
+    },
+    function () {
+      return estimate;
+    }
+  );
+}
+
+/**
+ * @param {*} error Error.
+ * @return {boolean} The error is a quota error.
+ */
+function isQuotaError(error) {
+  return !!error && error.name === 'QuotaExceededError';
+}
+
+/**
+ * Fetch and store all tiles of a source in an extent and zoom range, so they
+ * are available offline. Tiles that are stored and have not expired are not
+ * fetched again. When the storage is full, expired tiles are purged from the
+ * store; if that does not free enough space, the prefetch stops and the
+ * returned promise is rejected with the `QuotaExceededError`.
+ *
+ * ```js
+ * const store = new IndexedDBTileStore();
+ * const source = new OSM({tileStore: store});
+ * prefetch(source, {
+ *   extent: [5.9, 45.8, 10.5, 47.8],
+ *   projection: 'EPSG:4326',
+ *   maxZoom: 12,
+ *   onProgress: function (progress) {
+ *     console.log(`${progress.loaded} of ${progress.total} tiles`);
+ *   },
+ * });
+ * ```
+ * @param {import("./source/UrlTile.js").default} source Tile source.
+ * @param {PrefetchOptions} options Options.
+ * @return {Promise<PrefetchProgress>} Resolves with the final progress when all
+ * tiles have been handled.
+ * @api
+ */
+export function prefetch(source, options) {
+  const store = options.store ? options.store : source.getTileStore();
+  if (!store) {
+    return Promise.reject(new Error('A tile store is needed to prefetch'));
+  }
+  let tileUrls;
+  try {
+    tileUrls = getTileUrls(source, options);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  const concurrency =
+    options.concurrency !== undefined ? options.concurrency : 4;
+  const averageTileSize =
+    options.averageTileSize !== undefined ? options.averageTileSize : 20000;
+  const signal = options.signal;
+
+  /** @type {PrefetchProgress} */
+  const progress = {
+    total: tileUrls.total,
+    loaded: 0,
+    failed: 0,
+    bytes: 0,
+    estimatedBytes: tileUrls.total * averageTileSize,
+  };
+
+  /**
+   * @param {number} size Size of the tile, or -1 if it failed.
+   */
+  function report(size) {
+    if (size < 0) {
+      ++progress.failed;
+    } else {
+      ++progress.loaded;
+      progress.bytes += size;
+    }
+    progress.estimatedBytes = progress.loaded
+      ? Math.round((progress.bytes / progress.loaded) * progress.total)
+      : progress.total * averageTileSize;
+    if (options.onProgress) {
+      options.onProgress(progress);
+    }
+  }
+
+  /**
+   * @param {string} url Tile URL.
+   * @param {Blob} data Tile data.
+   * @return {Promise<void>} Resolves when stored.
+   */
+  function put(url, data) {
+    return store.put(url, data).catch(function (error) {
+      if (!isQuotaError(error)) {
+        throw error;
+      }
+      return store.purge().then(function (count) {
+        if (!count) {
+          throw error;
+        }
+        return store.put(url, data);
+      });
+    });
+  }
+
+  /**
+   * @return {Promise<void>} Resolves when there are no more tiles.
+   */
+  function work() {
+    if (signal && signal.aborted) {
+      const error = new Error('The prefetch was aborted');
+      error.name = 'AbortError';
+      return Promise.reject(error);
+    }
+    const url = tileUrls.next();
+    if (!url) {
+      return Promise.resolve();
+    }
+    return store
+      .get(url)
+      .then(function (stored) {
+        if (stored && stored.expires > Date.now()) {
+          return stored.data.size;
+        }
+        return fetchTile(url).then(
+          function (data) {
+            return put(url, data).then(function () {
+              return data.size;
+            });
+          },
+          function () {
+            return -1;
+          }
+        );
+      })
+      .then(function (size) {
+        report(size);
+        return work();
+      });
+  }
+
+  const workers = [];
+  for (let i = 0; i < concurrency; ++i) {
+    workers.push(work());
+  }
+  return Promise.all(workers).then(function () {
+    return progress;
+  });
+}
@@ -0,0 +1,189 @@
+/**
+ * @module ol/tilestore/IndexedDB
+ */
+
+/**
+ * Name of the object store for the tiles.
+ * @type {string}
+ */
+const TILES = 'tiles';
+
+/**
+ * @typedef {Object} Options
+ * @property {string} [name='ol-tiles'] Name of the database.
+ * @property {number} [maxAge=604800000] Time in milliseconds after which
+ * stored tiles expire. Default is one week.
+ */
+
+/**
+ * @classdesc
+ * {@link module:ol/tilestore~TileStore} that keeps tiles in an IndexedDB
+ * database, so they are available after the page is reloaded and when the
+ * network is not.
+ *
+ * @api
+ */
+class IndexedDBTileStore {
+  /**
+   * @param {Options} [opt_options] Options.
+   */
+  constructor(opt_options) {
+    const options = opt_options ? opt_options : {};
+
+    /**
+     * @private
+     * @type {string}
+     */
+    this.name_ = options.name !== undefined ? options.name : 'ol-tiles';
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.maxAge_ =
+      options.maxAge !== undefined ? options.maxAge : 7 * 24 * 60 * 60 * 1000;
+
+    /**
+     * @private
+     * @type {Promise<IDBDatabase>|null}
+     */
+    this.database_ = null;
+  }
+
+  /**
+   * @return {Promise<IDBDatabase>} Database.
+   * @private
+   */
+  getDatabase_() {
+    if (!this.database_) {
+      this.database_ = new Promise(
+        function (resolve, reject) {
+          const request = indexedDB.open(this.name_, 1);
+          request.onupgradeneeded = function () {
+            const tiles = request.result.createObjectStore(TILES);
+            tiles.createIndex('expires', 'expires');
+          };
+          request.onsuccess = function () {
+            resolve(request.result);
+          };
+          request.onerror = function () {
+            reject(request.error);
+          };
+        }.bind(this)
+      );
+    }
+    return this.database_;
+  }
+
+  /**
+   * Run a request in a transaction on the tiles.
+   * @param {IDBTransactionMode} mode Transaction mode.
+   * @param {function(IDBObjectStore): (IDBRequest|void)} callback Function that
+   * makes the request.
+   * @return {Promise<*>} Resolves with the result of the request when the
+   * transaction is complete.
+   * @private
+   */
+  transact_(mode, callback) {
+    return this.getDatabase_().then(function (database) {
+      return new Promise(function (resolve, reject) {
+        const transaction = database.transaction(TILES, mode);
+        const request = callback(transaction.objectStore(TILES));
+        transaction.oncomplete = function () {
+          resolve(request ? request.result : undefined);
+        };
+        transaction.onerror = transaction.onabort = function () {
+          reject(transaction.error);
+        };
+      });
+    });
+  }
+
+  /**
+   * Get a tile.
+   * @param {string} key Tile URL.
+   * @return {Promise<import("../tilestore.js").StoredTile|undefined>} Tile.
+   * @api
+   */
+  get(key) {
+    return this.transact_('readonly', function (tiles) {
+      return tiles.get(key);
+    });
+  }
+
+  /**
+   * Store a tile.
+   * @param {string} key Tile URL.
+   * @param {Blob} data Tile data.
+   * @return {Promise<void>} Resolves when the tile is stored.
+   * @api
+   */
+  put(key, data) {
+    const tile = {data: data, expires: Date.now() + this.maxAge_};
+    return this.transact_('readwrite', function (tiles) {
+      tiles.put(tile, key);
+    });
+  }
+
+  /**
+   * Remove a tile.
+   * @param {string} key Tile URL.
+   * @return {Promise<void>} Resolves when the tile is removed.
+   * @api
+   */
+  remove(key) {
+    return this.transact_('readwrite', function (tiles) {
+      tiles.delete(key);
+    });
+  }
+
+  /**
+   * Remove expired tiles.
+   * @return {Promise<number>} Resolves with the number of removed tiles.
+   * @api
+   */
+  purge() {
+    let count = 0;
+    return this.transact_('readwrite', function (tiles) {
+      const request = tiles
+        .index('expires')
+        .openCursor(IDBKeyRange.upperBound(Date.now()));
+      request.onsuccess = function () {
+        const cursor = request.result;
+        if (cursor) {
+          cursor.delete();
+          ++count;
+          cursor.continue();
+        }
+      };
+    }).then(function () {
+      return count;
+    });
+  }
+
+  /**
+   * Remove all tiles.
+   * @return {Promise<void>} Resolves when the tiles are removed.
+   * @api
+   */
+  clear() {
+    return this.transact_('readwrite', function (tiles) {
+      tiles.clear();
+    });
+  }
+
+  /**
+   * Close the database.
+   * @api
+   */
+  close() {
+    if (this.database_) {
+      this.database_.then(function (database) {
+        database.close();
+      });
+      this.database_ = null;
+    }
+  }
+}
+
+export default IndexedDBTileStore;
@@ -0,0 +1,138 @@
+/**
+ * @module ol/tilestore/Memory
+ */
+
+/**
+ * @typedef {Object} Options
+ * @property {number} [maxAge=604800000] Time in milliseconds after which
+ * stored tiles expire. Default is one week.
+ * @property {number} [maxBytes=Infinity] Maximum size of the stored tiles in
+ * bytes. Storing more tiles fails with a `QuotaExceededError`.
+ */
+
+/**
+ * @classdesc
+ * {@link module:ol/tilestore~TileStore} that keeps tiles in memory. Unlike the
+ * tile cache of a source, tiles are not discarded when they are not used, so
+ * tiles prefetched for an area stay available as long as the page is open.
+ *
+ * @api
+ */
+class MemoryTileStore {
+  /**
+   * @param {Options} [opt_options] Options.
+   */
+  constructor(opt_options) {
+    const options = opt_options ? opt_options : {};
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.maxAge_ =
+      options.maxAge !== undefined ? options.maxAge : 7 * 24 * 60 * 60 * 1000;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.maxBytes_ =
+      options.maxBytes !== undefined ? options.maxBytes : Infinity;
+
+    /**
+     * @private
+     * @type {number}
+     */
+    this.bytes_ = 0;
+
+    /**
+     * @private
+     * @type {Object<string, import("../tilestore.js").StoredTile>}
+     */
+    this.tiles_ = {};
+  }
+
+  /**
+   * Get a tile.
+   * @param {string} key Tile URL.
+   * @return {Promise<import("../tilestore.js").StoredTile|undefined>} Tile.
+   * @api
+   */
+  get(key) {
+    return Promise.resolve(this.tiles_[key]);
+  }
+
+  /**
+   * Store a tile.
+   * @param {string} key Tile URL.
+   * @param {Blob} data Tile data.
+   * @return {Promise<void>} Resolves when the tile is stored.
+   * @api
+   */
+  put(key, data) {
+    const previous = this.tiles_[key];
+    const bytes = this.bytes_ - (previous ? previous.data.size : 0) + data.size;
+    if (bytes > this.maxBytes_) {
+      const error = new Error('The tile store is full');
+      error.name = 'QuotaExceededError';
+      return Promise.reject(error);
+    }
+    this.bytes_ = bytes;
+    this.tiles_[key] = {data: data, expires: Date.now() + this.maxAge_};
+    return Promise.resolve();
+  }
+
+  /**
+   * Remove a tile.
+   * @param {string} key Tile URL.
+   * @return {Promise<void>} Resolves when the tile is removed.
+   * @api
+   */
+  remove(key) {
+    const tile = this.tiles_[key];
+    if (tile) {
+      this.bytes_ -= tile.data.size;
+      delete this.tiles_[key];
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Remove expired tiles.
+   * @return {Promise<number>} Resolves with the number of removed tiles.
+   * @api
+   */
+  purge() {
+    const now = Date.now();
+    let count = 0;
+    for (const key in this.tiles_) {
+      if (this.tiles_[key].expires <= now) {
+        this.remove(key);
+        ++count;
+      }
+    }
+    return Promise.resolve(count);
+  }
+
+  /**
+   * Remove all tiles.
+   * @return {Promise<void>} Resolves when the tiles are removed.
+   * @api
+   */
+  clear() {
+    this.tiles_ = {};
+    this.bytes_ = 0;
+    return Promise.resolve();
+  }
+
+  /**
+   * Get the size of the stored tiles.
+   * @return {number} Size in bytes.
+   * @api
+   */
+  getBytes() {
+    return this.bytes_;
+  }
+}
+
+export default MemoryTileStore;
@@ -5,10 +5,13 @@
 
 import {
   ValueTypes,
+  attributeNameForFeatureState,
   expressionToGlsl,
   getStringNumberEquivalent,
   uniformNameForVariable,
 } from '../style/expressions.js';
+import {find} from '../array.js';
+import {getFeatureState} from '../featureState.js';
 
 /**
  * @typedef {Object} VaryingDescription
@@ -440,6 +443,7 @@ export function parseLiteralStyle(style) {
     inFragmentShader: false,
     variables: [],
     attributes: [],
+    featureStates: [],
     stringLiteralsMap: {},
     functions: {},
   };
@@ -471,6 +475,7 @@ export function parseLiteralStyle(style) {
     inFragmentShader: true,
     variables: vertContext.variables,
     attributes: [],
+    featureStates: vertContext.featureStates,
     stringLiteralsMap: vertContext.stringLiteralsMap,
     functions: {},
   };
@@ -576,6 +581,21 @@ export function parseLiteralStyle(style) {
   return {
     builder: builder,
     attributes: vertContext.attributes.map(function (attributeName) {
+      const stateKey = find(vertContext.featureStates, function (key) {
+        return attributeNameForFeatureState(key) === attributeName;
+      });
+      if (stateKey !== null) {
+        return {
+          name: attributeName,
+          callback: function (feature) {
+            let value = getFeatureState(feature)[stateKey];
+            if (typeof value === 'string') {
+              value = getStringNumberEquivalent(vertContext, value);
+            }
+            return typeof value === 'number' ? value : Number(!!value);
+          },
+        };
+      }
       return {
         name: attributeName,
         callback: function (feature, props) {